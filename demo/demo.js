@@ -3,9 +3,17 @@
 const logger = require('../utils/logger');
 const fs = require('fs');
 const path = require('path');
+const { startFixtureServer } = require('../fixtures/app/server');
+
+let fixtureServer = null;
 
 async function runDemo() {
   console.log('🎯 Selenium UI Test Boilerplate - DEMO MODE\n');
+
+  // The demo always drives a real headless browser unless HEADED is set
+  if (!process.env.HEADED && process.env.HEADLESS === undefined) {
+    process.env.HEADLESS = 'true';
+  }
   
   // Demo logging capabilities
   logger.info('🚀 Starting demo...');
@@ -43,42 +51,54 @@ async function runDemo() {
     logger.info(`  📝 ${file}`);
   });
   
-  logger.step('Demonstrating screenshot capability (simulated)');
-  
-  // Simulate screenshot creation
-  const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-  const demoScreenshotPath = `screenshots/demo-${timestamp}.txt`;
-  
-  fs.writeFileSync(demoScreenshotPath, 
-    `DEMO SCREENSHOT - ${new Date().toISOString()}\n` +
-    `This would be a PNG screenshot in real execution.\n` +
-    `Test: Demo Project Structure Validation\n` +
-    `Status: SUCCESS\n`
-  );
-  
-  logger.screenshot(demoScreenshotPath);
-  
-  logger.step('Testing configuration validation');
-  
-  // Test environment variables
-  const envTests = [
-    { name: 'HEADLESS', value: process.env.HEADLESS || 'false' },
-    { name: 'BROWSER', value: process.env.BROWSER || 'chrome' },
-    { name: 'LOG_LEVEL', value: process.env.LOG_LEVEL || 'info' }
-  ];
-  
-  logger.info('🔧 Environment Configuration:');
-  envTests.forEach(env => {
-    logger.info(`  ${env.name}: ${env.value}`);
-  });
-  
   logger.testEnd('Demo Test - Project Structure Validation', 'passed');
-  
+
+  logger.step('Starting bundled fixture app');
+  fixtureServer = await startFixtureServer();
+  process.env.SELENIUM_FIXTURE_URL = fixtureServer.url;
+  logger.info(`🌐 Fixture app listening on ${fixtureServer.url}`);
+
+  // Loaded after SELENIUM_FIXTURE_URL is set so the config picks up the fixture URL
+  const { getConfig } = require('../utils/config');
+  const BaseTest = require('../utils/BaseTest');
+  const LoginPage = require('../pages/LoginPage');
+
+  const config = getConfig();
+  logger.info('🔧 Configuration:');
+  logger.info(`  Profile: ${config.profile}`);
+  logger.info(`  Base URL: ${config.baseUrl}`);
+  logger.info(`  Browser: ${config.browser.name} (headless: ${config.browser.headless})`);
+  logger.info(`  Log level: ${process.env.LOG_LEVEL || 'info'}`);
+
+  const demoTestName = 'Demo Test - Login Against Fixture App';
+  const baseTest = new BaseTest(config);
+  await baseTest.setupSuite();
+
+  let secureAreaPage;
+  try {
+    await baseTest.setupTest(demoTestName);
+
+    const loginPage = await LoginPage.open(baseTest);
+    const { username, password } = config.users.standard;
+    secureAreaPage = await loginPage.loginAs(username, password);
+    logger.info(`✅ ${await secureAreaPage.getFlashMessage('success')}`);
+
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    await baseTest.driverManager.takeScreenshot(`demo-${timestamp}.png`);
+
+    await baseTest.teardownTest(demoTestName, true);
+  } catch (error) {
+    await baseTest.teardownTest(demoTestName, false);
+    throw error;
+  } finally {
+    await baseTest.teardownSuite();
+  }
+
   console.log('\n📋 Demo Summary:');
   console.log('✅ Project structure validated');
   console.log('✅ Logging system operational');
-  console.log('✅ Screenshot capability demonstrated');
-  console.log('✅ Configuration system tested');
+  console.log('✅ Headless browser logged into the fixture app');
+  console.log('✅ Screenshot captured from a real browser');
   console.log('\n🔍 Check the logs/ directory for detailed logs');
   console.log('📸 Check the screenshots/ directory for demo output');
   console.log('\n🚀 To run actual browser tests:');
@@ -89,6 +109,13 @@ async function runDemo() {
   logger.info('🎯 Demo completed successfully!');
 }
 
+async function stopFixtureServer() {
+  if (fixtureServer) {
+    await fixtureServer.close();
+    fixtureServer = null;
+  }
+}
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
   logger.info('Demo interrupted by user');
@@ -101,7 +128,11 @@ process.on('unhandledRejection', (error) => {
 });
 
 // Run the demo
-runDemo().catch(error => {
-  logger.error(`Demo failed: ${error.message}`);
-  process.exit(1);
-});
+runDemo()
+  .then(stopFixtureServer)
+  .catch(async error => {
+    logger.error(`Demo failed: ${error.message}`);
+    logger.error('The demo needs Chrome (or Firefox with BROWSER=firefox) installed locally');
+    await stopFixtureServer();
+    process.exit(1);
+  });
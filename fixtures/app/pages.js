@@ -0,0 +1,597 @@
+/**
+ * Fixture web app pages - markup mirrors the-internet.herokuapp.com so the same
+ * page objects and selectors work against both
+ */
+
+const ACCOUNTS = {
+  tomsmith: 'SuperSecretPassword!'
+};
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Store a flash message to be shown on the next rendered page
+ */
+function setFlash(session, type, message) {
+  session.flash = { type, message };
+}
+
+/**
+ * Wrap page content in the shared layout, consuming any pending flash message
+ */
+function layout(session, content, { head = '' } = {}) {
+  const flash = session.flash;
+  delete session.flash;
+
+  const flashHtml = flash
+    ? `<div data-alert id="flash" class="flash ${flash.type}">
+        ${escapeHtml(flash.message)}
+        <a href="#" class="close">×</a>
+      </div>`
+    : '';
+
+  return {
+    body: `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>The Internet</title>
+  <style>
+    body { font-family: sans-serif; margin: 2em; }
+    .flash { padding: 1em; margin-bottom: 1em; border: 1px solid; }
+    .flash.success { background: #5da423; color: #fff; }
+    .flash.error { background: #c60f13; color: #fff; }
+    .flash .close { float: right; color: inherit; text-decoration: none; }
+  </style>
+  ${head}
+</head>
+<body>
+  <div class="row">
+    <div id="flash-messages" class="large-12 columns">${flashHtml}</div>
+  </div>
+  <div id="content" class="large-12 columns">
+    ${content}
+  </div>
+</body>
+</html>`
+  };
+}
+
+/**
+ * Parse an application/x-www-form-urlencoded body
+ */
+const parseForm = (body) => Object.fromEntries(new URLSearchParams(body.toString('utf8')));
+
+/**
+ * Extract uploaded file names from a multipart/form-data body
+ */
+function parseUploadedFileNames(req, body) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+  if (!match) {
+    return [];
+  }
+
+  const boundary = `--${match[1] || match[2]}`;
+  return body.toString('latin1')
+    .split(boundary)
+    .map(part => /filename="([^"]*)"/i.exec(part))
+    .filter(fileMatch => fileMatch && fileMatch[1])
+    .map(fileMatch => Buffer.from(fileMatch[1], 'latin1').toString('utf8'));
+}
+
+/**
+ * Extract the non-file fields of a multipart/form-data body
+ */
+function parseMultipartFields(req, body) {
+  const match = /boundary=(?:"([^"]+)"|([^;]+))/i.exec(req.headers['content-type'] || '');
+  if (!match) {
+    return {};
+  }
+
+  const boundary = `--${match[1] || match[2]}`;
+  return body.toString('latin1')
+    .split(boundary)
+    .map(part => /name="([^"]*)"(?!; filename)[^]*?\r\n\r\n([^]*)\r\n$/.exec(part))
+    .filter(Boolean)
+    .reduce((fields, [, name, value]) => ({
+      ...fields,
+      [name]: Buffer.from(value, 'latin1').toString('utf8')
+    }), {});
+}
+
+const COUNTRIES = { de: 'Germany', fr: 'France', gb: 'United Kingdom', us: 'United States' };
+
+const routes = [
+  {
+    method: 'GET',
+    path: '/',
+    handler: ({ session }) => layout(session, `
+      <h1 class="heading">Welcome to the-internet</h1>
+      <h2>Available Examples</h2>
+      <ul>
+        <li><a href="/login">Form Authentication</a></li>
+        <li><a href="/iframe">iFrame</a></li>
+        <li><a href="/nested_frames">Nested Frames</a></li>
+        <li><a href="/javascript_alerts">JavaScript Alerts</a></li>
+        <li><a href="/dropdown">Dropdown</a></li>
+        <li><a href="/upload">File Upload</a></li>
+        <li><a href="/dynamic_loading">Dynamic Loading</a></li>
+        <li><a href="/hovers">Hovers</a></li>
+        <li><a href="/drag_and_drop">Drag and Drop</a></li>
+        <li><a href="/context_menu">Context Menu</a></li>
+        <li><a href="/key_presses">Key Presses</a></li>
+        <li><a href="/windows">Multiple Windows</a></li>
+        <li><a href="/shadowdom">Shadow DOM</a></li>
+        <li><a href="/register">Registration Form</a></li>
+      </ul>`)
+  },
+
+  // Form authentication
+  {
+    method: 'GET',
+    path: '/login',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h2>Login Page</h2>
+        <h4 class="subheader">Enter tomsmith / SuperSecretPassword! to log into the secure area.</h4>
+        <form name="login" id="login" action="/authenticate" method="post">
+          <div class="row">
+            <label for="username">Username</label>
+            <input type="text" name="username" id="username">
+          </div>
+          <div class="row">
+            <label for="password">Password</label>
+            <input type="password" name="password" id="password">
+          </div>
+          <button class="radius" type="submit"><i class="fa fa-2x fa-sign-in"> Login</i></button>
+        </form>
+      </div>`)
+  },
+  {
+    method: 'POST',
+    path: '/authenticate',
+    handler: ({ session, body }) => {
+      const { username = '', password = '' } = parseForm(body);
+
+      if (!Object.prototype.hasOwnProperty.call(ACCOUNTS, username)) {
+        setFlash(session, 'error', 'Your username is invalid!');
+        return { redirect: '/login' };
+      }
+      if (ACCOUNTS[username] !== password) {
+        setFlash(session, 'error', 'Your password is invalid!');
+        return { redirect: '/login' };
+      }
+
+      session.user = username;
+      setFlash(session, 'success', 'You logged into a secure area!');
+      return { redirect: '/secure' };
+    }
+  },
+  {
+    method: 'GET',
+    path: '/secure',
+    handler: ({ session }) => {
+      if (!session.user) {
+        setFlash(session, 'error', 'You must login to view the secure area!');
+        return { redirect: '/login' };
+      }
+
+      return layout(session, `
+        <div class="example">
+          <h2><i class="icon-lock"></i> Secure Area</h2>
+          <h4 class="subheader">Welcome to the Secure Area. When you are done click logout below.</h4>
+          <a class="button secondary radius" href="/logout"><i class="icon-2x icon-signout"> Logout</i></a>
+        </div>`);
+    }
+  },
+  {
+    method: 'GET',
+    path: '/logout',
+    handler: ({ session }) => {
+      delete session.user;
+      setFlash(session, 'success', 'You logged out of the secure area!');
+      return { redirect: '/login' };
+    }
+  },
+
+  // Frames
+  {
+    method: 'GET',
+    path: '/iframe',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>An iFrame containing the TinyMCE WYSIWYG Editor</h3>
+        <iframe id="mce_0_ifr" title="Rich Text Area" src="/iframe/editor" style="width: 100%; height: 200px;"></iframe>
+      </div>`)
+  },
+  {
+    method: 'GET',
+    path: '/iframe/editor',
+    handler: () => ({
+      body: `<!DOCTYPE html>
+<html><body id="tinymce" contenteditable="true"><p>Your content goes here.</p></body></html>`
+    })
+  },
+  {
+    method: 'GET',
+    path: '/nested_frames',
+    handler: () => ({
+      body: `<!DOCTYPE html>
+<html><head><title>Frames</title></head><body>
+  <iframe name="frame-top" src="/frame_top" style="width: 100%; height: 150px;"></iframe>
+  <iframe name="frame-bottom" src="/frame_bottom" style="width: 100%; height: 80px;"></iframe>
+</body></html>`
+    })
+  },
+  {
+    method: 'GET',
+    path: '/frame_top',
+    handler: () => ({
+      body: `<!DOCTYPE html>
+<html><body>
+  <iframe name="frame-left" src="/frame_left"></iframe>
+  <iframe name="frame-middle" src="/frame_middle"></iframe>
+  <iframe name="frame-right" src="/frame_right"></iframe>
+</body></html>`
+    })
+  },
+  ...['left', 'middle', 'right', 'bottom'].map(name => ({
+    method: 'GET',
+    path: `/frame_${name}`,
+    handler: () => ({
+      body: `<!DOCTYPE html>
+<html><body>${name === 'middle' ? `<div id="content">${name.toUpperCase()}</div>` : name.toUpperCase()}</body></html>`
+    })
+  })),
+
+  // JavaScript alerts
+  {
+    method: 'GET',
+    path: '/javascript_alerts',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>JavaScript Alerts</h3>
+        <p>Here are some examples of different JavaScript alerts which can be troublesome for automation</p>
+        <ul>
+          <li><button onclick="jsAlert()">Click for JS Alert</button></li>
+          <li><button onclick="jsConfirm()">Click for JS Confirm</button></li>
+          <li><button onclick="jsPrompt()">Click for JS Prompt</button></li>
+        </ul>
+        <h4>Result:</h4>
+        <p id="result" style="color:green"></p>
+      </div>
+      <script>
+        function log(message) { document.getElementById('result').textContent = message; }
+        function jsAlert() { alert('I am a JS Alert'); log('You successfully clicked an alert'); }
+        function jsConfirm() { log('You clicked: ' + (confirm('I am a JS Confirm') ? 'Ok' : 'Cancel')); }
+        function jsPrompt() { log('You entered: ' + prompt('I am a JS prompt')); }
+      </script>`)
+  },
+
+  // Dropdown
+  {
+    method: 'GET',
+    path: '/dropdown',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Dropdown List</h3>
+        <select id="dropdown">
+          <option value="" disabled="disabled" selected="selected">Please select an option</option>
+          <option value="1">Option 1</option>
+          <option value="2">Option 2</option>
+        </select>
+      </div>`)
+  },
+
+  // File upload
+  {
+    method: 'GET',
+    path: '/upload',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>File Uploader</h3>
+        <p>Choose a file on your system and then click upload.</p>
+        <form method="POST" enctype="multipart/form-data" action="/upload">
+          <input id="file-upload" type="file" name="file">
+          <input id="file-submit" class="button" type="submit" value="Upload">
+        </form>
+      </div>`)
+  },
+  {
+    method: 'POST',
+    path: '/upload',
+    handler: ({ session, req, body }) => {
+      const fileNames = parseUploadedFileNames(req, body);
+      if (fileNames.length === 0) {
+        return { status: 400, ...layout(session, '<h1>Internal Server Error</h1>') };
+      }
+
+      return layout(session, `
+        <div class="example">
+          <h3>File Uploaded!</h3>
+          <div id="uploaded-files" class="panel text-center">${fileNames.map(escapeHtml).join('<br>')}</div>
+        </div>`);
+    }
+  },
+
+  // Dynamic loading
+  {
+    method: 'GET',
+    path: '/dynamic_loading',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Dynamically Loaded Page Elements</h3>
+        <a href="/dynamic_loading/1">Example 1: Element on page that is hidden</a><br>
+        <a href="/dynamic_loading/2">Example 2: Element rendered after the fact</a>
+      </div>`)
+  },
+  ...[1, 2].map(example => ({
+    method: 'GET',
+    path: `/dynamic_loading/${example}`,
+    handler: ({ session, query }) => {
+      // ?delay=ms lets tests shorten or lengthen the loading phase
+      const delay = Math.min(Number(query.get('delay')) || 1500, 30000);
+      const finish = example === 1
+        ? '<div id="finish" style="display:none"><h4>Hello World!</h4></div>'
+        : '';
+      const reveal = example === 1
+        ? `document.getElementById('finish').style.display = 'block';`
+        : `document.getElementById('content-area').insertAdjacentHTML('beforeend',
+             '<div id="finish"><h4>Hello World!</h4></div>');`;
+
+      return layout(session, `
+        <div class="example" id="content-area">
+          <h3>Dynamically Loaded Page Elements</h3>
+          <h4>Example ${example}: ${example === 1 ? 'Element on page that is hidden' : 'Element rendered after the fact'}</h4>
+          <div id="start"><button>Start</button></div>
+          <div id="loading" style="display:none">Loading... </div>
+          ${finish}
+        </div>
+        <script>
+          document.querySelector('#start button').addEventListener('click', function () {
+            document.getElementById('start').style.display = 'none';
+            document.getElementById('loading').style.display = 'block';
+            setTimeout(function () {
+              document.getElementById('loading').style.display = 'none';
+              ${reveal}
+            }, ${delay});
+          });
+        </script>`);
+    }
+  })),
+
+  // Hovers: captions only show while the mouse is over a figure
+  {
+    method: 'GET',
+    path: '/hovers',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Hovers</h3>
+        <p>Hover over the image for additional information</p>
+        ${[1, 2, 3].map(user => `
+          <div class="figure" style="display:inline-block; margin:1em">
+            <div style="width:150px; height:150px; background:#ccc">avatar</div>
+            <div class="figcaption">
+              <h5>name: user${user}</h5>
+              <a href="/users/${user}">View profile</a>
+            </div>
+          </div>`).join('')}
+      </div>`, {
+      head: `<style>
+        .figure .figcaption { display: none; }
+        .figure:hover .figcaption { display: block; }
+      </style>`
+    })
+  },
+
+  // Drag and drop: HTML5 draggable columns that swap on drop, and a mouse-event drag below them
+  {
+    method: 'GET',
+    path: '/drag_and_drop',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Drag and Drop</h3>
+        <div id="columns">
+          <div class="column" id="column-a" draggable="true"><header>A</header></div>
+          <div class="column" id="column-b" draggable="true"><header>B</header></div>
+        </div>
+        <div id="pointer-drag">
+          <div class="column" id="pointer-source"><header>Drag me</header></div>
+          <div class="column" id="pointer-target"><header>Drop here</header></div>
+        </div>
+      </div>
+      <script>
+        var dragged = null;
+        document.querySelectorAll('#columns .column').forEach(function (column) {
+          column.addEventListener('dragstart', function (event) {
+            dragged = column;
+            event.dataTransfer.setData('text/html', column.innerHTML);
+          });
+          column.addEventListener('dragover', function (event) { event.preventDefault(); });
+          column.addEventListener('drop', function (event) {
+            event.preventDefault();
+            if (dragged && dragged !== column) {
+              dragged.innerHTML = column.innerHTML;
+              column.innerHTML = event.dataTransfer.getData('text/html');
+            }
+          });
+        });
+
+        var pointerDragging = false;
+        document.getElementById('pointer-source').addEventListener('mousedown', function () { pointerDragging = true; });
+        document.addEventListener('mouseup', function (event) {
+          if (pointerDragging && event.target.closest('#pointer-target')) {
+            document.querySelector('#pointer-target header').textContent = 'Dropped';
+          }
+          pointerDragging = false;
+        });
+      </script>`, {
+      head: `<style>
+        .column { display: inline-block; width: 150px; height: 150px; margin: 1em; border: 2px solid #666; text-align: center; cursor: move; }
+      </style>`
+    })
+  },
+
+  // Context menu: right-clicking the box opens an alert
+  {
+    method: 'GET',
+    path: '/context_menu',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Context Menu</h3>
+        <p>Right-click in the box below to see one called 'the-internet'.</p>
+        <div id="hot-spot" style="border: 5px dashed black; width: 250px; height: 150px"
+          oncontextmenu="event.preventDefault(); alert('You selected a context menu')"></div>
+      </div>`)
+  },
+
+  // Key presses: reports the last key pressed in the input
+  {
+    method: 'GET',
+    path: '/key_presses',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Key Presses</h3>
+        <p>Key presses are often used to interact with a website. This page will tell you what key was pressed.</p>
+        <form onsubmit="return false">
+          <input type="text" id="target">
+        </form>
+        <p id="result"></p>
+      </div>
+      <script>
+        document.getElementById('target').addEventListener('keydown', function (event) {
+          var key = event.key.length === 1 ? event.key.toUpperCase() : event.key.toUpperCase().replace('ARROW', '');
+          document.getElementById('result').textContent = 'You entered: ' + key;
+        });
+      </script>`)
+  },
+
+  // Multiple windows
+  {
+    method: 'GET',
+    path: '/windows',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Opening a new window</h3>
+        <a href="/windows/new" target="_blank">Click Here</a>
+      </div>`)
+  },
+  {
+    method: 'GET',
+    path: '/windows/new',
+    handler: () => ({
+      body: `<!DOCTYPE html>
+<html><head><title>New Window</title></head><body>
+  <div class="example"><h3>New Window</h3></div>
+</body></html>`
+    })
+  },
+
+  // Shadow DOM: <my-paragraph> renders its text in an open shadow root, nested in <my-card>
+  {
+    method: 'GET',
+    path: '/shadowdom',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h3>Simple template</h3>
+        <my-paragraph><span slot="my-text">Let's have some different text!</span></my-paragraph>
+        <my-card id="card"></my-card>
+      </div>
+      <script>
+        customElements.define('my-paragraph', class extends HTMLElement {
+          constructor() {
+            super();
+            this.attachShadow({ mode: 'open' }).innerHTML =
+              '<p id="paragraph"><slot name="my-text">My default text</slot></p>';
+          }
+        });
+        customElements.define('my-card', class extends HTMLElement {
+          constructor() {
+            super();
+            this.attachShadow({ mode: 'open' }).innerHTML =
+              '<h4 class="title">Card</h4><my-paragraph id="inner"></my-paragraph><button id="card-button">Details</button>';
+          }
+        });
+      </script>`)
+  },
+
+  // Registration: one control of every type FormFiller handles
+  {
+    method: 'GET',
+    path: '/register',
+    handler: ({ session }) => layout(session, `
+      <div class="example">
+        <h2>Registration</h2>
+        <form id="register" action="/register" method="post" enctype="multipart/form-data">
+          <div class="row"><label for="reg-username">Username</label><input type="text" id="reg-username" name="username" autocomplete="off"></div>
+          <div class="row"><label for="reg-email">Email</label><input type="email" id="reg-email" name="email"></div>
+          <div class="row"><label for="reg-password">Password</label><input type="password" id="reg-password" name="password"></div>
+          <div class="row">
+            <label for="reg-country">Country</label>
+            <select id="reg-country" name="country">
+              <option value="">Choose a country</option>
+              ${Object.entries(COUNTRIES).map(([code, country]) => `<option value="${code}">${country}</option>`).join('')}
+            </select>
+          </div>
+          <div class="row">
+            Plan
+            <label><input type="radio" name="plan" value="free" checked> Free</label>
+            <label><input type="radio" name="plan" value="pro"> Pro</label>
+            <label><input type="radio" name="plan" value="team"> Team</label>
+          </div>
+          <div class="row"><label for="reg-birthday">Birthday</label><input type="date" id="reg-birthday" name="birthday"></div>
+          <div class="row"><label>About you</label><div id="reg-bio" contenteditable="true" style="border: 1px solid #999; min-height: 3em"></div></div>
+          <input type="hidden" id="reg-bio-value" name="bio">
+          <div class="row"><label for="reg-avatar">Avatar</label><input type="file" id="reg-avatar" name="avatar"></div>
+          <div class="row"><label><input type="checkbox" id="reg-terms" name="terms" value="yes"> I accept the terms</label></div>
+          <button class="radius" type="submit">Register</button>
+        </form>
+      </div>
+      <script>
+        document.getElementById('register').addEventListener('submit', function () {
+          document.getElementById('reg-bio-value').value = document.getElementById('reg-bio').innerText;
+        });
+      </script>`)
+  },
+  {
+    method: 'POST',
+    path: '/register',
+    handler: ({ session, req, body }) => {
+      const fields = parseMultipartFields(req, body);
+      if (!fields.username || fields.terms !== 'yes') {
+        setFlash(session, 'error', fields.username ? 'You must accept the terms!' : 'Username is required!');
+        return { redirect: '/register' };
+      }
+
+      const [avatar] = parseUploadedFileNames(req, body);
+      const summary = {
+        Username: fields.username,
+        Email: fields.email,
+        Country: COUNTRIES[fields.country] || '',
+        Plan: fields.plan,
+        Birthday: fields.birthday,
+        Bio: fields.bio,
+        Avatar: avatar || ''
+      };
+      setFlash(session, 'success', `Welcome, ${fields.username}! Your account was created.`);
+      return layout(session, `
+        <div class="example">
+          <h2>Registration complete</h2>
+          <dl id="summary">
+            ${Object.entries(summary).map(([label, value]) => `<dt>${label}</dt><dd id="summary-${label.toLowerCase()}">${escapeHtml(value || '')}</dd>`).join('')}
+          </dl>
+        </div>`);
+    }
+  }
+];
+
+function renderNotFound({ session }) {
+  return { status: 404, ...layout(session, '<h1>Not Found</h1>') };
+}
+
+module.exports = { routes, renderNotFound, escapeHtml };
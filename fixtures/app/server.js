@@ -0,0 +1,125 @@
+/**
+ * Fixture web app server - offline stand-in for the-internet.herokuapp.com
+ * Plain Node http server with in-memory sessions so the suite runs without network access
+ */
+const http = require('http');
+const crypto = require('crypto');
+const { routes, renderNotFound } = require('./pages');
+
+const SESSION_COOKIE = 'fixture.session';
+const MAX_BODY_BYTES = 10 * 1024 * 1024; // 10MB, enough for upload fixtures
+
+/**
+ * Parse the Cookie header into a name -> value map
+ */
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, pair) => {
+    const index = pair.indexOf('=');
+    if (index > 0) {
+      cookies[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Read the full request body into a Buffer
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error(`Request body exceeds ${MAX_BODY_BYTES} bytes`));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Start the fixture server
+ * @param {Object} options
+ * @param {string} options.host - Interface to bind (default: 127.0.0.1)
+ * @param {number} options.port - Port to bind, 0 for a free port (default: 0)
+ * @param {string} options.publicHost - Host name put in the returned URL (default: bound address)
+ * @returns {Promise<{url: string, close: Function}>} Server URL and shutdown function
+ */
+async function startFixtureServer({ host = '127.0.0.1', port = 0, publicHost = null } = {}) {
+  const sessions = new Map();
+
+  const server = http.createServer(async (req, res) => {
+    try {
+      const url = new URL(req.url, `http://${req.headers.host || host}`);
+      const cookies = parseCookies(req.headers.cookie);
+
+      let sessionId = cookies[SESSION_COOKIE];
+      if (!sessionId || !sessions.has(sessionId)) {
+        sessionId = crypto.randomBytes(16).toString('hex');
+        sessions.set(sessionId, {});
+      }
+
+      const context = {
+        req,
+        url,
+        query: url.searchParams,
+        session: sessions.get(sessionId),
+        body: ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : Buffer.alloc(0)
+      };
+
+      const route = routes.find(candidate =>
+        candidate.method === req.method && candidate.path === url.pathname
+      );
+      const response = route ? await route.handler(context) : renderNotFound(context);
+
+      const headers = {
+        'Set-Cookie': `${SESSION_COOKIE}=${sessionId}; Path=/; HttpOnly; SameSite=Lax`,
+        'Cache-Control': 'no-store',
+        ...response.headers
+      };
+
+      if (response.redirect) {
+        res.writeHead(302, { ...headers, Location: response.redirect });
+        res.end();
+        return;
+      }
+
+      res.writeHead(response.status || 200, {
+        'Content-Type': response.contentType || 'text/html; charset=utf-8',
+        ...headers
+      });
+      res.end(response.body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain; charset=utf-8' });
+      res.end(`Fixture server error: ${error.message}`);
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+
+  const address = server.address();
+  const boundHost = ['0.0.0.0', '::'].includes(address.address) ? 'localhost' : address.address;
+  const url = `http://${publicHost || boundHost}:${address.port}`;
+
+  return {
+    url,
+    close: () => new Promise(resolve => {
+      // Browsers keep connections alive; drop them so close() resolves promptly
+      if (server.closeAllConnections) {
+        server.closeAllConnections();
+      }
+      server.close(() => resolve());
+    })
+  };
+}
+
+module.exports = { startFixtureServer };
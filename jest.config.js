@@ -4,7 +4,7 @@
  */
 module.exports = {
   // Test environment configuration
-  testEnvironment: 'node',
+  testEnvironment: '<rootDir>/jest.environment.js', // node environment + real pass/fail tracking
   testMatch: ['**/tests/**/*.test.js'],
   testTimeout: 30000, // Reduced from 60s to 30s for faster feedback
   verbose: false, // Disable verbose to reduce output overhead
@@ -15,7 +15,7 @@ module.exports = {
   maxWorkers: process.env.CI ? 1 : '50%', // Use 50% of available cores locally
   
   // Faster test detection
-  watchPathIgnorePatterns: ['<rootDir>/screenshots/', '<rootDir>/logs/', '<rootDir>/test-results/'],
+  watchPathIgnorePatterns: ['<rootDir>/screenshots/', '<rootDir>/logs/', '<rootDir>/test-results/', '<rootDir>/artifacts/', '<rootDir>/allure-results/'],
   
   // Test reporting configuration
   reporters: [
@@ -25,11 +25,25 @@ module.exports = {
       outputName: 'junit.xml',
       suiteNameTemplate: '{filepath}',
       classNameTemplate: '{classname}',
-      titleTemplate: '{title}'
+      titleTemplate: '{title}',
+      testCasePropertiesDirectory: '<rootDir>/reporters',
+      testCasePropertiesFile: 'junitProperties.js'
+    }],
+    ['<rootDir>/reporters/HtmlReporter.js', {
+      outputPath: 'test-results/report.html'
+    }],
+    ['<rootDir>/reporters/AllureReporter.js', {
+      resultsDir: 'allure-results'
+    }],
+    ['<rootDir>/reporters/HistoryReporter.js', {
+      top: 5
     }]
   ],
+  testResultsProcessor: '<rootDir>/reporters/quarantineResults.js', // quarantined failures don't fail the run
   
   // Setup files
+  globalSetup: '<rootDir>/jest.globalSetup.js',
+  globalTeardown: '<rootDir>/jest.globalTeardown.js',
   setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
   testSequencer: '<rootDir>/jest.sequencer.js',
   
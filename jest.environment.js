@@ -0,0 +1,166 @@
+/**
+ * Custom Jest test environment for Selenium UI tests
+ * Tracks the real outcome of each test from jest-circus events so failure
+ * artifacts are captured exactly when a test fails. The state is exposed to
+ * the test context through utils/testState.js.
+ * It also hands each test file the worker-wide driver pool store (utils/driverPoolStore.js):
+ * this module is loaded once per worker, outside the per-file module registry.
+ * Quarantined tests (flaky.quarantineFile) run and fail normally; reporters/quarantineResults.js
+ * keeps their failures from failing the build.
+ * Tests deselected by tags (tags.expression / TAGS, browser tags such as @firefox-only) are
+ * marked skipped at run_start, before any hook runs, and get a record with the reason.
+ */
+const { TestEnvironment } = require('jest-environment-node');
+const { STORE_KEY, store: driverPoolStore } = require('./utils/driverPoolStore');
+const { loadConfig } = require('./utils/config');
+const { loadQuarantine, findQuarantine } = require('./utils/flakiness');
+const { extractTags, parseTagExpression, skipReason } = require('./utils/tags');
+const { writeTestRecord } = require('./utils/testRecords');
+
+const STATE_KEY = '__SELENIUM_CURRENT_TEST__';
+
+/**
+ * Full test name, matching expect.getState().currentTestName ("describe test")
+ */
+function getTestName(test) {
+  const names = [];
+  for (let block = test; block && block.parent; block = block.parent) {
+    names.unshift(block.name);
+  }
+  return names.join(' ');
+}
+
+/**
+ * Tags from the test's title and every enclosing describe block's title
+ */
+function getTestTags(test) {
+  const titles = [];
+  for (let block = test; block && block.parent; block = block.parent) {
+    titles.unshift(block.name);
+  }
+  return extractTags(titles);
+}
+
+/**
+ * Every test in a describe block, however deeply nested
+ */
+function collectTests(describeBlock) {
+  return describeBlock.children.flatMap(child => (child.type === 'test' ? [child] : collectTests(child)));
+}
+
+/**
+ * Normalize whatever was thrown (Error, string, undefined) into an Error-like object
+ */
+function toError(thrown, asyncError) {
+  if (thrown && typeof thrown === 'object' && 'message' in thrown) {
+    return thrown;
+  }
+  const error = asyncError || new Error();
+  error.message = thrown === undefined ? 'Test failed without an error' : String(thrown);
+  return error;
+}
+
+class SeleniumEnvironment extends TestEnvironment {
+  constructor(config, context) {
+    super(config, context);
+    this.testPath = context.testPath;
+    const { flaky, tags, browser } = loadConfig();
+    this.quarantine = loadQuarantine(flaky.quarantineFile);
+    this.tagOptions = { expression: tags.expression, browser: browser.name };
+    // Fail fast on a bad expression
+    parseTagExpression(tags.expression);
+    this.skipReasons = new Map();
+    this.global[STORE_KEY] = driverPoolStore;
+  }
+
+  async handleTestEvent(event, state) {
+    const current = this.global[STATE_KEY];
+
+    switch (event.name) {
+      case 'run_start':
+        this._applyTags(state.rootDescribeBlock);
+        break;
+
+      case 'test_skip': {
+        const reason = this.skipReasons.get(event.test);
+        if (reason) {
+          writeTestRecord({
+            testPath: this.testPath,
+            name: getTestName(event.test),
+            status: 'skipped',
+            skipReason: reason,
+            tags: getTestTags(event.test)
+          });
+        }
+        break;
+      }
+
+      case 'test_start': {
+        const name = getTestName(event.test);
+        this.global[STATE_KEY] = {
+          name,
+          title: event.test.name,
+          testPath: this.testPath,
+          attempt: event.test.invocations,
+          startedAt: Date.now(),
+          status: 'running',
+          errors: [],
+          tags: getTestTags(event.test),
+          quarantine: findQuarantine(this.quarantine, this.testPath, name)
+        };
+        break;
+      }
+
+      case 'test_fn_success':
+        if (current && current.status === 'running') {
+          current.status = 'passed';
+        }
+        break;
+
+      case 'test_fn_failure':
+        if (current) {
+          current.status = 'failed';
+          current.errors.push(toError(event.error, event.test.asyncError));
+        }
+        break;
+
+      case 'hook_failure':
+        // beforeEach/afterEach failures fail the test; *All hook failures have no current test
+        if (current && event.test) {
+          current.status = 'failed';
+          current.errors.push(toError(event.error, event.hook.asyncError));
+        }
+        break;
+
+      case 'test_done':
+        if (current) {
+          current.status = current.errors.length > 0 ? 'failed' : 'passed';
+          current.duration = Date.now() - current.startedAt;
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Mark tests the tag selection leaves out as skipped. Done before the run starts, so
+   * describe blocks without a selected test don't run their beforeAll (no browser is started).
+   * @private
+   */
+  _applyTags(rootDescribeBlock) {
+    for (const test of collectTests(rootDescribeBlock)) {
+      if (test.mode === 'skip' || test.mode === 'todo') {
+        continue;
+      }
+      const reason = skipReason(getTestTags(test), this.tagOptions);
+      if (reason) {
+        test.mode = 'skip';
+        this.skipReasons.set(test, reason);
+      }
+    }
+  }
+}
+
+module.exports = SeleniumEnvironment;
@@ -0,0 +1,24 @@
+/**
+ * Jest global setup - clears the previous run's test records and starts the bundled
+ * fixture web app before any test file runs
+ * The URL is exported through SELENIUM_FIXTURE_URL, which utils/config.js uses as baseUrl
+ */
+const { loadConfig } = require('./utils/config');
+const { clearTestRecords } = require('./utils/testRecords');
+const { startFixtureServer } = require('./fixtures/app/server');
+
+module.exports = async () => {
+  // Every reporter reads the records, so none of them owns the cleanup
+  clearTestRecords();
+
+  const config = loadConfig();
+  if (!config.fixtureServer.enabled) {
+    return;
+  }
+
+  const server = await startFixtureServer(config.fixtureServer);
+  // Workers are spawned after global setup, so they inherit this variable
+  process.env.SELENIUM_FIXTURE_URL = server.url;
+  globalThis.__FIXTURE_SERVER__ = server;
+  console.log(`\n🌐 Fixture app listening on ${server.url}`);
+};
@@ -0,0 +1,10 @@
+/**
+ * Jest global teardown - stops the fixture web app started in jest.globalSetup.js
+ */
+module.exports = async () => {
+  if (globalThis.__FIXTURE_SERVER__) {
+    await globalThis.__FIXTURE_SERVER__.close();
+    globalThis.__FIXTURE_SERVER__ = null;
+    delete process.env.SELENIUM_FIXTURE_URL;
+  }
+};
@@ -1,24 +1,158 @@
-// Custom Jest sequencer to run tests in a specific order
+/**
+ * Custom Jest sequencer - duration-balanced shards and declarative file ordering
+ * Test files declare ordering in their leading docblock:
+ *   @order <number>    - files with a lower order start first; files without one start after them
+ *   @dependsOn <file>  - start after <file> (relative to this file), always in the same shard;
+ *                        it only runs after <file> finished with a single worker (--runInBand)
+ * Otherwise the slowest files start first, so a long file never starts last. The order uses
+ * this machine's run history (flaky.historyFile, see reporters/HistoryReporter.js); shards use
+ * the shared sharding.timingsFile, or file sizes alone when none is configured, so every
+ * CI machine computes the same split.
+ */
+const path = require('path');
+const fs = require('fs');
 const Sequencer = require('@jest/test-sequencer').default;
+const { extract, parse } = require('jest-docblock');
+const { getConfig } = require('./utils/config');
+const { relativeTestPath, loadHistory, fileDurations } = require('./utils/flakiness');
+
+const ROOT_DIR = __dirname;
+
+const byPath = (a, b) => (a.path < b.path ? -1 : a.path > b.path ? 1 : 0);
+
+/**
+ * @order and @dependsOn from a test file's docblock
+ * @returns {{order: number, dependsOn: string[]}} dependsOn as absolute paths
+ */
+function readMetadata(testPath) {
+  const pragmas = parse(extract(fs.readFileSync(testPath, 'utf8')));
+  const order = pragmas.order === undefined ? Infinity : Number(pragmas.order);
+  if (Number.isNaN(order)) {
+    throw new Error(`${relativeTestPath(testPath)}: @order must be a number, got "${pragmas.order}"`);
+  }
+
+  const dependsOn = [].concat(pragmas.dependsOn || [])
+    .flatMap(value => value.split(/\s+/).filter(Boolean))
+    .map(file => path.resolve(path.dirname(testPath), file));
+  return { order, dependsOn };
+}
 
 class CustomSequencer extends Sequencer {
+  /**
+   * Split the files into shards with similar total duration: groups of dependent files are
+   * placed, longest first, on the shard with the least work so far. Only inputs every CI
+   * machine shares are used (the file list, file sizes and the timings file), never the
+   * local history, so the shards always cover every file exactly once.
+   */
+  shard(tests, { shardIndex, shardCount }) {
+    const { groups } = this._plan(tests, this._sharedDurations());
+    const shards = Array.from({ length: shardCount }, () => ({ duration: 0, tests: [] }));
+
+    const longestFirst = [...groups].sort((a, b) => b.duration - a.duration || byPath(a.tests[0], b.tests[0]));
+    for (const group of longestFirst) {
+      const target = shards.reduce((least, shard) => (shard.duration < least.duration ? shard : least));
+      target.duration += group.duration;
+      target.tests.push(...group.tests);
+    }
+
+    return shards[shardIndex - 1].tests;
+  }
+
+  /**
+   * @order first, then slowest first; a file never runs before the files it depends on
+   */
   sort(tests) {
-    // Sort tests to run login tests first, then dashboard tests
-    const testOrder = [
-      'login.test.js',
-      'dashboard.test.js'
-    ];
-    
-    return tests.sort((testA, testB) => {
-      const indexA = testOrder.findIndex(name => testA.path.includes(name));
-      const indexB = testOrder.findIndex(name => testB.path.includes(name));
-      
-      if (indexA === -1 && indexB === -1) return 0;
-      if (indexA === -1) return 1;
-      if (indexB === -1) return -1;
-      
-      return indexA - indexB;
-    });
+    const { files } = this._plan(tests, fileDurations(loadHistory(getConfig().flaky.historyFile)));
+    const runsBefore = (a, b) => a.order - b.order || b.duration - a.duration || byPath(a.test, b.test);
+
+    const waitingOn = new Map([...files.values()].map(file => [file, file.dependsOn.length]));
+    const ready = [...files.values()].filter(file => file.dependsOn.length === 0);
+    const sorted = [];
+
+    while (ready.length > 0) {
+      ready.sort(runsBefore);
+      const next = ready.shift();
+      sorted.push(next.test);
+      for (const dependent of next.dependents) {
+        waitingOn.set(dependent, waitingOn.get(dependent) - 1);
+        if (waitingOn.get(dependent) === 0) {
+          ready.push(dependent);
+        }
+      }
+    }
+
+    if (sorted.length < tests.length) {
+      const cycle = [...files.values()].filter(file => waitingOn.get(file) > 0).map(file => relativeTestPath(file.test.path));
+      throw new Error(`@dependsOn cycle between test files: ${cycle.join(', ')}`);
+    }
+    return sorted;
+  }
+
+  /**
+   * File durations from sharding.timingsFile; empty (size-only balancing) when it is not set
+   * @private
+   */
+  _sharedDurations() {
+    const { timingsFile } = getConfig().sharding;
+    if (!timingsFile) {
+      return new Map();
+    }
+    // A machine silently falling back to sizes would disagree with the others on the split
+    if (!fs.existsSync(path.resolve(ROOT_DIR, timingsFile))) {
+      throw new Error(`Shard timings file ${timingsFile} not found (sharding.timingsFile / SHARD_TIMINGS_FILE)`);
+    }
+    return fileDurations(loadHistory(timingsFile));
+  }
+
+  /**
+   * Metadata, estimated duration and dependency group of every file in this run.
+   * Dependencies on files that are not part of the run are ignored.
+   * @param {Map<string, number>} durations - Repo-relative file path -> milliseconds
+   * @private
+   */
+  _plan(tests, durations) {
+    const files = new Map(tests.map(test => [test.path, {
+      test,
+      ...readMetadata(test.path),
+      duration: durations.get(relativeTestPath(test.path)),
+      size: fs.statSync(test.path).size,
+      dependents: []
+    }]));
+
+    // Files without a duration: scale their size by the ms per byte of files with one
+    const known = [...files.values()].filter(file => file.duration !== undefined);
+    const knownSize = known.reduce((total, file) => total + file.size, 0);
+    const msPerByte = knownSize > 0 ? known.reduce((total, file) => total + file.duration, 0) / knownSize : 1;
+
+    const groupOf = new Map();
+    for (const file of files.values()) {
+      if (file.duration === undefined) {
+        file.duration = file.size * msPerByte;
+      }
+      file.dependsOn = file.dependsOn.filter(dependency => files.has(dependency));
+      file.dependsOn.forEach(dependency => files.get(dependency).dependents.push(file));
+      groupOf.set(file, new Set([file]));
+    }
+
+    // Merge each file's group with its dependencies' groups
+    for (const file of files.values()) {
+      for (const dependency of file.dependsOn.map(dependencyPath => files.get(dependencyPath))) {
+        const merged = groupOf.get(file);
+        const other = groupOf.get(dependency);
+        if (merged !== other) {
+          other.forEach(member => {
+            merged.add(member);
+            groupOf.set(member, merged);
+          });
+        }
+      }
+    }
+
+    const groups = [...new Set(groupOf.values())].map(members => ({
+      tests: [...members].map(file => file.test).sort(byPath),
+      duration: [...members].reduce((total, file) => total + file.duration, 0)
+    }));
+    return { files, groups };
   }
 }
 
@@ -9,6 +9,15 @@ const fs = require('fs');
 // Set default timeout for all test operations
 jest.setTimeout(60000);
 
+// Auto-waiting Selenium matchers: await expect(locator).toHaveText(...), await expect(driver).toHaveUrl(...)
+expect.extend(require('./utils/matchers'));
+
+// Test-level retries (flaky.retries / TEST_RETRIES). A test file can still call jest.retryTimes() itself.
+const { flaky } = require('./utils/config').getConfig();
+if (flaky.retries > 0) {
+  jest.retryTimes(flaky.retries, { logErrorsBeforeRetry: true });
+}
+
 // Global setup - ensure required directories exist
 beforeAll(async () => {
   const requiredDirs = ['screenshots', 'logs', 'test-results'];
@@ -21,6 +30,144 @@ beforeAll(async () => {
   }
 });
 
+// Per-test setup/teardown for every active BaseTest (registered in BaseTest.setupSuite).
+// The outcome comes from jest.environment.js, so failure artifacts are captured exactly
+// when a test fails - regardless of how many assertions it made.
+// Each test's log lines are captured for its report record (see utils/testRecords.js)
+// and written to logs/tests/<test>-<testId>.log, tagged with the test's context
+let logCapture = null;
+let logContext = null;
+
+beforeEach(async () => {
+  const BaseTest = require('./utils/BaseTest');
+  const logger = require('./utils/logger');
+  const { getCurrentTest } = require('./utils/testState');
+  const currentTest = getCurrentTest();
+  const testName = expect.getState().currentTestName;
+
+  logContext = buildLogContext(currentTest, testName, [...BaseTest.active]);
+  logger.setContext(logContext);
+  const attempt = currentTest ? currentTest.attempt : 1;
+  logContext.logFile = logger.startTestLog(
+    `${testName.replace(/[^a-zA-Z0-9]/g, '_').slice(0, 80)}-${logContext.testId}${attempt > 1 ? `-attempt${attempt}` : ''}`
+  );
+  logCapture = logger.capture();
+
+  for (const baseTest of BaseTest.active) {
+    await baseTest.setupTest(testName, {
+      testId: logContext.testId,
+      suite: logContext.suite,
+      test: logContext.test,
+      workerId: logContext.workerId
+    });
+  }
+
+  // setupTest may have started a new browser session (fresh-per-test isolation, crashed browser)
+  const driverManager = [...BaseTest.active].map(baseTest => baseTest.driverManager).find(Boolean);
+  if (driverManager && driverManager.sessionId !== logContext.sessionId) {
+    logContext.sessionId = driverManager.sessionId;
+    const { logFile, ...context } = logContext;
+    logger.setContext(context);
+  }
+});
+
+/**
+ * Correlation context for the test's log entries
+ */
+function buildLogContext(currentTest, testName, baseTests) {
+  const { recordId } = require('./utils/testRecords');
+  const { getConfig } = require('./utils/config');
+  const testPath = currentTest ? currentTest.testPath : expect.getState().testPath;
+  const driverManager = baseTests.map(baseTest => baseTest.driverManager).find(Boolean);
+
+  return {
+    testId: recordId(testPath, testName).slice(0, 12),
+    suite: path.relative(__dirname, testPath),
+    test: testName,
+    workerId: process.env.JEST_WORKER_ID || '1',
+    browser: driverManager ? driverManager.browser : getConfig().browser.name,
+    sessionId: driverManager ? driverManager.sessionId : null,
+    tags: currentTest ? currentTest.tags : []
+  };
+}
+
+afterEach(async () => {
+  const BaseTest = require('./utils/BaseTest');
+  const { getCurrentTest } = require('./utils/testState');
+  const currentTest = getCurrentTest();
+  const testName = currentTest ? currentTest.name : expect.getState().currentTestName;
+
+  try {
+    for (const baseTest of BaseTest.active) {
+      await baseTest.teardownTest(
+        testName,
+        currentTest ? currentTest.passed : true,
+        currentTest ? currentTest.error : null
+      );
+    }
+  } finally {
+    const logger = require('./utils/logger');
+    if (currentTest && currentTest.quarantine && !currentTest.passed) {
+      logger.warn(
+        `🧪 Quarantined test failed on attempt ${currentTest.attempt} (${currentTest.quarantine.reason}); quarantined failures do not fail the build`
+      );
+    }
+    writeRecord(currentTest, testName, [...BaseTest.active]);
+
+    await logger.stopTestLog();
+    logger.clearContext();
+    logContext = null;
+  }
+});
+
+/**
+ * Write the report record for the test that just finished
+ */
+function writeRecord(currentTest, testName, baseTests) {
+  const logs = logCapture ? logCapture.stop() : [];
+  logCapture = null;
+
+  try {
+    const { writeTestRecord, readTestRecord } = require('./utils/testRecords');
+    const { getConfig } = require('./utils/config');
+    const testPath = currentTest ? currentTest.testPath : expect.getState().testPath;
+    const attempt = currentTest ? currentTest.attempt : 1;
+
+    // Retries overwrite the record: keep earlier attempts (without their log lines) inside it
+    let previousAttempts = [];
+    const previous = attempt > 1 ? readTestRecord(testPath, testName) : null;
+    if (previous) {
+      const { logs: previousLogs, previousAttempts: earlier = [], ...summary } = previous;
+      previousAttempts = [...earlier, summary];
+    }
+
+    writeTestRecord({
+      testPath,
+      name: testName,
+      testId: logContext ? logContext.testId : null,
+      logFile: logContext ? logContext.logFile : null,
+      attempt,
+      outcome: !currentTest || currentTest.passed ? 'passed' : 'failed',
+      error: currentTest && currentTest.error ? { message: currentTest.error.message, stack: currentTest.error.stack } : null,
+      quarantine: currentTest ? currentTest.quarantine : null,
+      tags: currentTest ? currentTest.tags : [],
+      startedAt: currentTest ? currentTest.startedAt : null,
+      browser: logContext ? logContext.browser : getConfig().browser.name,
+      logs,
+      steps: baseTests.flatMap(baseTest => baseTest.steps),
+      screenshots: logs.filter(entry => entry.meta.type === 'screenshot').map(entry => entry.meta.screenshot),
+      artifacts: baseTests
+        .map(baseTest => baseTest.lastFailureArtifacts)
+        .filter(Boolean)
+        .map(({ dir, manifest }) => ({ dir, manifest })),
+      internalRetries: baseTests.flatMap(baseTest => baseTest.lastInternalRetries),
+      previousAttempts
+    });
+  } catch (error) {
+    console.warn(`⚠️ Failed to write test record for "${testName}": ${error.message}`);
+  }
+}
+
 // Enhanced global error handlers
 process.on('unhandledRejection', (reason, promise) => {
   console.error('❌ Unhandled Promise Rejection:', {
@@ -0,0 +1,119 @@
+/**
+ * BasePage - Abstract base class for all page objects
+ * Wraps ElementHelper and BaseTest navigation so tests work with intention-level methods
+ */
+const { By } = require('selenium-webdriver');
+const logger = require('../utils/logger');
+
+class BasePage {
+  /**
+   * Locators shared by every page. Subclasses extend this object with their own.
+   */
+  static locators = {
+    heading: By.css('h2'),
+    flash: By.css('.flash'),
+    flashSuccess: By.css('.flash.success'),
+    flashError: By.css('.flash.error')
+  };
+
+  /**
+   * Path (resolved against the configured baseUrl) or absolute URL of the page. Subclasses must override.
+   */
+  static url = null;
+
+  /**
+   * @param {BaseTest} baseTest - Initialized BaseTest instance (after setupSuite)
+   */
+  constructor(baseTest) {
+    if (!baseTest || !baseTest.driver) {
+      throw new Error(`${this.constructor.name} requires an initialized BaseTest`);
+    }
+
+    this.baseTest = baseTest;
+    this.driver = baseTest.driver;
+    this.helper = baseTest.elementHelper;
+    this.forms = baseTest.forms;
+    this.locators = this.constructor.locators;
+  }
+
+  /**
+   * Navigate to the page and verify it loaded
+   * @param {BaseTest} baseTest - Initialized BaseTest instance
+   * @returns {Promise<BasePage>} Verified page instance
+   */
+  static async open(baseTest) {
+    if (!this.url) {
+      throw new Error(`${this.name} does not declare a url`);
+    }
+
+    await baseTest.navigateTo(this.url);
+    return await this.on(baseTest);
+  }
+
+  /**
+   * Build a page object for the page the browser is currently on and verify it loaded
+   * @param {BaseTest} baseTest - Initialized BaseTest instance
+   * @returns {Promise<BasePage>} Verified page instance
+   */
+  static async on(baseTest) {
+    const page = new this(baseTest);
+    await page.verifyLoaded();
+    return page;
+  }
+
+  /**
+   * Locator that must be present for the page to count as loaded. Subclasses override.
+   */
+  get readyLocator() {
+    return this.locators.heading;
+  }
+
+  /**
+   * Additional load check run after readyLocator is found. Subclasses override.
+   * @returns {Promise<boolean>}
+   */
+  async isLoaded() {
+    return true;
+  }
+
+  /**
+   * Verify the page loaded, throwing a descriptive error if it did not
+   */
+  async verifyLoaded(timeout = this.baseTest.config.timeouts.navigation) {
+    const pageName = this.constructor.name;
+
+    try {
+      await this.helper.findElement(this.readyLocator, timeout);
+    } catch (error) {
+      const { url } = await this.baseTest.getPageInfo();
+      throw new Error(`${pageName} did not load: ${error.message} (current URL: ${url})`);
+    }
+
+    if (!(await this.isLoaded())) {
+      const { url } = await this.baseTest.getPageInfo();
+      throw new Error(`${pageName} did not load: load check failed (current URL: ${url})`);
+    }
+
+    logger.step(`${pageName} loaded`);
+  }
+
+  /**
+   * Get the page heading text
+   */
+  async getHeading() {
+    return await this.helper.getElementText(this.locators.heading);
+  }
+
+  /**
+   * Get the flash message text, optionally requiring a specific type (success/error)
+   * @param {string} type - Optional flash type class
+   */
+  async getFlashMessage(type = null) {
+    const locator = type ? By.css(`.flash.${type}`) : this.locators.flash;
+    const text = await this.helper.getElementText(locator);
+    // Strip the close button glyph rendered inside the flash container
+    return text.replace(/×\s*$/, '').trim();
+  }
+}
+
+module.exports = BasePage;
@@ -0,0 +1,69 @@
+/**
+ * LoginPage - Page object for the login form
+ */
+const { By, until } = require('selenium-webdriver');
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+
+class LoginPage extends BasePage {
+  static url = 'login';
+
+  static locators = {
+    ...BasePage.locators,
+    username: By.id('username'),
+    password: By.id('password'),
+    submit: By.css('button[type="submit"]')
+  };
+
+  get readyLocator() {
+    return this.locators.username;
+  }
+
+  async isLoaded() {
+    return (await this.getHeading()) === 'Login Page';
+  }
+
+  /**
+   * Check that every login form control is present
+   * @returns {Promise<boolean>}
+   */
+  async hasLoginForm() {
+    const elementsExist = await Promise.all([
+      this.helper.elementExists(this.locators.username),
+      this.helper.elementExists(this.locators.password),
+      this.helper.elementExists(this.locators.submit)
+    ]);
+    return elementsExist.every(Boolean);
+  }
+
+  /**
+   * Fill in the credentials and submit the form
+   * @param {string} username
+   * @param {string} password
+   */
+  async login(username, password) {
+    logger.step(`Log in as ${username}`);
+    await this.forms.fill([
+      { name: 'username', locator: this.locators.username, value: username },
+      { name: 'password', locator: this.locators.password, value: password, secret: true }
+    ]);
+    await this.helper.clickElement(this.locators.submit);
+  }
+
+  /**
+   * Log in and wait for the secure area to load
+   * @param {string} username
+   * @param {string} password
+   * @returns {Promise<SecureAreaPage>}
+   */
+  async loginAs(username, password) {
+    await this.login(username, password);
+    await this.driver.wait(until.urlContains('/secure'), this.baseTest.config.timeouts.navigation);
+
+    // Required lazily: SecureAreaPage links back to LoginPage on logout
+    const SecureAreaPage = require('./SecureAreaPage');
+    return await SecureAreaPage.on(this.baseTest);
+  }
+}
+
+module.exports = LoginPage;
@@ -0,0 +1,42 @@
+/**
+ * SecureAreaPage - Page object for the area shown after a successful login
+ */
+const { By, until } = require('selenium-webdriver');
+const BasePage = require('./BasePage');
+const logger = require('../utils/logger');
+
+class SecureAreaPage extends BasePage {
+  static url = 'secure';
+
+  static locators = {
+    ...BasePage.locators,
+    logoutButton: By.css('a[href="/logout"]')
+  };
+
+  async isLoaded() {
+    return (await this.getHeading()) === 'Secure Area';
+  }
+
+  /**
+   * Get the logout button text
+   */
+  async getLogoutButtonText() {
+    return await this.helper.getElementText(this.locators.logoutButton);
+  }
+
+  /**
+   * Log out and wait for the login page to load
+   * @returns {Promise<LoginPage>}
+   */
+  async logout() {
+    logger.step('Log out of the secure area');
+    await this.helper.clickElement(this.locators.logoutButton);
+    await this.driver.wait(until.urlContains('/login'), this.baseTest.config.timeouts.navigation);
+
+    // Required lazily: LoginPage links to SecureAreaPage on login
+    const LoginPage = require('./LoginPage');
+    return await LoginPage.on(this.baseTest);
+  }
+}
+
+module.exports = SecureAreaPage;
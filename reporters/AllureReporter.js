@@ -0,0 +1,295 @@
+/**
+ * AllureReporter - Jest reporter writing Allure-compatible results (allure-results/)
+ * Built from Jest's results plus the per-test records from the workers, so steps,
+ * screenshots, failure artifacts and logs become Allure steps and attachments.
+ * Only writes JSON and attachment files; no Allure CLI or network access needed.
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const crypto = require('crypto');
+const { readTestRecords, recordId } = require('../utils/testRecords');
+const { getConfig } = require('../utils/config');
+const { extractTags } = require('../utils/tags');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+const SEVERITIES = ['blocker', 'critical', 'normal', 'minor', 'trivial'];
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.html': 'text/html',
+  '.json': 'application/json',
+  '.har': 'application/json',
+  '.txt': 'text/plain',
+  '.log': 'text/plain'
+};
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+const stepScreenshotPaths = (steps) => steps.flatMap(step =>
+  [...(step.screenshot ? [step.screenshot] : []), ...stepScreenshotPaths(step.steps)]);
+
+class AllureReporter {
+  /**
+   * @param {Object} globalConfig - Jest global config
+   * @param {Object} options
+   * @param {string} options.resultsDir - Output directory, relative to the project root
+   * @param {boolean} options.clean - Empty resultsDir at the start of the run
+   */
+  constructor(globalConfig, { resultsDir = 'allure-results', clean = true } = {}) {
+    this.globalConfig = globalConfig;
+    this.resultsDir = path.resolve(ROOT_DIR, resultsDir);
+    this.clean = clean;
+  }
+
+  onRunStart() {
+    if (this.clean) {
+      fs.rmSync(this.resultsDir, { recursive: true, force: true });
+    }
+  }
+
+  onRunComplete(testContexts, results) {
+    const config = getConfig();
+    const records = readTestRecords();
+    fs.mkdirSync(this.resultsDir, { recursive: true });
+
+    let written = 0;
+    for (const fileResult of results.testResults) {
+      for (const assertion of fileResult.testResults) {
+        const record = records.get(recordId(fileResult.testFilePath, assertion.fullName)) || {};
+        this._writeResult(fileResult, assertion, record, config, results.startTime);
+        written++;
+      }
+    }
+
+    this._writeEnvironment(config);
+    console.log(`📦 Allure results: ${path.relative(process.cwd(), this.resultsDir)} (${written} tests)`);
+  }
+
+  /**
+   * Write the test's result, plus one result per earlier attempt: Allure groups results
+   * with the same historyId and shows the earlier ones as retries
+   * @private
+   */
+  _writeResult(fileResult, assertion, record, config, runStartTime) {
+    const suiteFile = path.relative(ROOT_DIR, fileResult.testFilePath);
+    const browser = record.browser || config.browser.name;
+    const start = record.startedAt || runStartTime;
+    const tags = extractTags([...assertion.ancestorTitles, assertion.title]);
+    const testCaseId = md5(`${suiteFile}#${assertion.fullName}`);
+    const quarantined = Boolean(record.quarantine);
+
+    const base = {
+      historyId: md5(`${testCaseId}:${browser}`),
+      testCaseId,
+      name: assertion.title,
+      fullName: `${suiteFile}#${assertion.fullName}`,
+      stage: 'finished',
+      labels: [
+        ...this._labels(suiteFile, assertion, record, browser, tags),
+        ...(quarantined ? [{ name: 'tag', value: 'quarantined' }] : [])
+      ],
+      parameters: [
+        { name: 'browser', value: browser },
+        { name: 'profile', value: config.profile }
+      ],
+      links: []
+    };
+
+    const previousAttempts = record.previousAttempts || [];
+    previousAttempts.forEach((attempt, index) => {
+      const next = previousAttempts[index + 1] || record;
+      this._writeAttempt(base, attempt, next.startedAt || start);
+    });
+
+    // A quarantined failure stays failed, but muted
+    const status = this._status(assertion);
+    const statusDetails = {
+      ...this._statusDetails(assertion),
+      ...(record.skipReason ? { message: record.skipReason } : {}),
+      ...(quarantined ? { muted: true } : {}),
+      ...(previousAttempts.length > 0 && status === 'passed' ? { flaky: true } : {})
+    };
+
+    const uuid = crypto.randomUUID();
+    const result = {
+      ...base,
+      uuid,
+      status,
+      statusDetails,
+      start,
+      stop: start + (assertion.duration || 0),
+      steps: (record.steps || []).map(step => this._toStep(step)),
+      attachments: []
+    };
+
+    // Step screenshots are attached to their steps, not repeated on the test
+    const stepScreenshots = new Set(stepScreenshotPaths(record.steps || []));
+    for (const screenshot of record.screenshots || []) {
+      if (!stepScreenshots.has(screenshot)) {
+        this._attachFile(result.attachments, path.basename(screenshot), screenshot);
+      }
+    }
+
+    for (const { dir, manifest } of record.artifacts || []) {
+      for (const file of manifest.files || []) {
+        this._attachFile(result.attachments, `failure: ${file.path}`, path.join(dir, file.path), file.contentType);
+      }
+    }
+
+    if (record.logs && record.logs.length > 0) {
+      const text = record.logs.map(entry => `${entry.timestamp} [${entry.level}] ${entry.message}`).join('\n');
+      this._attachContent(result.attachments, 'test log', text, 'text/plain', '.log');
+    }
+
+    fs.writeFileSync(path.join(this.resultsDir, `${uuid}-result.json`), JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * Result for a failed earlier attempt (from the record's previousAttempts)
+   * @private
+   */
+  _writeAttempt(base, attempt, stop) {
+    const uuid = crypto.randomUUID();
+    const result = {
+      ...base,
+      uuid,
+      status: 'failed',
+      statusDetails: attempt.error ? { message: attempt.error.message, trace: attempt.error.stack } : {},
+      start: attempt.startedAt || stop,
+      stop,
+      parameters: [...base.parameters, { name: 'attempt', value: String(attempt.attempt), excluded: true }],
+      steps: (attempt.steps || []).map(step => this._toStep(step)),
+      attachments: []
+    };
+
+    for (const { dir, manifest } of attempt.artifacts || []) {
+      for (const file of manifest.files || []) {
+        this._attachFile(result.attachments, `failure: ${file.path}`, path.join(dir, file.path), file.contentType);
+      }
+    }
+
+    fs.writeFileSync(path.join(this.resultsDir, `${uuid}-result.json`), JSON.stringify(result, null, 2));
+  }
+
+  /**
+   * Allure distinguishes assertion failures ("failed") from errors ("broken")
+   * @private
+   */
+  _status(assertion) {
+    if (assertion.status === 'passed') {
+      return 'passed';
+    }
+    if (assertion.status !== 'failed') {
+      return 'skipped';
+    }
+    const details = assertion.failureDetails || [];
+    return details.some(detail => detail && detail.matcherResult) ? 'failed' : 'broken';
+  }
+
+  /**
+   * @private
+   */
+  _statusDetails(assertion) {
+    if (assertion.failureMessages.length === 0) {
+      return {};
+    }
+    const [first] = assertion.failureMessages.map(message => message.replace(ANSI_PATTERN, ''));
+    const stackStart = first.search(/\n\s+at /);
+    return {
+      message: stackStart > 0 ? first.slice(0, stackStart) : first,
+      trace: assertion.failureMessages.join('\n\n').replace(ANSI_PATTERN, '')
+    };
+  }
+
+  /**
+   * @private
+   */
+  _labels(suiteFile, assertion, record, browser, tags) {
+    const [suite, ...subSuites] = assertion.ancestorTitles;
+    const severity = tags.find(tag => SEVERITIES.includes(tag)) || 'normal';
+    const workerId = record.logs && record.logs.length ? record.logs[0].meta.workerId : null;
+
+    return [
+      { name: 'framework', value: 'jest' },
+      { name: 'language', value: 'javascript' },
+      { name: 'host', value: os.hostname() },
+      { name: 'parentSuite', value: suiteFile },
+      ...(suite ? [{ name: 'suite', value: suite }] : []),
+      ...(subSuites.length ? [{ name: 'subSuite', value: subSuites.join(' > ') }] : []),
+      ...(workerId ? [{ name: 'thread', value: `worker-${workerId}` }] : []),
+      { name: 'browser', value: browser },
+      { name: 'severity', value: severity },
+      ...tags.filter(tag => !SEVERITIES.includes(tag)).map(tag => ({ name: 'tag', value: tag }))
+    ];
+  }
+
+  /**
+   * baseTest.step() node -> Allure step
+   * @private
+   */
+  _toStep(step) {
+    const attachments = [];
+    if (step.screenshot) {
+      this._attachFile(attachments, `after: ${step.name}`, step.screenshot);
+    }
+
+    return {
+      name: step.name,
+      status: { passed: 'passed', failed: 'failed', interrupted: 'broken' }[step.status] || 'broken',
+      statusDetails: step.error ? { message: step.error.message, trace: step.error.stack } : {},
+      stage: 'finished',
+      start: step.startedAt,
+      stop: step.endedAt || step.startedAt,
+      steps: step.steps.map(child => this._toStep(child)),
+      attachments,
+      parameters: []
+    };
+  }
+
+  /**
+   * Copy a file into the results dir as an attachment (skipped if it no longer exists)
+   * @private
+   */
+  _attachFile(attachments, name, filePath, contentType = null) {
+    if (!fs.existsSync(filePath)) {
+      return;
+    }
+    const extension = path.extname(filePath);
+    const source = `${crypto.randomUUID()}-attachment${extension}`;
+    fs.copyFileSync(filePath, path.join(this.resultsDir, source));
+    attachments.push({ name, source, type: contentType || CONTENT_TYPES[extension] || 'application/octet-stream' });
+  }
+
+  /**
+   * @private
+   */
+  _attachContent(attachments, name, content, type, extension) {
+    const source = `${crypto.randomUUID()}-attachment${extension}`;
+    fs.writeFileSync(path.join(this.resultsDir, source), content);
+    attachments.push({ name, source, type });
+  }
+
+  /**
+   * environment.properties is shown on the Allure overview page
+   * @private
+   */
+  _writeEnvironment(config) {
+    const properties = {
+      browser: config.browser.name,
+      headless: config.browser.headless,
+      profile: config.profile,
+      baseUrl: config.baseUrl,
+      remote: config.remote.url || 'local',
+      node: process.version,
+      platform: `${os.platform()} ${os.release()}`
+    };
+    const content = Object.entries(properties)
+      .map(([key, value]) => `${key}=${String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`)
+      .join('\n');
+    fs.writeFileSync(path.join(this.resultsDir, 'environment.properties'), `${content}\n`);
+  }
+}
+
+module.exports = AllureReporter;
@@ -0,0 +1,81 @@
+/**
+ * HistoryReporter - Jest reporter appending every test's outcome and every test file's duration
+ * to the run history (flaky.historyFile) and printing the most flaky tests at the end of the run.
+ * A test that passed only after a Jest retry is recorded as 'flaky'; a failing quarantined
+ * test is recorded as 'failed' like any other.
+ */
+const { readTestRecords, recordId } = require('../utils/testRecords');
+const { getConfig } = require('../utils/config');
+const { relativeTestPath, testKey, loadHistory, saveHistory, topFlakyTests } = require('../utils/flakiness');
+
+class HistoryReporter {
+  /**
+   * @param {Object} globalConfig - Jest global config
+   * @param {Object} options
+   * @param {number} options.top - How many flaky tests to print (0: none)
+   */
+  constructor(globalConfig, { top = 5 } = {}) {
+    this.globalConfig = globalConfig;
+    this.top = top;
+  }
+
+  onRunComplete(testContexts, results) {
+    const config = getConfig();
+    const { historyFile, historySize } = config.flaky;
+    const records = readTestRecords();
+    const history = loadHistory(historyFile);
+    const time = results.startTime;
+
+    for (const fileResult of results.testResults) {
+      const file = relativeTestPath(fileResult.testFilePath);
+      // Suites that failed to start say nothing about how long the file takes
+      if (!fileResult.testExecError && fileResult.perfStats && fileResult.perfStats.runtime > 0) {
+        history.files[file] = history.files[file] || { durations: [] };
+        history.files[file].durations.push(fileResult.perfStats.runtime);
+      }
+
+      for (const assertion of fileResult.testResults) {
+        const record = records.get(recordId(fileResult.testFilePath, assertion.fullName)) || {};
+        const key = testKey(fileResult.testFilePath, assertion.fullName);
+        const test = history.tests[key] || { file, name: assertion.fullName, runs: [] };
+
+        test.runs.push({
+          time,
+          status: this._status(assertion),
+          attempts: assertion.invocations || 1,
+          duration: assertion.duration || 0,
+          browser: record.browser || config.browser.name,
+          quarantined: Boolean(record.quarantine),
+          internalRetries: (record.internalRetries || []).length
+        });
+        history.tests[key] = test;
+      }
+    }
+
+    saveHistory(historyFile, history, historySize);
+
+    const flaky = topFlakyTests(history, this.top);
+    if (this.top > 0 && flaky.length > 0) {
+      console.log(`\n🎲 Most flaky tests (last ${historySize} runs, see npm run flaky-report):`);
+      for (const test of flaky) {
+        console.log(`   ${test.score.toFixed(2)}  ${test.key}  (${test.flaky} flaky, ${test.failures} failed of ${test.runs})`);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @returns {'passed'|'failed'|'flaky'|'skipped'}
+   */
+  _status(assertion) {
+    if (assertion.status === 'failed') {
+      return 'failed';
+    }
+    if (assertion.status !== 'passed') {
+      return 'skipped';
+    }
+    return assertion.invocations > 1 ? 'flaky' : 'passed';
+  }
+}
+
+module.exports = HistoryReporter;
@@ -0,0 +1,346 @@
+/**
+ * HtmlReporter - Jest reporter producing one self-contained, offline HTML run report
+ * Joins Jest's results (the same data jest-junit writes) with the per-test records from
+ * the workers: step timeline, log lines, screenshots and failure artifacts.
+ * Images and artifact files are embedded as data URIs so the file can be mailed or archived on
+ * its own; files over the size cap are linked relative to the report instead.
+ */
+const path = require('path');
+const fs = require('fs');
+const { readTestRecords, recordId } = require('../utils/testRecords');
+const { getConfig } = require('../utils/config');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ANSI_PATTERN = /\u001b\[[0-9;]*m/g;
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const formatDuration = (ms) => (ms >= 1000 ? `${(ms / 1000).toFixed(2)}s` : `${ms || 0}ms`);
+
+const formatSize = (bytes) => (bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`);
+
+/**
+ * Embed a PNG as a data URI, or null if it is missing
+ */
+function imageDataUri(filePath) {
+  try {
+    return `data:image/png;base64,${fs.readFileSync(filePath).toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Embed a file as a data URI; null if it is missing or larger than maxBytes
+ */
+function fileDataUri(filePath, contentType, maxBytes) {
+  try {
+    if (fs.statSync(filePath).size > maxBytes) {
+      return null;
+    }
+    return `data:${contentType};base64,${fs.readFileSync(filePath).toString('base64')}`;
+  } catch (error) {
+    return null;
+  }
+}
+
+class HtmlReporter {
+  /**
+   * @param {Object} globalConfig - Jest global config
+   * @param {Object} options
+   * @param {string} options.outputPath - Report file, relative to the project root
+   * @param {string} options.title - Report heading
+   * @param {number} options.maxEmbedBytes - Largest artifact or log file embedded in the report;
+   *   bigger ones (typically HARs with bodies) are linked relative to the report
+   */
+  constructor(globalConfig, {
+    outputPath = 'test-results/report.html',
+    title = 'Selenium UI Test Report',
+    maxEmbedBytes = 5 * 1024 * 1024
+  } = {}) {
+    this.globalConfig = globalConfig;
+    this.outputPath = path.resolve(ROOT_DIR, outputPath);
+    this.title = title;
+    this.maxEmbedBytes = maxEmbedBytes;
+  }
+
+  onRunComplete(testContexts, results) {
+    const records = readTestRecords();
+    const tests = [];
+    // Skipped tests and suites that failed to start have no record
+    const defaultBrowser = getConfig().browser.name;
+
+    for (const fileResult of results.testResults) {
+      const suite = path.relative(ROOT_DIR, fileResult.testFilePath);
+
+      for (const assertion of fileResult.testResults) {
+        const record = records.get(recordId(fileResult.testFilePath, assertion.fullName)) || {};
+        tests.push({
+          suite,
+          name: assertion.fullName,
+          status: assertion.status,
+          duration: assertion.duration || 0,
+          browser: record.browser || defaultBrowser,
+          failureMessages: assertion.failureMessages.map(message => message.replace(ANSI_PATTERN, '')),
+          record
+        });
+      }
+
+      // Suite-level failures (syntax errors, beforeAll failures) have no test results
+      if (fileResult.testExecError && fileResult.testResults.length === 0) {
+        tests.push({
+          suite,
+          name: '(suite failed to run)',
+          status: 'failed',
+          duration: 0,
+          browser: defaultBrowser,
+          failureMessages: [String(fileResult.testExecError.message || '').replace(ANSI_PATTERN, '')],
+          record: {}
+        });
+      }
+    }
+
+    fs.mkdirSync(path.dirname(this.outputPath), { recursive: true });
+    fs.writeFileSync(this.outputPath, this._renderPage(tests, results));
+    console.log(`\n📊 HTML report: ${path.relative(process.cwd(), this.outputPath)}`);
+  }
+
+  /**
+   * @private
+   */
+  _renderPage(tests, results) {
+    const counts = tests.reduce((totals, test) => {
+      totals[test.status] = (totals[test.status] || 0) + 1;
+      return totals;
+    }, {});
+    const options = (values) => [...new Set(values)].sort()
+      .map(value => `<option value="${escapeHtml(value)}">${escapeHtml(value)}</option>`).join('');
+    const duration = Date.now() - results.startTime;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(this.title)}</title>
+<style>
+  body { font-family: -apple-system, "Segoe UI", sans-serif; margin: 0; color: #222; background: #f5f6f8; }
+  header { background: #24292f; color: #fff; padding: 1em 2em; }
+  header h1 { margin: 0 0 .3em; font-size: 1.4em; }
+  .summary span { margin-right: 1.5em; }
+  .filters { padding: 1em 2em; background: #fff; border-bottom: 1px solid #ddd; }
+  .filters label { margin-right: 1.5em; }
+  main { padding: 1em 2em; }
+  details.test { background: #fff; border: 1px solid #ddd; border-left: 6px solid #999; margin-bottom: .5em; border-radius: 4px; }
+  details.test.passed { border-left-color: #2da44e; }
+  details.test.failed { border-left-color: #cf222e; }
+  details.test.skipped, details.test.pending, details.test.todo { border-left-color: #bf8700; }
+  summary { cursor: pointer; padding: .6em 1em; display: flex; gap: 1em; align-items: baseline; }
+  summary .name { flex: 1; font-weight: 600; }
+  summary .meta { color: #666; font-size: .9em; }
+  .badge { font-size: .8em; text-transform: uppercase; font-weight: 700; }
+  .badge.quarantined { color: #8250df; }
+  details.test.quarantined { border-left-color: #8250df; }
+  .body { padding: 0 1em 1em; }
+  h3 { font-size: 1em; margin: 1em 0 .4em; }
+  pre { background: #f6f8fa; padding: .8em; overflow-x: auto; white-space: pre-wrap; }
+  table { border-collapse: collapse; width: 100%; font-size: .85em; }
+  td { border-top: 1px solid #eee; padding: .2em .5em; vertical-align: top; }
+  td.time { white-space: nowrap; color: #666; width: 6em; }
+  tr.error td, tr.warn td { color: #cf222e; }
+  ol.steps li { margin: .2em 0; }
+  li.step.failed, li.step.interrupted { color: #cf222e; }
+  img { max-width: 100%; border: 1px solid #ddd; margin: .3em 0; }
+</style>
+</head>
+<body>
+<header>
+  <h1>${escapeHtml(this.title)}</h1>
+  <div class="summary">
+    <span>${tests.length} tests</span>
+    <span>✅ ${counts.passed || 0} passed</span>
+    <span>❌ ${counts.failed || 0} failed</span>
+    <span>⏭️ ${(counts.pending || 0) + (counts.skipped || 0) + (counts.todo || 0)} skipped</span>
+    <span>⏱️ ${formatDuration(duration)}</span>
+    <span>${escapeHtml(new Date(results.startTime).toISOString())}</span>
+  </div>
+</header>
+<div class="filters">
+  <label>Status <select id="filter-status"><option value="">All</option>${options(tests.map(test => test.status))}</select></label>
+  <label>Suite <select id="filter-suite"><option value="">All</option>${options(tests.map(test => test.suite))}</select></label>
+  <label>Browser <select id="filter-browser"><option value="">All</option>${options(tests.map(test => test.browser))}</select></label>
+</div>
+<main>
+${tests.map(test => this._renderTest(test)).join('\n')}
+</main>
+<script>
+  var filters = ['status', 'suite', 'browser'];
+  function applyFilters() {
+    var selected = {};
+    filters.forEach(function (name) { selected[name] = document.getElementById('filter-' + name).value; });
+    document.querySelectorAll('details.test').forEach(function (test) {
+      var visible = filters.every(function (name) { return !selected[name] || test.dataset[name] === selected[name]; });
+      test.style.display = visible ? '' : 'none';
+    });
+  }
+  filters.forEach(function (name) { document.getElementById('filter-' + name).addEventListener('change', applyFilters); });
+</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * @private
+   */
+  _renderTest(test) {
+    const { record } = test;
+    const logs = record.logs || [];
+    const startedAt = record.startedAt || (logs[0] && logs[0].time);
+    const offset = (time) => (startedAt && time ? `+${formatDuration(time - startedAt)}` : '');
+
+    const sections = [];
+
+    if (record.skipReason) {
+      sections.push(`<p class="meta">Skipped: ${escapeHtml(record.skipReason)}</p>`);
+    }
+
+    if (test.failureMessages.length > 0) {
+      sections.push(`<h3>Error</h3><pre>${escapeHtml(test.failureMessages.join('\n\n'))}</pre>`);
+    }
+
+    if (record.quarantine) {
+      const { reason, ticket } = record.quarantine;
+      sections.push(`<h3>Quarantined</h3><p>${escapeHtml(reason)}${ticket ? ` · ${escapeHtml(ticket)}` : ''}</p>`);
+    }
+
+    const previousAttempts = record.previousAttempts || [];
+    if (previousAttempts.length > 0) {
+      sections.push(`<h3>Earlier attempts</h3><ol>${previousAttempts.map(attempt =>
+        `<li>${escapeHtml(attempt.outcome || 'failed')}${attempt.error ? `<pre>${escapeHtml(attempt.error.message)}</pre>` : ''}${
+          (attempt.artifacts || []).map(artifact => this._renderArtifacts(artifact)).join('')}</li>`
+      ).join('')}</ol>`);
+    }
+
+    const internalRetries = record.internalRetries || [];
+    if (internalRetries.length > 0) {
+      sections.push(`<h3>Internal retries</h3><ul>${internalRetries.map(retry =>
+        `<li>${escapeHtml(retry.action)} ${escapeHtml(retry.target)} <span class="meta">${retry.attempts} attempts</span></li>`
+      ).join('')}</ul>`);
+    }
+
+    const stepTree = record.steps || [];
+    const stepScreenshots = new Set();
+    const steps = logs.filter(entry => entry.meta && entry.meta.type === 'step');
+    if (stepTree.length > 0) {
+      sections.push(`<h3>Steps</h3>${this._renderSteps(stepTree, offset, stepScreenshots)}`);
+    } else if (steps.length > 0) {
+      sections.push(`<h3>Steps</h3><ol class="steps">${steps.map(step =>
+        `<li><span class="meta">${offset(step.time)}</span> ${escapeHtml(step.message.replace(/^📋 Step: /, ''))}</li>`
+      ).join('')}</ol>`);
+    }
+
+    const screenshots = (record.screenshots || [])
+      .filter(file => !stepScreenshots.has(file))
+      .map(file => ({ file, uri: imageDataUri(file) }))
+      .filter(screenshot => screenshot.uri);
+    if (screenshots.length > 0) {
+      sections.push(`<h3>Screenshots</h3>${screenshots.map(screenshot =>
+        `<figure><img src="${screenshot.uri}" alt=""><figcaption class="meta">${escapeHtml(path.basename(screenshot.file))}</figcaption></figure>`
+      ).join('')}`);
+    }
+
+    for (const artifact of record.artifacts || []) {
+      sections.push(this._renderArtifacts(artifact));
+    }
+
+    if (record.logFile) {
+      sections.push(`<p class="meta">Test ID ${escapeHtml(record.testId)} · ${this._fileLink(record.logFile, 'text/plain', 'full log file')}</p>`);
+    }
+
+    if (logs.length > 0) {
+      sections.push(`<h3>Log</h3><table>${logs.map(entry =>
+        `<tr class="${escapeHtml(entry.level)}"><td class="time">${offset(entry.time)}</td><td>${escapeHtml(entry.level)}</td><td>${escapeHtml(entry.message)}</td></tr>`
+      ).join('')}</table>`);
+    }
+
+    const quarantined = Boolean(record.quarantine);
+    const attempts = record.attempt > 1 ? ` · ${record.attempt} attempts` : '';
+    const tags = (record.tags || []).map(tag => ` @${escapeHtml(tag)}`).join('');
+    return `<details class="test ${escapeHtml(test.status)}${quarantined ? ' quarantined' : ''}" data-status="${escapeHtml(test.status)}" data-suite="${escapeHtml(test.suite)}" data-browser="${escapeHtml(test.browser)}"${test.status === 'failed' ? ' open' : ''}>
+  <summary><span class="badge">${escapeHtml(test.status)}</span>${quarantined ? '<span class="badge quarantined">quarantined</span>' : ''}<span class="name">${escapeHtml(test.name)}</span><span class="meta">${escapeHtml(test.suite)} · ${escapeHtml(test.browser)} · ${formatDuration(test.duration)}${attempts}${tags}</span></summary>
+  <div class="body">${sections.join('\n') || '<p class="meta">No details recorded.</p>'}</div>
+</details>`;
+  }
+
+  /**
+   * Nested step tree from baseTest.step(), with per-step timing, error and screenshot
+   * @private
+   */
+  _renderSteps(steps, offset, shownScreenshots) {
+    const icons = { passed: '✔', failed: '✖', interrupted: '⏹', running: '…' };
+
+    return `<ol class="steps">${steps.map(step => {
+      const uri = step.screenshot && imageDataUri(step.screenshot);
+      if (uri) {
+        shownScreenshots.add(step.screenshot);
+      }
+
+      return `<li class="step ${escapeHtml(step.status)}">
+  <span class="meta">${offset(step.startedAt)}</span> ${icons[step.status] || ''} ${escapeHtml(step.name)}
+  <span class="meta">${formatDuration(step.duration)}</span>
+  ${step.error ? `<pre>${escapeHtml(step.error.message)}</pre>` : ''}
+  ${uri ? `<img src="${uri}" alt="Screenshot after ${escapeHtml(step.name)}">` : ''}
+  ${step.steps.length ? this._renderSteps(step.steps, offset, shownScreenshots) : ''}
+</li>`;
+    }).join('')}</ol>`;
+  }
+
+  /**
+   * Failure bundle from ArtifactCollector: embed the screenshot, attach every file and the manifest
+   * @private
+   */
+  _renderArtifacts({ dir, manifest }) {
+    const files = manifest.files || [];
+    const screenshot = files.find(file => file.type === 'screenshot');
+    const uri = screenshot && imageDataUri(path.join(dir, screenshot.path));
+
+    const links = files.map(file =>
+      `<li>${this._fileLink(path.join(dir, file.path), file.contentType || 'application/octet-stream', file.path)} <span class="meta">${escapeHtml(file.type)}</span></li>`
+    ).join('');
+    const manifestLink = `<li>${this._fileLink(path.join(dir, 'manifest.json'), 'application/json', 'manifest.json')}</li>`;
+
+    return `<h3>Failure artifacts</h3>
+<p class="meta">${escapeHtml(manifest.url || '')} — ${escapeHtml(manifest.title || '')}</p>
+${uri ? `<img src="${uri}" alt="Failure screenshot">` : ''}
+<ul>${links}${manifestLink}</ul>`;
+  }
+
+  /**
+   * Download link carrying the file as a data URI, so it survives the report being moved;
+   * files over maxEmbedBytes (or unreadable) fall back to a link relative to the report
+   * @private
+   */
+  _fileLink(filePath, contentType, label) {
+    const uri = fileDataUri(filePath, contentType, this.maxEmbedBytes);
+    if (uri) {
+      return `<a href="${uri}" download="${escapeHtml(path.basename(filePath))}">${escapeHtml(label)}</a>`;
+    }
+
+    const href = path.relative(path.dirname(this.outputPath), filePath).split(path.sep).join('/');
+    let size = 0;
+    try {
+      size = fs.statSync(filePath).size;
+    } catch (error) {
+      // Missing: the link is all that is left
+    }
+    const note = size > this.maxEmbedBytes ? ` <span class="meta">(${formatSize(size)}, not embedded)</span>` : '';
+    return `<a href="${escapeHtml(href)}">${escapeHtml(label)}</a>${note}`;
+  }
+}
+
+module.exports = HtmlReporter;
@@ -0,0 +1,27 @@
+/**
+ * jest-junit test case properties: each <testcase> gets its @tags and, for tests the tag
+ * selection skipped, the reason (from the test record written by jest.environment.js)
+ */
+const { extractTags } = require('../utils/tags');
+const { readTestRecords } = require('../utils/testRecords');
+
+// jest-junit passes only the assertion result, without its file: match records by full name
+let skipReasons = null;
+
+module.exports = (testResult) => {
+  if (skipReasons === null) {
+    skipReasons = new Map([...readTestRecords().values()]
+      .filter(record => record.skipReason)
+      .map(record => [record.name, record.skipReason]));
+  }
+
+  const properties = {};
+  const tags = extractTags([...testResult.ancestorTitles, testResult.title]);
+  if (tags.length > 0) {
+    properties.tags = tags.join(',');
+  }
+  if (testResult.status === 'pending' && skipReasons.has(testResult.fullName)) {
+    properties.skipReason = skipReasons.get(testResult.fullName);
+  }
+  return properties;
+};
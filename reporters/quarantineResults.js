@@ -0,0 +1,37 @@
+/**
+ * Jest testResultsProcessor: quarantined tests (flaky.quarantineFile) that fail stay failed in
+ * every reporter, but when they are the only failures of the run it still succeeds (exit code 0).
+ * Jest computes results.success after the reporters ran and exits with what this returns.
+ */
+const { getConfig } = require('../utils/config');
+const { loadQuarantine, findQuarantine } = require('../utils/flakiness');
+
+/**
+ * Failed assertions of the run, each with its quarantine entry (null if not quarantined)
+ * @param {Object} results - Jest aggregated results
+ * @param {Object[]} quarantine - From loadQuarantine()
+ */
+function failedTests(results, quarantine) {
+  return results.testResults.flatMap(fileResult => fileResult.testResults
+    .filter(assertion => assertion.status === 'failed')
+    .map(assertion => ({ assertion, quarantine: findQuarantine(quarantine, fileResult.testFilePath, assertion.fullName) })));
+}
+
+module.exports = (results) => {
+  // Suites that failed to run (or to tear down) and snapshot failures are never quarantined
+  if (results.success || results.numRuntimeErrorTestSuites > 0 || results.testResults.some(fileResult => fileResult.testExecError)
+    || (results.snapshot && results.snapshot.failure)) {
+    return results;
+  }
+
+  const failures = failedTests(results, loadQuarantine(getConfig().flaky.quarantineFile));
+  if (failures.length === 0 || failures.some(failure => !failure.quarantine)) {
+    return results;
+  }
+
+  console.warn(`\n🧪 ${failures.length} quarantined test(s) failed; quarantined failures do not fail the build:`);
+  for (const { assertion, quarantine } of failures) {
+    console.warn(`   ${assertion.fullName} (${quarantine.reason}${quarantine.ticket ? `, ${quarantine.ticket}` : ''})`);
+  }
+  return { ...results, success: true };
+};
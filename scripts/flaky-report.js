@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Print the flakiest tests from the run history (flaky.historyFile) and the quarantine list
+ * Usage: npm run flaky-report [-- --limit 20] [-- --json]
+ */
+const { getConfig } = require('../utils/config');
+const { loadHistory, topFlakyTests, loadQuarantine } = require('../utils/flakiness');
+
+function parseArgs(argv) {
+  const limitIndex = argv.indexOf('--limit');
+  return {
+    limit: limitIndex >= 0 ? Number.parseInt(argv[limitIndex + 1], 10) || 10 : 10,
+    json: argv.includes('--json')
+  };
+}
+
+function runReport() {
+  const { flaky } = getConfig();
+  const { limit, json } = parseArgs(process.argv.slice(2));
+  const history = loadHistory(flaky.historyFile);
+  const quarantine = loadQuarantine(flaky.quarantineFile);
+  const tests = topFlakyTests(history, limit).map(test => ({
+    ...test,
+    quarantine: quarantine.find(entry => entry.test === test.key) || null
+  }));
+
+  if (json) {
+    console.log(JSON.stringify({ tests, quarantine }, null, 2));
+    return;
+  }
+
+  const tracked = Object.keys(history.tests).length;
+  console.log(`🎲 Flakiness report - ${tracked} tests tracked in ${flaky.historyFile}\n`);
+
+  if (tests.length === 0) {
+    console.log('✅ No flaky tests in the recorded history');
+  } else {
+    console.log('score  runs  flaky  failed  flips  retries  test');
+    for (const test of tests) {
+      console.log([
+        test.score.toFixed(2).padEnd(5),
+        String(test.runs).padStart(4),
+        String(test.flaky).padStart(6),
+        String(test.failures).padStart(7),
+        String(test.flips).padStart(6),
+        String(test.internalRetries).padStart(8),
+        ` ${test.key}${test.quarantine ? ' 🧪' : ''}`
+      ].join(' '));
+    }
+  }
+
+  console.log(`\n🧪 Quarantined (${flaky.quarantineFile}): ${quarantine.length}`);
+  for (const entry of quarantine) {
+    const details = [entry.reason, entry.ticket, entry.since && `since ${entry.since}`].filter(Boolean).join(' · ');
+    console.log(`   ${entry.test} - ${details}`);
+  }
+}
+
+try {
+  runReport();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
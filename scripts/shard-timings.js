@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+/**
+ * Write the test file durations from the run history (flaky.historyFile) to a shard timings file,
+ * for sharding.timingsFile: commit it, or publish it from the main branch for CI to download
+ * Usage: npm run shard-timings [-- --out shard-timings.json]
+ */
+const { getConfig } = require('../utils/config');
+const { loadHistory, saveHistory } = require('../utils/flakiness');
+
+function parseArgs(argv) {
+  const outIndex = argv.indexOf('--out');
+  return {
+    out: outIndex >= 0 && argv[outIndex + 1] ? argv[outIndex + 1] : getConfig().sharding.timingsFile || 'shard-timings.json'
+  };
+}
+
+function writeTimings() {
+  const { flaky } = getConfig();
+  const { out } = parseArgs(process.argv.slice(2));
+  const history = loadHistory(flaky.historyFile);
+  const files = Object.keys(history.files);
+  if (files.length === 0) {
+    throw new Error(`${flaky.historyFile} has no file durations yet - run the tests first`);
+  }
+
+  // Same format as the history, without the per-test runs
+  saveHistory(out, { version: history.version, tests: {}, files: history.files }, flaky.historySize);
+  console.log(`⏱️ Shard timings for ${files.length} test files written to ${out}`);
+}
+
+try {
+  writeTimings();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,230 @@
+/**
+ * Selenium UI test configuration
+ * Top-level values are the defaults; named profiles are merged on top of them.
+ * Select a profile with TEST_PROFILE=<name>. See utils/config.js for env var overrides.
+ */
+module.exports = {
+  defaultProfile: process.env.CI ? 'ci' : 'local',
+
+  // Used when the fixture server is disabled (FIXTURE_SERVER=false)
+  baseUrl: 'https://the-internet.herokuapp.com',
+
+  // Bundled offline copy of the app under test, started by jest.globalSetup.js.
+  // When enabled, baseUrl is replaced with the server's URL at run time.
+  fixtureServer: {
+    enabled: true,
+    host: '127.0.0.1',
+    port: 0, // 0 picks a free port
+    // Host name browsers use to reach the server. Set this (and host: '0.0.0.0')
+    // when browsers run on a Selenium Grid node rather than this machine.
+    publicHost: null
+  },
+
+  // Selenium Grid / remote WebDriver. Leave url null to launch browsers locally.
+  remote: {
+    url: null,
+    // Extra capabilities merged into every remote session request,
+    // e.g. { 'se:name': 'ui-tests', 'se:recordVideo': true }
+    capabilities: {},
+    // Applied to grid errors such as new-session queue timeouts
+    retries: { attempts: 3, delay: 10000 }
+  },
+
+  users: {
+    standard: { username: 'tomsmith', password: 'SuperSecretPassword!' },
+    invalid: { username: 'invaliduser', password: 'invalidpass' }
+  },
+
+  // Saved login state per user role (see utils/AuthState.js). Files hold live session
+  // cookies: keep dir out of version control. ttl is in milliseconds.
+  auth: {
+    reuse: true,
+    dir: '.auth',
+    ttl: 30 * 60 * 1000
+  },
+
+  // clearBetweenTests: delete cookies, web storage and IndexedDB after every test while
+  // keeping the suite's browser. Suites can override it with baseTest.setStoragePolicy().
+  storage: {
+    clearBetweenTests: false
+  },
+
+  // How suites get their browser (see utils/DriverPool.js). isolation:
+  //   shared-reset    - reuse a warm session from the worker's pool, reset between suites
+  //   fresh-per-suite - start a browser per suite and quit it afterwards
+  //   fresh-per-test  - start a new browser before every test after the first
+  // Suites can override it with baseTest.setupSuite({ isolation }).
+  // maxIdle: idle sessions kept per worker; maxUses: suites a session serves before it is
+  // replaced; healthCheckTimeout: ms a pooled session gets to answer before it is discarded.
+  driverPool: {
+    isolation: 'shared-reset',
+    maxIdle: 1,
+    maxUses: 20,
+    healthCheckTimeout: 5000
+  },
+
+  browser: {
+    name: 'chrome',
+    headless: true,
+    // WebDriver BiDi (webSocketUrl) powers console capture; disable for drivers that lack it
+    bidi: true,
+    // Per browser: Firefox keeps the larger window it always ran with. Visual baselines are
+    // stored per browser and size (see utils/VisualComparator.js).
+    windowSize: {
+      chrome: { width: 1280, height: 720 },
+      firefox: { width: 1920, height: 1080 }
+    },
+    args: {
+      chrome: [
+        '--disable-web-security',
+        '--disable-features=TranslateUI',
+        '--disable-ipc-flooding-protection',
+        '--disable-renderer-backgrounding',
+        '--disable-backgrounding-occluded-windows',
+        '--disable-client-side-phishing-detection',
+        '--disable-sync',
+        '--disable-default-apps',
+        '--no-first-run',
+        '--no-default-browser-check',
+        '--disable-hang-monitor',
+        '--disable-prompt-on-repost',
+        '--disable-background-timer-throttling',
+        '--disable-background-networking',
+        '--disable-background-tab-rendering',
+        '--disable-features=VizDisplayCompositor',
+        '--no-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-gpu',
+        '--disable-extensions',
+        '--disable-plugins',
+        '--disable-images', // Skip loading images for faster page loads
+        '--disable-javascript-harmony-shipping',
+        '--disable-background-tasks',
+        '--memory-pressure-off',
+        '--max_old_space_size=4096'
+      ],
+      firefox: [
+        '--disable-gpu',
+        '--no-sandbox'
+      ]
+    }
+  },
+
+  timeouts: {
+    implicit: 5000,
+    pageLoad: 15000,
+    script: 10000,
+    element: 5000,
+    navigation: 8000,
+    pageReady: 5000,
+    // How long the custom matchers (utils/matchers.js) poll before failing
+    expect: 5000
+  },
+
+  // Polling for ElementHelper's waitFor* helpers and the custom matchers. Errors named in
+  // ignoredExceptions (selenium-webdriver error classes) mean "not yet" while polling;
+  // any other error ends the wait at once.
+  waits: {
+    interval: 100,
+    ignoredExceptions: ['NoSuchElementError', 'StaleElementReferenceError']
+  },
+
+  // ElementHelper's Actions-based interactions (hover, dragAndDrop, pressShortcut, ...).
+  // hoverDwell: ms to stay on an element after hovering so menus can open; every action
+  // first scrolls its element into view, aligned by scrollBlock.
+  interactions: {
+    hoverDwell: 300,
+    scrollBlock: 'center'
+  },
+
+  // Browser console messages and uncaught page exceptions, attached to each test's log
+  console: {
+    capture: true,
+    // Opt-in: fail a test when it produces a console.error or uncaught exception
+    failOnError: false,
+    // Patterns (regex strings) for known-noisy messages that never fail a test
+    allowlist: [
+      'favicon\\.ico'
+    ]
+  },
+
+  // Failure bundles (screenshot, page source, cookies, storage, console, error) go to
+  // <dir>/<test>-<timestamp>/ with a manifest.json, relative to the project root
+  artifacts: {
+    dir: 'artifacts'
+  },
+
+  // baseTest.step(): when to screenshot after a step - 'always' | 'on-failure' | 'never'
+  // (overridable per step with { screenshot })
+  steps: {
+    screenshot: 'on-failure'
+  },
+
+  // Screenshot comparison for baseTest.expectScreenshotToMatch(). Baselines are stored in
+  // <baselineDir>/<browser>/<width>x<height>/<name>.png, relative to the project root
+  visual: {
+    baselineDir: 'visual-baselines',
+    // Per-pixel color distance (0-1) below which pixels count as equal
+    threshold: 0.1,
+    // Share of differing pixels tolerated before a comparison fails
+    maxDiffPixelRatio: 0,
+    // Overwrite baselines with the current screenshots (npm run test:update-baselines)
+    updateBaselines: false
+  },
+
+  // HAR 1.2 recording of each test's network traffic (needs browser.bidi), saved as
+  // network.har in the test's artifact folder. mode: 'off' | 'on-failure' | 'always'
+  har: {
+    mode: 'on-failure',
+    // Bodies need BiDi network data collectors (recent Chrome/Firefox); skipped with a warning otherwise
+    includeBodies: false
+  },
+
+  // Test selection by @tags in test/describe titles, e.g. 'smoke and not slow'
+  // (and/or/not, parentheses). null runs everything. Browser tags such as @firefox-only
+  // always apply: those tests are skipped on other browsers.
+  tags: {
+    expression: null
+  },
+
+  // Test-level retries and flakiness tracking. retries: extra attempts for a failing test
+  // (jest.retryTimes; each attempt keeps its own artifacts). Every run's outcomes are appended
+  // to historyFile (last historySize runs per test). Tests listed in quarantineFile still run,
+  // but their failures don't fail the build.
+  flaky: {
+    retries: 0,
+    historyFile: 'test-results/history.json',
+    historySize: 50,
+    quarantineFile: 'quarantine.json'
+  },
+
+  // Shard balancing for --shard=<i>/<n>. timingsFile: file durations every CI machine reads
+  // (npm run shard-timings writes one from the history). null balances by file size, since a
+  // machine's own history would give each machine a different split.
+  sharding: {
+    timingsFile: null
+  },
+
+  retries: {
+    driverCreation: { attempts: 3, delay: 2000 },
+    navigation: { attempts: 2, delay: 500 },
+    click: { attempts: 2, delay: 100 }
+  },
+
+  profiles: {
+    local: {},
+
+    staging: {
+      baseUrl: 'https://staging.example.com',
+      fixtureServer: { enabled: false },
+      timeouts: { pageLoad: 30000, navigation: 15000 },
+      retries: { navigation: { attempts: 3 } }
+    },
+
+    ci: {
+      browser: { headless: true },
+      timeouts: { element: 8000, navigation: 12000 },
+      retries: { driverCreation: { attempts: 5 } }
+    }
+  }
+};
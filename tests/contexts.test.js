@@ -0,0 +1,152 @@
+const { By } = require('selenium-webdriver');
+const BaseTest = require('../utils/BaseTest');
+const logger = require('../utils/logger');
+
+const locators = {
+  newWindowLink: By.linkText('Click Here'),
+  heading: By.css('h3'),
+  topFrame: By.css('iframe[name="frame-top"]'),
+  frameContent: By.css('#content'),
+  paragraph: By.css('my-paragraph'),
+  card: By.css('my-card#card'),
+  cardTitle: By.css('h4.title'),
+  cardButton: By.css('#card-button'),
+  innerParagraph: By.css('#inner'),
+  shadowParagraph: By.css('#paragraph'),
+  slot: By.css('slot')
+};
+
+describe('Frames, Windows and Shadow DOM', () => {
+  let baseTest;
+  let contexts;
+
+  beforeAll(async () => {
+    baseTest = new BaseTest();
+    await baseTest.setupSuite();
+    contexts = baseTest.contexts;
+  });
+
+  afterAll(async () => {
+    if (baseTest) {
+      await baseTest.teardownSuite();
+    }
+  });
+
+  describe('withinNewWindow', () => {
+    let original;
+
+    beforeEach(async () => {
+      await baseTest.navigateTo('windows');
+      original = await baseTest.driver.getWindowHandle();
+    });
+
+    const openWindow = () => baseTest.elementHelper.clickElement(locators.newWindowLink);
+
+    test('runs the callback in the new window, then closes it and switches back', async () => {
+      const driver = baseTest.driver;
+
+      const title = await contexts.withinNewWindow(openWindow, async (handle) => {
+        expect(handle).not.toBe(original);
+        await expect(locators.heading).toHaveText('New Window');
+        return driver.getTitle();
+      });
+
+      expect(title).toBe('New Window');
+      expect(await driver.getWindowHandle()).toBe(original);
+      expect(await driver.getAllWindowHandles()).toEqual([original]);
+      await expect(locators.heading).toHaveText('Opening a new window');
+    });
+
+    test('switches back and closes spawned windows when the callback throws', async () => {
+      const driver = baseTest.driver;
+
+      await expect(contexts.withinNewWindow(openWindow, async () => {
+        logger.step('Open a second window from the first one, then fail');
+        await driver.executeScript('window.open("/windows/new", "_blank");');
+        await expect(driver).toHaveTitle('New Window');
+        throw new Error('assertion inside the popup failed');
+      })).rejects.toThrow('assertion inside the popup failed');
+
+      expect(await driver.getWindowHandle()).toBe(original);
+      expect(await driver.getAllWindowHandles()).toEqual([original]);
+    });
+
+    test('keeps the window open with close: false', async () => {
+      const driver = baseTest.driver;
+
+      const spawned = await contexts.withinNewWindow(openWindow, async handle => handle, { close: false });
+
+      expect(await driver.getWindowHandle()).toBe(original);
+      expect(await driver.getAllWindowHandles()).toEqual(expect.arrayContaining([original, spawned]));
+
+      await driver.switchTo().window(spawned);
+      await driver.close();
+      await driver.switchTo().window(original);
+    });
+
+    test('fails when the trigger opens no window', async () => {
+      await expect(contexts.withinNewWindow(async () => {}, async () => {}, { timeout: 500 }))
+        .rejects.toThrow('No new window opened within 500ms (1 window(s) open)');
+      expect(await baseTest.driver.getWindowHandle()).toBe(original);
+    });
+  });
+
+  describe('withinFrame', () => {
+    beforeEach(async () => {
+      await baseTest.navigateTo('nested_frames');
+    });
+
+    test('nests frames by name and returns to the top document', async () => {
+      const text = await contexts.withinFrame('frame-top', () =>
+        contexts.withinFrame('frame-middle', () => baseTest.elementHelper.getElementText(locators.frameContent)));
+
+      expect(text).toBe('MIDDLE');
+      await expect(locators.topFrame).toHaveCount(1);
+    });
+
+    test('returns to the enclosing frame when the callback throws', async () => {
+      await contexts.withinFrame(locators.topFrame, async () => {
+        await expect(contexts.withinFrame('frame-left', async () => {
+          throw new Error('inside the left frame');
+        })).rejects.toThrow('inside the left frame');
+
+        // Back in frame-top, which holds the three inner frames
+        await expect(By.css('iframe')).toHaveCount(3);
+      });
+      await expect(locators.topFrame).toHaveCount(1);
+    });
+  });
+
+  describe('withinShadowRoot', () => {
+    beforeEach(async () => {
+      await baseTest.navigateTo('shadowdom');
+    });
+
+    test('finds elements inside a shadow root', async () => {
+      const slotName = await contexts.withinShadowRoot(locators.paragraph, async (root) => {
+        const paragraph = await root.findElement(locators.shadowParagraph);
+        await expect(paragraph).toBeVisible();
+        return (await root.findElement(locators.slot)).getAttribute('name');
+      });
+      expect(slotName).toBe('my-text');
+    });
+
+    test('reaches a shadow root nested in another one', async () => {
+      await contexts.withinShadowRoot(locators.card, async (cardRoot) => {
+        await expect(await cardRoot.findElement(locators.cardTitle)).toHaveText('Card');
+        await expect(await cardRoot.findElement(locators.cardButton)).toBeVisible();
+
+        const inner = await cardRoot.findElement(locators.innerParagraph);
+        await contexts.withinShadowRoot(inner, async (innerRoot) => {
+          await expect(await innerRoot.findElement(locators.shadowParagraph)).toBeVisible();
+          await expect(innerRoot.findElements(locators.cardTitle)).resolves.toHaveLength(0);
+        });
+      });
+    });
+
+    test('fails clearly for an element without a shadow root', async () => {
+      await expect(contexts.withinShadowRoot(locators.heading, async () => {}))
+        .rejects.toThrow(`${locators.heading} has no open shadow root`);
+    });
+  });
+});
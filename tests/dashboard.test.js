@@ -1,26 +1,21 @@
-const { By, until } = require('selenium-webdriver');
 const BaseTest = require('../utils/BaseTest');
+const AuthState = require('../utils/AuthState');
+const LoginPage = require('../pages/LoginPage');
+const SecureAreaPage = require('../pages/SecureAreaPage');
 const logger = require('../utils/logger');
 
 describe('Dashboard Navigation Tests', () => {
   let baseTest;
+  let authState;
 
   beforeAll(async () => {
     baseTest = new BaseTest();
     await baseTest.setupSuite();
     
-    // Login once before running dashboard tests
+    // Reuse the saved login from an earlier suite, or log in once for the whole suite
     logger.step('Performing login setup for dashboard tests');
-    const driver = baseTest.driver;
-    await baseTest.navigateTo('https://the-internet.herokuapp.com/login');
-    
-    await Promise.all([
-      driver.findElement(By.id('username')).sendKeys('tomsmith'),
-      driver.findElement(By.id('password')).sendKeys('SuperSecretPassword!')
-    ]);
-    
-    await driver.findElement(By.css('button[type="submit"]')).click();
-    await driver.wait(until.urlContains('/secure'), 8000);
+    authState = new AuthState(baseTest);
+    await authState.loginAs('standard');
   });
 
   afterAll(async () => {
@@ -29,18 +24,7 @@ describe('Dashboard Navigation Tests', () => {
     }
   });
 
-  beforeEach(async () => {
-    const testName = expect.getState().currentTestName;
-    await baseTest.setupTest(testName);
-  });
-
-  afterEach(async () => {
-    const testName = expect.getState().currentTestName;
-    const testPassed = expect.getState().numPassingAsserts > 0;
-    await baseTest.teardownTest(testName, testPassed);
-  });
-
-  test('should display secure area after login', async () => {
+  test('should display secure area after login @smoke', async () => {
     const driver = baseTest.driver;
     
     logger.step('Verify we are on the secure area page');
@@ -48,37 +32,31 @@ describe('Dashboard Navigation Tests', () => {
     expect(currentUrl).toContain('/secure');
     
     logger.step('Verify secure area header is present');
-    const header = await driver.findElement(By.css('h2'));
-    const headerText = await header.getText();
-    expect(headerText).toBe('Secure Area');
+    const secureAreaPage = await SecureAreaPage.on(baseTest);
+    expect(await secureAreaPage.getHeading()).toBe('Secure Area');
     
     // Take screenshot of dashboard
     await baseTest.driverManager.takeScreenshot('dashboard_loaded.png');
   });
 
   test('should have logout functionality', async () => {
-    const driver = baseTest.driver;
-    
     logger.step('Navigate to secure area first');
-    await baseTest.navigateTo('https://the-internet.herokuapp.com/secure');
+    const secureAreaPage = await SecureAreaPage.open(baseTest);
     
     logger.step('Locate and verify logout button');
-    const logoutButton = await driver.findElement(By.css('a[href="/logout"]'));
-    expect(logoutButton).toBeTruthy();
-    
-    const buttonText = await logoutButton.getText();
+    const buttonText = await secureAreaPage.getLogoutButtonText();
     expect(buttonText).toContain('Logout');
     
     logger.step('Perform logout');
-    await logoutButton.click();
+    const loginPage = await secureAreaPage.logout();
     
     logger.step('Verify logout success');
-    await driver.wait(until.urlContains('/login'), 8000); // Increased timeout from 5000 to 8000
-    
-    const successMessage = await driver.findElement(By.css('.flash.success'));
-    const messageText = await successMessage.getText();
+    const messageText = await loginPage.getFlashMessage('success');
     expect(messageText).toContain('You logged out of the secure area!');
     
+    // Logging out ends the server session the saved state points at
+    authState.invalidate('standard');
+    
     // Take screenshot of logout
     await baseTest.driverManager.takeScreenshot('logout_success.png');
   });
@@ -86,32 +64,20 @@ describe('Dashboard Navigation Tests', () => {
   test('should prevent unauthorized access to secure area', async () => {
     const driver = baseTest.driver;
     
-    logger.step('Clear session by navigating to logout (ensure clean state)');
-    await driver.get('https://the-internet.herokuapp.com/logout');
-    
-    // Wait for redirect to login page after logout
-    await driver.wait(until.urlContains('/login'), 5000);
+    logger.step('Clear cookies and storage (ensure logged-out state)');
+    await baseTest.storage.clearAll();
     
     logger.step('Navigate directly to secure area without login');
-    await driver.get('https://the-internet.herokuapp.com/secure');
-    
-    logger.step('Wait for potential redirect to login page');
-    await driver.wait(until.urlContains('/login'), 5000);
+    await baseTest.navigateTo(SecureAreaPage.url);
     
     logger.step('Verify redirect to login page');
-    const currentUrl = await driver.getCurrentUrl();
-    expect(currentUrl).toContain('/login');
+    await expect(driver).toHaveUrl(/\/login/);
     
     logger.step('Verify unauthorized access error message');
-    const errorMessage = await driver.findElement(By.css('.flash.error'));
-    const messageText = await errorMessage.getText();
+    const loginPage = await LoginPage.on(baseTest);
+    const messageText = await loginPage.getFlashMessage('error');
     expect(messageText).toContain('You must login to view the secure area!');
     
-    logger.step('Verify we are on the login page');
-    const header = await driver.findElement(By.css('h2'));
-    const headerText = await header.getText();
-    expect(headerText).toBe('Login Page');
-    
     // Take screenshot of unauthorized access
     await baseTest.driverManager.takeScreenshot('unauthorized_access.png');
   });
@@ -0,0 +1,137 @@
+const { By, until } = require('selenium-webdriver');
+const BaseTest = require('../utils/BaseTest');
+const logger = require('../utils/logger');
+
+const locators = {
+  figures: By.css('.figure'),
+  caption: By.css('.figcaption'),
+  columnA: By.css('#column-a'),
+  columnB: By.css('#column-b'),
+  columnAHeader: By.css('#column-a header'),
+  columnBHeader: By.css('#column-b header'),
+  pointerSource: By.css('#pointer-source'),
+  pointerTarget: By.css('#pointer-target'),
+  pointerTargetHeader: By.css('#pointer-target header'),
+  hotSpot: By.css('#hot-spot'),
+  keyInput: By.css('#target'),
+  keyResult: By.css('#result')
+};
+
+// Selected text range of an input
+const SELECTION_SCRIPT = 'return [arguments[0].selectionStart, arguments[0].selectionEnd];';
+
+describe('Element Interactions', () => {
+  let baseTest;
+  let helper;
+
+  beforeAll(async () => {
+    baseTest = new BaseTest();
+    await baseTest.setupSuite();
+    helper = baseTest.elementHelper;
+  });
+
+  afterAll(async () => {
+    if (baseTest) {
+      await baseTest.teardownSuite();
+    }
+  });
+
+  test('hover shows the caption of the hovered figure only', async () => {
+    await baseTest.navigateTo('hovers');
+    const [first, second] = await baseTest.driver.findElements(locators.figures);
+    const firstCaption = await first.findElement(locators.caption);
+    const secondCaption = await second.findElement(locators.caption);
+    await expect(firstCaption).not.toBeVisible();
+
+    await helper.hover(first);
+    await expect(firstCaption).toBeVisible();
+    await expect(firstCaption).toHaveText(/name: user1/);
+    await expect(secondCaption).not.toBeVisible();
+
+    logger.step('Move to the second figure');
+    await helper.hover(second);
+    await expect(secondCaption).toHaveText(/name: user2/);
+    await expect(firstCaption).not.toBeVisible();
+  });
+
+  test('dragAndDrop swaps HTML5 draggable columns through the drag event fallback', async () => {
+    await baseTest.navigateTo('drag_and_drop');
+
+    await helper.dragAndDrop(locators.columnA, locators.columnB);
+    await expect(locators.columnAHeader).toHaveText('B');
+    await expect(locators.columnBHeader).toHaveText('A');
+
+    logger.step('Drag back');
+    await helper.dragAndDrop(locators.columnB, locators.columnA, { html5: true });
+    await expect(locators.columnAHeader).toHaveText('A');
+  });
+
+  test('dragAndDrop moves the mouse with the Actions API for mouse-event drags', async () => {
+    await baseTest.navigateTo('drag_and_drop');
+
+    await helper.dragAndDrop(locators.pointerSource, locators.pointerTarget);
+    await expect(locators.pointerTargetHeader).toHaveText('Dropped');
+    // The HTML5 columns were left alone
+    await expect(locators.columnAHeader).toHaveText('A');
+  });
+
+  test('rightClick opens the context menu handler', async () => {
+    const driver = baseTest.driver;
+    await baseTest.navigateTo('context_menu');
+
+    await helper.rightClick(locators.hotSpot);
+    const alert = await driver.wait(until.alertIsPresent(), baseTest.config.timeouts.element);
+    expect(await alert.getText()).toBe('You selected a context menu');
+    await alert.accept();
+  });
+
+  test('pressShortcut sends Mod+A to the focused field', async () => {
+    const driver = baseTest.driver;
+    await baseTest.navigateTo('key_presses');
+    const input = await helper.findElement(locators.keyInput);
+    await input.sendKeys('hello world');
+
+    await helper.pressShortcut('Mod+A', locators.keyInput);
+    await expect(locators.keyResult).toHaveText('You entered: A');
+    expect(await driver.executeScript(SELECTION_SCRIPT, input)).toEqual([0, 'hello world'.length]);
+    // Modifiers were released: typing replaces the selection instead of sending more shortcuts
+    await input.sendKeys('x');
+    await expect(locators.keyInput).toHaveValue('x');
+  });
+
+  test('pressShortcut understands key aliases and Key names', async () => {
+    await baseTest.navigateTo('key_presses');
+
+    await helper.pressShortcut('Esc', locators.keyInput);
+    await expect(locators.keyResult).toHaveText('You entered: ESCAPE');
+
+    await helper.pressShortcut('backspace', locators.keyInput);
+    await expect(locators.keyResult).toHaveText('You entered: BACKSPACE');
+
+    await helper.pressShortcut('ArrowLeft', locators.keyInput);
+    await expect(locators.keyResult).toHaveText('You entered: LEFT');
+
+    await helper.pressShortcut('Shift+Tab', locators.keyInput);
+    await expect(locators.keyResult).toHaveText('You entered: TAB');
+  });
+
+  test('pressShortcut rejects unknown keys before pressing anything', async () => {
+    await baseTest.navigateTo('key_presses');
+
+    await expect(helper.pressShortcut('Ctrl+Foo', locators.keyInput)).rejects.toThrow('Unknown key "Foo" in shortcut "Ctrl+Foo"');
+    await expect(helper.pressShortcut('Ctrl++', locators.keyInput)).rejects.toThrow('Invalid shortcut "Ctrl++"');
+    await expect(locators.keyResult).toHaveText('');
+  });
+
+  test('doubleClick selects the word under the pointer', async () => {
+    const driver = baseTest.driver;
+    await baseTest.navigateTo('key_presses');
+    const input = await helper.findElement(locators.keyInput);
+    // One word wider than the field, so the click in its middle lands on the word
+    const word = 'selenium'.repeat(8);
+    await input.sendKeys(word);
+
+    await helper.doubleClick(input);
+    expect(await driver.executeScript(SELECTION_SCRIPT, input)).toEqual([0, word.length]);
+  });
+});
@@ -0,0 +1,139 @@
+const path = require('path');
+const { By } = require('selenium-webdriver');
+const BaseTest = require('../utils/BaseTest');
+const logger = require('../utils/logger');
+
+const AVATAR = path.join(__dirname, '..', 'fixtures', 'files', 'avatar.png');
+const PASSWORD = 'Sup3r-secret!';
+
+const locators = {
+  username: By.id('reg-username'),
+  email: By.id('reg-email'),
+  password: By.id('reg-password'),
+  country: By.id('reg-country'),
+  plan: By.name('plan'),
+  birthday: By.id('reg-birthday'),
+  bio: By.id('reg-bio'),
+  avatar: By.id('reg-avatar'),
+  terms: By.id('reg-terms'),
+  submit: By.css('#register button[type="submit"]'),
+  flashSuccess: By.css('.flash.success'),
+  summary: (field) => By.id(`summary-${field}`)
+};
+
+/**
+ * Every field of the form, with the country picked as given
+ */
+const registrationFields = (country) => [
+  { name: 'username', locator: locators.username, value: 'newuser' },
+  { name: 'email', locator: locators.email, value: 'newuser@example.com' },
+  { name: 'password', locator: locators.password, value: PASSWORD },
+  { name: 'country', locator: locators.country, type: 'select', ...country },
+  { name: 'plan', locator: locators.plan, type: 'radio', value: 'pro' },
+  { name: 'birthday', locator: locators.birthday, type: 'date', value: '1990-05-17' },
+  { name: 'bio', locator: locators.bio, type: 'contenteditable', value: 'QA engineer' },
+  { name: 'avatar', locator: locators.avatar, type: 'file', value: AVATAR },
+  { name: 'terms', locator: locators.terms, type: 'checkbox', value: true }
+];
+
+describe('Registration Form', () => {
+  let baseTest;
+
+  beforeAll(async () => {
+    baseTest = new BaseTest();
+    await baseTest.setupSuite();
+  });
+
+  afterAll(async () => {
+    if (baseTest) {
+      await baseTest.teardownSuite();
+    }
+  });
+
+  beforeEach(async () => {
+    await baseTest.navigateTo('register');
+  });
+
+  const submit = async () => {
+    logger.step('Submit the registration');
+    await baseTest.elementHelper.clickElement(locators.submit);
+    await expect(locators.flashSuccess).toHaveText(/Welcome, newuser! Your account was created\./);
+  };
+
+  test('fills every field type and the server receives each value', async () => {
+    const values = await baseTest.forms.fill(registrationFields({ value: 'Germany' }));
+
+    expect(values).toEqual({
+      username: 'newuser',
+      email: 'newuser@example.com',
+      password: PASSWORD,
+      country: 'Germany',
+      plan: 'pro',
+      birthday: '1990-05-17',
+      bio: 'QA engineer',
+      avatar: ['avatar.png'],
+      terms: true
+    });
+
+    await submit();
+    await expect(locators.summary('username')).toHaveText('newuser');
+    await expect(locators.summary('email')).toHaveText('newuser@example.com');
+    await expect(locators.summary('country')).toHaveText('Germany');
+    await expect(locators.summary('plan')).toHaveText('pro');
+    await expect(locators.summary('birthday')).toHaveText('1990-05-17');
+    await expect(locators.summary('bio')).toHaveText('QA engineer');
+    await expect(locators.summary('avatar')).toHaveText('avatar.png');
+  });
+
+  test('selects an option by its value attribute', async () => {
+    const values = await baseTest.forms.fill(registrationFields({ value: 'fr', by: 'value' }));
+    expect(values.country).toBe('fr');
+
+    await submit();
+    await expect(locators.summary('country')).toHaveText('France');
+  });
+
+  test('selects an option by its index', async () => {
+    // Index 0 is the "Choose a country" placeholder
+    const values = await baseTest.forms.fill(registrationFields({ value: 3, by: 'index' }));
+    expect(values.country).toBe(3);
+
+    await submit();
+    await expect(locators.summary('country')).toHaveText('United Kingdom');
+  });
+
+  test('takes a Date for a date field and unchecks a checkbox', async () => {
+    const values = await baseTest.forms.fill([
+      { name: 'birthday', locator: locators.birthday, type: 'date', value: new Date(1990, 4, 17) },
+      { name: 'terms', locator: locators.terms, type: 'checkbox', value: true },
+      { name: 'terms', locator: locators.terms, type: 'checkbox', value: false }
+    ]);
+
+    expect(values).toEqual({ birthday: '1990-05-17', terms: false });
+  });
+
+  test('fails a value that does not read back, with the secret masked', async () => {
+    logger.step('Cap the password field at 4 characters');
+    await baseTest.driver.executeScript('arguments[0].maxLength = 4;', await baseTest.elementHelper.findElement(locators.password));
+
+    const error = await baseTest.forms.fill([
+      { name: 'username', locator: locators.username, value: 'newuser' },
+      { name: 'password', locator: locators.password, value: PASSWORD }
+    ]).catch(caught => caught);
+
+    expect(error.message).toBe('Form field "password": expected ••••••, but it reads back •••••• (secret values masked)');
+    expect(error.message).not.toContain(PASSWORD);
+    expect(error.message).not.toContain(PASSWORD.slice(0, 4));
+  });
+
+  test('reports a value that does not read back on a plain field', async () => {
+    await baseTest.driver.executeScript('arguments[0].maxLength = 3;', await baseTest.elementHelper.findElement(locators.username));
+
+    await expect(baseTest.forms.fillField({ name: 'username', locator: locators.username, value: 'newuser' }))
+      .rejects.toThrow('Form field "username": expected "newuser", but it reads back "new"');
+
+    logger.step('verify: false accepts the truncated value');
+    await expect(baseTest.forms.fillField({ name: 'username', locator: locators.username, value: 'newuser', verify: false }))
+      .resolves.toBe('new');
+  });
+});
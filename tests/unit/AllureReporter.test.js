@@ -0,0 +1,219 @@
+/**
+ * AllureReporter: Jest results joined with the test records become Allure result files,
+ * with statuses, labels, retries, steps and attachments
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('../../utils/testRecords', () => ({
+  ...jest.requireActual('../../utils/testRecords'),
+  readTestRecords: () => mockRecords
+}));
+
+let mockRecords = new Map();
+
+const AllureReporter = require('../../reporters/AllureReporter');
+const { recordId } = require('../../utils/testRecords');
+
+const TEST_FILE = path.join(__dirname, '..', 'checkout.test.js');
+const START = Date.UTC(2026, 0, 1);
+
+const assertion = (title, overrides = {}) => ({
+  ancestorTitles: ['Checkout', 'Payment'],
+  title,
+  fullName: `Checkout Payment ${title}`,
+  status: 'passed',
+  duration: 120,
+  failureMessages: [],
+  failureDetails: [],
+  ...overrides
+});
+
+const record = (title, fields) => [recordId(TEST_FILE, `Checkout Payment ${title}`), { name: `Checkout Payment ${title}`, ...fields }];
+
+describe('AllureReporter', () => {
+  let dir;
+  let resultsDir;
+  let log;
+
+  /**
+   * Run the reporter over one test file and return its result files, oldest first
+   */
+  const report = (assertions, records = []) => {
+    mockRecords = new Map(records);
+    const reporter = new AllureReporter({}, { resultsDir });
+    reporter.onRunStart();
+    reporter.onRunComplete(new Set(), { startTime: START, testResults: [{ testFilePath: TEST_FILE, testResults: assertions }] });
+
+    return fs.readdirSync(resultsDir)
+      .filter(file => file.endsWith('-result.json'))
+      .map(file => JSON.parse(fs.readFileSync(path.join(resultsDir, file), 'utf8')))
+      .sort((a, b) => a.start - b.start);
+  };
+
+  const label = (result, name) => result.labels.filter(entry => entry.name === name).map(entry => entry.value);
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'allure-'));
+    resultsDir = path.join(dir, 'allure-results');
+    log = jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    log.mockRestore();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes a passed result with suites, tags, severity and parameters', () => {
+    const [result] = report([assertion('pays by card @critical @smoke')], [
+      record('pays by card @critical @smoke', { browser: 'firefox', startedAt: START + 1000, logs: [] })
+    ]);
+
+    expect(result).toMatchObject({
+      name: 'pays by card @critical @smoke',
+      fullName: 'tests/checkout.test.js#Checkout Payment pays by card @critical @smoke',
+      status: 'passed',
+      stage: 'finished',
+      start: START + 1000,
+      stop: START + 1120
+    });
+    expect(label(result, 'parentSuite')).toEqual(['tests/checkout.test.js']);
+    expect(label(result, 'suite')).toEqual(['Checkout']);
+    expect(label(result, 'subSuite')).toEqual(['Payment']);
+    expect(label(result, 'severity')).toEqual(['critical']);
+    expect(label(result, 'tag')).toEqual(['smoke']);
+    expect(label(result, 'browser')).toEqual(['firefox']);
+    expect(result.parameters).toEqual([
+      { name: 'browser', value: 'firefox' },
+      { name: 'profile', value: expect.any(String) }
+    ]);
+    expect(fs.readFileSync(path.join(resultsDir, 'environment.properties'), 'utf8')).toContain(`node=${process.version}`);
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('(1 tests)'));
+  });
+
+  test('tells assertion failures (failed) from errors (broken), without ANSI colors', () => {
+    const results = report([
+      assertion('totals match', {
+        status: 'failed',
+        failureMessages: ['\u001b[31mexpect(received).toBe(expected)\u001b[39m\n    at Object.<anonymous> (checkout.test.js:10:5)'],
+        failureDetails: [{ matcherResult: { pass: false } }]
+      }),
+      assertion('loads the page', {
+        status: 'failed',
+        duration: 200,
+        failureMessages: ['TimeoutError: Waiting for element\n    at ElementHelper.findElement'],
+        failureDetails: [{}]
+      })
+    ]);
+    const failed = results.find(result => result.name === 'totals match');
+    const broken = results.find(result => result.name === 'loads the page');
+
+    expect(failed).toMatchObject({
+      status: 'failed',
+      statusDetails: {
+        message: 'expect(received).toBe(expected)',
+        trace: 'expect(received).toBe(expected)\n    at Object.<anonymous> (checkout.test.js:10:5)'
+      }
+    });
+    expect(broken).toMatchObject({ status: 'broken', statusDetails: { message: 'TimeoutError: Waiting for element' } });
+  });
+
+  test('writes earlier attempts as failed retries of the same test and marks the pass flaky', () => {
+    const results = report([assertion('pays by invoice', { invocations: 2 })], [
+      record('pays by invoice', {
+        attempt: 2,
+        startedAt: START + 5000,
+        previousAttempts: [{ attempt: 1, startedAt: START + 1000, error: { message: 'Payment iframe missing', stack: 'Error: Payment iframe missing' } }]
+      })
+    ]);
+
+    expect(results).toHaveLength(2);
+    const [retry, final] = results;
+    expect(retry).toMatchObject({
+      status: 'failed',
+      statusDetails: { message: 'Payment iframe missing' },
+      start: START + 1000,
+      stop: START + 5000
+    });
+    expect(retry.parameters).toContainEqual({ name: 'attempt', value: '1', excluded: true });
+    expect(final).toMatchObject({ status: 'passed', statusDetails: { flaky: true } });
+    expect(retry.historyId).toBe(final.historyId);
+  });
+
+  test('keeps a quarantined failure failed, but muted and tagged', () => {
+    const [result] = report([
+      assertion('pays by voucher', { status: 'failed', failureMessages: ['Error: voucher rejected'], failureDetails: [{ matcherResult: {} }] })
+    ], [
+      record('pays by voucher', { quarantine: { reason: 'Voucher service flaky', ticket: 'QA-9' }, outcome: 'failed' })
+    ]);
+
+    expect(result.status).toBe('failed');
+    expect(result.statusDetails).toMatchObject({ message: 'Error: voucher rejected', muted: true });
+    expect(label(result, 'tag')).toContain('quarantined');
+  });
+
+  test('reports a test deselected by tags as skipped with the reason', () => {
+    const [result] = report([assertion('pays in Firefox @firefox-only', { status: 'pending' })], [
+      record('pays in Firefox @firefox-only', { skipReason: '@firefox-only test skipped on chrome' })
+    ]);
+
+    expect(result).toMatchObject({ status: 'skipped', statusDetails: { message: '@firefox-only test skipped on chrome' } });
+  });
+
+  test('turns steps, screenshots, failure artifacts and logs into attachments', () => {
+    const write = (name, content) => {
+      const file = path.join(dir, name);
+      fs.writeFileSync(file, content);
+      return file;
+    };
+    const stepShot = write('step.png', 'png');
+    const failureShot = write('failure.png', 'png');
+    write('page-source.html', '<html></html>');
+
+    const [result] = report([assertion('pays by card', { status: 'failed', failureMessages: ['Error: declined'] })], [
+      record('pays by card', {
+        steps: [{
+          name: 'Pay',
+          status: 'failed',
+          error: { message: 'declined', stack: 'Error: declined' },
+          startedAt: START,
+          endedAt: START + 50,
+          screenshot: stepShot,
+          steps: [{ name: 'Enter card', status: 'passed', error: null, startedAt: START, endedAt: START + 10, steps: [] }]
+        }],
+        screenshots: [stepShot, failureShot, path.join(dir, 'deleted.png')],
+        artifacts: [{ dir, manifest: { files: [{ type: 'page-source', path: 'page-source.html', contentType: 'text/html' }] } }],
+        logs: [{ timestamp: '2026-01-01 00:00:00', level: 'info', message: 'Paying', meta: { workerId: '3' } }]
+      })
+    ]);
+
+    expect(result.steps).toEqual([expect.objectContaining({
+      name: 'Pay',
+      status: 'failed',
+      statusDetails: { message: 'declined', trace: 'Error: declined' },
+      attachments: [expect.objectContaining({ name: 'after: Pay', type: 'image/png' })],
+      steps: [expect.objectContaining({ name: 'Enter card', status: 'passed', start: START, stop: START + 10 })]
+    })]);
+    expect(result.attachments.map(({ name, type }) => [name, type])).toEqual([
+      ['failure.png', 'image/png'],
+      ['failure: page-source.html', 'text/html'],
+      ['test log', 'text/plain']
+    ]);
+    const logFile = result.attachments.find(attachment => attachment.name === 'test log').source;
+    expect(fs.readFileSync(path.join(resultsDir, logFile), 'utf8')).toBe('2026-01-01 00:00:00 [info] Paying');
+    expect(label(result, 'thread')).toEqual(['worker-3']);
+  });
+
+  test('empties the results dir at the start of the run unless clean is off', () => {
+    fs.mkdirSync(resultsDir, { recursive: true });
+    const stale = path.join(resultsDir, 'stale-result.json');
+
+    fs.writeFileSync(stale, '{}');
+    new AllureReporter({}, { resultsDir, clean: false }).onRunStart();
+    expect(fs.existsSync(stale)).toBe(true);
+
+    new AllureReporter({}, { resultsDir }).onRunStart();
+    expect(fs.existsSync(resultsDir)).toBe(false);
+  });
+});
@@ -0,0 +1,133 @@
+/**
+ * ArtifactCollector failure bundles against a fake driver: the files written, manifest.json,
+ * and captures that fail without stopping the others
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ArtifactCollector = require('../../utils/ArtifactCollector');
+
+const PNG = Buffer.from('fake png');
+
+/**
+ * Driver answering every call ArtifactCollector makes; overrides replace single calls
+ */
+const createDriver = (overrides = {}) => ({
+  takeScreenshot: async () => PNG.toString('base64'),
+  getPageSource: async () => '<html><body>Dashboard</body></html>',
+  getCurrentUrl: async () => 'http://localhost:3000/dashboard',
+  getTitle: async () => 'Dashboard',
+  executeScript: async () => ({ localStorage: { token: 'jwt' }, sessionStorage: {} }),
+  getSession: async () => ({ getId: () => 'session-1' }),
+  manage: () => ({
+    window: () => ({ getRect: async () => ({ x: 0, y: 0, width: 1280, height: 720 }) }),
+    getCookies: async () => [{ name: 'session', value: 'abc' }],
+    logs: () => ({
+      get: async () => [{ level: { name: 'SEVERE' }, message: 'boom', timestamp: Date.UTC(2026, 0, 1) }]
+    })
+  }),
+  ...overrides
+});
+
+describe('ArtifactCollector.collectFailure', () => {
+  let dir;
+
+  const createCollector = (driver) => new ArtifactCollector(
+    { driver, browser: 'chrome' },
+    { profile: 'local', artifacts: { dir } }
+  );
+
+  const read = (bundle, file) => fs.readFileSync(path.join(bundle.dir, file), 'utf8');
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'artifacts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('writes every capture and a manifest listing them', async () => {
+    const error = new Error('Expected the welcome banner');
+    const har = { log: { version: '1.2', entries: [] } };
+
+    const bundle = await createCollector(createDriver()).collectFailure('Dashboard shows the banner', error, { har });
+
+    expect(path.basename(bundle.dir)).toMatch(/^Dashboard_shows_the_banner-\d{4}-/);
+    expect(bundle.manifest).toEqual({
+      test: 'Dashboard shows the banner',
+      status: 'failed',
+      attempt: 1,
+      createdAt: expect.any(String),
+      browser: 'chrome',
+      profile: 'local',
+      sessionId: 'session-1',
+      url: 'http://localhost:3000/dashboard',
+      title: 'Dashboard',
+      error: { message: 'Expected the welcome banner', stack: error.stack },
+      files: [
+        { type: 'screenshot', path: 'screenshot.png', contentType: 'image/png' },
+        { type: 'page-source', path: 'page-source.html', contentType: 'text/html' },
+        { type: 'page', path: 'page.json', contentType: 'application/json' },
+        { type: 'cookies', path: 'cookies.json', contentType: 'application/json' },
+        { type: 'storage', path: 'storage.json', contentType: 'application/json' },
+        { type: 'console', path: 'console.json', contentType: 'application/json' },
+        { type: 'har', path: 'network.har', contentType: 'application/json' },
+        { type: 'error', path: 'error.txt', contentType: 'text/plain' }
+      ],
+      collectionErrors: []
+    });
+    expect(JSON.parse(read(bundle, 'manifest.json'))).toEqual(bundle.manifest);
+    expect(bundle.manifestPath).toBe(path.join(bundle.dir, 'manifest.json'));
+
+    expect(fs.readFileSync(path.join(bundle.dir, 'screenshot.png'))).toEqual(PNG);
+    expect(JSON.parse(read(bundle, 'page.json'))).toEqual({
+      url: 'http://localhost:3000/dashboard',
+      title: 'Dashboard',
+      windowSize: { width: 1280, height: 720 }
+    });
+    expect(JSON.parse(read(bundle, 'console.json'))).toEqual([
+      { level: 'SEVERE', message: 'boom', timestamp: '2026-01-01T00:00:00.000Z' }
+    ]);
+    expect(JSON.parse(read(bundle, 'network.har'))).toEqual(har);
+    expect(read(bundle, 'error.txt')).toBe(error.stack);
+  });
+
+  test('prefers the collected console entries over the logging API', async () => {
+    const consoleEntries = [{ level: 'error', text: 'Uncaught TypeError' }];
+
+    const bundle = await createCollector(createDriver()).collectFailure('Console', null, { consoleEntries });
+
+    expect(JSON.parse(read(bundle, 'console.json'))).toEqual(consoleEntries);
+    expect(bundle.manifest.files.map(file => file.type)).not.toContain('error');
+  });
+
+  test('records a failing capture and still collects the rest', async () => {
+    const driver = createDriver({
+      takeScreenshot: async () => {
+        throw new Error('no such window');
+      },
+      getSession: async () => {
+        throw new Error('session deleted');
+      }
+    });
+
+    const bundle = await createCollector(driver).collectFailure('Broken window', new Error('boom'));
+
+    expect(bundle.manifest.collectionErrors).toEqual([{ type: 'screenshot', message: 'no such window' }]);
+    expect(bundle.manifest.files.map(file => file.type)).toEqual(['page-source', 'page', 'cookies', 'storage', 'console', 'error']);
+    expect(bundle.manifest.sessionId).toBeNull();
+    expect(fs.existsSync(path.join(bundle.dir, 'screenshot.png'))).toBe(false);
+  });
+
+  test('without a driver, keeps the error and HAR with an unknown page', async () => {
+    const bundle = await createCollector(null).collectFailure('No browser', new Error('setup failed'), {
+      har: { log: { entries: [] } },
+      attempt: 2
+    });
+
+    expect(path.basename(bundle.dir)).toMatch(/^No_browser-attempt2-/);
+    expect(bundle.manifest).toMatchObject({ attempt: 2, url: 'unknown', title: 'unknown', sessionId: null });
+    expect(bundle.manifest.files.map(file => file.path)).toEqual(['network.har', 'error.txt']);
+  });
+});
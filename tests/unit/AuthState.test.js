@@ -0,0 +1,21 @@
+/**
+ * AuthState.statePath: saved logins live under the project root, whatever the working directory
+ */
+const path = require('path');
+const AuthState = require('../../utils/AuthState');
+const { loadConfig } = require('../../utils/config');
+
+describe('AuthState.statePath', () => {
+  const cwd = process.cwd();
+
+  afterEach(() => {
+    process.chdir(cwd);
+  });
+
+  test('resolves auth.dir against the project root, per profile and role', () => {
+    const authState = new AuthState({ driver: {}, config: loadConfig({ profile: 'staging', env: {} }) });
+    process.chdir(path.join(__dirname, '..'));
+
+    expect(authState.statePath('admin')).toBe(path.join(__dirname, '..', '..', '.auth', 'staging-admin.json'));
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * BaseTest.step() without a browser: the step tree, statuses, and steps running concurrently
+ */
+const BaseTest = require('../../utils/BaseTest');
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Step tree reduced to names, statuses and children
+ */
+const shape = (steps) => steps.map(step => [step.name, step.status, shape(step.steps)]);
+
+describe('BaseTest.step', () => {
+  let baseTest;
+
+  beforeEach(() => {
+    baseTest = new BaseTest();
+  });
+
+  test('nests steps and returns the body result', async () => {
+    const total = await baseTest.step('Checkout', async () => {
+      await baseTest.step('Add item', async () => {});
+      return baseTest.step('Pay', async () => 42);
+    });
+
+    expect(total).toBe(42);
+    expect(shape(baseTest.steps)).toEqual([
+      ['Checkout', 'passed', [['Add item', 'passed', []], ['Pay', 'passed', []]]]
+    ]);
+    expect(baseTest.openSteps).toEqual([]);
+    expect(baseTest.steps[0].duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('a failing step fails every enclosing step with its error and rethrows it', async () => {
+    const failure = new Error('card declined');
+    await expect(baseTest.step('Checkout', async () => {
+      await baseTest.step('Add item', async () => {});
+      await baseTest.step('Pay', async () => {
+        throw failure;
+      });
+    })).rejects.toBe(failure);
+
+    expect(shape(baseTest.steps)).toEqual([
+      ['Checkout', 'failed', [['Add item', 'passed', []], ['Pay', 'failed', []]]]
+    ]);
+    expect(baseTest.steps[0].steps[1].error).toEqual({ message: 'card declined', stack: failure.stack });
+    expect(baseTest.steps[0].steps[0].error).toBeNull();
+  });
+
+  test('concurrent steps become siblings, whatever order they finish in', async () => {
+    await baseTest.step('Load dashboard', () => Promise.all([
+      baseTest.step('Widgets', async () => {
+        await sleep(20);
+        await baseTest.step('Chart', () => sleep(1));
+      }),
+      baseTest.step('Notifications', () => sleep(5))
+    ]));
+    await baseTest.step('Log out', async () => {});
+
+    expect(shape(baseTest.steps)).toEqual([
+      ['Load dashboard', 'passed', [
+        ['Widgets', 'passed', [['Chart', 'passed', []]]],
+        ['Notifications', 'passed', []]
+      ]],
+      ['Log out', 'passed', []]
+    ]);
+    expect(baseTest.openSteps).toEqual([]);
+  });
+
+  test('steps still open at teardown are marked interrupted and not finished later', async () => {
+    let release;
+    const running = baseTest.step('Outer', () => baseTest.step('Slow', () => new Promise(resolve => {
+      release = resolve;
+    })));
+    await sleep(0);
+
+    baseTest._interruptOpenSteps();
+    release();
+    await running;
+
+    expect(shape(baseTest.steps)).toEqual([['Outer', 'interrupted', [['Slow', 'interrupted', []]]]]);
+  });
+});
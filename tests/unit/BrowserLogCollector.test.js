@@ -0,0 +1,140 @@
+/**
+ * Browser console capture without a browser: entries from Chrome's logging API and from BiDi
+ * events, and the fail-on-error policy with its allowlist
+ */
+const BrowserLogCollector = require('../../utils/BrowserLogCollector');
+const BaseTest = require('../../utils/BaseTest');
+const { loadConfig } = require('../../utils/config');
+
+const config = loadConfig({ profile: 'local', env: {} });
+
+/**
+ * Driver without BiDi whose logging API hands out each batch once, like Chrome's
+ */
+const createDriver = (...batches) => ({
+  getCapabilities: async () => new Map(),
+  manage: () => ({
+    logs: () => ({
+      get: async () => batches.shift() || []
+    })
+  })
+});
+
+const chromeEntry = (level, message) => ({ level: { name: level }, message, timestamp: Date.UTC(2026, 0, 1) });
+
+describe('BrowserLogCollector', () => {
+  test('reads Chrome\'s logging API without BiDi, telling uncaught exceptions from console calls', async () => {
+    const collector = new BrowserLogCollector(createDriver([
+      chromeEntry('SEVERE', 'http://localhost:3000/app.js 12:7 Uncaught TypeError: x is undefined'),
+      chromeEntry('WARNING', 'console-api 3:1 "deprecated"'),
+      chromeEntry('FINE', 'verbose')
+    ]), 'chrome');
+    await collector.start();
+
+    expect(collector.mode).toBe('logging-prefs');
+    expect(await collector.entriesSince(0)).toEqual([
+      {
+        source: 'exception',
+        level: 'error',
+        message: 'http://localhost:3000/app.js 12:7 Uncaught TypeError: x is undefined',
+        url: null,
+        timestamp: '2026-01-01T00:00:00.000Z'
+      },
+      expect.objectContaining({ source: 'console', level: 'warn' }),
+      expect.objectContaining({ source: 'console', level: 'debug' })
+    ]);
+  });
+
+  test('entriesSince() only returns what came after mark()', async () => {
+    const collector = new BrowserLogCollector(createDriver(
+      [chromeEntry('INFO', 'from the previous test')],
+      [chromeEntry('SEVERE', 'from this test')]
+    ), 'chrome');
+    await collector.start();
+
+    const mark = await collector.mark();
+
+    expect((await collector.entriesSince(mark)).map(entry => entry.message)).toEqual(['from this test']);
+  });
+
+  test('turns BiDi console entries and exceptions into the same shape', () => {
+    const collector = new BrowserLogCollector(null, 'firefox');
+    collector._addBidiEntry('console', { level: 'warn', text: 'slow image', timeStamp: Date.UTC(2026, 0, 1) });
+    collector._addBidiEntry('exception', {
+      level: 'error',
+      text: 'ReferenceError: foo is not defined',
+      timeStamp: Date.UTC(2026, 0, 1),
+      stackTrace: { callFrames: [{ url: 'http://localhost:3000/dashboard.js' }] }
+    });
+
+    expect(collector.entries).toEqual([
+      { source: 'console', level: 'warn', message: 'slow image', url: null, timestamp: '2026-01-01T00:00:00.000Z' },
+      {
+        source: 'exception',
+        level: 'error',
+        message: 'ReferenceError: foo is not defined',
+        url: 'http://localhost:3000/dashboard.js',
+        timestamp: '2026-01-01T00:00:00.000Z'
+      }
+    ]);
+  });
+
+  test('captures nothing for Firefox without BiDi', async () => {
+    const collector = new BrowserLogCollector(createDriver([chromeEntry('SEVERE', 'unseen')]), 'firefox');
+    await collector.start();
+
+    expect(collector.mode).toBe('none');
+    expect(await collector.entriesSince(0)).toEqual([]);
+  });
+});
+
+describe('BaseTest console policy', () => {
+  const entry = (source, level, message, url = null) => ({ source, level, message, url, timestamp: '2026-01-01T00:00:00.000Z' });
+  const entries = [
+    entry('console', 'warn', 'deprecated API'),
+    entry('console', 'error', 'GET http://localhost:3000/favicon.ico 404 (Not Found)'),
+    entry('console', 'error', 'Failed to load widget'),
+    entry('exception', 'error', 'TypeError: x is undefined', 'http://localhost:3000/app.js'),
+    entry('exception', 'error', 'Script error.', 'https://ads.example.com/tag.js')
+  ];
+
+  const createBaseTest = (failOnError) => new BaseTest({ ...config, console: { ...config.console, failOnError } });
+
+  test('is off unless failOnError is set', () => {
+    expect(createBaseTest(false)._checkConsolePolicy(entries)).toBeNull();
+  });
+
+  test('fails on console errors and uncaught exceptions the allowlist does not cover', () => {
+    const error = createBaseTest(true)._checkConsolePolicy(entries);
+
+    expect(error.message).toBe([
+      'Browser reported 3 console error(s) / uncaught exception(s):',
+      '  - [console] Failed to load widget',
+      '  - [exception] TypeError: x is undefined',
+      '  - [exception] Script error.'
+    ].join('\n'));
+  });
+
+  test('suite allowlist patterns match the message or the script URL', () => {
+    const baseTest = createBaseTest(true);
+    baseTest.setConsolePolicy({ allowlist: ['^Failed to load widget$', /ads\.example\.com/] });
+
+    const error = baseTest._checkConsolePolicy(entries);
+
+    expect(error.message).toBe('Browser reported 1 console error(s) / uncaught exception(s):\n  - [exception] TypeError: x is undefined');
+    expect(baseTest.consolePolicy.allowlist).toEqual(['favicon\\.ico', '^Failed to load widget$', /ads\.example\.com/]);
+  });
+
+  test('a suite can turn the policy on or off', () => {
+    const baseTest = createBaseTest(false);
+    baseTest.setConsolePolicy({ failOnError: true });
+    expect(baseTest._checkConsolePolicy([entry('console', 'error', 'boom')])).toBeInstanceOf(Error);
+
+    baseTest.setConsolePolicy({ failOnError: false });
+    expect(baseTest._checkConsolePolicy([entry('console', 'error', 'boom')])).toBeNull();
+  });
+
+  test('warnings never fail a test', () => {
+    expect(createBaseTest(true)._checkConsolePolicy([entry('console', 'warn', 'deprecated API')])).toBeNull();
+  });
+});
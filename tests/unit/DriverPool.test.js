@@ -0,0 +1,379 @@
+/**
+ * DriverPool and the worker's pool store without a browser: WebDriverManager is a fake whose
+ * sessions are plain objects, so acquire/release, retirement, health checks and the suite
+ * isolation modes can be followed session by session
+ */
+jest.mock('../../utils/setup', () => class FakeWebDriverManager {
+  static instances = [];
+  static drivers = new Map();
+  static nextSession = 1;
+
+  constructor(config) {
+    this.config = config;
+    this.browser = config.browser.name;
+    this.driver = null;
+    this.sessionId = null;
+    this.serverUrl = null;
+    this.poolId = null;
+    this.quitCount = 0;
+    FakeWebDriverManager.instances.push(this);
+  }
+
+  async createDriver({ serviceUrl = null } = {}) {
+    this.sessionId = `session-${FakeWebDriverManager.nextSession++}`;
+    this.serverUrl = serviceUrl || this.config.remote.url;
+    this.driver = mockFakeDriver();
+    FakeWebDriverManager.drivers.set(this.sessionId, this.driver);
+    return this.driver;
+  }
+
+  async attach({ serverUrl, sessionId }) {
+    this.serverUrl = serverUrl;
+    this.sessionId = sessionId;
+    this.driver = FakeWebDriverManager.drivers.get(sessionId);
+    return this.driver;
+  }
+
+  async describeSession() {
+    return { serverUrl: this.serverUrl, sessionId: this.sessionId, capabilities: {} };
+  }
+
+  async detach() {
+    this.driver = null;
+    this.sessionId = null;
+  }
+
+  async quit() {
+    this.quitCount++;
+    this.driver = null;
+  }
+});
+
+jest.mock('../../utils/StorageHelper', () => jest.fn().mockImplementation(() => ({ clearAll: mockClearAll })));
+
+const mockClearAll = jest.fn(async () => {});
+
+/**
+ * Session state a real browser would keep: open windows, the focused one and the window size
+ */
+function mockFakeDriver() {
+  const state = { windows: ['main'], current: 'main', rect: null };
+  return {
+    state,
+    getAllWindowHandles: jest.fn(async () => [...state.windows]),
+    switchTo: () => ({
+      alert: () => ({
+        dismiss: async () => {
+          throw new Error('no such alert');
+        }
+      }),
+      window: async (handle) => {
+        state.current = handle;
+      }
+    }),
+    close: async () => {
+      state.windows = state.windows.filter(handle => handle !== state.current);
+    },
+    manage: () => ({
+      window: () => ({
+        setRect: async (rect) => {
+          state.rect = rect;
+        }
+      })
+    })
+  };
+}
+
+const WebDriverManager = require('../../utils/setup');
+const DriverPool = require('../../utils/DriverPool');
+const BaseTest = require('../../utils/BaseTest');
+const { store } = require('../../utils/driverPoolStore');
+const { loadConfig } = require('../../utils/config');
+
+const baseConfig = loadConfig({ profile: 'local', env: {} });
+
+const createConfig = ({ driverPool = {}, remote = {} } = {}) => ({
+  ...baseConfig,
+  driverPool: { ...baseConfig.driverPool, ...driverPool },
+  remote: { ...baseConfig.remote, ...remote },
+  har: { ...baseConfig.har, mode: 'off' }
+});
+
+/**
+ * A pool on this file's own store rather than the worker's (see jest.environment.js)
+ */
+const createPool = (options) => {
+  const pool = new DriverPool(createConfig(options));
+  pool.store = store;
+  return pool;
+};
+
+describe('DriverPool', () => {
+  let services;
+
+  beforeEach(() => {
+    services = [];
+    WebDriverManager.instances = [];
+    jest.spyOn(store, 'startService').mockImplementation(async (browser) => {
+      const url = `http://127.0.0.1:1/${browser}-service-${services.length + 1}`;
+      services.push(url);
+      return { url, browserPath: null };
+    });
+    jest.spyOn(store, 'stopService').mockImplementation(async () => {});
+  });
+
+  afterEach(() => {
+    // Nothing may be left for the store's exit handler to quit
+    for (const driverManager of WebDriverManager.instances) {
+      store.remove(driverManager.poolId);
+    }
+    jest.restoreAllMocks();
+  });
+
+  test('starts a new session on a worker-owned driver service when none is idle', async () => {
+    const pool = createPool();
+
+    const driverManager = await pool.acquire();
+
+    expect(store.startService).toHaveBeenCalledWith('chrome');
+    expect(driverManager.serverUrl).toBe(services[0]);
+    expect(driverManager.poolId).toEqual(expect.any(Number));
+    expect(store.uses(driverManager.poolId)).toBe(0);
+  });
+
+  test('resets a released session and hands it to the next suite', async () => {
+    const pool = createPool();
+    const first = await pool.acquire();
+    const { sessionId, driver } = first;
+    driver.state.windows.push('popup');
+    driver.state.current = 'popup';
+
+    await pool.release(first);
+
+    expect(driver.state.windows).toEqual(['main']);
+    expect(driver.state.current).toBe('main');
+    expect(driver.state.rect).toEqual(baseConfig.browser.windowSize.chrome);
+    expect(mockClearAll).toHaveBeenCalledTimes(1);
+    expect(first.quitCount).toBe(0);
+    expect(store.idleCount(pool.signature)).toBe(1);
+
+    const second = await pool.acquire();
+    expect(second.sessionId).toBe(sessionId);
+    expect(second.poolId).toBe(first.poolId);
+    expect(store.startService).toHaveBeenCalledTimes(1);
+    expect(store.idleCount(pool.signature)).toBe(0);
+  });
+
+  test('only hands a session to suites with the same browser settings', async () => {
+    const pool = createPool();
+    await pool.release(await pool.acquire());
+
+    const otherPool = createPool({ remote: { capabilities: { 'goog:chromeOptions': { args: ['--lang=de'] } } } });
+    await otherPool.acquire();
+
+    expect(store.startService).toHaveBeenCalledTimes(2);
+    expect(store.idleCount(pool.signature)).toBe(1);
+  });
+
+  test('retires a session after maxUses suites', async () => {
+    const pool = createPool({ driverPool: { maxUses: 2 } });
+    const first = await pool.acquire();
+    await pool.release(first);
+
+    const second = await pool.acquire();
+    await pool.release(second);
+
+    expect(second.quitCount).toBe(1);
+    expect(store.uses(first.poolId)).toBe(0);
+    expect(store.idleCount(pool.signature)).toBe(0);
+    expect(store.stopService).toHaveBeenCalledWith(services[0]);
+  });
+
+  test('quits released sessions beyond maxIdle', async () => {
+    const pool = createPool({ driverPool: { maxIdle: 1 } });
+    const first = await pool.acquire();
+    const second = await pool.acquire();
+
+    await pool.release(first);
+    await pool.release(second);
+
+    expect(first.quitCount).toBe(0);
+    expect(second.quitCount).toBe(1);
+    expect(store.idleCount(pool.signature)).toBe(1);
+  });
+
+  test('discards a pooled session that fails the health check and starts a new one', async () => {
+    const pool = createPool();
+    const first = await pool.acquire();
+    const { driver, sessionId } = first;
+    await pool.release(first);
+    driver.getAllWindowHandles.mockRejectedValue(new Error('chrome not reachable'));
+
+    const second = await pool.acquire();
+
+    expect(second.sessionId).not.toBe(sessionId);
+    expect(WebDriverManager.instances[1].quitCount).toBe(1);
+    expect(store.stopService).toHaveBeenCalledWith(services[0]);
+    expect(store.idleCount(pool.signature)).toBe(0);
+  });
+
+  test('discards a pooled session that does not answer within healthCheckTimeout', async () => {
+    const pool = createPool({ driverPool: { healthCheckTimeout: 50 } });
+    const first = await pool.acquire();
+    const { driver, sessionId } = first;
+    await pool.release(first);
+    driver.getAllWindowHandles.mockReturnValue(new Promise(() => {}));
+
+    const second = await pool.acquire();
+
+    expect(second.sessionId).not.toBe(sessionId);
+    await expect(pool.checkHealth({ driver })).rejects.toThrow('session did not respond');
+  });
+
+  test('quits a session without windows instead of parking it', async () => {
+    const pool = createPool();
+    const driverManager = await pool.acquire();
+    driverManager.driver.state.windows = [];
+
+    await pool.release(driverManager);
+
+    expect(driverManager.quitCount).toBe(1);
+    expect(store.idleCount(pool.signature)).toBe(0);
+  });
+
+  test('remote sessions start no driver service', async () => {
+    const pool = createPool({ remote: { url: 'http://grid:4444/wd/hub' } });
+
+    const driverManager = await pool.acquire();
+    await pool.discard(driverManager);
+
+    expect(driverManager.serverUrl).toBe('http://grid:4444/wd/hub');
+    expect(store.startService).not.toHaveBeenCalled();
+    expect(store.stopService).not.toHaveBeenCalled();
+  });
+
+  test('is unavailable without the Selenium test environment', async () => {
+    const pool = createPool();
+    pool.store = null;
+
+    expect(pool.available).toBe(false);
+    await expect(pool.acquire()).rejects.toThrow('DriverPool needs the Selenium test environment');
+  });
+
+  test('local sessions are unavailable when driver services cannot be started', () => {
+    jest.spyOn(store, 'canStartServices').mockReturnValue(false);
+
+    expect(createPool().available).toBe(false);
+    expect(createPool({ remote: { url: 'http://grid:4444/wd/hub' } }).available).toBe(true);
+  });
+
+  describe('suite isolation', () => {
+    /**
+     * BaseTest using this file's pool store
+     */
+    const createBaseTest = () => {
+      const baseTest = new BaseTest(createConfig());
+      baseTest.driverPool.store = store;
+      return baseTest;
+    };
+
+    test('shared-reset takes the browser from the pool and returns it', async () => {
+      const baseTest = createBaseTest();
+      await baseTest.setupSuite({ isolation: 'shared-reset' });
+      const { sessionId } = baseTest.driverManager;
+      await baseTest.teardownSuite();
+
+      const nextSuite = createBaseTest();
+      await nextSuite.setupSuite({ isolation: 'shared-reset' });
+      expect(nextSuite.driverManager.sessionId).toBe(sessionId);
+      await nextSuite.teardownSuite();
+
+      expect(WebDriverManager.instances.every(driverManager => driverManager.quitCount === 0)).toBe(true);
+      expect(store.idleCount(baseTest.driverPool.signature)).toBe(1);
+    });
+
+    test('fresh-per-suite starts its own browser and quits it', async () => {
+      const baseTest = createBaseTest();
+      await baseTest.setupSuite({ isolation: 'fresh-per-suite' });
+      const driverManager = baseTest.driverManager;
+      await baseTest.teardownSuite();
+
+      expect(driverManager.poolId).toBeNull();
+      expect(driverManager.quitCount).toBe(1);
+      expect(store.startService).not.toHaveBeenCalled();
+      expect(store.idleCount(baseTest.driverPool.signature)).toBe(0);
+    });
+
+    test('fresh-per-test starts a new browser before every test after the first', async () => {
+      const baseTest = createBaseTest();
+      await baseTest.setupSuite({ isolation: 'fresh-per-test' });
+      const first = baseTest.driverManager;
+
+      await baseTest.setupTest('first test');
+      expect(baseTest.driverManager).toBe(first);
+
+      await baseTest.setupTest('second test');
+      const second = baseTest.driverManager;
+      expect(second).not.toBe(first);
+      expect(first.quitCount).toBe(1);
+      expect(baseTest.driver).toBe(second.driver);
+
+      await baseTest.teardownSuite();
+      expect(second.quitCount).toBe(1);
+      expect(store.startService).not.toHaveBeenCalled();
+    });
+
+    test('rejects an unknown isolation mode', async () => {
+      await expect(createBaseTest().setupSuite({ isolation: 'shared' }))
+        .rejects.toThrow('Unknown isolation "shared" (expected one of shared-reset, fresh-per-suite, fresh-per-test)');
+    });
+  });
+});
+
+describe('driverPoolStore', () => {
+  test('takes the oldest idle session with the same signature', () => {
+    const entry = (sessionId, signature) => ({ signature, serverUrl: 'http://127.0.0.1:1', sessionId, capabilities: {}, browser: 'chrome' });
+    const first = store.add(entry('a', 'chrome'));
+    const second = store.add(entry('b', 'chrome'));
+    const firefox = store.add(entry('c', 'firefox'));
+    store.park(second);
+    store.park(first);
+    store.park(firefox);
+
+    expect(store.take('chrome')).toMatchObject({ id: first, sessionId: 'a', uses: 1, idle: false });
+    expect(store.take('chrome')).toMatchObject({ id: second, sessionId: 'b' });
+    expect(store.take('chrome')).toBeNull();
+    expect(store.idleCount('firefox')).toBe(1);
+
+    for (const id of [first, second, firefox]) {
+      store.remove(id);
+    }
+  });
+
+  test('keeps a copy of the session data, not the caller\'s objects', () => {
+    const capabilities = { browserName: 'chrome' };
+    const id = store.add({ signature: 'copy', serverUrl: 'http://127.0.0.1:1', sessionId: 'd', capabilities, browser: 'chrome' });
+    capabilities.browserName = 'changed';
+    store.park(id);
+
+    expect(store.take('copy').capabilities).toEqual({ browserName: 'chrome' });
+    store.remove(id);
+  });
+
+  test('counts the suites a session served', () => {
+    const id = store.add({ signature: 'uses', serverUrl: 'http://127.0.0.1:1', sessionId: 'e', capabilities: {}, browser: 'chrome' });
+
+    expect(store.uses(id)).toBe(0);
+    expect(store.park(id)).toBe(1);
+    store.take('uses');
+    expect(store.park(id)).toBe(2);
+
+    store.remove(id);
+    expect(store.uses(id)).toBe(0);
+    expect(store.idleCount('uses')).toBe(0);
+  });
+
+  test('can start driver services with the pinned selenium-webdriver', () => {
+    expect(store.canStartServices()).toBe(true);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * ElementHelper's waits against a fake driver: polling, ignored errors and timeout messages
+ */
+const { By, error: seleniumError } = require('selenium-webdriver');
+const ElementHelper = require('../../utils/ElementHelper');
+const { loadConfig } = require('../../utils/config');
+
+const config = loadConfig({ profile: 'local', env: {} });
+
+const fakeDriver = (findElements) => ({
+  findElements,
+  manage: () => ({
+    getTimeouts: async () => ({ implicit: 0 }),
+    setTimeouts: async () => {}
+  })
+});
+
+const element = (text) => ({ getText: async () => text, isDisplayed: async () => true });
+
+describe('ElementHelper._waitFor', () => {
+  const helper = new ElementHelper(fakeDriver(async () => []), config);
+
+  test('returns the accepted value', async () => {
+    let count = 0;
+    const value = await helper._waitFor('a count of 3', async () => ++count, value => value === 3, { timeout: 1000, interval: 1 }, String);
+    expect(value).toBe(3);
+  });
+
+  test('accepts a timeout in ms as options', async () => {
+    await expect(helper._waitFor('nothing', async () => 'x', () => false, 20, value => `state ${value}`))
+      .rejects.toThrow('Timed out after 20ms waiting for nothing; last state: state x');
+  });
+
+  test('times out with a TimeoutError describing the last state', async () => {
+    const wait = helper._waitFor('the spinner to go', async () => ({ spinning: true }), state => !state.spinning,
+      { timeout: 20, interval: 5 }, state => `spinning: ${state.spinning}`);
+
+    await expect(wait).rejects.toBeInstanceOf(seleniumError.TimeoutError);
+    await expect(wait).rejects.toThrow('Timed out after 20ms waiting for the spinner to go; last state: spinning: true');
+  });
+
+  test('reports the last ignored error as the state', async () => {
+    const probe = async () => {
+      throw new seleniumError.StaleElementReferenceError('element re-rendered');
+    };
+    await expect(helper._waitFor('the row', probe, () => true, { timeout: 20, interval: 5 }, String))
+      .rejects.toThrow('last state: StaleElementReferenceError: element re-rendered');
+  });
+
+  test('errors outside waits.ignoredExceptions end the wait at once', async () => {
+    const crash = new seleniumError.NoSuchWindowError('window closed');
+    await expect(helper._waitFor('the row', async () => {
+      throw crash;
+    }, () => true, { timeout: 5000, interval: 5 }, String)).rejects.toBe(crash);
+  });
+
+  test('a per-call ignore list replaces the configured one', async () => {
+    let calls = 0;
+    const probe = async () => {
+      if (++calls === 1) {
+        throw new seleniumError.NoSuchWindowError('window opening');
+      }
+      return 'open';
+    };
+    const value = await helper._waitFor('the window', probe, state => state === 'open',
+      { timeout: 1000, interval: 1, ignore: ['NoSuchWindowError'] }, String);
+    expect(value).toBe('open');
+  });
+});
+
+describe('ElementHelper.waitForText', () => {
+  test('waits for the element to appear and its text to match', async () => {
+    const pages = [[], [element('Loading')], [element('Saved  successfully')]];
+    let read = 0;
+    const helper = new ElementHelper(fakeDriver(async () => pages[Math.min(read++, pages.length - 1)]), config);
+
+    await expect(helper.waitForText(By.css('.flash'), 'Saved successfully', { timeout: 1000, interval: 1 })).resolves.toBe('Saved  successfully');
+  });
+
+  test('times out showing the last text', async () => {
+    const helper = new ElementHelper(fakeDriver(async () => [element('Loading')]), config);
+    await expect(helper.waitForText(By.css('.flash'), /Saved/, { timeout: 20, interval: 5 }))
+      .rejects.toThrow('waiting for text of By(css selector, .flash) to match /Saved/; last state: "Loading"');
+  });
+
+  test('a missing element is "not yet", reported as such on timeout', async () => {
+    const helper = new ElementHelper(fakeDriver(async () => []), config);
+    await expect(helper.waitForText(By.css('.flash'), 'Saved', 20))
+      .rejects.toThrow('last state: NoSuchElementError: By(css selector, .flash) is not in the DOM');
+  });
+});
+
+describe('ElementHelper config', () => {
+  test('rejects ignoredExceptions that are not selenium-webdriver errors', () => {
+    const waits = { ...config.waits, ignoredExceptions: ['StaleElementReferenceError', 'NoSuchThing'] };
+    expect(() => new ElementHelper(fakeDriver(async () => []), { ...config, waits }))
+      .toThrow('waits.ignoredExceptions: "NoSuchThing" is not a selenium-webdriver error class');
+  });
+});
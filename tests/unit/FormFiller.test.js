@@ -0,0 +1,90 @@
+/**
+ * FormFiller spec checks, which run before any browser call and must not echo field values,
+ * and the file detector remote uploads need
+ */
+const path = require('path');
+const { By } = require('selenium-webdriver');
+const { FileDetector } = require('selenium-webdriver/remote');
+const FormFiller = require('../../utils/FormFiller');
+const { loadConfig } = require('../../utils/config');
+
+const SECRET = 'hunter2-s3cret';
+
+describe('FormFiller field specs', () => {
+  const filler = new FormFiller(null, null, loadConfig({ profile: 'local', env: {} }));
+
+  test('names the field missing a locator without its value', async () => {
+    const error = await filler.fill([{ name: 'password', value: SECRET, secret: true }]).catch(caught => caught);
+    expect(error.message).toBe('Form field "password": spec needs a locator');
+  });
+
+  test('lists the keys of an unnamed spec missing a locator', async () => {
+    const error = await filler.fill([{ value: SECRET, type: 'text' }]).catch(caught => caught);
+    expect(error.message).toBe('Form field spec needs a locator (keys: value, type)');
+    expect(error.message).not.toContain(SECRET);
+  });
+
+  test('rejects a missing spec', async () => {
+    await expect(filler.fill([null])).rejects.toThrow('Form field spec needs a locator (keys: none)');
+  });
+
+  test('rejects unknown types and select modes before filling anything', async () => {
+    await expect(filler.fill([{ name: 'bio', locator: By.id('reg-bio'), type: 'richtext' }]))
+      .rejects.toThrow('Form field "bio": unknown type "richtext"');
+    await expect(filler.fillField({ name: 'country', locator: By.id('reg-country'), type: 'select', by: 'label', value: 'Germany' }))
+      .rejects.toThrow('Form field "country": select by must be text, value or index (got "label")');
+  });
+});
+
+describe('FormFiller remote file uploads', () => {
+  const AVATAR = path.join(__dirname, '..', '..', 'fixtures', 'files', 'avatar.png');
+  const config = loadConfig({ profile: 'local', env: {} });
+  const remoteConfig = { ...config, remote: { ...config.remote, url: 'http://grid:4444/wd/hub' } };
+
+  /**
+   * Driver recording the file detector each sendKeys ran with
+   */
+  const createDriver = () => {
+    const driver = {
+      detector: null,
+      detectorsUsed: [],
+      setFileDetector: jest.fn((detector) => {
+        driver.detector = detector;
+      }),
+      executeScript: async () => ['avatar.png']
+    };
+    return driver;
+  };
+
+  test('uploads through a file detector and resets it afterwards', async () => {
+    const driver = createDriver();
+    const element = { sendKeys: async () => driver.detectorsUsed.push(driver.detector) };
+
+    const result = await new FormFiller(driver, null, remoteConfig)._fillFile(element, { name: 'avatar', value: AVATAR });
+
+    expect(result).toEqual({ expected: ['avatar.png'], actual: ['avatar.png'] });
+    expect(driver.detectorsUsed).toEqual([expect.any(FileDetector)]);
+    expect(driver.detector).toBeNull();
+  });
+
+  test('resets the file detector when the upload fails', async () => {
+    const driver = createDriver();
+    const element = {
+      sendKeys: async () => {
+        throw new Error('element not interactable');
+      }
+    };
+
+    await expect(new FormFiller(driver, null, remoteConfig)._fillFile(element, { name: 'avatar', value: AVATAR }))
+      .rejects.toThrow('element not interactable');
+    expect(driver.setFileDetector).toHaveBeenCalledTimes(2);
+    expect(driver.detector).toBeNull();
+  });
+
+  test('local sessions leave the file detector alone', async () => {
+    const driver = createDriver();
+
+    await new FormFiller(driver, null, config)._fillFile({ sendKeys: async () => {} }, { name: 'avatar', value: AVATAR });
+    expect(driver.setFileDetector).not.toHaveBeenCalled();
+  });
+});
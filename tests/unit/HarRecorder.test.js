@@ -0,0 +1,156 @@
+/**
+ * HarRecorder without a browser: BiDi network events in, HAR entries and timings out
+ */
+const HarRecorder = require('../../utils/HarRecorder');
+
+const STARTED = Date.UTC(2024, 0, 1);
+
+const text = (value) => ({ type: 'string', value });
+
+const request = (id, url, extra = {}) => ({
+  request: id,
+  url,
+  method: 'GET',
+  headers: [{ name: 'Accept', value: text('application/json') }],
+  cookies: [{ name: 'session', value: { type: 'base64', value: Buffer.from('abc').toString('base64') } }],
+  headersSize: 120,
+  bodySize: 0,
+  timings: {},
+  ...extra
+});
+
+const response = (extra = {}) => ({
+  status: 200,
+  statusText: 'OK',
+  protocol: 'HTTP/2',
+  mimeType: 'application/json',
+  headers: [{ name: 'Content-Type', value: text('application/json') }],
+  headersSize: 80,
+  bodySize: 42,
+  content: { size: 42 },
+  ...extra
+});
+
+const entriesOf = async (recorder) => (await recorder.toHar()).log.entries;
+
+describe('HarRecorder entries', () => {
+  test('builds the request and response from a completed exchange', async () => {
+    const recorder = new HarRecorder(null);
+    const sent = request('1', 'http://localhost:3000/api/users?page=2&sort=name');
+    recorder._onRequest({ request: sent, timestamp: STARTED });
+    recorder._onResponse({ request: sent, response: response(), timestamp: STARTED + 50 });
+
+    const [entry] = await entriesOf(recorder);
+    expect(entry.startedDateTime).toBe('2024-01-01T00:00:00.000Z');
+    expect(entry.request).toEqual({
+      method: 'GET',
+      url: 'http://localhost:3000/api/users?page=2&sort=name',
+      httpVersion: 'HTTP/2',
+      cookies: [{ name: 'session', value: 'abc' }],
+      headers: [{ name: 'Accept', value: 'application/json' }],
+      queryString: [{ name: 'page', value: '2' }, { name: 'sort', value: 'name' }],
+      headersSize: 120,
+      bodySize: 0
+    });
+    expect(entry.response).toEqual({
+      status: 200,
+      statusText: 'OK',
+      httpVersion: 'HTTP/2',
+      cookies: [],
+      headers: [{ name: 'Content-Type', value: 'application/json' }],
+      content: { size: 42, mimeType: 'application/json' },
+      redirectURL: '',
+      headersSize: 80,
+      bodySize: 42
+    });
+  });
+
+  test('keeps each redirect hop as its own entry, in start order', async () => {
+    const recorder = new HarRecorder(null);
+    const first = request('1', 'http://localhost:3000/old');
+    const second = request('1', 'http://localhost:3000/new');
+    recorder._onRequest({ request: second, redirectCount: 1, timestamp: STARTED + 10 });
+    recorder._onRequest({ request: first, timestamp: STARTED });
+    recorder._onResponse({
+      request: first,
+      response: response({ status: 302, statusText: 'Found', headers: [{ name: 'location', value: text('/new') }] }),
+      timestamp: STARTED + 5
+    });
+    recorder._onResponse({ request: second, redirectCount: 1, response: response(), timestamp: STARTED + 20 });
+
+    const entries = await entriesOf(recorder);
+    expect(entries.map(entry => [entry.request.url, entry.response.status, entry.response.redirectURL])).toEqual([
+      ['http://localhost:3000/old', 302, '/new'],
+      ['http://localhost:3000/new', 200, '']
+    ]);
+  });
+
+  test('records failed requests with status 0 and the error text', async () => {
+    const recorder = new HarRecorder(null);
+    const sent = request('1', 'http://localhost:3000/api/down');
+    recorder._onRequest({ request: sent, timestamp: STARTED });
+    recorder._onError({ request: sent, errorText: 'net::ERR_CONNECTION_REFUSED', timestamp: STARTED + 3 });
+
+    const [entry] = await entriesOf(recorder);
+    expect(entry._error).toBe('net::ERR_CONNECTION_REFUSED');
+    expect(entry.response).toMatchObject({ status: 0, statusText: '', headers: [], bodySize: -1 });
+  });
+
+  test('ignores responses to requests sent before start()', async () => {
+    const recorder = new HarRecorder(null);
+    recorder._onResponse({ request: request('9', 'http://localhost:3000/'), response: response(), timestamp: STARTED });
+    expect(await entriesOf(recorder)).toEqual([]);
+  });
+
+  test('attaches collected bodies, with the request content type as postData mime type', async () => {
+    const recorder = new HarRecorder(null);
+    recorder.collector = 'collector-1';
+    recorder.connection = {
+      send: async (method, { dataType }) => ({ bytes: dataType === 'request' ? text('{"name":"tom"}') : { type: 'base64', value: 'AAE=' } })
+    };
+    const sent = request('1', 'http://localhost:3000/api/users', {
+      method: 'POST',
+      bodySize: 14,
+      headers: [{ name: 'content-type', value: text('application/json') }]
+    });
+    recorder._onRequest({ request: sent, timestamp: STARTED });
+    recorder._onResponse({ request: sent, response: response(), timestamp: STARTED + 1 });
+
+    const [entry] = await entriesOf(recorder);
+    expect(entry.request.postData).toEqual({ mimeType: 'application/json', text: '{"name":"tom"}' });
+    expect(entry.response.content).toEqual({ size: 42, mimeType: 'application/json', text: 'AAE=', encoding: 'base64' });
+  });
+});
+
+describe('HarRecorder timings', () => {
+  const timingsOf = (timings, duration = 100) => {
+    const recorder = new HarRecorder(null);
+    return recorder._toHarTimings({ startedAt: STARTED, endedAt: STARTED + duration, request: { timings } });
+  };
+
+  test('maps BiDi fetch timings onto HAR phases', () => {
+    expect(timingsOf({
+      dnsStart: 1, dnsEnd: 4,
+      connectStart: 4, connectEnd: 20,
+      tlsStart: 10,
+      requestStart: 21, responseStart: 61, responseEnd: 70
+    })).toEqual({ blocked: -1, dns: 3, connect: 16, ssl: 10, send: 0, wait: 40, receive: 9 });
+  });
+
+  test('falls back to the event timestamps when the browser reports no timings', () => {
+    expect(timingsOf({}, 75)).toEqual({ blocked: -1, dns: -1, connect: -1, ssl: -1, send: 0, wait: 75, receive: 0 });
+  });
+
+  test('entry time sums the phases, without ssl (already part of connect)', async () => {
+    const recorder = new HarRecorder(null);
+    const sent = request('1', 'http://localhost:3000/', {
+      timings: { connectStart: 1, connectEnd: 11, tlsStart: 5, requestStart: 12, responseStart: 32, responseEnd: 37 }
+    });
+    recorder._onRequest({ request: sent, timestamp: STARTED });
+    recorder._onResponse({ request: sent, response: response(), timestamp: STARTED + 40 });
+
+    const [entry] = await entriesOf(recorder);
+    expect(entry.timings).toMatchObject({ connect: 10, ssl: 6, wait: 20, receive: 5 });
+    expect(entry.time).toBe(35);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * HtmlReporter: failure artifacts and log files travel inside the report, up to the size cap
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const HtmlReporter = require('../../reporters/HtmlReporter');
+
+const dataUri = (contentType, content) => `data:${contentType};base64,${Buffer.from(content).toString('base64')}`;
+
+describe('HtmlReporter artifacts', () => {
+  let dir;
+  let reporter;
+
+  const write = (name, content) => {
+    const file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-'));
+    reporter = new HtmlReporter({}, { outputPath: path.join(dir, 'report', 'report.html'), maxEmbedBytes: 100 });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('embeds the bundle files and the manifest as downloads', () => {
+    write('page-source.html', '<html></html>');
+    write('console.json', '[]');
+    write('manifest.json', '{"files":[]}');
+    const manifest = {
+      url: 'http://localhost:3000/login',
+      title: 'Login',
+      files: [
+        { type: 'page-source', path: 'page-source.html', contentType: 'text/html' },
+        { type: 'console', path: 'console.json', contentType: 'application/json' }
+      ]
+    };
+
+    const html = reporter._renderArtifacts({ dir, manifest });
+
+    expect(html).toContain(`<a href="${dataUri('text/html', '<html></html>')}" download="page-source.html">page-source.html</a>`);
+    expect(html).toContain(`<a href="${dataUri('application/json', '[]')}" download="console.json">console.json</a>`);
+    expect(html).toContain(`<a href="${dataUri('application/json', '{"files":[]}')}" download="manifest.json">manifest.json</a>`);
+    expect(html).not.toContain('../');
+  });
+
+  test('links files over the cap relative to the report and says why', () => {
+    write('network.har', 'x'.repeat(2048));
+    write('manifest.json', '{}');
+    const manifest = { files: [{ type: 'har', path: 'network.har', contentType: 'application/json' }] };
+
+    const html = reporter._renderArtifacts({ dir, manifest });
+
+    expect(html).toContain('<a href="../network.har">network.har</a> <span class="meta">(2 KB, not embedded)</span>');
+    expect(html).toContain('download="manifest.json"');
+  });
+
+  test('embeds the per-test log file', () => {
+    const logFile = write('login-abc123.log', 'step one\n');
+    const html = reporter._renderTest({
+      suite: 'tests/login.test.js',
+      name: 'logs in',
+      status: 'passed',
+      duration: 5,
+      browser: 'chrome',
+      failureMessages: [],
+      record: { testId: 'abc123', logFile }
+    });
+
+    expect(html).toContain(`Test ID abc123 · <a href="${dataUri('text/plain', 'step one\n')}" download="login-abc123.log">full log file</a>`);
+  });
+
+  test('still links a missing file', () => {
+    expect(reporter._fileLink(path.join(dir, 'gone.log'), 'text/plain', 'log')).toBe('<a href="../gone.log">log</a>');
+  });
+});
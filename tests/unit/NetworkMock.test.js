@@ -0,0 +1,286 @@
+/**
+ * NetworkMock without a browser: URL pattern matching, the intercepts routes add and remove,
+ * and the BiDi commands a route sends for an intercepted request (the connection is a fake
+ * that records them)
+ */
+const NetworkMock = require('../../utils/NetworkMock');
+const { loadConfig } = require('../../utils/config');
+
+const config = loadConfig({ profile: 'local', env: {} });
+const INTERCEPT = 'intercept-1';
+const INTERCEPT_COMMANDS = ['network.addIntercept', 'network.removeIntercept'];
+
+/**
+ * NetworkMock with a fake BiDi connection already attached, so no session is needed
+ */
+const createMock = () => {
+  const mock = new NetworkMock(null, config);
+  mock.connection = {
+    sent: [],
+    async send(method, params) {
+      this.sent.push({ method, params });
+      return method === 'network.addIntercept' ? { intercept: `intercept-${this.sent.filter(sent => sent.method === method).length}` } : {};
+    }
+  };
+  return mock;
+};
+
+/**
+ * network.beforeRequestSent params as the browser sends them
+ */
+const beforeRequestSent = (url, { id = 'req-1', method = 'GET', blocked = true, headers = [] } = {}) => ({
+  isBlocked: blocked,
+  intercepts: blocked ? [INTERCEPT] : undefined,
+  timestamp: Date.UTC(2024, 0, 1),
+  request: { request: id, url, method, headers }
+});
+
+const recordUrls = (mock, urls) => {
+  mock.recorded = urls.map((url, index) => ({ id: String(index), url, method: 'GET', headers: {}, action: null }));
+};
+
+const sentCommands = (mock) => mock.connection.sent
+  .filter(({ method }) => !INTERCEPT_COMMANDS.includes(method));
+
+const interceptCommands = (mock) => mock.connection.sent
+  .filter(({ method }) => INTERCEPT_COMMANDS.includes(method));
+
+describe('NetworkMock URL patterns', () => {
+  const urls = [
+    'http://localhost:3000/api/users',
+    'http://localhost:3000/api/users?page=2',
+    'http://localhost:3000/api/users/7/orders',
+    'http://localhost:3000/api/users.json',
+    'http://localhost:3000/login'
+  ];
+  const matching = (pattern) => {
+    const mock = createMock();
+    recordUrls(mock, urls);
+    return mock.requests(pattern).map(request => request.url);
+  };
+
+  test('* stays within one path segment', () => {
+    expect(matching('http://localhost:3000/api/*')).toEqual([
+      'http://localhost:3000/api/users',
+      'http://localhost:3000/api/users?page=2',
+      'http://localhost:3000/api/users.json'
+    ]);
+  });
+
+  test('** crosses segments', () => {
+    expect(matching('**/api/**')).toEqual(urls.slice(0, 4));
+  });
+
+  test('regex characters in the glob match literally', () => {
+    expect(matching('**/users.json')).toEqual(['http://localhost:3000/api/users.json']);
+    expect(matching('**/users?json')).toEqual([]);
+  });
+
+  test('a glob without ? ignores the query string, one with ? matches it', () => {
+    expect(matching('**/api/users')).toEqual([
+      'http://localhost:3000/api/users',
+      'http://localhost:3000/api/users?page=2'
+    ]);
+    expect(matching('**/api/users?page=*')).toEqual(['http://localhost:3000/api/users?page=2']);
+  });
+
+  test('RegExp and predicate patterns are used as they are', () => {
+    expect(matching(/\/login$/)).toEqual(['http://localhost:3000/login']);
+    expect(matching(url => url.endsWith('/orders'))).toEqual(['http://localhost:3000/api/users/7/orders']);
+  });
+
+  test('rejects other pattern types', () => {
+    expect(() => matching(42)).toThrow('Unsupported URL pattern: 42');
+  });
+});
+
+describe('NetworkMock._toBidiResponse', () => {
+  const mock = createMock();
+
+  test('serializes json with a JSON content type and the status reason', () => {
+    expect(mock._toBidiResponse('req-1', { status: 201, json: { id: 7 } })).toEqual({
+      request: 'req-1',
+      statusCode: 201,
+      reasonPhrase: 'Created',
+      headers: [{ name: 'Content-Type', value: { type: 'string', value: 'application/json' } }],
+      body: { type: 'string', value: '{"id":7}' }
+    });
+  });
+
+  test('keeps an explicit content type, whatever its case', () => {
+    const { headers } = mock._toBidiResponse('req-1', { json: [], headers: { 'content-type': 'application/vnd.api+json' } });
+    expect(headers).toEqual([{ name: 'content-type', value: { type: 'string', value: 'application/vnd.api+json' } }]);
+  });
+
+  test('defaults to an empty 200 and stringifies header values', () => {
+    const params = mock._toBidiResponse('req-1', { headers: { 'X-Count': 3 } });
+    expect(params).toEqual({
+      request: 'req-1',
+      statusCode: 200,
+      reasonPhrase: 'OK',
+      headers: [{ name: 'X-Count', value: { type: 'string', value: '3' } }]
+    });
+  });
+
+  test('sends Buffers base64 encoded and leaves unknown statuses without a reason', () => {
+    const params = mock._toBidiResponse('req-1', { status: 418, body: Buffer.from('teapot') });
+    expect(params.reasonPhrase).toBe('');
+    expect(params.body).toEqual({ type: 'base64', value: Buffer.from('teapot').toString('base64') });
+  });
+});
+
+describe('NetworkMock routing', () => {
+  test('records the request and fulfills it from the newest matching route', async () => {
+    const mock = createMock();
+    await mock.fulfill('**/api/**', { status: 500 });
+    await mock.fulfill('**/api/users', request => ({ json: { method: request.method } }));
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/users', {
+      method: 'POST',
+      headers: [{ name: 'Content-Type', value: { type: 'string', value: 'text/plain' } }]
+    }));
+
+    expect(mock.requests()).toEqual([{
+      id: 'req-1',
+      url: 'http://localhost:3000/api/users',
+      method: 'POST',
+      headers: { 'content-type': 'text/plain' },
+      timestamp: '2024-01-01T00:00:00.000Z',
+      action: 'fulfill'
+    }]);
+    expect(sentCommands(mock)).toEqual([{
+      method: 'network.provideResponse',
+      params: expect.objectContaining({ request: 'req-1', statusCode: 200, body: { type: 'string', value: '{"method":"POST"}' } })
+    }]);
+  });
+
+  test('a route with times falls through to older routes once used up', async () => {
+    const mock = createMock();
+    await mock.passthrough('**');
+    await mock.fail('**/api/**', { times: 1 });
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/a', { id: 'a' }));
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/b', { id: 'b' }));
+
+    expect(sentCommands(mock)).toEqual([
+      { method: 'network.failRequest', params: { request: 'a' } },
+      { method: 'network.continueRequest', params: { request: 'b' } }
+    ]);
+    expect(mock.requests().map(request => request.action)).toEqual(['fail', 'passthrough']);
+  });
+
+  test('continues blocked requests no route matches, and only records unblocked ones', async () => {
+    const mock = createMock();
+    await mock.fulfill('**/api/**', {});
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/login', { id: 'page' }));
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/users', { id: 'seen', blocked: false }));
+
+    expect(sentCommands(mock)).toEqual([{ method: 'network.continueRequest', params: { request: 'page' } }]);
+    expect(mock.requests().map(request => [request.id, request.action])).toEqual([['page', null], ['seen', null]]);
+  });
+
+  test('a throwing response function still lets the request continue', async () => {
+    const mock = createMock();
+    await mock.fulfill('**', () => {
+      throw new Error('bad fixture');
+    });
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/users'));
+
+    expect(sentCommands(mock)).toEqual([{ method: 'network.continueRequest', params: { request: 'req-1' } }]);
+  });
+
+  test('waitForRequest resolves with the next matching request', async () => {
+    const mock = createMock();
+    const waiting = mock.waitForRequest('**/api/users', 1000);
+    await Promise.resolve();
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/login', { id: 'other', blocked: false }));
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/users', { id: 'wanted', blocked: false }));
+
+    await expect(waiting).resolves.toMatchObject({ id: 'wanted' });
+  });
+});
+
+describe('NetworkMock intercepts', () => {
+  const addedPatterns = async (pattern) => {
+    const mock = createMock();
+    await mock.fulfill(pattern, {});
+    return interceptCommands(mock)[0].params.urlPatterns;
+  };
+
+  test('a glob with a literal origin only intercepts that origin', async () => {
+    expect(await addedPatterns('http://localhost:3000/api/**')).toEqual([
+      { type: 'pattern', protocol: 'http', hostname: 'localhost', port: '3000' }
+    ]);
+    expect(await addedPatterns('https://cdn.example.com/*.js')).toEqual([
+      { type: 'pattern', protocol: 'https', hostname: 'cdn.example.com' }
+    ]);
+  });
+
+  test('a glob without wildcards intercepts its one URL, with any query unless it has one', async () => {
+    expect(await addedPatterns('http://localhost:3000/api/users')).toEqual([
+      { type: 'pattern', protocol: 'http', hostname: 'localhost', port: '3000', pathname: '/api/users' }
+    ]);
+    expect(await addedPatterns('http://localhost:3000/api/users?page=2')).toEqual([
+      { type: 'string', pattern: 'http://localhost:3000/api/users?page=2' }
+    ]);
+  });
+
+  test('patterns that can match any origin intercept every request', async () => {
+    expect(await addedPatterns('**/api/users')).toBeUndefined();
+    expect(await addedPatterns('http*://localhost/**')).toBeUndefined();
+    expect(await addedPatterns(/\/api\//)).toBeUndefined();
+    expect(await addedPatterns(url => url.includes('/api/'))).toBeUndefined();
+  });
+
+  test('each route gets its own intercept, and unroute removes it with the route', async () => {
+    const mock = createMock();
+    await mock.fulfill('**/api/**', {});
+    await mock.fail('**/cdn/**');
+
+    await mock.unroute('**/api/**');
+
+    expect(interceptCommands(mock)).toEqual([
+      { method: 'network.addIntercept', params: { phases: ['beforeRequestSent'] } },
+      { method: 'network.addIntercept', params: { phases: ['beforeRequestSent'] } },
+      { method: 'network.removeIntercept', params: { intercept: 'intercept-1' } }
+    ]);
+    expect(mock.routes.map(route => route.pattern)).toEqual(['**/cdn/**']);
+  });
+
+  test('a route removes its intercept once its times are used up', async () => {
+    const mock = createMock();
+    await mock.fail('**/api/**', { times: 1 });
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/a', { id: 'a' }));
+
+    expect(mock.routes).toEqual([]);
+    expect(interceptCommands(mock)).toContainEqual({ method: 'network.removeIntercept', params: { intercept: 'intercept-1' } });
+  });
+
+  test('still answers a request paused by an intercept removed in the meantime', async () => {
+    const mock = createMock();
+    await mock.fulfill('**/api/**', {});
+    await mock.reset();
+
+    await mock._onRequest(beforeRequestSent('http://localhost:3000/api/users'));
+
+    expect(sentCommands(mock)).toEqual([{ method: 'network.continueRequest', params: { request: 'req-1' } }]);
+  });
+
+  test('reset removes every route\'s intercept', async () => {
+    const mock = createMock();
+    await mock.fulfill('**/api/**', {});
+    await mock.delay('**/search', 100);
+
+    await mock.reset();
+
+    expect(interceptCommands(mock).filter(({ method }) => method === 'network.removeIntercept')).toEqual([
+      { method: 'network.removeIntercept', params: { intercept: 'intercept-2' } },
+      { method: 'network.removeIntercept', params: { intercept: 'intercept-1' } }
+    ]);
+    expect(mock.routes).toEqual([]);
+  });
+});
@@ -0,0 +1,214 @@
+/**
+ * StorageHelper against a fake browser that keeps cookies, web storage and IndexedDB per
+ * origin: what clearAll() clears, which pages it opens, and snapshot/restore
+ */
+const { error: seleniumError } = require('selenium-webdriver');
+const StorageHelper = require('../../utils/StorageHelper');
+
+const BASE_URL = 'http://app.test:3000/';
+const APP = 'http://app.test:3000';
+const OTHER = 'https://sso.example.com';
+
+/**
+ * WebDriver stand-in answering StorageHelper's scripts from per-origin state
+ */
+function createBrowser(startUrl) {
+  const state = new Map();
+  let current = startUrl;
+
+  const origin = () => (/^https?:/.test(current) ? new URL(current).origin : 'null');
+  const stateOf = (key) => {
+    if (!state.has(key)) {
+      state.set(key, { cookies: [], localStorage: {}, sessionStorage: {}, indexedDb: [] });
+    }
+    return state.get(key);
+  };
+  const storage = (script) => stateOf(origin())[script.includes('sessionStorage') ? 'sessionStorage' : 'localStorage'];
+
+  const driver = {
+    visited: [],
+    indexedDbSupported: true,
+    stateOf,
+    async get(url) {
+      current = url;
+      driver.visited.push(url);
+    },
+    async getCurrentUrl() {
+      return current;
+    },
+    async executeScript(script, ...args) {
+      const items = storage(script);
+      if (script === 'return window.location.origin') {
+        return origin();
+      }
+      if (script.includes('getItem(arguments[0])')) {
+        return args[0] in items ? items[args[0]] : null;
+      }
+      if (script.includes('setItem(arguments[0], arguments[1])')) {
+        items[args[0]] = args[1];
+      } else if (script.includes('removeItem')) {
+        delete items[args[0]];
+      } else if (script.includes('Object.keys')) {
+        return Object.keys(items);
+      } else if (script.includes('const items = {}')) {
+        return { ...items };
+      } else if (script.includes('Object.entries(items)')) {
+        Object.assign(items, args[0]);
+      } else if (script.includes('.clear()')) {
+        Object.keys(items).forEach(key => delete items[key]);
+      }
+      return null;
+    },
+    async executeAsyncScript(script, name) {
+      const databases = stateOf(origin()).indexedDb;
+      if (script.includes('deleteDatabase')) {
+        if (name === 'locked') {
+          return 'error';
+        }
+        databases.splice(databases.indexOf(name), 1);
+        return 'deleted';
+      }
+      return driver.indexedDbSupported ? [...databases] : null;
+    },
+    manage: () => ({
+      getCookies: async () => [...stateOf(origin()).cookies],
+      getCookie: async (name) => {
+        const cookie = stateOf(origin()).cookies.find(entry => entry.name === name);
+        if (!cookie) {
+          throw new seleniumError.NoSuchCookieError(`No cookie with name ${name}`);
+        }
+        return cookie;
+      },
+      addCookie: async (cookie) => {
+        stateOf(origin()).cookies.push(cookie);
+      },
+      deleteCookie: async (name) => {
+        const { cookies } = stateOf(origin());
+        cookies.splice(cookies.findIndex(entry => entry.name === name), 1);
+      },
+      deleteAllCookies: async () => {
+        stateOf(origin()).cookies.length = 0;
+      }
+    })
+  };
+  return driver;
+}
+
+/**
+ * Give an origin a session cookie, web storage and an IndexedDB database
+ */
+const populate = (browser, origin) => {
+  const state = browser.stateOf(origin);
+  state.cookies.push({ name: 'session', value: 'abc' });
+  state.localStorage.token = 'jwt';
+  state.sessionStorage.step = '2';
+  state.indexedDb.push('cache');
+};
+
+const isEmpty = (browser, origin) => {
+  const { cookies, localStorage, sessionStorage, indexedDb } = browser.stateOf(origin);
+  return cookies.length === 0 && Object.keys(localStorage).length === 0
+    && Object.keys(sessionStorage).length === 0 && indexedDb.length === 0;
+};
+
+describe('StorageHelper.clearAll', () => {
+  test('clears the app origin in place and leaves the browser on about:blank', async () => {
+    const browser = createBrowser(`${APP}/dashboard`);
+    populate(browser, APP);
+
+    await new StorageHelper(browser, { baseUrl: BASE_URL }).clearAll();
+
+    expect(isEmpty(browser, APP)).toBe(true);
+    expect(browser.visited).toEqual(['about:blank']);
+  });
+
+  test('reaches the baseUrl origin through a page the app does not serve, never its home page', async () => {
+    const browser = createBrowser(`${OTHER}/login`);
+    populate(browser, APP);
+    populate(browser, OTHER);
+
+    await new StorageHelper(browser, { baseUrl: BASE_URL }).clearAll();
+
+    expect(isEmpty(browser, APP)).toBe(true);
+    expect(isEmpty(browser, OTHER)).toBe(true);
+    expect(browser.visited).toEqual([`${APP}/__storage-helper__/blank`, 'about:blank']);
+  });
+
+  test('skips the opaque origin of about:blank', async () => {
+    const browser = createBrowser('about:blank');
+    populate(browser, APP);
+
+    await new StorageHelper(browser, { baseUrl: BASE_URL }).clearAll();
+
+    expect(isEmpty(browser, APP)).toBe(true);
+    expect(browser.visited).toEqual([`${APP}/__storage-helper__/blank`, 'about:blank']);
+    expect(browser.stateOf('null').cookies).toEqual([]);
+  });
+
+  test('clears what it can when the browser cannot list IndexedDB databases', async () => {
+    const browser = createBrowser(`${APP}/`);
+    populate(browser, APP);
+    browser.indexedDbSupported = false;
+
+    await new StorageHelper(browser, { baseUrl: BASE_URL }).clearAll();
+
+    expect(browser.stateOf(APP)).toMatchObject({ cookies: [], localStorage: {}, sessionStorage: {}, indexedDb: ['cache'] });
+  });
+
+  test('fails when a database cannot be deleted', async () => {
+    const browser = createBrowser(`${APP}/`);
+    browser.stateOf(APP).indexedDb.push('locked');
+
+    await expect(new StorageHelper(browser, { baseUrl: BASE_URL }).clearAll())
+      .rejects.toThrow('Failed to delete IndexedDB database "locked"');
+  });
+});
+
+describe('StorageHelper state', () => {
+  test('stores strings as-is and other values as JSON', async () => {
+    const browser = createBrowser(`${APP}/`);
+    const storage = new StorageHelper(browser, { baseUrl: BASE_URL });
+
+    await storage.local.set('user', { id: 7, roles: ['admin'] });
+    await storage.session.set('step', 'two');
+
+    expect(browser.stateOf(APP).localStorage.user).toBe('{"id":7,"roles":["admin"]}');
+    expect(await storage.local.getJSON('user')).toEqual({ id: 7, roles: ['admin'] });
+    expect(await storage.session.get('step')).toBe('two');
+    expect(await storage.local.getJSON('missing')).toBeNull();
+  });
+
+  test('returns null for a missing cookie', async () => {
+    const storage = new StorageHelper(createBrowser(`${APP}/`), { baseUrl: BASE_URL });
+    await storage.setCookie('theme', 'dark');
+
+    expect(await storage.getCookie('theme')).toMatchObject({ name: 'theme', value: 'dark' });
+    expect(await storage.getCookie('session')).toBeNull();
+  });
+
+  test('restores a snapshot on its own origin, opened through the blank page', async () => {
+    const browser = createBrowser(`${APP}/dashboard`);
+    populate(browser, APP);
+    const storage = new StorageHelper(browser, { baseUrl: BASE_URL });
+    const snapshot = await storage.snapshot();
+
+    expect(snapshot).toEqual({
+      url: `${APP}/dashboard`,
+      origin: APP,
+      cookies: [{ name: 'session', value: 'abc' }],
+      localStorage: { token: 'jwt' },
+      sessionStorage: { step: '2' },
+      indexedDb: ['cache']
+    });
+
+    await storage.clearAll();
+    await storage.restore(snapshot);
+
+    expect(browser.visited).toEqual(['about:blank', `${APP}/__storage-helper__/blank`]);
+    expect(browser.stateOf(APP)).toMatchObject({
+      cookies: [{ name: 'session', value: 'abc' }],
+      localStorage: { token: 'jwt' },
+      sessionStorage: { step: '2' }
+    });
+  });
+});
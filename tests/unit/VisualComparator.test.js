@@ -0,0 +1,129 @@
+/**
+ * VisualComparator without a browser: the "screenshot" is a generated PNG and baselines live in a temp dir
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { PNG } = require('pngjs');
+const { By } = require('selenium-webdriver');
+const VisualComparator = require('../../utils/VisualComparator');
+const { loadConfig } = require('../../utils/config');
+
+const WIDTH = 20;
+const HEIGHT = 10;
+const WHITE = [255, 255, 255, 255];
+const BLACK = [0, 0, 0, 255];
+
+/**
+ * White PNG with the given rectangles painted black
+ */
+const image = (...rectangles) => {
+  const png = new PNG({ width: WIDTH, height: HEIGHT });
+  for (let row = 0; row < HEIGHT; row++) {
+    for (let column = 0; column < WIDTH; column++) {
+      const inside = rectangles.some(({ x, y, width, height }) =>
+        column >= x && column < x + width && row >= y && row < y + height);
+      (inside ? BLACK : WHITE).forEach((channel, index) => { png.data[(row * WIDTH + column) * 4 + index] = channel; });
+    }
+  }
+  return PNG.sync.write(png);
+};
+
+/**
+ * Comparator whose driver "captures" screenshot; the page is laid out at devicePixelRatio
+ * innerWidth / WIDTH, and locators resolve to the rectangles in elements
+ */
+const createComparator = (dir, screenshot, { innerWidth = WIDTH, elements = {}, config = {} } = {}) => {
+  const driver = {
+    executeScript: async (script, element) => (element ? element.rect : innerWidth),
+    findElements: async (locator) => (elements[locator.value] || []).map(rect => ({ rect }))
+  };
+  const driverManager = { browser: 'chrome', driver, captureScreenshot: async () => screenshot };
+  const comparator = new VisualComparator(driverManager, { ...loadConfig({ profile: 'local', env: {} }), ...config });
+  comparator.baselineDir = path.join(dir, 'baselines');
+  comparator.outputDir = path.join(dir, 'output');
+  return comparator;
+};
+
+describe('VisualComparator.compare', () => {
+  let dir;
+  const banner = { x: 2, y: 2, width: 6, height: 3 };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'visual-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const withBaseline = async (baseline) => {
+    const result = await createComparator(dir, baseline).compare('home page');
+    expect(result.status).toBe('created');
+    expect(result.baselinePath).toBe(path.join(dir, 'baselines', 'chrome', `${WIDTH}x${HEIGHT}`, 'home_page.png'));
+  };
+
+  test('creates a missing baseline, then matches an identical screenshot', async () => {
+    await withBaseline(image(banner));
+    const result = await createComparator(dir, image(banner)).compare('home page');
+    expect(result).toMatchObject({ status: 'matched', diffPixels: 0, diffRatio: 0, files: null });
+  });
+
+  test('counts differing pixels and writes actual, expected and diff images', async () => {
+    await withBaseline(image());
+    const result = await createComparator(dir, image(banner)).compare('home page');
+
+    expect(result.status).toBe('mismatched');
+    expect(result.diffPixels).toBe(18);
+    expect(result.diffRatio).toBeCloseTo(18 / 200);
+    for (const file of Object.values(result.files)) {
+      expect(PNG.sync.read(fs.readFileSync(file)).width).toBe(WIDTH);
+    }
+    expect(Object.keys(result.files)).toEqual(['actual', 'expected', 'diff']);
+  });
+
+  test('tolerates differences up to maxDiffPixelRatio', async () => {
+    await withBaseline(image());
+    const result = await createComparator(dir, image(banner)).compare('home page', { maxDiffPixelRatio: 0.1 });
+    expect(result).toMatchObject({ status: 'matched', diffPixels: 18 });
+  });
+
+  test('masks ignore regions in both images', async () => {
+    await withBaseline(image());
+    const outside = { x: 15, y: 8, width: 1, height: 1 };
+
+    const masked = await createComparator(dir, image(banner)).compare('home page', { ignoreRegions: [banner] });
+    expect(masked).toMatchObject({ status: 'matched', diffPixels: 0 });
+
+    const partly = await createComparator(dir, image(banner, outside)).compare('home page', { ignoreRegions: [banner] });
+    expect(partly).toMatchObject({ status: 'mismatched', diffPixels: 1 });
+  });
+
+  test('resolves locators to element rectangles scaled to screenshot pixels', async () => {
+    await withBaseline(image());
+    // Viewport of 10 CSS pixels captured at 20 screenshot pixels: devicePixelRatio 2
+    const comparator = createComparator(dir, image(banner), {
+      innerWidth: WIDTH / 2,
+      elements: { '.banner': [{ x: 1, y: 1, width: 3, height: 1.5 }] }
+    });
+
+    const result = await comparator.compare('home page', { ignoreRegions: [By.css('.banner')] });
+    expect(result).toMatchObject({ status: 'matched', diffPixels: 0 });
+  });
+
+  test('clips regions reaching outside the image', async () => {
+    await withBaseline(image());
+    const result = await createComparator(dir, image({ x: 0, y: 0, width: 2, height: 2 }))
+      .compare('home page', { ignoreRegions: [{ x: -5, y: -5, width: 7, height: 7 }] });
+    expect(result).toMatchObject({ status: 'matched', diffPixels: 0 });
+  });
+
+  test('overwrites the baseline when updateBaselines is set', async () => {
+    await withBaseline(image());
+    const config = { visual: { ...loadConfig({ profile: 'local', env: {} }).visual, updateBaselines: true } };
+    const result = await createComparator(dir, image(banner), { config }).compare('home page');
+
+    expect(result.status).toBe('updated');
+    expect(fs.readFileSync(result.baselinePath)).toEqual(image(banner));
+  });
+});
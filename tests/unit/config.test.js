@@ -0,0 +1,143 @@
+/**
+ * Config loader: profile merging, environment overrides and schema validation
+ */
+const path = require('path');
+const fs = require('fs');
+const os = require('os');
+const { loadConfig, resolveUrl, ConfigError } = require('../../utils/config');
+
+const REPO_CONFIG = path.join(__dirname, '..', '..', 'selenium.config.js');
+
+/**
+ * Write a config file that extends the repo's selenium.config.js
+ */
+function writeConfig(dir, source) {
+  const file = path.join(dir, 'selenium.config.js');
+  fs.writeFileSync(file, `const base = require(${JSON.stringify(REPO_CONFIG)});\nmodule.exports = ${source};\n`);
+  return file;
+}
+
+/**
+ * The error loadConfig throws, or fails the test if it does not throw
+ */
+function configError(options) {
+  try {
+    loadConfig(options);
+  } catch (error) {
+    return error;
+  }
+  throw new Error('Expected loadConfig to throw');
+}
+
+describe('loadConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'selenium-config-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('merges the selected profile over the defaults and freezes the result', () => {
+    const config = loadConfig({ profile: 'staging', env: {} });
+
+    expect(config.profile).toBe('staging');
+    expect(config.timeouts.pageLoad).toBe(30000);
+    expect(config.timeouts.element).toBe(5000);
+    expect(config.retries.navigation).toEqual({ attempts: 3, delay: 500 });
+    expect(Object.isFrozen(config.timeouts)).toBe(true);
+  });
+
+  test('environment variables win over the profile', () => {
+    const config = loadConfig({
+      profile: 'staging',
+      env: {
+        BASE_URL: 'http://localhost:9999',
+        TIMEOUT_PAGE_LOAD: '1234',
+        RETRIES_NAVIGATION: '5',
+        HEADLESS: 'false',
+        BROWSER: 'FIREFOX',
+        TEST_USER_STANDARD_PASSWORD: 'from-env'
+      }
+    });
+
+    expect(config.baseUrl).toBe('http://localhost:9999');
+    expect(config.timeouts.pageLoad).toBe(1234);
+    expect(config.retries.navigation.attempts).toBe(5);
+    expect(config.browser.headless).toBe(false);
+    expect(config.browser.name).toBe('firefox');
+    expect(config.users.standard.password).toBe('from-env');
+  });
+
+  test('HEADED wins over HEADLESS', () => {
+    expect(loadConfig({ profile: 'local', env: { HEADLESS: 'true', HEADED: 'true' } }).browser.headless).toBe(false);
+  });
+
+  test('WINDOW_WIDTH / WINDOW_HEIGHT resize only the browser of the run', () => {
+    const { windowSize } = loadConfig({ profile: 'local', env: { BROWSER: 'firefox', WINDOW_WIDTH: '800' } }).browser;
+
+    expect(windowSize.firefox).toEqual({ width: 800, height: 1080 });
+    expect(windowSize.chrome).toEqual({ width: 1280, height: 720 });
+  });
+
+  test('the fixture app URL is the base URL unless BASE_URL is set', () => {
+    const fixtureUrl = 'http://127.0.0.1:4321';
+    expect(loadConfig({ profile: 'local', env: { SELENIUM_FIXTURE_URL: fixtureUrl } }).baseUrl).toBe(fixtureUrl);
+    expect(loadConfig({ profile: 'local', env: { SELENIUM_FIXTURE_URL: fixtureUrl, BASE_URL: 'http://example.com' } }).baseUrl)
+      .toBe('http://example.com');
+  });
+
+  test('reports every unparsable environment variable', () => {
+    const error = configError({ profile: 'local', env: { HEADLESS: 'maybe', TIMEOUT_ELEMENT: '-1', VISUAL_THRESHOLD: 'x' } });
+
+    expect(error).toBeInstanceOf(ConfigError);
+    expect(error.errors).toEqual(expect.arrayContaining([
+      'HEADLESS must be "true" or "false" (got "maybe")',
+      'TIMEOUT_ELEMENT must be a non-negative integer (got "-1")',
+      'VISUAL_THRESHOLD must be a non-negative number (got "x")'
+    ]));
+  });
+
+  test('validates the merged config against the schema', () => {
+    const configPath = writeConfig(dir, `{
+      ...base,
+      baseUrl: 'ftp://example.com',
+      timeouts: { ...base.timeouts, element: -5 },
+      browser: { ...base.browser, name: 'safari' },
+      unknownSetting: true
+    }`);
+    const error = configError({ configPath, profile: 'local', env: {} });
+
+    expect(error.errors).toEqual(expect.arrayContaining([
+      'baseUrl must be an absolute http(s) URL (got "ftp://example.com")',
+      'timeouts.element must be >= 0 (got -5)',
+      'browser.name must be one of chrome, firefox (got "safari")',
+      'unknownSetting is not a recognised setting'
+    ]));
+  });
+
+  test('reports a missing required setting', () => {
+    const configPath = writeConfig(dir, `{ ...base, retries: { ...base.retries, navigation: { attempts: 3 } } }`);
+
+    expect(configError({ configPath, profile: 'local', env: {} }).errors)
+      .toContain('retries.navigation.delay is required');
+  });
+
+  test('rejects an unknown profile and a missing file', () => {
+    expect(configError({ profile: 'nope', env: {} }).message).toMatch(/Unknown config profile "nope".*available profiles: local, staging, ci/);
+    expect(configError({ configPath: path.join(dir, 'missing.js'), env: {} }).message).toMatch(/Config file not found/);
+  });
+});
+
+describe('resolveUrl', () => {
+  test('joins paths onto the base URL with exactly one slash', () => {
+    expect(resolveUrl('login', 'http://host/')).toBe('http://host/login');
+    expect(resolveUrl('/login', 'http://host')).toBe('http://host/login');
+  });
+
+  test('returns absolute URLs unchanged', () => {
+    expect(resolveUrl('https://other.example/path', 'http://host')).toBe('https://other.example/path');
+  });
+});
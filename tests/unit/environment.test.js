@@ -0,0 +1,127 @@
+/**
+ * Custom test environment: real test outcomes from jest-circus events
+ */
+const SeleniumEnvironment = require('../../jest.environment');
+const { testKey } = require('../../utils/flakiness');
+
+const STATE_KEY = '__SELENIUM_CURRENT_TEST__';
+
+/**
+ * Environment without the jest-environment-node setup: only what handleTestEvent uses
+ */
+function createEnvironment({ quarantine = [] } = {}) {
+  const environment = Object.create(SeleniumEnvironment.prototype);
+  environment.global = {};
+  environment.testPath = '/repo/tests/example.test.js';
+  environment.quarantine = quarantine;
+  environment.tagOptions = { expression: null, browser: 'chrome' };
+  environment.skipReasons = new Map();
+  return environment;
+}
+
+/**
+ * Minimal jest-circus test entry inside a describe block
+ */
+function createTest(title, { describe = 'Suite', invocations = 1 } = {}) {
+  const root = { name: 'ROOT_DESCRIBE_BLOCK', parent: undefined };
+  const block = { name: describe, parent: root };
+  return { name: title, parent: block, invocations, errors: [] };
+}
+
+async function run(environment, test, events) {
+  await environment.handleTestEvent({ name: 'test_start', test }, {});
+  for (const event of events) {
+    await environment.handleTestEvent({ test, ...event }, {});
+  }
+  await environment.handleTestEvent({ name: 'test_done', test }, {});
+  return environment.global[STATE_KEY];
+}
+
+describe('SeleniumEnvironment outcome tracking', () => {
+  test('a test without failures passed', async () => {
+    const state = await run(createEnvironment(), createTest('works'), [{ name: 'test_fn_success' }]);
+
+    expect(state).toMatchObject({ name: 'Suite works', title: 'works', status: 'passed', errors: [] });
+    expect(state.testPath).toBe('/repo/tests/example.test.js');
+    expect(state.duration).toEqual(expect.any(Number));
+  });
+
+  test('a failing test body fails the test with its error', async () => {
+    const error = new Error('boom');
+    const state = await run(createEnvironment(), createTest('breaks'), [{ name: 'test_fn_failure', error }]);
+
+    expect(state.status).toBe('failed');
+    expect(state.errors).toEqual([error]);
+  });
+
+  test('a failing beforeEach/afterEach hook fails a test whose body passed', async () => {
+    const error = new Error('hook broke');
+    const state = await run(createEnvironment(), createTest('hooked'), [
+      { name: 'test_fn_success' },
+      { name: 'hook_failure', error, hook: { type: 'afterEach' } }
+    ]);
+
+    expect(state.status).toBe('failed');
+    expect(state.errors).toEqual([error]);
+  });
+
+  test('a beforeAll failure, which has no current test, is not pinned on the last test', async () => {
+    const environment = createEnvironment();
+    const state = await run(environment, createTest('first'), [{ name: 'test_fn_success' }]);
+    await environment.handleTestEvent({ name: 'hook_failure', error: new Error('beforeAll'), hook: { type: 'beforeAll' } }, {});
+
+    expect(state.status).toBe('passed');
+    expect(state.errors).toEqual([]);
+  });
+
+  test('non-Error throws are normalized into errors with a message', async () => {
+    const asyncError = new Error();
+    const thrown = await run(createEnvironment(), createTest('throws a string'), [
+      { name: 'test_fn_failure', error: 'plain string', test: { ...createTest('x'), asyncError } }
+    ]);
+    expect(thrown.errors[0]).toBe(asyncError);
+    expect(thrown.errors[0].message).toBe('plain string');
+
+    const nothing = await run(createEnvironment(), createTest('rejects with nothing'), [
+      { name: 'test_fn_failure', error: undefined }
+    ]);
+    expect(nothing.errors[0].message).toBe('Test failed without an error');
+  });
+
+  test('every test starts with a fresh state', async () => {
+    const environment = createEnvironment();
+    await run(environment, createTest('fails'), [{ name: 'test_fn_failure', error: new Error('x') }]);
+    const state = await run(environment, createTest('passes'), [{ name: 'test_fn_success' }]);
+
+    expect(state).toMatchObject({ name: 'Suite passes', status: 'passed', errors: [] });
+  });
+});
+
+describe('SeleniumEnvironment quarantine', () => {
+  const quarantined = (title) => createEnvironment({
+    quarantine: [{ test: testKey('/repo/tests/example.test.js', `Suite ${title}`), reason: 'flaky upload', ticket: 'QA-12' }]
+  });
+
+  test('a failing quarantined test still fails, with its error kept for Jest', async () => {
+    const environment = quarantined('uploads');
+    const error = new Error('upload timed out');
+    const test = createTest('uploads', { invocations: 3 });
+    // jest-circus adds the error to test.errors itself, before test_done
+    test.errors.push(error);
+    const state = await run(environment, test, [{ name: 'test_fn_failure', error }]);
+
+    expect(state.quarantine).toEqual(expect.objectContaining({ reason: 'flaky upload', ticket: 'QA-12' }));
+    expect(state).toMatchObject({ status: 'failed', errors: [error] });
+    expect(test.errors).toEqual([error]);
+  });
+
+  test('only applies to the listed tests', async () => {
+    const error = new Error('download timed out');
+    const test = createTest('downloads', { invocations: 3 });
+    test.errors.push(error);
+    const state = await run(quarantined('uploads'), test, [{ name: 'test_fn_failure', error }]);
+
+    expect(state.quarantine).toBeNull();
+    expect(state.status).toBe('failed');
+  });
+});
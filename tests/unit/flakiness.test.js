@@ -0,0 +1,135 @@
+/**
+ * Flakiness scores, the flaky-test ranking, quarantine loading and how the history reporter
+ * classifies a test's outcome
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { flakinessScore, topFlakyTests, loadQuarantine, findQuarantine, fileDurations, testKey } = require('../../utils/flakiness');
+const HistoryReporter = require('../../reporters/HistoryReporter');
+
+const runs = (...statuses) => statuses.map(status => ({ status, internalRetries: 0 }));
+
+describe('flakinessScore', () => {
+  test('a stable test scores 0', () => {
+    expect(flakinessScore(runs('passed', 'passed', 'passed'))).toEqual({
+      score: 0, runs: 3, failures: 0, flaky: 0, flips: 0, internalRetries: 0
+    });
+  });
+
+  test('a test that always fails is broken, not flaky', () => {
+    expect(flakinessScore(runs('failed', 'failed', 'failed'))).toMatchObject({ score: 0, failures: 3 });
+  });
+
+  test('counts flips between passing and failing', () => {
+    // passed -> failed -> passed -> passed: 2 flips over 4 runs
+    expect(flakinessScore(runs('passed', 'failed', 'passed', 'passed'))).toMatchObject({ score: 0.5, flips: 2, failures: 1 });
+  });
+
+  test('a pass after a Jest retry counts fully, an internal retry half', () => {
+    const history = [
+      { status: 'flaky', internalRetries: 0 },
+      { status: 'passed', internalRetries: 2 },
+      { status: 'passed', internalRetries: 0 },
+      { status: 'passed', internalRetries: 0 }
+    ];
+    expect(flakinessScore(history)).toMatchObject({ score: 0.375, flaky: 1, flips: 0, internalRetries: 2 });
+  });
+
+  test('ignores skipped runs, also between flips', () => {
+    expect(flakinessScore(runs('passed', 'skipped', 'passed', 'skipped'))).toMatchObject({ score: 0, runs: 2 });
+    expect(flakinessScore(runs('skipped'))).toMatchObject({ score: 0, runs: 0 });
+  });
+
+  test('caps the score at 1', () => {
+    expect(flakinessScore(runs('passed', 'failed', 'flaky')).score).toBe(1);
+  });
+});
+
+describe('topFlakyTests', () => {
+  const history = {
+    tests: {
+      'a.test.js › stable': { file: 'a.test.js', name: 'stable', runs: runs('passed', 'passed') },
+      'a.test.js › sometimes': { file: 'a.test.js', name: 'sometimes', runs: runs('passed', 'failed', 'passed', 'passed') },
+      'b.test.js › retried': { file: 'b.test.js', name: 'retried', runs: runs('flaky', 'passed') },
+      'b.test.js › retried often': { file: 'b.test.js', name: 'retried often', runs: runs('flaky', 'flaky', 'passed') }
+    },
+    files: {}
+  };
+
+  test('ranks by score, then by number of runs, and leaves stable tests out', () => {
+    expect(topFlakyTests(history).map(test => [test.key, test.score])).toEqual([
+      ['b.test.js › retried often', 2 / 3],
+      ['a.test.js › sometimes', 0.5],
+      ['b.test.js › retried', 0.5]
+    ]);
+  });
+
+  test('limits the list', () => {
+    expect(topFlakyTests(history, 1)).toEqual([expect.objectContaining({ file: 'b.test.js', name: 'retried often', flaky: 2 })]);
+  });
+});
+
+describe('fileDurations', () => {
+  test('averages the last five durations of each file', () => {
+    const durations = fileDurations({ files: { 'a.test.js': { durations: [100, 1, 2, 3, 4, 5] }, 'b.test.js': { durations: [] } } });
+    expect([...durations]).toEqual([['a.test.js', 3]]);
+  });
+});
+
+describe('loadQuarantine', () => {
+  let dir;
+
+  const write = (content) => {
+    const file = path.join(dir, 'quarantine.json');
+    fs.writeFileSync(file, typeof content === 'string' ? content : JSON.stringify(content));
+    return file;
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a missing file quarantines nothing', () => {
+    expect(loadQuarantine(path.join(dir, 'missing.json'))).toEqual([]);
+  });
+
+  test('returns the entries, found by test key', () => {
+    const entry = { test: testKey('tests/upload.test.js', 'Upload large file'), reason: 'grid node disk', ticket: 'QA-7' };
+    const quarantine = loadQuarantine(write({ tests: [entry] }));
+
+    expect(quarantine).toEqual([entry]);
+    expect(findQuarantine(quarantine, path.join(__dirname, '..', 'upload.test.js'), 'Upload large file')).toEqual(entry);
+    expect(findQuarantine(quarantine, 'tests/upload.test.js', 'Upload small file')).toBeNull();
+  });
+
+  test.each([
+    ['no tests array', { test: 'a › b', reason: 'x' }],
+    ['an entry without a reason', { tests: [{ test: 'a.test.js › b' }] }],
+    ['an entry without a test key', { tests: [{ reason: 'flaky' }] }]
+  ])('rejects %s', (_, content) => {
+    expect(() => loadQuarantine(write(content))).toThrow('must contain { "tests": [{ "test": "<file> › <full name>", "reason": "..." }] }');
+  });
+
+  test('reports invalid JSON', () => {
+    expect(() => loadQuarantine(write('{ tests: '))).toThrow(SyntaxError);
+  });
+});
+
+describe('HistoryReporter._status', () => {
+  const reporter = new HistoryReporter({}, { top: 0 });
+
+  test.each([
+    ['passed first time', { status: 'passed', invocations: 1 }, 'passed'],
+    ['passed after a retry', { status: 'passed', invocations: 2 }, 'flaky'],
+    ['failed', { status: 'failed', invocations: 3 }, 'failed'],
+    ['skipped', { status: 'pending', invocations: 0 }, 'skipped'],
+    ['todo', { status: 'todo' }, 'skipped']
+  ])('%s', (_, assertion, status) => {
+    expect(reporter._status(assertion)).toBe(status);
+  });
+});
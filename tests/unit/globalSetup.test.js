@@ -0,0 +1,56 @@
+/**
+ * Global setup: the previous run's test records are cleared before any worker or reporter
+ * touches them, whichever reporters are configured
+ */
+jest.mock('../../utils/testRecords', () => ({
+  ...jest.requireActual('../../utils/testRecords'),
+  clearTestRecords: jest.fn()
+}));
+
+jest.mock('../../fixtures/app/server', () => ({
+  startFixtureServer: jest.fn(async () => ({ url: 'http://127.0.0.1:4010' }))
+}));
+
+const { clearTestRecords } = require('../../utils/testRecords');
+const { startFixtureServer } = require('../../fixtures/app/server');
+const AllureReporter = require('../../reporters/AllureReporter');
+const globalSetup = require('../../jest.globalSetup');
+
+describe('jest.globalSetup', () => {
+  const fixtureUrl = process.env.SELENIUM_FIXTURE_URL;
+  const fixtureServer = process.env.FIXTURE_SERVER;
+
+  afterEach(() => {
+    process.env.SELENIUM_FIXTURE_URL = fixtureUrl;
+    if (fixtureServer === undefined) {
+      delete process.env.FIXTURE_SERVER;
+    } else {
+      process.env.FIXTURE_SERVER = fixtureServer;
+    }
+  });
+
+  test('clears the test records, then starts the fixture app', async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await globalSetup();
+
+    expect(clearTestRecords).toHaveBeenCalledTimes(1);
+    expect(startFixtureServer).toHaveBeenCalledTimes(1);
+    expect(clearTestRecords.mock.invocationCallOrder[0]).toBeLessThan(startFixtureServer.mock.invocationCallOrder[0]);
+    expect(process.env.SELENIUM_FIXTURE_URL).toBe('http://127.0.0.1:4010');
+    console.log.mockRestore();
+  });
+
+  test('clears the test records with the fixture app disabled', async () => {
+    process.env.FIXTURE_SERVER = 'false';
+    await globalSetup();
+
+    expect(clearTestRecords).toHaveBeenCalledTimes(1);
+    expect(startFixtureServer).not.toHaveBeenCalled();
+  });
+
+  test('the Allure reporter leaves the records alone at the start of the run', () => {
+    new AllureReporter({}, { clean: false }).onRunStart();
+
+    expect(clearTestRecords).not.toHaveBeenCalled();
+  });
+});
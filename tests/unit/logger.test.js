@@ -0,0 +1,83 @@
+/**
+ * Logger correlation: the test context on every entry, per-test child loggers and the
+ * per-test log file
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CONTEXT = { testId: 'a1b2c3d4', suite: 'Checkout', test: 'pays by card', browser: 'chrome', sessionId: 'session-1' };
+
+describe('logger', () => {
+  let logger;
+  let capture;
+
+  // A module instance of its own, so jest.setup.js's context and log file stay untouched
+  beforeEach(() => {
+    jest.isolateModules(() => {
+      logger = require('../../utils/logger');
+    });
+    capture = logger.capture();
+  });
+
+  afterEach(async () => {
+    capture.stop();
+    await logger.stopTestLog();
+    logger.close();
+  });
+
+  test('adds the current test context to every entry until it is cleared', () => {
+    logger.setContext(CONTEXT);
+    logger.info('Opening checkout');
+    logger.info('Child meta wins', { sessionId: 'session-2' });
+    logger.clearContext();
+    logger.info('Between tests');
+
+    const [first, second, third] = capture.stop();
+    expect(first.meta).toMatchObject({ ...CONTEXT, workerId: process.env.JEST_WORKER_ID });
+    expect(second.meta.sessionId).toBe('session-2');
+    expect(third.meta).not.toHaveProperty('testId');
+    expect(logger.getContext()).toEqual({ workerId: process.env.JEST_WORKER_ID });
+  });
+
+  test('a child logger keeps its context on every test helper, whatever the shared context', () => {
+    const log = logger.forTest(CONTEXT);
+    logger.setContext({ testId: 'other-test' });
+
+    log.testStart('pays by card');
+    log.step('Enter card');
+    log.browserConsole({ source: 'exception', level: 'error', message: 'Uncaught TypeError' });
+    log.testEnd('pays by card', 'failed');
+
+    const entries = capture.stop();
+    expect(entries.map(entry => [entry.level, entry.message])).toEqual([
+      ['info', '🧪 Test Started: pays by card'],
+      ['info', '📋 Step: Enter card'],
+      ['warn', '🖥️ Browser exception: Uncaught TypeError'],
+      ['info', '❌ Test failed: pays by card']
+    ]);
+    entries.forEach(entry => expect(entry.meta).toMatchObject(CONTEXT));
+  });
+
+  test('writes only the entries between startTestLog() and stopTestLog() to the test\'s file', async () => {
+    const fileName = `logger-test-${process.pid}-${Date.now()}`;
+    logger.setContext(CONTEXT);
+    logger.info('Before the test');
+
+    const logFile = logger.startTestLog(fileName);
+    logger.forTest(CONTEXT).step('Enter card');
+    await logger.stopTestLog();
+    logger.info('After the test');
+
+    try {
+      expect(logFile).toBe(path.join(__dirname, '..', '..', 'logs', 'tests', `${fileName}.log`));
+      const lines = fs.readFileSync(logFile, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+      expect(lines).toEqual([expect.objectContaining({ message: '📋 Step: Enter card', type: 'step', ...CONTEXT })]);
+    } finally {
+      fs.rmSync(logFile, { force: true });
+    }
+  });
+
+  test('stopTestLog() without a test log resolves right away', async () => {
+    await expect(logger.stopTestLog()).resolves.toBeUndefined();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Custom matchers against a fake driver: polling, .not, timeouts and failure messages
+ */
+const { By, error: seleniumError } = require('selenium-webdriver');
+const BaseTest = require('../../utils/BaseTest');
+
+const FLASH = By.css('.flash');
+const stripAnsi = (text) => text.replace(/\u001b\[[0-9;]*m/g, '');
+
+/**
+ * Driver whose page is described by state: { elements: { [css]: [{ text, value, displayed }] }, url, title }.
+ * Tests change state to simulate the page updating.
+ */
+function fakeDriver(state) {
+  const element = (spec) => ({
+    getText: async () => spec.text,
+    getAttribute: async (name) => (name === 'value' ? spec.value : (spec.attributes || {})[name] ?? null),
+    isDisplayed: async () => spec.displayed !== false
+  });
+  return {
+    state,
+    findElements: async (locator) => (state.elements[locator.value] || []).map(element),
+    executeScript: async () => '<div class="flash">',
+    getCurrentUrl: async () => state.url,
+    getTitle: async () => state.title,
+    manage: () => ({
+      getTimeouts: async () => ({ implicit: 0 }),
+      setTimeouts: async () => {}
+    })
+  };
+}
+
+/**
+ * The assertion's failure message, without colors
+ */
+async function failureOf(assertion) {
+  try {
+    await assertion;
+  } catch (error) {
+    return stripAnsi(error.message);
+  }
+  throw new Error('Expected the assertion to fail');
+}
+
+describe('Selenium matchers', () => {
+  let driver;
+  const suite = {};
+
+  beforeEach(() => {
+    driver = fakeDriver({ elements: { '.flash': [{ text: 'Loading…' }] }, url: 'http://localhost:3000/login', title: 'Login' });
+    suite.driver = driver;
+    BaseTest.active.add(suite);
+  });
+
+  afterEach(() => {
+    BaseTest.active.delete(suite);
+  });
+
+  const later = (ms, change) => setTimeout(change, ms);
+
+  test('waits for the expectation to hold', async () => {
+    later(30, () => { driver.state.elements['.flash'] = [{ text: '  Saved \n successfully ' }]; });
+    await expect(FLASH).toHaveText('Saved successfully', { timeout: 1000, interval: 10 });
+  });
+
+  test('.not waits for the expectation to stop holding', async () => {
+    later(30, () => { driver.state.elements['.flash'] = []; });
+    await expect(FLASH).not.toBeVisible({ timeout: 1000, interval: 10 });
+    await expect(driver).not.toHaveUrl('/secure', { timeout: 50 });
+  });
+
+  test('fails after the timeout with the locator, element, expected and received values and a diff', async () => {
+    const message = await failureOf(expect(FLASH).toHaveText('Saved', { timeout: 50, interval: 10 }));
+
+    expect(message).toContain('expect(locator).toHaveText(expected)');
+    expect(message).toContain('Locator:  By(css selector, .flash)');
+    expect(message).toContain('Element:  <div class="flash">');
+    expect(message).toContain('Expected: "Saved"');
+    expect(message).toContain('Received: "Loading…"');
+    expect(message).toContain('- Saved\n+ Loading…');
+    expect(message).toMatch(/Timed out after 50ms \(\d+ checks\)$/);
+  });
+
+  test('a .not failure says what should not have matched, without a diff', async () => {
+    const message = await failureOf(expect(FLASH).not.toHaveText(/Load/, { timeout: 30, interval: 10 }));
+
+    expect(message).toContain('expect(locator).not.toHaveText(expected)');
+    expect(message).toContain('Expected: not /Load/');
+    expect(message).not.toContain('- ');
+  });
+
+  test('a missing element fails both the assertion and its .not', async () => {
+    driver.state.elements = {};
+    const message = await failureOf(expect(FLASH).toHaveText('Saved', { timeout: 30, interval: 10 }));
+    expect(message).toContain('Error:    no element matches the locator');
+
+    const negated = await failureOf(expect(FLASH).not.toHaveText('Saved', { timeout: 30, interval: 10 }));
+    expect(negated).toContain('Error:    no element matches the locator');
+  });
+
+  test('driver matchers resolve paths against baseUrl', async () => {
+    await expect(driver).toHaveUrl(/\/login$/, { timeout: 30 });
+    await expect(driver).toHaveTitle('Login', { timeout: 30 });
+
+    const message = await failureOf(expect(driver).toHaveUrl('/secure', { timeout: 30 }));
+    expect(message).toContain('expect(driver).toHaveUrl(expected)');
+    expect(message).toMatch(/Expected: ".*\/secure"/);
+    expect(message).toContain('Received: "http://localhost:3000/login"');
+    expect(message).not.toContain('Locator:');
+  });
+
+  test('attribute, value and count matchers', async () => {
+    driver.state.elements = { '.flash': [{ text: 'x', value: 'abc', attributes: { role: 'alert' } }, { text: 'y' }] };
+
+    await expect(FLASH).toHaveAttribute('role', { timeout: 30 });
+    await expect(FLASH).toHaveAttribute('role', 'alert', { timeout: 30 });
+    await expect(FLASH).not.toHaveAttribute('hidden', { timeout: 30 });
+    await expect(FLASH).toHaveValue(/^ab/, { timeout: 30 });
+    await expect(FLASH).toHaveCount(2, { timeout: 30 });
+
+    const message = await failureOf(expect(FLASH).toHaveAttribute('hidden', { timeout: 30 }));
+    expect(message).toContain('Received: "no attribute \\"hidden\\""');
+  });
+
+  test('waits.ignoredExceptions keep polling, other browser errors fail at once', async () => {
+    let reads = 0;
+    driver.state.elements['.flash'] = [{ text: 'Saved' }];
+    const findElements = driver.findElements;
+    driver.findElements = async (locator) => {
+      reads++;
+      if (reads === 1) {
+        throw new seleniumError.StaleElementReferenceError('re-rendered');
+      }
+      return findElements(locator);
+    };
+    await expect(FLASH).toHaveText('Saved', { timeout: 1000, interval: 10 });
+    expect(reads).toBe(2);
+
+    driver.findElements = async () => {
+      throw new seleniumError.NoSuchSessionError('session deleted');
+    };
+    const started = Date.now();
+    await expect(expect(FLASH).toHaveText('Saved', { timeout: 5000 })).rejects.toThrow('session deleted');
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('rejects anything but a locator, element or driver', async () => {
+    await expect(expect('.flash').toHaveText('x')).rejects.toThrow('toHaveText: expected a By locator or a WebElement, received string');
+    await expect(expect({}).toHaveUrl('/')).rejects.toThrow('toHaveUrl: expected a WebDriver, received object');
+  });
+
+  test('locators need an active browser session', async () => {
+    BaseTest.active.delete(suite);
+    await expect(expect(FLASH).toHaveText('x')).rejects.toThrow('toHaveText: no active browser session');
+  });
+});
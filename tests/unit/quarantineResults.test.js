@@ -0,0 +1,105 @@
+/**
+ * quarantineResults: quarantined failures stay failed in the results, but alone don't fail the run
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'quarantine-results-'));
+const mockQuarantineFile = path.join(dir, 'quarantine.json');
+
+jest.mock('../../utils/config', () => {
+  const actual = jest.requireActual('../../utils/config');
+  return {
+    ...actual,
+    getConfig: () => {
+      const config = actual.getConfig();
+      return { ...config, flaky: { ...config.flaky, quarantineFile: mockQuarantineFile } };
+    }
+  };
+});
+
+const quarantineResults = require('../../reporters/quarantineResults');
+const { testKey } = require('../../utils/flakiness');
+
+const TEST_FILE = path.join(__dirname, '..', 'upload.test.js');
+
+const assertion = (title, status) => ({
+  ancestorTitles: ['Upload'],
+  title,
+  fullName: `Upload ${title}`,
+  status,
+  failureMessages: status === 'failed' ? [`Error: ${title} timed out`] : []
+});
+
+/**
+ * Aggregated results of one test file, as Jest hands them to the processor
+ */
+const runResults = (assertions, fileResult = {}) => ({
+  success: false,
+  numFailedTests: assertions.filter(entry => entry.status === 'failed').length,
+  numRuntimeErrorTestSuites: 0,
+  snapshot: { failure: false },
+  testResults: [{ testFilePath: TEST_FILE, testExecError: undefined, testResults: assertions, ...fileResult }]
+});
+
+describe('quarantineResults', () => {
+  let warn;
+
+  beforeAll(() => {
+    fs.writeFileSync(mockQuarantineFile, JSON.stringify({
+      tests: [{ test: testKey(TEST_FILE, 'Upload large file'), reason: 'Slow storage', ticket: 'QA-7' }]
+    }));
+  });
+
+  beforeEach(() => {
+    warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    warn.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a failing quarantined test still shows as failed, but the run succeeds', () => {
+    const results = runResults([assertion('large file', 'failed'), assertion('small file', 'passed')]);
+
+    const processed = quarantineResults(results);
+
+    expect(processed.success).toBe(true);
+    expect(processed.numFailedTests).toBe(1);
+    expect(processed.testResults[0].testResults[0]).toMatchObject({
+      status: 'failed',
+      failureMessages: ['Error: large file timed out']
+    });
+    expect(warn).toHaveBeenCalledWith('   Upload large file (Slow storage, QA-7)');
+  });
+
+  test('a failure outside the quarantine still fails the run', () => {
+    const results = runResults([assertion('large file', 'failed'), assertion('small file', 'failed')]);
+
+    expect(quarantineResults(results).success).toBe(false);
+    expect(warn).not.toHaveBeenCalled();
+  });
+
+  test('a suite that failed to run still fails the run', () => {
+    const results = runResults([assertion('large file', 'failed')], { testExecError: { message: 'afterAll failed' } });
+
+    expect(quarantineResults(results).success).toBe(false);
+  });
+
+  test('a snapshot failure still fails the run', () => {
+    const results = { ...runResults([assertion('large file', 'failed')]), snapshot: { failure: true } };
+
+    expect(quarantineResults(results).success).toBe(false);
+  });
+
+  test('a successful run is returned as is', () => {
+    const results = { ...runResults([assertion('small file', 'passed')]), success: true };
+
+    expect(quarantineResults(results)).toBe(results);
+  });
+});
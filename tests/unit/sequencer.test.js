@@ -0,0 +1,107 @@
+/**
+ * jest.sequencer.js: shards cover every file exactly once, dependent files share a shard,
+ * and durations come from the shared timings file only
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const CustomSequencer = require('../../jest.sequencer');
+const { resetConfig } = require('../../utils/config');
+const { relativeTestPath } = require('../../utils/flakiness');
+
+describe('CustomSequencer', () => {
+  let dir;
+  let tests;
+  const sequencer = new CustomSequencer({});
+
+  /**
+   * Test file of roughly size bytes, with an optional docblock
+   */
+  const testFile = (name, size, docblock = '') => {
+    const file = path.join(dir, name);
+    const header = docblock ? `/**\n${docblock.split('\n').map(line => ` * ${line}`).join('\n')}\n */\n` : '';
+    fs.writeFileSync(file, `${header}test('${name}', () => {});\n${'//'.padEnd(size, '.')}\n`);
+    return { path: file, context: { config: {} } };
+  };
+
+  const names = (list) => list.map(test => path.basename(test.path));
+
+  const withTimings = (timings) => {
+    const file = path.join(dir, 'timings.json');
+    fs.writeFileSync(file, JSON.stringify({
+      version: 1,
+      tests: {},
+      files: Object.fromEntries(Object.entries(timings).map(([name, duration]) =>
+        [relativeTestPath(path.join(dir, name)), { durations: [duration] }]))
+    }));
+    process.env.SHARD_TIMINGS_FILE = file;
+    resetConfig();
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequencer-'));
+    tests = [
+      testFile('a.test.js', 20000),
+      testFile('b.test.js', 300),
+      testFile('c.test.js', 2500),
+      testFile('d.test.js', 100, '@dependsOn c.test.js'),
+      testFile('e.test.js', 1200),
+      testFile('f.test.js', 900, '@order 1'),
+      testFile('g.test.js', 50)
+    ];
+  });
+
+  afterEach(() => {
+    delete process.env.SHARD_TIMINGS_FILE;
+    resetConfig();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test.each([1, 2, 3, 4, 6, 9])('%i shard(s) together run every file exactly once', (shardCount) => {
+    const shards = Array.from({ length: shardCount }, (_, index) =>
+      names(sequencer.shard(tests, { shardIndex: index + 1, shardCount })));
+
+    expect(shards.flat().sort()).toEqual(names(tests).sort());
+    const withDependency = shards.filter(shard => shard.includes('c.test.js'));
+    expect(withDependency).toEqual([expect.arrayContaining(['c.test.js', 'd.test.js'])]);
+  });
+
+  test('without a timings file, balances by file size', () => {
+    const shardOf = (name) => [1, 2].find(shardIndex =>
+      names(sequencer.shard(tests, { shardIndex, shardCount: 2 })).includes(name));
+
+    // a (20 KB) outweighs everything else together (about 5 KB)
+    expect(names(sequencer.shard(tests, { shardIndex: shardOf('a.test.js'), shardCount: 2 }))).toEqual(['a.test.js']);
+  });
+
+  test('with a timings file, balances by its durations', () => {
+    withTimings({
+      'a.test.js': 2000, 'b.test.js': 1000, 'c.test.js': 3000, 'd.test.js': 500,
+      'e.test.js': 1000, 'f.test.js': 1500, 'g.test.js': 60000
+    });
+
+    // g takes a minute according to the shared timings, despite being the smallest file
+    const shards = [1, 2].map(shardIndex => names(sequencer.shard(tests, { shardIndex, shardCount: 2 })));
+    expect(shards).toContainEqual(['g.test.js']);
+  });
+
+  test('a configured timings file that is missing is an error', () => {
+    process.env.SHARD_TIMINGS_FILE = path.join(dir, 'missing.json');
+    resetConfig();
+
+    expect(() => sequencer.shard(tests, { shardIndex: 1, shardCount: 2 })).toThrow(/Shard timings file .*missing\.json not found/);
+  });
+
+  test('sorts @order first and starts a file after the files it depends on', () => {
+    const sorted = names(sequencer.sort(tests));
+
+    expect(sorted[0]).toBe('f.test.js');
+    expect(sorted.indexOf('d.test.js')).toBeGreaterThan(sorted.indexOf('c.test.js'));
+    expect(sorted.slice().sort()).toEqual(names(tests).sort());
+  });
+
+  test('reports @dependsOn cycles', () => {
+    tests.push(testFile('x.test.js', 10, '@dependsOn y.test.js'), testFile('y.test.js', 10, '@dependsOn x.test.js'));
+    expect(() => sequencer.sort(tests)).toThrow('@dependsOn cycle between test files');
+  });
+});
@@ -0,0 +1,88 @@
+/**
+ * WebDriverManager remote mode: which grid errors are retried, and remote capabilities
+ */
+const { error: seleniumError, Capabilities } = require('selenium-webdriver');
+const WebDriverManager = require('../../utils/setup');
+const { loadConfig } = require('../../utils/config');
+
+const remoteConfig = (env = {}) => loadConfig({
+  profile: 'local',
+  env: {
+    SELENIUM_REMOTE_URL: 'http://grid.example:4444',
+    SELENIUM_REMOTE_CAPABILITIES: '{"se:name":"unit"}',
+    ...env
+  }
+});
+
+const withCode = (message, code) => Object.assign(new Error(message), { code });
+
+describe('WebDriverManager._isRetryableGridError', () => {
+  const manager = new WebDriverManager(remoteConfig());
+
+  test.each([
+    ['new session queue timeout', new seleniumError.SessionNotCreatedError('Could not start a new session. New session request timed out')],
+    ['driver TimeoutError', new seleniumError.TimeoutError('waited too long')],
+    ['no free slot', new Error('No available slots for the requested capabilities')],
+    ['hub unreachable', withCode('connect ECONNREFUSED 10.0.0.1:4444', 'ECONNREFUSED')],
+    ['DNS hiccup in the message only', new Error('getaddrinfo EAI_AGAIN grid.example')],
+    ['connection reset', withCode('socket hang up', 'ECONNRESET')]
+  ])('retries %s', (_, error) => {
+    expect(manager._isRetryableGridError(error)).toBe(true);
+  });
+
+  test.each([
+    ['invalid capabilities', new seleniumError.InvalidArgumentError('Illegal key values seen in w3c capabilities')],
+    ['an invalid argument that mentions a timeout', new seleniumError.InvalidArgumentError('pageLoad timeout must be an integer')],
+    ['an unrelated failure', new seleniumError.WebDriverError('unknown error: cannot find Chrome binary')]
+  ])('does not retry %s', (_, error) => {
+    expect(manager._isRetryableGridError(error)).toBe(false);
+  });
+});
+
+describe('WebDriverManager._createDriverWithRetry', () => {
+  const failingBuilder = (errors) => {
+    const builder = { calls: 0 };
+    builder.build = async () => {
+      const error = errors[Math.min(builder.calls, errors.length - 1)];
+      builder.calls++;
+      if (error) {
+        throw error;
+      }
+      return 'driver';
+    };
+    return builder;
+  };
+
+  test('uses the remote retry policy and stops at the first non-retryable error', async () => {
+    const manager = new WebDriverManager(remoteConfig({ RETRIES_REMOTE: '4' }));
+    manager.retryDelay = 0;
+    const rejected = new seleniumError.InvalidArgumentError('bad capability');
+    const builder = failingBuilder([new seleniumError.SessionNotCreatedError('queue timed out'), rejected]);
+
+    await expect(manager._createDriverWithRetry(builder)).rejects.toBe(rejected);
+    expect(manager.retries).toBe(4);
+    expect(builder.calls).toBe(2);
+  });
+
+  test('retries queue timeouts until a session is created', async () => {
+    const manager = new WebDriverManager(remoteConfig());
+    manager.retryDelay = 0;
+    const builder = failingBuilder([new seleniumError.SessionNotCreatedError('queue timed out'), null]);
+
+    await expect(manager._createDriverWithRetry(builder)).resolves.toBe('driver');
+    expect(builder.calls).toBe(2);
+  });
+});
+
+describe('WebDriverManager._applyRemoteCapabilities', () => {
+  test('adds the configured capabilities in remote mode only', () => {
+    const remote = new Capabilities();
+    new WebDriverManager(remoteConfig())._applyRemoteCapabilities(remote);
+    expect(remote.get('se:name')).toBe('unit');
+
+    const local = new Capabilities();
+    new WebDriverManager(loadConfig({ profile: 'local', env: { SELENIUM_REMOTE_CAPABILITIES: '{"se:name":"unit"}' } }))
+      ._applyRemoteCapabilities(local);
+    expect(local.has('se:name')).toBe(false);
+  });
+});
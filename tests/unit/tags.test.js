@@ -0,0 +1,117 @@
+/**
+ * @tags in titles, the TAGS expression, skip reasons, and the junit.xml properties built from them
+ */
+const { extractTags, parseTagExpression, skipReason } = require('../../utils/tags');
+
+jest.mock('../../utils/testRecords', () => ({
+  ...jest.requireActual('../../utils/testRecords'),
+  readTestRecords: () => new Map([
+    ['a', { name: 'Checkout pays by invoice @firefox-only', skipReason: '@firefox-only test skipped on chrome' }],
+    ['b', { name: 'Checkout pays by card @smoke', skipReason: null }]
+  ])
+}));
+
+describe('extractTags', () => {
+  test('collects tags from every title in order, without duplicates or the @', () => {
+    expect(extractTags(['Checkout @regression', 'pays by card @smoke @slow @regression'])).toEqual(['regression', 'smoke', 'slow']);
+  });
+
+  test('only counts an @ at the start of a title or after whitespace', () => {
+    expect(extractTags(['@smoke logs in as user@example.com', 'mentions @team-a, not a@b'])).toEqual(['smoke', 'team-a']);
+  });
+
+  test('a title without tags has none', () => {
+    expect(extractTags(['Login', 'works'])).toEqual([]);
+  });
+});
+
+describe('parseTagExpression', () => {
+  const selects = (expression, tags) => parseTagExpression(expression)(tags);
+
+  test('an empty expression selects everything', () => {
+    expect(selects(null, [])).toBe(true);
+    expect(selects('  ', ['slow'])).toBe(true);
+  });
+
+  test('matches tags with or without the @, operators in any case', () => {
+    expect(selects('@smoke', ['smoke'])).toBe(true);
+    expect(selects('smoke AND NOT slow', ['smoke', 'slow'])).toBe(false);
+    expect(selects('smoke Or slow', ['slow'])).toBe(true);
+  });
+
+  test('not binds tighter than and, and tighter than or', () => {
+    // a or (b and (not c))
+    const matches = parseTagExpression('a or b and not c');
+    expect(matches(['a', 'c'])).toBe(true);
+    expect(matches(['b'])).toBe(true);
+    expect(matches(['b', 'c'])).toBe(false);
+    expect(matches(['c'])).toBe(false);
+  });
+
+  test('parentheses override precedence and nest', () => {
+    const matches = parseTagExpression('(a or b) and not (c or (d and e))');
+    expect(matches(['b'])).toBe(true);
+    expect(matches(['a', 'c'])).toBe(false);
+    expect(matches(['a', 'd'])).toBe(true);
+    expect(matches(['a', 'd', 'e'])).toBe(false);
+    expect(parseTagExpression('not not a')(['a'])).toBe(true);
+  });
+
+  test.each([
+    ['smoke and', 'unexpected end'],
+    ['(smoke or slow', 'missing ")"'],
+    ['smoke)', 'unexpected ")"'],
+    ['or smoke', 'unexpected "or"'],
+    ['smoke slow', 'unexpected "slow"'],
+    ['()', 'unexpected ")"']
+  ])('rejects "%s"', (expression, message) => {
+    expect(() => parseTagExpression(expression)).toThrow(`Invalid tag expression "${expression}": ${message}`);
+  });
+});
+
+describe('skipReason', () => {
+  test('runs untagged tests and tests the expression selects', () => {
+    expect(skipReason([], { expression: null, browser: 'chrome' })).toBeNull();
+    expect(skipReason(['smoke'], { expression: 'smoke', browser: 'chrome' })).toBeNull();
+  });
+
+  test('skips tests for another browser, whatever the expression', () => {
+    expect(skipReason(['smoke', 'firefox-only'], { expression: 'smoke', browser: 'chrome' }))
+      .toBe('@firefox-only test skipped on chrome');
+    expect(skipReason(['firefox-only'], { expression: null, browser: 'firefox' })).toBeNull();
+  });
+
+  test('only supported browsers make a browser tag', () => {
+    expect(skipReason(['read-only', 'admin-only'], { expression: null, browser: 'chrome' })).toBeNull();
+  });
+
+  test('skips tests the expression leaves out', () => {
+    expect(skipReason(['slow'], { expression: 'not slow', browser: 'chrome' })).toBe('Not selected by tag expression "not slow"');
+  });
+});
+
+describe('junitProperties', () => {
+  const junitProperties = require('../../reporters/junitProperties');
+
+  test('adds the tags of a test and its describe blocks', () => {
+    expect(junitProperties({
+      ancestorTitles: ['Checkout @regression'],
+      title: 'pays by card @smoke',
+      fullName: 'Checkout @regression pays by card @smoke',
+      status: 'passed'
+    })).toEqual({ tags: 'regression,smoke' });
+  });
+
+  test('adds the skip reason of a skipped test from its record', () => {
+    expect(junitProperties({
+      ancestorTitles: ['Checkout'],
+      title: 'pays by invoice @firefox-only',
+      fullName: 'Checkout pays by invoice @firefox-only',
+      status: 'pending'
+    })).toEqual({ tags: 'firefox-only', skipReason: '@firefox-only test skipped on chrome' });
+  });
+
+  test('adds nothing to an untagged test', () => {
+    expect(junitProperties({ ancestorTitles: [], title: 'works', fullName: 'works', status: 'passed' })).toEqual({});
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * Polling helpers shared by ElementHelper's waits and the matchers
+ */
+const { error: seleniumError } = require('selenium-webdriver');
+const { isIgnored, matchesText, poll, withoutImplicitWait } = require('../../utils/wait');
+
+describe('isIgnored', () => {
+  const stale = new seleniumError.StaleElementReferenceError('gone');
+
+  test('matches error classes, including subclasses', () => {
+    expect(isIgnored(stale, [seleniumError.StaleElementReferenceError])).toBe(true);
+    expect(isIgnored(stale, [seleniumError.WebDriverError])).toBe(true);
+    expect(isIgnored(new Error('x'), [seleniumError.WebDriverError])).toBe(false);
+  });
+
+  test('matches error names', () => {
+    expect(isIgnored(stale, ['NoSuchElementError', 'StaleElementReferenceError'])).toBe(true);
+    expect(isIgnored(stale, ['NoSuchElementError'])).toBe(false);
+    expect(isIgnored(stale, [])).toBe(false);
+  });
+});
+
+describe('poll', () => {
+  /**
+   * Probe returning (or throwing) the given results in turn, then the last one forever
+   */
+  const sequence = (...results) => {
+    let call = 0;
+    const probe = async () => {
+      const result = results[Math.min(call++, results.length - 1)];
+      if (result instanceof Error) {
+        throw result;
+      }
+      return result;
+    };
+    return probe;
+  };
+
+  test('returns as soon as the value is accepted', async () => {
+    const result = await poll(sequence(1, 2, 3), value => value === 2, { timeout: 1000, interval: 1 });
+    expect(result).toMatchObject({ accepted: true, value: 2, error: null, attempts: 2 });
+  });
+
+  test('returns the last state at the timeout', async () => {
+    const result = await poll(sequence('loading'), value => value === 'done', { timeout: 30, interval: 5 });
+    expect(result).toMatchObject({ accepted: false, value: 'loading', error: null });
+    expect(result.attempts).toBeGreaterThan(1);
+    expect(result.elapsed).toBeGreaterThanOrEqual(30);
+  });
+
+  test('probes once with a zero timeout', async () => {
+    const result = await poll(sequence(1), () => false, { timeout: 0 });
+    expect(result).toMatchObject({ accepted: false, value: 1, attempts: 1 });
+  });
+
+  test('without ignore, every probe error keeps polling and is kept as the state', async () => {
+    const failure = new Error('not rendered');
+    const result = await poll(sequence(failure, failure, 'ready'), value => value === 'ready', { timeout: 1000, interval: 1 });
+    expect(result).toMatchObject({ accepted: true, value: 'ready', attempts: 3 });
+
+    const timedOut = await poll(sequence(failure), () => true, { timeout: 20, interval: 5 });
+    expect(timedOut).toMatchObject({ accepted: false, error: failure });
+  });
+
+  test('with ignore, only the listed errors keep polling', async () => {
+    const stale = new seleniumError.StaleElementReferenceError('gone');
+    const ignore = ['StaleElementReferenceError'];
+
+    const result = await poll(sequence(stale, 'ready'), value => value === 'ready', { timeout: 1000, interval: 1, ignore });
+    expect(result).toMatchObject({ accepted: true, attempts: 2 });
+
+    const crash = new seleniumError.NoSuchSessionError('session deleted');
+    await expect(poll(sequence(stale, crash, 'ready'), () => true, { timeout: 1000, interval: 1, ignore })).rejects.toBe(crash);
+  });
+});
+
+describe('matchesText', () => {
+  test('collapses whitespace, optionally matches a substring, and accepts a RegExp', () => {
+    expect(matchesText('  Hello\n  world ', 'Hello world')).toBe(true);
+    expect(matchesText('Hello world', 'world')).toBe(false);
+    expect(matchesText('Hello world', 'world', false)).toBe(true);
+    expect(matchesText('Order #42', /#\d+/)).toBe(true);
+    expect(matchesText(null, '')).toBe(false);
+  });
+});
+
+describe('withoutImplicitWait', () => {
+  const driverWithImplicit = (implicit) => {
+    const calls = [];
+    return {
+      calls,
+      manage: () => ({
+        getTimeouts: async () => ({ implicit }),
+        setTimeouts: async (timeouts) => { calls.push(timeouts); }
+      })
+    };
+  };
+
+  test('turns the implicit wait off and restores it, also when fn throws', async () => {
+    const driver = driverWithImplicit(2000);
+    await expect(withoutImplicitWait(driver, async () => {
+      throw new Error('boom');
+    })).rejects.toThrow('boom');
+    expect(driver.calls).toEqual([{ implicit: 0 }, { implicit: 2000 }]);
+  });
+
+  test('leaves a driver without an implicit wait alone', async () => {
+    const driver = driverWithImplicit(0);
+    expect(await withoutImplicitWait(driver, async () => 'done')).toBe('done');
+    expect(driver.calls).toEqual([]);
+  });
+});
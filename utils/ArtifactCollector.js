@@ -0,0 +1,171 @@
+/**
+ * ArtifactCollector - Captures browser state into a per-test artifact folder
+ * Every piece is collected best effort: one failing capture never prevents the others.
+ */
+const path = require('path');
+const fs = require('fs');
+const logger = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+class ArtifactCollector {
+  /**
+   * @param {WebDriverManager} driverManager - Manager owning the driver to capture from
+   * @param {Object} config - Resolved config
+   */
+  constructor(driverManager, config) {
+    this.driverManager = driverManager;
+    this.config = config;
+    this.baseDir = path.resolve(ROOT_DIR, config.artifacts.dir);
+  }
+
+  /**
+   * Create the artifact folder for a test
+   * @param {string} testName - Full test name
+   * @param {number} attempt - Jest attempt number; retries get their own "-attempt<N>" folder
+   * @returns {string} Absolute folder path
+   */
+  createTestDir(testName, attempt = 1) {
+    const sanitizedTestName = testName.replace(/[^a-zA-Z0-9]/g, '_').slice(0, 100);
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const suffix = attempt > 1 ? `-attempt${attempt}` : '';
+    const dir = path.join(this.baseDir, `${sanitizedTestName}${suffix}-${timestamp}`);
+    fs.mkdirSync(dir, { recursive: true });
+    return dir;
+  }
+
+  /**
+   * Capture the full failure bundle and write manifest.json
+   * @param {string} testName - Full test name
+   * @param {Error} error - Error that failed the test
+   * @param {Object} options
+   * @param {Object[]} options.consoleEntries - Browser log entries for the test (from BrowserLogCollector)
+   * @param {Object} options.har - HAR log of the test's network traffic (from HarRecorder)
+   * @param {number} options.attempt - Jest attempt number (default: 1)
+   * @returns {Promise<{dir: string, manifestPath: string, manifest: Object}>}
+   */
+  async collectFailure(testName, error = null, { consoleEntries = null, har = null, attempt = 1 } = {}) {
+    const dir = this.createTestDir(testName, attempt);
+    const driver = this.driverManager.driver;
+    const files = [];
+    const collectionErrors = [];
+
+    const capture = async (type, fileName, contentType, produce) => {
+      try {
+        const content = await produce();
+        if (content === undefined || content === null) {
+          return;
+        }
+        const filePath = path.join(dir, fileName);
+        if (Buffer.isBuffer(content) || typeof content === 'string') {
+          fs.writeFileSync(filePath, content);
+        } else {
+          fs.writeFileSync(filePath, JSON.stringify(content, null, 2));
+        }
+        files.push({ type, path: fileName, contentType });
+      } catch (captureError) {
+        collectionErrors.push({ type, message: captureError.message });
+        logger.warn(`Failed to capture ${type} artifact: ${captureError.message}`);
+      }
+    };
+
+    let page = { url: 'unknown', title: 'unknown' };
+
+    if (driver) {
+      await capture('screenshot', 'screenshot.png', 'image/png', async () =>
+        Buffer.from(await driver.takeScreenshot(), 'base64'));
+
+      await capture('page-source', 'page-source.html', 'text/html', () => driver.getPageSource());
+
+      await capture('page', 'page.json', 'application/json', async () => {
+        const [url, title, rect] = await Promise.all([
+          driver.getCurrentUrl(),
+          driver.getTitle(),
+          driver.manage().window().getRect()
+        ]);
+        page = { url, title, windowSize: { width: rect.width, height: rect.height } };
+        return page;
+      });
+
+      await capture('cookies', 'cookies.json', 'application/json', () => driver.manage().getCookies());
+
+      await capture('storage', 'storage.json', 'application/json', () => driver.executeScript(`
+        const dump = (storage) => {
+          const items = {};
+          for (let i = 0; i < storage.length; i++) {
+            const key = storage.key(i);
+            items[key] = storage.getItem(key);
+          }
+          return items;
+        };
+        return { localStorage: dump(window.localStorage), sessionStorage: dump(window.sessionStorage) };
+      `));
+
+      await capture('console', 'console.json', 'application/json', () =>
+        consoleEntries || this._getConsoleLogs(driver));
+    }
+
+    if (har) {
+      await capture('har', 'network.har', 'application/json', () => har);
+    }
+
+    if (error) {
+      await capture('error', 'error.txt', 'text/plain', () => error.stack || error.message);
+    }
+
+    let sessionId = null;
+    try {
+      sessionId = driver ? (await driver.getSession()).getId() : null;
+    } catch (sessionError) {
+      // Session already gone - leave sessionId null
+    }
+
+    const manifest = {
+      test: testName,
+      status: 'failed',
+      attempt,
+      createdAt: new Date().toISOString(),
+      browser: this.driverManager.browser,
+      profile: this.config.profile,
+      sessionId,
+      url: page.url,
+      title: page.title,
+      error: error ? { message: error.message, stack: error.stack } : null,
+      files,
+      collectionErrors
+    };
+
+    const manifestPath = path.join(dir, 'manifest.json');
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest, null, 2));
+    logger.info(`🗂️ Failure artifacts saved: ${dir}`, { manifest: manifestPath });
+
+    return { dir, manifestPath, manifest };
+  }
+
+  /**
+   * Save a passing test's HAR (har.mode 'always'); failures include it in collectFailure()
+   * @returns {string} Absolute path of the written file
+   */
+  saveHar(testName, har, attempt = 1) {
+    const filePath = path.join(this.createTestDir(testName, attempt), 'network.har');
+    fs.writeFileSync(filePath, JSON.stringify(har, null, 2));
+    logger.info(`🌐 HAR saved: ${filePath}`);
+    return filePath;
+  }
+
+  /**
+   * Read browser console logs. Chrome exposes them through the logging API;
+   * other browsers throw, which capture() records as a collection error.
+   * @private
+   */
+  async _getConsoleLogs(driver) {
+    const entries = await driver.manage().logs().get('browser');
+    return entries.map(entry => ({
+      level: entry.level.name,
+      message: entry.message,
+      timestamp: new Date(entry.timestamp).toISOString()
+    }));
+  }
+}
+
+module.exports = ArtifactCollector;
@@ -0,0 +1,177 @@
+/**
+ * AuthState - Log in once per user role and reuse the session in later suites
+ * The first suite to need a role performs a real UI login and saves cookies plus
+ * local/session storage to auth.dir; later suites restore that state into their own
+ * fresh browser session. Stale or rejected state falls back to a real login.
+ */
+const path = require('path');
+const fs = require('fs');
+const { resolveUrl } = require('./config');
+const logger = require('./logger');
+const LoginPage = require('../pages/LoginPage');
+const SecureAreaPage = require('../pages/SecureAreaPage');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+class AuthState {
+  /**
+   * @param {BaseTest} baseTest - Initialized BaseTest instance (after setupSuite)
+   */
+  constructor(baseTest) {
+    if (!baseTest || !baseTest.driver) {
+      throw new Error('AuthState requires an initialized BaseTest');
+    }
+
+    this.baseTest = baseTest;
+    this.driver = baseTest.driver;
+    this.config = baseTest.config;
+  }
+
+  /**
+   * File holding the saved state for a role (one per profile, so staging and local never mix)
+   * @param {string} role - Key in config.users
+   */
+  statePath(role) {
+    return path.resolve(ROOT_DIR, this.config.auth.dir, `${this.config.profile}-${role}.json`);
+  }
+
+  /**
+   * Leave the browser logged in as the given role, on the secure area
+   * @param {string} role - Key in config.users (default: 'standard')
+   * @returns {Promise<SecureAreaPage>}
+   */
+  async loginAs(role = 'standard') {
+    const user = this.config.users[role];
+    if (!user) {
+      throw new Error(`Unknown user role "${role}" (configured roles: ${Object.keys(this.config.users).join(', ')})`);
+    }
+
+    if (this.config.auth.reuse) {
+      const state = this.load(role);
+      if (state) {
+        const page = await this.restore(state);
+        if (page) {
+          logger.info(`🔑 Restored saved login for "${role}" (saved ${new Date(state.savedAt).toISOString()})`);
+          return page;
+        }
+        logger.warn(`Saved login for "${role}" was rejected by the server - logging in again`);
+      }
+    }
+
+    const loginPage = await LoginPage.open(this.baseTest);
+    const secureAreaPage = await loginPage.loginAs(user.username, user.password);
+
+    if (this.config.auth.reuse) {
+      await this.save(role);
+    }
+    return secureAreaPage;
+  }
+
+  /**
+   * Read saved state for a role, or null if there is none or it can no longer be used
+   * @param {string} role - Key in config.users
+   * @returns {Object|null}
+   */
+  load(role) {
+    const filePath = this.statePath(role);
+    let state;
+    try {
+      state = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn(`Ignoring unreadable auth state ${filePath}: ${error.message}`);
+      }
+      return null;
+    }
+
+    const reason = this._staleReason(state);
+    if (reason) {
+      logger.info(`Saved login for "${role}" not reused: ${reason}`);
+      this.invalidate(role);
+      return null;
+    }
+    return state;
+  }
+
+  /**
+   * Save the current browser's cookies and storage for a role
+   * @param {string} role - Key in config.users
+   * @returns {Promise<string>} Path of the state file
+   */
+  async save(role) {
+    const { origin, cookies, localStorage, sessionStorage } = await this.baseTest.storage.snapshot();
+    const state = {
+      role,
+      baseUrl: this.config.baseUrl,
+      savedAt: Date.now(),
+      origin,
+      cookies,
+      localStorage,
+      sessionStorage
+    };
+
+    // Write then rename, so a parallel worker never reads a half-written file
+    const filePath = this.statePath(role);
+    const tempPath = `${filePath}.${process.pid}.tmp`;
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+
+    logger.info(`💾 Saved login state for "${role}": ${path.relative(process.cwd(), filePath)}`);
+    return filePath;
+  }
+
+  /**
+   * Load saved state into the current session and check the server still accepts it
+   * @param {Object} state - State from load()
+   * @returns {Promise<SecureAreaPage|null>} The secure area, or null if the state was rejected
+   */
+  async restore(state) {
+    const { storage } = this.baseTest;
+    await storage.clearAll();
+    await storage.restore({ origin: new URL(state.baseUrl).origin, ...state });
+
+    await this.baseTest.navigateTo(SecureAreaPage.url);
+
+    // Rejected sessions are redirected back to the login page
+    const currentUrl = await this.driver.getCurrentUrl();
+    if (!currentUrl.startsWith(resolveUrl(SecureAreaPage.url, this.config.baseUrl))) {
+      await storage.clearCookies();
+      return null;
+    }
+    return await SecureAreaPage.on(this.baseTest);
+  }
+
+  /**
+   * Delete the saved state for a role (e.g. after a test changes the user's password)
+   * @param {string} role - Key in config.users
+   */
+  invalidate(role) {
+    fs.rmSync(this.statePath(role), { force: true });
+  }
+
+  /**
+   * @private
+   * @returns {string|null} Why the state cannot be reused, or null if it can
+   */
+  _staleReason(state) {
+    if (state.baseUrl !== this.config.baseUrl) {
+      return `saved for ${state.baseUrl}, running against ${this.config.baseUrl}`;
+    }
+
+    const age = Date.now() - state.savedAt;
+    if (!(age >= 0 && age <= this.config.auth.ttl)) {
+      return `older than auth.ttl (${Math.round(age / 1000)}s)`;
+    }
+
+    // Selenium cookie expiry is in seconds since the epoch
+    const nowSeconds = Date.now() / 1000;
+    const expired = (state.cookies || []).find(cookie => cookie.expiry && cookie.expiry <= nowSeconds);
+    if (expired) {
+      return `cookie "${expired.name}" expired`;
+    }
+    return null;
+  }
+}
+
+module.exports = AuthState;
@@ -2,27 +2,84 @@
  * BaseTest - Abstract base class for all Selenium tests
  * Provides common setup, teardown, and utility methods
  */
+const { AsyncLocalStorage } = require('async_hooks');
 const WebDriverManager = require('./setup');
+const DriverPool = require('./DriverPool');
 const ElementHelper = require('./ElementHelper');
+const ArtifactCollector = require('./ArtifactCollector');
+const NetworkMock = require('./NetworkMock');
+const HarRecorder = require('./HarRecorder');
+const VisualComparator = require('./VisualComparator');
+const StorageHelper = require('./StorageHelper');
+const ContextHelper = require('./ContextHelper');
+const FormFiller = require('./FormFiller');
 const logger = require('./logger');
+const { getConfig, resolveUrl } = require('./config');
+const { getCurrentTest } = require('./testState');
 
 class BaseTest {
-  constructor() {
+  /**
+   * BaseTest instances between setupSuite and teardownSuite. jest.setup.js runs
+   * setupTest/teardownTest on these around every test, so suites need no per-test hooks.
+   */
+  static active = new Set();
+
+  /**
+   * @param {Object} config - Resolved config (default: getConfig())
+   */
+  constructor(config = getConfig()) {
+    this.config = config;
     this.driverManager = null;
     this.driver = null;
     this.elementHelper = null;
     this.testStartTime = null;
+    this.lastFailureArtifacts = null;
+    this.attempt = 1;
+    // Navigations/clicks of the current test that only succeeded after retrying
+    this.internalRetries = [];
+    this.lastInternalRetries = [];
+    this.steps = [];
+    // Steps not finished yet, and the step each async call chain is running in
+    this.openSteps = [];
+    this.currentStep = new AsyncLocalStorage();
+    // Child logger carrying this suite's test/session context; set per test in setupTest
+    this.log = logger;
+    this.consoleMark = 0;
+    this.networkMock = null;
+    this.harRecorder = null;
+    this.harUnavailable = false;
+    this.storageHelper = null;
+    this.contextHelper = null;
+    this.formFiller = null;
+    this.driverPool = new DriverPool(config);
+    this.isolation = config.driverPool.isolation;
+    this.testsRun = 0;
+    this.lastTestPassed = true;
+    this.clearStorageBetweenTests = config.storage.clearBetweenTests;
+    this.consolePolicy = {
+      failOnError: config.console.failOnError,
+      allowlist: [...config.console.allowlist]
+    };
   }
 
   /**
    * Set up WebDriver before all tests in a suite
+   * @param {Object} options
+   * @param {'shared-reset'|'fresh-per-suite'|'fresh-per-test'} options.isolation - How the suite
+   *   gets its browser (default: config.driverPool.isolation, see utils/DriverPool.js)
    */
-  async setupSuite() {
+  async setupSuite({ isolation = this.config.driverPool.isolation } = {}) {
+    if (!DriverPool.ISOLATION_MODES.includes(isolation)) {
+      throw new Error(`Unknown isolation "${isolation}" (expected one of ${DriverPool.ISOLATION_MODES.join(', ')})`);
+    }
+    this.isolation = isolation;
+    this.testsRun = 0;
+    this.lastTestPassed = true;
+
     try {
-      this.driverManager = new WebDriverManager();
-      this.driver = await this.driverManager.createDriver();
-      this.elementHelper = new ElementHelper(this.driver);
-      logger.info('Test suite setup completed successfully');
+      await this._startDriver();
+      BaseTest.active.add(this);
+      logger.info(`Test suite setup completed successfully (${isolation})`);
     } catch (error) {
       logger.error('Failed to initialize WebDriver in suite setup:', error);
       throw error;
@@ -33,9 +90,10 @@ class BaseTest {
    * Clean up after all tests in a suite
    */
   async teardownSuite() {
+    BaseTest.active.delete(this);
     try {
       if (this.driverManager) {
-        await this.driverManager.quit();
+        await this._stopDriver();
         logger.info('Test suite teardown completed');
       }
     } catch (error) {
@@ -44,51 +102,511 @@ class BaseTest {
       this.driverManager = null;
       this.driver = null;
       this.elementHelper = null;
+      this.networkMock = null;
+      this.harRecorder = null;
+      this.storageHelper = null;
+      this.contextHelper = null;
+      this.formFiller = null;
+      this.log = logger;
+    }
+  }
+
+  /**
+   * Get a browser for this suite: from the driver pool for shared-reset, else a new one
+   * @private
+   */
+  async _startDriver() {
+    if (this.isolation === 'shared-reset' && this.driverPool.available) {
+      this.driverManager = await this.driverPool.acquire();
+    } else {
+      this.driverManager = new WebDriverManager(this.config);
+      await this.driverManager.createDriver();
     }
+
+    this.driver = this.driverManager.driver;
+    this.elementHelper = new ElementHelper(this.driver, this.config);
+    // BiDi helpers belong to the previous session
+    this.networkMock = null;
+    this.harRecorder = null;
+    this.harUnavailable = false;
+    this.storageHelper = null;
+    this.contextHelper = null;
+    this.formFiller = null;
+  }
+
+  /**
+   * Return a pooled browser to the pool, or quit it
+   * @private
+   */
+  async _stopDriver() {
+    const driverManager = this.driverManager;
+    if (driverManager.poolId === null) {
+      await driverManager.quit();
+      return;
+    }
+
+    // Drop this suite's BiDi intercepts and data collectors before the next suite gets the session
+    try {
+      if (this.networkMock) {
+        await this.networkMock.stop();
+      }
+      if (this.harRecorder) {
+        await this.harRecorder.stop();
+      }
+    } catch (error) {
+      logger.debug(`Failed to stop network helpers: ${error.message}`);
+    }
+    await this.driverPool.release(driverManager);
+  }
+
+  /**
+   * Swap the suite's browser for a new one (fresh-per-test, or after the session died)
+   * @private
+   */
+  async _replaceDriver(reason) {
+    logger.info(`Starting a new browser session: ${reason}`);
+    const driverManager = this.driverManager;
+    if (driverManager.poolId === null) {
+      await driverManager.quit();
+    } else {
+      await this.driverPool.discard(driverManager);
+    }
+
+    await this._startDriver();
+  }
+
+  /**
+   * Whether the browser session still answers (see DriverPool#checkHealth)
+   * @private
+   */
+  async _isDriverHealthy() {
+    try {
+      await this.driverPool.checkHealth(this.driverManager);
+      return true;
+    } catch (error) {
+      logger.warn(`Browser session is not responding: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Network interception and request recording for this suite's driver (needs BiDi).
+   * Routes are removed after every test.
+   * @returns {NetworkMock}
+   */
+  get network() {
+    if (!this.driver) {
+      throw new Error('WebDriver not initialized');
+    }
+    if (!this.networkMock || this.networkMock.driver !== this.driver) {
+      this.networkMock = new NetworkMock(this.driver, this.config);
+    }
+    return this.networkMock;
+  }
+
+  /**
+   * Cookies, localStorage, sessionStorage and IndexedDB of this suite's browser
+   * @returns {StorageHelper}
+   */
+  get storage() {
+    if (!this.driver) {
+      throw new Error('WebDriver not initialized');
+    }
+    if (!this.storageHelper || this.storageHelper.driver !== this.driver) {
+      this.storageHelper = new StorageHelper(this.driver, this.config);
+    }
+    return this.storageHelper;
+  }
+
+  /**
+   * withinFrame / withinNewWindow / withinShadowRoot for this suite's browser
+   * @returns {ContextHelper}
+   */
+  get contexts() {
+    if (!this.driver) {
+      throw new Error('WebDriver not initialized');
+    }
+    if (!this.contextHelper || this.contextHelper.driver !== this.driver) {
+      this.contextHelper = new ContextHelper(this.driver, this.config);
+    }
+    return this.contextHelper;
+  }
+
+  /**
+   * Typed, sequential form filling with read-back verification for this suite's browser
+   * @returns {FormFiller}
+   */
+  get forms() {
+    if (!this.driver) {
+      throw new Error('WebDriver not initialized');
+    }
+    if (!this.formFiller || this.formFiller.driver !== this.driver) {
+      this.formFiller = new FormFiller(this.driver, this.elementHelper, this.config);
+    }
+    return this.formFiller;
   }
 
   /**
    * Set up before each individual test
+   * @param {string} testName - Full test name
+   * @param {Object} logContext - Correlation context for this.log (testId, suite, test, workerId)
    */
-  async setupTest(testName) {
+  async setupTest(testName, logContext = {}) {
     this.testStartTime = Date.now();
-    logger.testStart(testName);
+    this.lastFailureArtifacts = null;
+    const currentTest = getCurrentTest();
+    this.attempt = currentTest ? currentTest.attempt : 1;
+    this.internalRetries = [];
+    this.lastInternalRetries = [];
+    this.steps = [];
+    this.openSteps = [];
+
+    if (this.driverManager && this.testsRun > 0) {
+      if (this.isolation === 'fresh-per-test') {
+        await this._replaceDriver('fresh-per-test isolation');
+      } else if (!this.lastTestPassed && !(await this._isDriverHealthy())) {
+        // A crashed browser would otherwise fail every remaining test in the suite
+        await this._replaceDriver('previous session crashed or hung');
+      }
+    }
+    this.testsRun++;
+    if (this.elementHelper) {
+      this.elementHelper.internalRetries = [];
+    }
+
+    this.log = logger.forTest({
+      ...logContext,
+      browser: this.driverManager ? this.driverManager.browser : this.config.browser.name,
+      sessionId: this.driverManager ? this.driverManager.sessionId : null
+    });
+    this.log.testStart(testName);
+
+    const browserLogs = this.driverManager && this.driverManager.browserLogs;
+    this.consoleMark = browserLogs ? await browserLogs.mark() : 0;
+
+    if (this.networkMock) {
+      this.networkMock.clearRequests();
+    }
+
+    await this._startHarRecording();
   }
 
   /**
    * Clean up after each individual test
+   * @param {string} testName - Full test name
+   * @param {boolean} testPassed - Real test outcome (see jest.environment.js)
+   * @param {Error} error - Error that failed the test, if any
    */
-  async teardownTest(testName, testPassed = true) {
+  async teardownTest(testName, testPassed = true, error = null) {
     const duration = Date.now() - this.testStartTime;
+    this._interruptOpenSteps();
+
+    // Attach the test's browser console output to its log, and apply the fail-on-error policy
+    const consoleEntries = await this._getTestConsoleEntries();
+    consoleEntries.forEach(entry => this.log.browserConsole(entry));
+
+    const consoleError = testPassed ? this._checkConsolePolicy(consoleEntries) : null;
+    if (consoleError) {
+      testPassed = false;
+      error = consoleError;
+    }
+
     const result = testPassed ? 'passed' : 'failed';
+    this.lastTestPassed = testPassed;
+    this.lastInternalRetries = [
+      ...this.internalRetries,
+      ...(this.elementHelper ? this.elementHelper.internalRetries : [])
+    ];
+    const har = await this._getTestHar(testPassed);
+
+    if (!testPassed && error) {
+      this.log.error(`Test failure: ${error.message}`, { stack: error.stack });
+    }
     
-    // Take screenshot on failure
+    // Capture screenshot, page source, cookies, storage and logs on failure
     if (!testPassed && this.driverManager) {
       try {
-        const sanitizedTestName = testName.replace(/[^a-zA-Z0-9]/g, '_');
-        await this.driverManager.takeScreenshot(`failed_${sanitizedTestName}.png`);
-      } catch (screenshotError) {
-        logger.error(`Failed to capture failure screenshot: ${screenshotError.message}`);
+        const collector = new ArtifactCollector(this.driverManager, this.config);
+        this.lastFailureArtifacts = await collector.collectFailure(testName, error, {
+          consoleEntries: this.driverManager.browserLogs ? consoleEntries : null,
+          har,
+          attempt: this.attempt
+        });
+      } catch (artifactError) {
+        this.log.error(`Failed to capture failure artifacts: ${artifactError.message}`);
+      }
+    } else if (har) {
+      try {
+        new ArtifactCollector(this.driverManager, this.config).saveHar(testName, har, this.attempt);
+      } catch (harError) {
+        this.log.error(`Failed to save HAR: ${harError.message}`);
       }
     }
     
-    logger.testEnd(testName, result);
-    logger.info(`Test duration: ${duration}ms`);
+    // Routes belong to the test that added them
+    if (this.networkMock) {
+      await this.networkMock.reset();
+    }
+
+    // After artifact collection, so a failure bundle still shows the test's cookies and storage
+    if (this.clearStorageBetweenTests && this.driver) {
+      try {
+        await this.storage.clearAll();
+      } catch (storageError) {
+        this.log.warn(`Failed to clear browser state after test: ${storageError.message}`);
+      }
+    }
+
+    this.log.testEnd(testName, result);
+    this.log.info(`Test duration: ${duration}ms`);
+
+    // Thrown from the afterEach hook, this fails an otherwise passing test
+    if (consoleError) {
+      throw consoleError;
+    }
+  }
+
+  /**
+   * Run part of a test as a named step. Steps nest, are timed, and end up in the test's
+   * step tree (this.steps) for reporters. A failing step fails the test with its error.
+   * Steps started concurrently (Promise.all) become siblings under the step that started them.
+   * @param {string} name - Step name
+   * @param {Function} fn - Async step body; its return value is returned
+   * @param {Object} options
+   * @param {'always'|'on-failure'|'never'} options.screenshot - Screenshot after the step (default: config.steps.screenshot)
+   * @returns {Promise<*>} fn's result
+   */
+  async step(name, fn, { screenshot = this.config.steps.screenshot } = {}) {
+    const parent = this.currentStep.getStore();
+    const node = {
+      name,
+      status: 'running',
+      startedAt: Date.now(),
+      endedAt: null,
+      duration: null,
+      error: null,
+      screenshot: null,
+      steps: []
+    };
+    (parent ? parent.steps : this.steps).push(node);
+    this.openSteps.push(node);
+
+    this.log.step(name);
+    let error = null;
+    try {
+      return await this.currentStep.run(node, fn);
+    } catch (stepError) {
+      error = stepError;
+      throw stepError;
+    } finally {
+      // Finishing after teardown interrupted it (test timeout): the test is already reported
+      if (node.status !== 'interrupted') {
+        await this._endStep(node, error, screenshot);
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _endStep(node, error, screenshot) {
+    node.status = error ? 'failed' : 'passed';
+    node.error = error ? { message: error.message, stack: error.stack } : null;
+    node.endedAt = Date.now();
+    node.duration = node.endedAt - node.startedAt;
+    this.openSteps.splice(this.openSteps.indexOf(node), 1);
+
+    const icon = node.status === 'passed' ? '✔' : '✖';
+    this.log.info(`${icon} Step ${node.status}: ${node.name} (${node.duration}ms)`);
+
+    // A failure screenshot is only useful once: from the innermost failing step
+    const innermostFailure = error && !node.steps.some(child => child.status === 'failed');
+    if (screenshot === 'always' || (screenshot === 'on-failure' && innermostFailure)) {
+      node.screenshot = await this._takeStepScreenshot(node);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _takeStepScreenshot(node) {
+    if (!this.driverManager || !this.driverManager.driver) {
+      return null;
+    }
+
+    const fileName = `step-${Date.now()}-${node.name.replace(/[^a-zA-Z0-9]/g, '_').slice(0, 60)}.png`;
+    try {
+      return await this.driverManager.takeScreenshot(fileName);
+    } catch (error) {
+      this.log.warn(`Step screenshot failed: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Steps still open at teardown were cut short (test timeout) - close them for the report
+   * @private
+   */
+  _interruptOpenSteps() {
+    const now = Date.now();
+    for (const node of this.openSteps) {
+      node.status = 'interrupted';
+      node.endedAt = now;
+      node.duration = now - node.startedAt;
+    }
+    this.openSteps = [];
+  }
+
+  /**
+   * Compare the viewport with a stored baseline; the first run (or UPDATE_BASELINES=true)
+   * stores the screenshot as the new baseline instead
+   * @param {string} name - Baseline name
+   * @param {Object} options - threshold, maxDiffPixelRatio, ignoreRegions (see VisualComparator)
+   * @returns {Promise<Object>} Comparison result (see VisualComparator)
+   */
+  async expectScreenshotToMatch(name, options = {}) {
+    if (!this.driverManager) {
+      throw new Error('WebDriver not initialized');
+    }
+
+    const result = await new VisualComparator(this.driverManager, this.config).compare(name, options);
+    if (result.status !== 'mismatched') {
+      return result;
+    }
+
+    const reason = `${result.diffPixels} pixels differ (${(result.diffRatio * 100).toFixed(2)}%)`;
+    const files = Object.entries(result.files).map(([kind, file]) => `  ${kind}: ${file}`).join('\n');
+    this.log.error(`Screenshot "${name}" does not match baseline: ${reason}`);
+
+    throw new Error(
+      `Screenshot "${name}" does not match baseline ${result.baselinePath}: ${reason}\n${files}\n` +
+      'Run npm run test:update-baselines if the change is intended.'
+    );
+  }
+
+  /**
+   * Override the browser console policy for this suite
+   * @param {Object} policy
+   * @param {boolean} policy.failOnError - Fail tests on new console errors / uncaught exceptions
+   * @param {Array<string|RegExp>} policy.allowlist - Extra patterns to ignore (added to the config allowlist)
+   */
+  setConsolePolicy({ failOnError, allowlist = [] } = {}) {
+    if (failOnError !== undefined) {
+      this.consolePolicy.failOnError = failOnError;
+    }
+    this.consolePolicy.allowlist.push(...allowlist);
+  }
+
+  /**
+   * Override per-test state isolation for this suite
+   * @param {Object} policy
+   * @param {boolean} policy.clearBetweenTests - Clear cookies and storage after every test (keeps the driver)
+   */
+  setStoragePolicy({ clearBetweenTests } = {}) {
+    if (clearBetweenTests !== undefined) {
+      this.clearStorageBetweenTests = clearBetweenTests;
+    }
+  }
+
+  /**
+   * Start (or restart) recording network traffic for the HAR, per config.har.mode.
+   * A session without BiDi disables recording for the suite instead of failing tests.
+   * @private
+   */
+  async _startHarRecording() {
+    if (this.config.har.mode === 'off' || !this.driver || this.harUnavailable) {
+      return;
+    }
+
+    try {
+      if (!this.harRecorder) {
+        this.harRecorder = new HarRecorder(this.driver, { includeBodies: this.config.har.includeBodies });
+      }
+      await this.harRecorder.start();
+    } catch (error) {
+      this.log.warn(`HAR recording disabled: ${error.message}`);
+      this.harRecorder = null;
+      this.harUnavailable = true;
+    }
+  }
+
+  /**
+   * The test's HAR if config.har.mode wants it for this outcome
+   * @private
+   */
+  async _getTestHar(testPassed) {
+    const { mode } = this.config.har;
+    if (!this.harRecorder || mode === 'off' || (mode === 'on-failure' && testPassed)) {
+      return null;
+    }
+
+    try {
+      return await this.harRecorder.toHar();
+    } catch (error) {
+      this.log.warn(`Failed to build HAR: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Browser log entries produced since setupTest
+   * @private
+   */
+  async _getTestConsoleEntries() {
+    const browserLogs = this.driverManager && this.driverManager.browserLogs;
+    if (!browserLogs) {
+      return [];
+    }
+
+    try {
+      return await browserLogs.entriesSince(this.consoleMark);
+    } catch (error) {
+      this.log.warn(`Failed to collect browser console entries: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Build an error if the policy is on and the test produced non-allowlisted errors
+   * @private
+   */
+  _checkConsolePolicy(entries) {
+    if (!this.consolePolicy.failOnError) {
+      return null;
+    }
+
+    const allowlist = this.consolePolicy.allowlist.map(pattern => new RegExp(pattern));
+    const violations = entries.filter(entry =>
+      (entry.level === 'error' || entry.source === 'exception') &&
+      !allowlist.some(pattern => pattern.test(entry.message) || (entry.url && pattern.test(entry.url)))
+    );
+
+    if (violations.length === 0) {
+      return null;
+    }
+
+    const details = violations.map(entry => `  - [${entry.source}] ${entry.message}`).join('\n');
+    return new Error(
+      `Browser reported ${violations.length} console error(s) / uncaught exception(s):\n${details}`
+    );
   }
 
   /**
    * Navigate to a URL with retry logic and performance optimizations
+   * @param {string} pathOrUrl - Absolute URL, or path resolved against the configured baseUrl
    */
-  async navigateTo(url, maxRetries = 2) { // Reduced retries from 3 to 2
+  async navigateTo(pathOrUrl, maxRetries = this.config.retries.navigation.attempts) {
     if (!this.driver) {
       throw new Error('WebDriver not initialized');
     }
 
+    const url = resolveUrl(pathOrUrl, this.config.baseUrl);
+
     // Check if we're already on the target URL to avoid unnecessary navigation
     try {
       const currentUrl = await this.driver.getCurrentUrl();
       if (currentUrl === url || (url.includes('/login') && currentUrl.includes('/login'))) {
-        logger.step(`Already on target page: ${url}`);
+        this.log.step(`Already on target page: ${url}`);
         return;
       }
     } catch (error) {
@@ -98,14 +616,18 @@ class BaseTest {
     let lastError;
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
-        logger.step(`Navigate to: ${url} (attempt ${attempt})`);
+        this.log.step(`Navigate to: ${url} (attempt ${attempt})`);
         await this.driver.get(url);
+        if (attempt > 1) {
+          this.internalRetries.push({ action: 'navigate', target: url, attempts: attempt });
+          this.log.warn(`Navigation to ${url} needed ${attempt} attempts`);
+        }
         return; // Success, no need for popup handling delay
       } catch (error) {
         lastError = error;
-        logger.warn(`Navigation attempt ${attempt} failed: ${error.message}`);
+        this.log.warn(`Navigation attempt ${attempt} failed: ${error.message}`);
         if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 500)); // Reduced delay
+          await new Promise(resolve => setTimeout(resolve, this.config.retries.navigation.delay));
         }
       }
     }
@@ -126,7 +648,7 @@ class BaseTest {
       // Check if the window is still available first
       const windowHandles = await this.driver.getAllWindowHandles();
       if (windowHandles.length === 0) {
-        logger.warn('No browser windows available for popup handling');
+        this.log.warn('No browser windows available for popup handling');
         return;
       }
       
@@ -149,7 +671,7 @@ class BaseTest {
           
           if (isDisplayed && isEnabled) {
             await button.click();
-            logger.step('Popup dismissed');
+            this.log.step('Popup dismissed');
             await new Promise(resolve => setTimeout(resolve, 100)); // Reduced delay
           }
         } catch (clickError) {
@@ -159,14 +681,14 @@ class BaseTest {
       
     } catch (error) {
       // Popup handling is best effort - don't fail the test if it doesn't work
-      logger.warn(`Popup handling encountered error: ${error.message}`);
+      this.log.warn(`Popup handling encountered error: ${error.message}`);
     }
   }
 
   /**
    * Wait for page to be ready with faster timeout
    */
-  async waitForPageReady(timeout = 5000) { // Reduced from 10s to 5s
+  async waitForPageReady(timeout = this.config.timeouts.pageReady) {
     if (!this.driver) {
       throw new Error('WebDriver not initialized');
     }
@@ -180,7 +702,7 @@ class BaseTest {
         timeout
       );
     } catch (error) {
-      logger.warn(`Page ready timeout after ${timeout}ms: ${error.message}`);
+      this.log.warn(`Page ready timeout after ${timeout}ms: ${error.message}`);
     }
   }
 
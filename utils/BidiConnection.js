@@ -0,0 +1,119 @@
+/**
+ * BidiConnection - Event routing over a driver's WebDriver BiDi socket
+ * Dispatches events by method name and reference-counts subscriptions, so several
+ * helpers (network mocking, HAR recording) can share one session without
+ * unsubscribing each other.
+ */
+const logger = require('./logger');
+
+const connections = new WeakMap();
+
+class BidiConnection {
+  /**
+   * Get the shared connection for a driver
+   * @param {WebDriver} driver - WebDriver instance started with BiDi enabled
+   * @param {string} feature - Name used in the error when BiDi is unavailable
+   * @returns {Promise<BidiConnection>}
+   */
+  static async for(driver, feature = 'This feature') {
+    if (!connections.has(driver)) {
+      const connection = (async () => {
+        const capabilities = await driver.getCapabilities();
+        if (!capabilities.get('webSocketUrl')) {
+          throw new Error(
+            `${feature} requires WebDriver BiDi. Set browser.bidi: true in selenium.config.js (or BIDI=true)`
+          );
+        }
+        return new BidiConnection(await driver.getBidi());
+      })();
+
+      connections.set(driver, connection);
+      // Don't cache a failed lookup
+      connection.catch(() => connections.delete(driver));
+    }
+
+    return await connections.get(driver);
+  }
+
+  constructor(bidi) {
+    this.bidi = bidi;
+    this.handlers = new Map();
+    this.listening = false;
+  }
+
+  /**
+   * Send a BiDi command
+   * @param {string} method - Command name, e.g. 'network.addIntercept'
+   * @param {Object} params - Command parameters
+   * @returns {Promise<Object>} Command result
+   */
+  async send(method, params = {}) {
+    const response = await this.bidi.send({ method, params });
+    if (response.type === 'error' || response.error) {
+      throw new Error(`BiDi ${method} failed: ${response.error}${response.message ? ` - ${response.message}` : ''}`);
+    }
+    return response.result;
+  }
+
+  /**
+   * Subscribe to a BiDi event
+   * @param {string} method - Event name, e.g. 'network.beforeRequestSent'
+   * @param {Function} handler - Called with the event params
+   * @returns {Promise<Function>} Async function that removes the handler
+   */
+  async on(method, handler) {
+    this._listen();
+
+    let methodHandlers = this.handlers.get(method);
+    if (!methodHandlers) {
+      methodHandlers = new Set();
+      this.handlers.set(method, methodHandlers);
+      await this.send('session.subscribe', { events: [method] });
+    }
+    methodHandlers.add(handler);
+
+    return async () => {
+      methodHandlers.delete(handler);
+      if (methodHandlers.size === 0 && this.handlers.get(method) === methodHandlers) {
+        this.handlers.delete(method);
+        try {
+          await this.send('session.unsubscribe', { events: [method] });
+        } catch (error) {
+          // Session may already be gone
+        }
+      }
+    };
+  }
+
+  /**
+   * @private
+   */
+  _listen() {
+    if (this.listening) {
+      return;
+    }
+    this.listening = true;
+
+    this.bidi.socket.on('message', (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (error) {
+        return;
+      }
+
+      const methodHandlers = message.type === 'event' && this.handlers.get(message.method);
+      if (!methodHandlers) {
+        return;
+      }
+
+      for (const handler of methodHandlers) {
+        Promise.resolve()
+          .then(() => handler(message.params))
+          .catch(error => logger.warn(`BiDi ${message.method} handler failed: ${error.message}`));
+      }
+    });
+  }
+}
+
+module.exports = BidiConnection;
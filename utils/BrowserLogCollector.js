@@ -0,0 +1,155 @@
+/**
+ * BrowserLogCollector - Collects browser console messages and uncaught page exceptions
+ * Uses WebDriver BiDi log events when the session supports them, and falls back to
+ * Chrome's logging-prefs API (polled on collect()) otherwise.
+ */
+const { logging } = require('selenium-webdriver');
+const LogInspector = require('selenium-webdriver/bidi/logInspector');
+const logger = require('./logger');
+
+// Chrome logging API level names -> console levels
+const LEGACY_LEVELS = {
+  SEVERE: 'error',
+  WARNING: 'warn',
+  INFO: 'info',
+  DEBUG: 'debug',
+  FINE: 'debug',
+  FINER: 'debug',
+  FINEST: 'debug'
+};
+
+/**
+ * @typedef {Object} BrowserLogEntry
+ * @property {'console'|'exception'} source - console.* call or uncaught exception
+ * @property {'debug'|'info'|'warn'|'error'} level
+ * @property {string} message
+ * @property {string|null} url - Script URL that produced the entry, when known
+ * @property {string} timestamp - ISO timestamp
+ */
+
+class BrowserLogCollector {
+  /**
+   * @param {WebDriver} driver - WebDriver instance
+   * @param {string} browser - Browser name (chrome/firefox)
+   */
+  constructor(driver, browser) {
+    this.driver = driver;
+    this.browser = browser;
+    this.entries = [];
+    this.mode = 'none';
+    this.inspector = null;
+  }
+
+  /**
+   * Chrome logging preferences for the fallback mode. Must be set before the session starts.
+   * @returns {logging.Preferences}
+   */
+  static loggingPreferences() {
+    const prefs = new logging.Preferences();
+    prefs.setLevel(logging.Type.BROWSER, logging.Level.ALL);
+    return prefs;
+  }
+
+  /**
+   * Start listening. Picks BiDi when the session has a webSocketUrl, else the Chrome fallback.
+   */
+  async start() {
+    const capabilities = await this.driver.getCapabilities();
+
+    if (capabilities.get('webSocketUrl')) {
+      try {
+        this.inspector = await LogInspector(this.driver);
+        await this.inspector.onConsoleEntry(entry => this._addBidiEntry('console', entry));
+        await this.inspector.onJavascriptException(entry => this._addBidiEntry('exception', entry));
+        this.mode = 'bidi';
+      } catch (error) {
+        logger.warn(`BiDi log capture unavailable, falling back: ${error.message}`);
+        this.inspector = null;
+      }
+    }
+
+    if (this.mode === 'none' && this.browser === 'chrome') {
+      this.mode = 'logging-prefs';
+    }
+
+    if (this.mode === 'none') {
+      logger.warn(`Browser console capture is not supported for ${this.browser} without BiDi`);
+    } else {
+      logger.debug(`Browser console capture started (${this.mode})`);
+    }
+  }
+
+  /**
+   * Current position in the entry list; pass to entriesSince() to get newer entries
+   * @returns {Promise<number>}
+   */
+  async mark() {
+    await this.collect();
+    return this.entries.length;
+  }
+
+  /**
+   * Pull any pending entries (fallback mode) and return everything collected after mark
+   * @param {number} mark - Value returned by mark()
+   * @returns {Promise<BrowserLogEntry[]>}
+   */
+  async entriesSince(mark = 0) {
+    await this.collect();
+    return this.entries.slice(mark);
+  }
+
+  /**
+   * Poll the Chrome logging API. BiDi entries arrive on their own, so this is a no-op there.
+   */
+  async collect() {
+    if (this.mode !== 'logging-prefs') {
+      return;
+    }
+
+    try {
+      const entries = await this.driver.manage().logs().get(logging.Type.BROWSER);
+      for (const entry of entries) {
+        this.entries.push({
+          // Chrome reports uncaught exceptions as SEVERE messages containing "Uncaught"
+          source: /\bUncaught\b/.test(entry.message) ? 'exception' : 'console',
+          level: LEGACY_LEVELS[entry.level.name] || 'info',
+          message: entry.message,
+          url: null,
+          timestamp: new Date(entry.timestamp).toISOString()
+        });
+      }
+    } catch (error) {
+      logger.debug(`Failed to read browser logs: ${error.message}`);
+    }
+  }
+
+  /**
+   * Stop listening and release the BiDi subscription
+   */
+  async stop() {
+    if (this.inspector) {
+      try {
+        await this.inspector.close();
+      } catch (error) {
+        // Session may already be gone
+      }
+      this.inspector = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  _addBidiEntry(source, entry) {
+    const frames = entry.stackTrace && entry.stackTrace.callFrames;
+    this.entries.push({
+      source,
+      level: source === 'exception' ? 'error' : (entry.level || 'info'),
+      message: entry.text,
+      url: frames && frames.length ? frames[0].url : null,
+      timestamp: new Date(entry.timeStamp || Date.now()).toISOString()
+    });
+  }
+}
+
+module.exports = BrowserLogCollector;
@@ -0,0 +1,152 @@
+/**
+ * ContextHelper - Run part of a test inside an iframe, a newly opened window/tab or a shadow root.
+ * Every within* helper switches to the context, runs the callback and switches back to where
+ * the test was, even when the callback throws; windows opened along the way are closed.
+ */
+const { By, until, WebElement, error: seleniumError } = require('selenium-webdriver');
+const { poll } = require('./wait');
+const logger = require('./logger');
+
+const label = (target) => (target instanceof WebElement ? 'element' : String(target));
+
+class ContextHelper {
+  /**
+   * @param {WebDriver} driver - WebDriver instance
+   * @param {Object} config - Resolved config
+   */
+  constructor(driver, config) {
+    this.driver = driver;
+    this.timeout = config.timeouts.element;
+    this.interval = config.waits.interval;
+    // Frames entered by withinFrame, outermost first, to find the way back if parentFrame() fails
+    this.frames = [];
+  }
+
+  /**
+   * Run fn inside an iframe, then return to the enclosing document. Calls nest.
+   * @param {By|WebElement|number|string} frame - Frame element locator, element, index or name/id
+   * @param {Function} fn - Async callback; its return value is returned
+   * @param {Object} options
+   * @param {number} options.timeout - Ms to wait for the frame (default: timeouts.element)
+   */
+  async withinFrame(frame, fn, { timeout = this.timeout } = {}) {
+    logger.step(`Enter frame ${label(frame)}`);
+    if (typeof frame === 'string') {
+      const name = JSON.stringify(frame);
+      frame = By.css(`iframe[name=${name}], iframe[id=${name}], frame[name=${name}], frame[id=${name}]`);
+    }
+    await this.driver.wait(until.ableToSwitchToFrame(frame), timeout,
+      `Frame ${label(frame)} not available within ${timeout}ms`);
+    this.frames.push(frame);
+
+    try {
+      return await fn(this.driver);
+    } finally {
+      this.frames.pop();
+      await this._leaveFrame();
+    }
+  }
+
+  /**
+   * Run trigger (e.g. a click on a target="_blank" link or an OAuth button), wait for the window
+   * it opens, run fn in that window, then close it and every other window opened meanwhile and
+   * switch back to the original window
+   * @param {Function} trigger - Async function that opens the window
+   * @param {Function} fn - Async callback, called with the new window's handle; its return value is returned
+   * @param {Object} options
+   * @param {number} options.timeout - Ms to wait for the window to open (default: timeouts.element)
+   * @param {boolean} options.close - Close the spawned windows afterwards (default: true)
+   */
+  async withinNewWindow(trigger, fn, { timeout = this.timeout, close = true } = {}) {
+    const original = await this.driver.getWindowHandle();
+    const before = new Set(await this.driver.getAllWindowHandles());
+    await trigger();
+
+    const result = await poll(
+      async () => (await this.driver.getAllWindowHandles()).filter(handle => !before.has(handle)),
+      handles => handles.length > 0,
+      { timeout, interval: this.interval }
+    );
+    if (!result.accepted) {
+      throw new seleniumError.TimeoutError(`No new window opened within ${timeout}ms (${before.size} window(s) open)`);
+    }
+
+    const [handle] = result.value;
+    await this.driver.switchTo().window(handle);
+    logger.step('Switched to new window');
+
+    try {
+      return await fn(handle);
+    } finally {
+      await this._returnToWindow(original, before, close);
+    }
+  }
+
+  /**
+   * Run fn with the shadow root of a web component. Elements found through the root work with
+   * ElementHelper and the matchers; pass one as host to reach a nested component's root.
+   * There is no driver context to switch: the root is only valid while the host is attached.
+   * @param {By|WebElement} host - Shadow host locator or element
+   * @param {Function} fn - Async callback, called with the ShadowRoot (findElement/findElements
+   *   by CSS selector); its return value is returned
+   * @param {Object} options
+   * @param {number} options.timeout - Ms to wait for the host (default: timeouts.element)
+   */
+  async withinShadowRoot(host, fn, { timeout = this.timeout } = {}) {
+    const hostElement = host instanceof WebElement
+      ? host
+      : await this.driver.wait(until.elementLocated(host), timeout, `Shadow host ${label(host)} not found within ${timeout}ms`);
+
+    let root;
+    try {
+      root = await hostElement.getShadowRoot();
+    } catch (error) {
+      if (error instanceof seleniumError.NoSuchShadowRootError) {
+        throw new Error(`${label(host)} has no open shadow root`);
+      }
+      throw error;
+    }
+
+    logger.step(`Enter shadow root of ${label(host)}`);
+    return await fn(root);
+  }
+
+  /**
+   * Back to the parent frame; if the frame went away, start from the top document and
+   * re-enter the frames still open
+   * @private
+   */
+  async _leaveFrame() {
+    try {
+      await this.driver.switchTo().parentFrame();
+    } catch (error) {
+      logger.debug(`parentFrame() failed (${error.message}), re-entering ${this.frames.length} frame(s) from the top`);
+      await this.driver.switchTo().defaultContent();
+      for (const frame of this.frames) {
+        await this.driver.switchTo().frame(typeof frame === 'number' || frame instanceof WebElement
+          ? frame
+          : await this.driver.findElement(frame));
+      }
+    }
+  }
+
+  /**
+   * Close the windows opened since `before` (if close) and switch back to original
+   * @private
+   */
+  async _returnToWindow(original, before, close) {
+    if (close) {
+      const spawned = (await this.driver.getAllWindowHandles()).filter(handle => !before.has(handle));
+      for (const handle of spawned) {
+        await this.driver.switchTo().window(handle);
+        await this.driver.close();
+      }
+      if (spawned.length > 0) {
+        logger.debug(`Closed ${spawned.length} spawned window(s)`);
+      }
+    }
+    await this.driver.switchTo().window(original);
+  }
+}
+
+module.exports = ContextHelper;
@@ -0,0 +1,199 @@
+/**
+ * DriverPool - Hands warm browser sessions from one suite to the next within a Jest worker
+ * Released sessions are reset (extra windows closed, cookies and storage cleared, about:blank)
+ * and parked in the worker's store (utils/driverPoolStore.js); the next suite with the same
+ * browser settings reattaches instead of starting a browser. Sessions that crashed or stopped
+ * responding are discarded and replaced.
+ */
+const WebDriverManager = require('./setup');
+const StorageHelper = require('./StorageHelper');
+const logger = require('./logger');
+const { getConfig } = require('./config');
+const { STORE_KEY } = require('./driverPoolStore');
+
+const ISOLATION_MODES = ['shared-reset', 'fresh-per-suite', 'fresh-per-test'];
+
+/**
+ * Reject if a promise does not settle in time (a hung session never answers)
+ */
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+class DriverPool {
+  static ISOLATION_MODES = ISOLATION_MODES;
+
+  /**
+   * @param {Object} config - Resolved config (default: getConfig())
+   */
+  constructor(config = getConfig()) {
+    this.config = config;
+    // Set by jest.environment.js; without it there is nothing that outlives a test file
+    this.store = globalThis[STORE_KEY] || null;
+    this.signature = JSON.stringify({
+      browser: config.browser,
+      remote: config.remote.url,
+      capabilities: config.remote.capabilities,
+      console: config.console.capture
+    });
+  }
+
+  /**
+   * Whether sessions can be kept between test files in this process. Local sessions also
+   * need a worker-owned driver service (see driverPoolStore.startService)
+   */
+  get available() {
+    return Boolean(this.store) && Boolean(this.config.remote.url || this.store.canStartServices());
+  }
+
+  /**
+   * A ready WebDriverManager: an idle pooled session if a healthy one exists, else a new one
+   * @returns {Promise<WebDriverManager>}
+   */
+  async acquire() {
+    if (!this.store) {
+      throw new Error('DriverPool needs the Selenium test environment (testEnvironment: jest.environment.js)');
+    }
+    if (!this.available) {
+      throw new Error('DriverPool cannot start local driver services with this selenium-webdriver version');
+    }
+
+    let entry;
+    while ((entry = this.store.take(this.signature))) {
+      const driverManager = new WebDriverManager(this.config);
+      driverManager.poolId = entry.id;
+      try {
+        await withTimeout(driverManager.attach(entry), this.config.driverPool.healthCheckTimeout,
+          'session did not respond');
+        await this.checkHealth(driverManager);
+        logger.info(`♻️ Reusing pooled ${entry.browser} session (${entry.uses} earlier suite(s))`, {
+          sessionId: entry.sessionId
+        });
+        return driverManager;
+      } catch (error) {
+        logger.warn(`Discarding pooled session ${entry.sessionId}: ${error.message}`);
+        await this.discard(driverManager);
+      }
+    }
+
+    return await this._create();
+  }
+
+  /**
+   * Reset a session and park it for the next suite, or quit it if it is unhealthy,
+   * has been used config.driverPool.maxUses times, or enough sessions are idle already
+   * @param {WebDriverManager} driverManager - From acquire()
+   */
+  async release(driverManager) {
+    const { maxIdle, maxUses } = this.config.driverPool;
+    const id = driverManager.poolId;
+
+    try {
+      await this.reset(driverManager);
+    } catch (error) {
+      logger.warn(`Pooled session could not be reset, quitting it: ${error.message}`);
+      await this.discard(driverManager);
+      return;
+    }
+
+    if (this.store.uses(id) + 1 >= maxUses || this.store.idleCount(this.signature) >= maxIdle) {
+      await this.discard(driverManager);
+      return;
+    }
+
+    await driverManager.detach();
+    this.store.park(id);
+    logger.info('Browser session returned to the driver pool');
+  }
+
+  /**
+   * Quit a pooled session and forget it. Errors are logged, not thrown: the session may be dead.
+   * @param {WebDriverManager} driverManager
+   */
+  async discard(driverManager) {
+    const { serverUrl } = driverManager;
+    try {
+      await withTimeout(driverManager.quit(), this.config.driverPool.healthCheckTimeout, 'quit timed out');
+    } catch (error) {
+      logger.debug(`Failed to quit pooled session: ${error.message}`);
+    }
+
+    this.store.remove(driverManager.poolId);
+    if (serverUrl && serverUrl !== this.config.remote.url) {
+      await this.store.stopService(serverUrl);
+    }
+  }
+
+  /**
+   * Throw unless the session answers within config.driverPool.healthCheckTimeout
+   * and still has a window
+   * @param {WebDriverManager} driverManager
+   */
+  async checkHealth(driverManager) {
+    const handles = await withTimeout(driverManager.driver.getAllWindowHandles(),
+      this.config.driverPool.healthCheckTimeout, 'session did not respond');
+    if (handles.length === 0) {
+      throw new Error('session has no open windows');
+    }
+  }
+
+  /**
+   * Bring a session back to a fresh-browser state: one window at about:blank with the
+   * configured size, no alert, no cookies or storage
+   * @param {WebDriverManager} driverManager
+   */
+  async reset(driverManager) {
+    const { driver } = driverManager;
+    await this.checkHealth(driverManager);
+
+    try {
+      await driver.switchTo().alert().dismiss();
+    } catch (error) {
+      // No alert open
+    }
+
+    const [first, ...others] = await driver.getAllWindowHandles();
+    for (const handle of others) {
+      await driver.switchTo().window(handle);
+      await driver.close();
+    }
+    await driver.switchTo().window(first);
+
+    await new StorageHelper(driver, this.config).clearAll();
+    await driver.manage().window().setRect(this.config.browser.windowSize[driverManager.browser]);
+  }
+
+  /**
+   * Start a session that can outlive this test file: local sessions use a driver service
+   * owned by the worker, remote sessions live on the grid anyway
+   * @private
+   */
+  async _create() {
+    const driverManager = new WebDriverManager(this.config);
+    let service = null;
+    if (!this.config.remote.url) {
+      service = await this.store.startService(driverManager.browser);
+    }
+
+    try {
+      await driverManager.createDriver(service ? { serviceUrl: service.url, browserPath: service.browserPath } : {});
+    } catch (error) {
+      if (service) {
+        await this.store.stopService(service.url);
+      }
+      throw error;
+    }
+
+    const session = await driverManager.describeSession();
+    driverManager.poolId = this.store.add({ ...session, signature: this.signature, browser: driverManager.browser });
+    return driverManager;
+  }
+}
+
+module.exports = DriverPool;
@@ -1,18 +1,71 @@
 /**
  * ElementHelper - Performance-optimized element interaction utilities
  * Reduces overhead of common Selenium operations
+ * The waitFor* helpers poll every waits.interval ms, treat waits.ignoredExceptions as
+ * "not yet", and on timeout throw a TimeoutError describing the last state they saw.
+ * hover, dragAndDrop, doubleClick, rightClick and pressShortcut use the Actions API, scroll
+ * their element into view first and log a step.
  */
-const { By, until } = require('selenium-webdriver');
+const { By, Key, until, WebElement, error: seleniumError } = require('selenium-webdriver');
+const { getConfig } = require('./config');
+const { matchesText, poll, sleep, withoutImplicitWait } = require('./wait');
+const logger = require('./logger');
+
+const sameRect = (a, b) => a.x === b.x && a.y === b.y && a.width === b.width && a.height === b.height;
+
+// Shortcut key names that differ from the selenium-webdriver Key constant
+const KEY_ALIASES = {
+  ctrl: 'CONTROL',
+  cmd: 'COMMAND',
+  option: 'ALT',
+  esc: 'ESCAPE',
+  backspace: 'BACK_SPACE',
+  del: 'DELETE',
+  pageup: 'PAGE_UP',
+  pagedown: 'PAGE_DOWN'
+};
+const MODIFIERS = [Key.CONTROL, Key.SHIFT, Key.ALT, Key.META, Key.COMMAND];
+
+// WebDriver's synthetic pointer does not start native HTML5 drags (draggable="true"), so for
+// those the drag events are dispatched from the page instead
+const HTML5_DRAG_AND_DROP = `
+  const [source, target] = arguments;
+  const dataTransfer = new DataTransfer();
+  const fire = (element, type) => element.dispatchEvent(
+    new DragEvent(type, { bubbles: true, cancelable: true, dataTransfer }));
+  fire(source, 'dragstart');
+  fire(target, 'dragenter');
+  fire(target, 'dragover');
+  fire(target, 'drop');
+  fire(source, 'dragend');`;
 
 class ElementHelper {
-  constructor(driver) {
+  /**
+   * @param {WebDriver} driver - WebDriver instance
+   * @param {Object} config - Resolved config (default: getConfig())
+   */
+  constructor(driver, config = getConfig()) {
     this.driver = driver;
+    this.timeout = config.timeouts.element;
+    this.clickRetry = config.retries.click;
+    this.interactions = config.interactions;
+    // Whether the browser runs on macOS; looked up by the first 'Mod+...' shortcut
+    this.mac = undefined;
+    this.waitInterval = config.waits.interval;
+    this.ignoredExceptions = config.waits.ignoredExceptions.map(name => {
+      if (typeof seleniumError[name] !== 'function') {
+        throw new Error(`waits.ignoredExceptions: "${name}" is not a selenium-webdriver error class`);
+      }
+      return name;
+    });
+    // Actions that only succeeded after retrying: a flakiness signal (see utils/flakiness.js)
+    this.internalRetries = [];
   }
 
   /**
    * Fast element finder with optimized locators
    */
-  async findElement(locator, timeout = 5000) {
+  async findElement(locator, timeout = this.timeout) {
     try {
       return await this.driver.wait(until.elementLocated(locator), timeout);
     } catch (error) {
@@ -31,7 +84,8 @@ class ElementHelper {
   }
 
   /**
-   * Fast form fill - fills multiple fields in parallel
+   * Fast form fill - fills multiple text fields in parallel
+   * (see utils/FormFiller.js, baseTest.forms, for typed, sequential filling with verification)
    */
   async fillForm(fieldMap) {
     const promises = Object.entries(fieldMap).map(async ([selector, value]) => {
@@ -45,17 +99,21 @@ class ElementHelper {
   /**
    * Quick click with retry
    */
-  async clickElement(locator, maxRetries = 2) {
+  async clickElement(locator, maxRetries = this.clickRetry.attempts) {
     let lastError;
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         const element = await this.findElement(locator);
         await element.click();
+        if (attempt > 1) {
+          this.internalRetries.push({ action: 'click', target: locator.toString(), attempts: attempt });
+          logger.warn(`Click on ${locator.toString()} needed ${attempt} attempts`);
+        }
         return;
       } catch (error) {
         lastError = error;
         if (attempt < maxRetries) {
-          await new Promise(resolve => setTimeout(resolve, 100));
+          await new Promise(resolve => setTimeout(resolve, this.clickRetry.delay));
         }
       }
     }
@@ -87,12 +145,377 @@ class ElementHelper {
   }
 
   /**
-   * Wait for element to be clickable
+   * Scroll the element into view (aligned by interactions.scrollBlock)
+   * @param {By|WebElement} target
+   * @returns {Promise<WebElement>}
+   */
+  async scrollIntoView(target) {
+    const element = target instanceof WebElement ? target : await this.findElement(target);
+    await this.driver.executeScript(
+      'arguments[0].scrollIntoView({ block: arguments[1], inline: "nearest" });',
+      element, this.interactions.scrollBlock
+    );
+    return element;
+  }
+
+  /**
+   * Move the mouse over the element and stay there, e.g. to open a hover menu
+   * @param {By|WebElement} target
+   * @param {Object} options
+   * @param {number} options.dwell - Ms to wait after hovering (default: interactions.hoverDwell)
+   */
+  async hover(target, { dwell = this.interactions.hoverDwell } = {}) {
+    logger.step(`Hover over ${this._describe(target)}`);
+    const element = await this.scrollIntoView(target);
+    await this.driver.actions({ async: true }).move({ origin: element }).perform();
+    await sleep(dwell);
+  }
+
+  /**
+   * Double-click the element
+   * @param {By|WebElement} target
+   */
+  async doubleClick(target) {
+    logger.step(`Double-click ${this._describe(target)}`);
+    const element = await this.scrollIntoView(target);
+    await this.driver.actions({ async: true }).doubleClick(element).perform();
+  }
+
+  /**
+   * Right-click the element, e.g. to open a context menu
+   * @param {By|WebElement} target
+   */
+  async rightClick(target) {
+    logger.step(`Right-click ${this._describe(target)}`);
+    const element = await this.scrollIntoView(target);
+    await this.driver.actions({ async: true }).contextClick(element).perform();
+  }
+
+  /**
+   * Drag source onto target. Pointer-driven drag and drop (mouse events) uses the Actions API;
+   * a draggable="true" source is dragged by dispatching HTML5 drag events instead.
+   * @param {By|WebElement} source
+   * @param {By|WebElement} target
+   * @param {Object} options
+   * @param {boolean|'auto'} options.html5 - Force (true) or skip (false) the HTML5 events (default: 'auto')
+   */
+  async dragAndDrop(source, target, { html5 = 'auto' } = {}) {
+    logger.step(`Drag ${this._describe(source)} onto ${this._describe(target)}`);
+    const sourceElement = await this.scrollIntoView(source);
+    const targetElement = target instanceof WebElement ? target : await this.findElement(target);
+    const useHtml5 = html5 === 'auto'
+      ? await this.driver.executeScript('return arguments[0].draggable === true;', sourceElement)
+      : html5;
+
+    if (useHtml5) {
+      await this.driver.executeScript(HTML5_DRAG_AND_DROP, sourceElement, targetElement);
+      return;
+    }
+    await this.driver.actions({ async: true }).dragAndDrop(sourceElement, targetElement).perform();
+  }
+
+  /**
+   * Press a keyboard shortcut such as 'Mod+A', 'Ctrl+Shift+K' or 'Escape'. "Mod" is Cmd when
+   * the browser runs on macOS and Ctrl elsewhere. Other names: Ctrl, Shift, Alt/Option,
+   * Meta/Cmd, and selenium-webdriver Key names in any case (Enter, Tab, ArrowLeft, F5, ...).
+   * @param {string} shortcut - Keys joined by "+"
+   * @param {By|WebElement} target - Element to focus first (default: the focused element)
+   */
+  async pressShortcut(shortcut, target = null) {
+    const keys = await this._parseShortcut(shortcut);
+    logger.step(`Press ${shortcut}${target ? ` in ${this._describe(target)}` : ''}`);
+    if (target) {
+      const element = await this.scrollIntoView(target);
+      await this.driver.executeScript('arguments[0].focus();', element);
+    }
+
+    const modifiers = keys.filter(key => MODIFIERS.includes(key));
+    const others = keys.filter(key => !MODIFIERS.includes(key));
+    let actions = this.driver.actions({ async: true });
+    modifiers.forEach(key => { actions = actions.keyDown(key); });
+    others.forEach(key => { actions = actions.keyDown(key).keyUp(key); });
+    [...modifiers].reverse().forEach(key => { actions = actions.keyUp(key); });
+    await actions.perform();
+  }
+
+  /**
+   * Key codes of a shortcut, in order
+   * @private
+   */
+  async _parseShortcut(shortcut) {
+    const names = shortcut.split('+').map(name => name.trim());
+    if (names.some(name => name === '')) {
+      throw new Error(`Invalid shortcut "${shortcut}"`);
+    }
+
+    const keys = [];
+    for (const name of names) {
+      if (name.length === 1) {
+        keys.push(name.toLowerCase());
+      } else if (name.toLowerCase() === 'mod') {
+        keys.push((await this._isMac()) ? Key.COMMAND : Key.CONTROL);
+      } else {
+        const constant = KEY_ALIASES[name.toLowerCase()]
+          || name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+        if (typeof Key[constant] !== 'string') {
+          throw new Error(`Unknown key "${name}" in shortcut "${shortcut}"`);
+        }
+        keys.push(Key[constant]);
+      }
+    }
+    return keys;
+  }
+
+  /**
+   * Whether the browser (not this process: it may run on a grid node) is on macOS
+   * @private
+   */
+  async _isMac() {
+    if (this.mac === undefined) {
+      const platform = (await this.driver.getCapabilities()).getPlatform() || '';
+      this.mac = /mac|darwin/i.test(platform);
+    }
+    return this.mac;
+  }
+
+  /**
+   * Wait for element to be clickable: displayed and enabled
+   * @param {By|WebElement} target
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @returns {Promise<WebElement>}
+   */
+  async waitForClickable(target, options = {}) {
+    const state = await this._waitFor(`${this._describe(target)} to be clickable`, async () => {
+      const element = await this._locate(target);
+      return {
+        element,
+        visible: element ? await element.isDisplayed() : false,
+        enabled: element ? await element.isEnabled() : false
+      };
+    }, state => state.visible && state.enabled, options,
+    state => (state.element ? `displayed: ${state.visible}, enabled: ${state.enabled}` : 'not in the DOM'));
+    return state.element;
+  }
+
+  /**
+   * Wait until the element is in the DOM and displayed
+   * @param {By|WebElement} target
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @returns {Promise<WebElement>}
+   */
+  async waitForVisible(target, options = {}) {
+    const state = await this._waitFor(`${this._describe(target)} to be visible`,
+      () => this._visibility(target), state => state.visible, options, this._showVisibility);
+    return state.element;
+  }
+
+  /**
+   * Wait until the element is hidden or no longer in the DOM
+   * @param {By|WebElement} target
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   */
+  async waitForInvisible(target, options = {}) {
+    await this._waitFor(`${this._describe(target)} to be invisible`,
+      () => this._visibility(target), state => !state.visible, options, this._showVisibility);
+  }
+
+  /**
+   * Wait until the element is removed from the DOM: no element matches the locator, or the
+   * given WebElement went stale
+   * @param {By|WebElement} target
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   */
+  async waitForDetached(target, options = {}) {
+    if (target instanceof WebElement) {
+      await this.waitForStale(target, options);
+      return;
+    }
+    await this._waitFor(`${this._describe(target)} to be removed from the DOM`,
+      async () => (await this.driver.findElements(target)).length,
+      count => count === 0, options, count => `${count} matching element(s)`);
+  }
+
+  /**
+   * Wait until a WebElement reference goes stale, e.g. after the page re-rendered it
+   * @param {WebElement} element
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   */
+  async waitForStale(element, options = {}) {
+    if (!(element instanceof WebElement)) {
+      throw new Error('waitForStale needs a WebElement, not a locator');
+    }
+    await this._waitFor('element to go stale', () => this._isStale(element),
+      stale => stale, options, () => 'still attached');
+  }
+
+  /**
+   * Wait until the element's visible text equals expected (whitespace collapsed; contains it
+   * with { exact: false }) or matches a RegExp
+   * @param {By|WebElement} target
+   * @param {string|RegExp} expected
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore, exact }
+   * @returns {Promise<string>} The text
+   */
+  async waitForText(target, expected, options = {}) {
+    const exact = typeof options === 'object' ? options.exact !== false : true;
+    return await this._waitFor(`text of ${this._describe(target)} to match ${expected}`,
+      async () => (await this._require(target)).getText(),
+      text => matchesText(text, expected, exact), options, text => JSON.stringify(text));
+  }
+
+  /**
+   * Wait until an attribute equals expected, matches a RegExp, or satisfies a predicate
+   * (e.g. value => value !== before, to wait for a change). null waits for the attribute
+   * to be removed.
+   * @param {By|WebElement} target
+   * @param {string} name - Attribute name
+   * @param {string|RegExp|Function|null} expected
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @returns {Promise<string|null>} The attribute value
+   */
+  async waitForAttribute(target, name, expected, options = {}) {
+    const accept = (value) => {
+      if (typeof expected === 'function') {
+        return expected(value);
+      }
+      if (expected instanceof RegExp) {
+        return value !== null && expected.test(value);
+      }
+      return value === expected;
+    };
+    const wanted = typeof expected === 'function' ? 'the condition' : String(expected);
+    return await this._waitFor(`attribute "${name}" of ${this._describe(target)} to match ${wanted}`,
+      async () => (await this._require(target)).getAttribute(name),
+      accept, options, value => JSON.stringify(value));
+  }
+
+  /**
+   * Wait until the number of matching elements equals expected or satisfies a predicate
+   * @param {By} locator
+   * @param {number|Function} expected - Count, or count => boolean
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @returns {Promise<WebElement[]>} The matching elements
+   */
+  async waitForCount(locator, expected, options = {}) {
+    const accept = typeof expected === 'function' ? expected : count => count === expected;
+    const wanted = typeof expected === 'function' ? 'the condition' : expected;
+    return await this._waitFor(`count of ${this._describe(locator)} to be ${wanted}`,
+      () => this.driver.findElements(locator),
+      elements => accept(elements.length), options, elements => `${elements.length} element(s)`);
+  }
+
+  /**
+   * Wait until the element stops moving or resizing (animation or layout shift finished):
+   * its position and size are the same on two consecutive polls
+   * @param {By|WebElement} target
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @returns {Promise<WebElement>}
+   */
+  async waitForStable(target, options = {}) {
+    let previous = null;
+    const state = await this._waitFor(`${this._describe(target)} to stop moving`, async () => {
+      const element = await this._require(target);
+      const rect = await element.getRect();
+      const stable = previous !== null && sameRect(previous, rect);
+      previous = rect;
+      return { element, rect, stable };
+    }, state => state.stable, options, ({ rect }) => JSON.stringify(rect));
+    return state.element;
+  }
+
+  /**
+   * Poll probe() until accept() holds; throw a TimeoutError with the last state otherwise
+   * @private
+   * @param {string} description - "<what> to <condition>", for the timeout message
+   * @param {Function} probe - Async () => state
+   * @param {Function} accept - (state) => boolean
+   * @param {number|Object} options - Timeout in ms, or { timeout, interval, ignore }
+   * @param {Function} showState - (state) => text for the timeout message
+   */
+  async _waitFor(description, probe, accept, options, showState) {
+    const {
+      timeout = this.timeout,
+      interval = this.waitInterval,
+      ignore = this.ignoredExceptions
+    } = typeof options === 'number' ? { timeout: options } : options;
+
+    const result = await withoutImplicitWait(this.driver, () => poll(probe, accept, { timeout, interval, ignore }));
+    if (!result.accepted) {
+      const last = result.error ? `${result.error.name}: ${result.error.message}` : showState(result.value);
+      throw new seleniumError.TimeoutError(
+        `Timed out after ${timeout}ms waiting for ${description}; last state: ${last}`
+      );
+    }
+    return result.value;
+  }
+
+  /**
+   * The element itself, or the first element matching the locator (null if none)
+   * @private
+   */
+  async _locate(target) {
+    if (target instanceof WebElement) {
+      return target;
+    }
+    const [element] = await this.driver.findElements(target);
+    return element || null;
+  }
+
+  /**
+   * Like _locate(), but a missing element is a NoSuchElementError (ignored while polling by default)
+   * @private
+   */
+  async _require(target) {
+    const element = await this._locate(target);
+    if (!element) {
+      throw new seleniumError.NoSuchElementError(`${this._describe(target)} is not in the DOM`);
+    }
+    return element;
+  }
+
+  /**
+   * @private
+   * @returns {Promise<{element: WebElement|null, visible: boolean}>} A stale WebElement counts as gone
+   */
+  async _visibility(target) {
+    const element = await this._locate(target);
+    if (!element) {
+      return { element: null, visible: false };
+    }
+    if (target instanceof WebElement && (await this._isStale(element))) {
+      return { element: null, visible: false };
+    }
+    return { element, visible: await element.isDisplayed() };
+  }
+
+  /**
+   * @private
+   */
+  _showVisibility(state) {
+    return state.element ? (state.visible ? 'displayed' : 'in the DOM but hidden') : 'not in the DOM';
+  }
+
+  /**
+   * @private
+   */
+  async _isStale(element) {
+    try {
+      await element.isEnabled();
+      return false;
+    } catch (error) {
+      // Some drivers report a detached element as "no such element"
+      if (error instanceof seleniumError.StaleElementReferenceError || error instanceof seleniumError.NoSuchElementError) {
+        return true;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
    */
-  async waitForClickable(locator, timeout = 5000) {
-    return await this.driver.wait(until.elementIsEnabled(
-      await this.findElement(locator)
-    ), timeout);
+  _describe(target) {
+    return target instanceof WebElement ? 'element' : target.toString();
   }
 }
 
@@ -0,0 +1,276 @@
+/**
+ * FormFiller - Fill a form one field at a time from a typed field spec, reading every value back
+ * to verify it took. Unlike ElementHelper.fillForm (parallel clear + sendKeys on text inputs),
+ * fields are filled in order, so focus-dependent widgets (autocomplete, masks, dependent
+ * selects) see the same sequence as a user.
+ *
+ * Field spec: { locator, type, value, name, secret, verify, by }
+ *   text            value: string (also textarea, email, password, number inputs)
+ *   select          value: option text (by: 'text'), value attribute (by: 'value') or index (by: 'index')
+ *   checkbox        value: boolean
+ *   radio           locator matches the whole group (e.g. By.name('plan')); value: the value attribute
+ *   date            value: 'YYYY-MM-DD' or a Date; set without the browser's locale-specific keyboard input
+ *   contenteditable value: string
+ *   file            value: local path or array of paths (relative to the working directory)
+ * Secret fields (secret: true, or any type="password" input) are masked in logs and errors.
+ */
+const path = require('path');
+const fs = require('fs');
+const { Select } = require('selenium-webdriver');
+const { FileDetector } = require('selenium-webdriver/remote');
+const { matchesText } = require('./wait');
+const logger = require('./logger');
+
+const MASK = '••••••';
+
+const FIELD_TYPES = ['text', 'select', 'checkbox', 'radio', 'date', 'contenteditable', 'file'];
+
+// Setting .value directly skips the keyboard, whose date format depends on the browser's locale;
+// frameworks listening for input/change events still see the new value
+const SET_VALUE_SCRIPT = `
+  const [element, value] = arguments;
+  const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(element), 'value').set;
+  setter.call(element, value);
+  element.dispatchEvent(new Event('input', { bubbles: true }));
+  element.dispatchEvent(new Event('change', { bubbles: true }));`;
+
+const CLEAR_CONTENT_SCRIPT = `
+  const [element] = arguments;
+  element.focus();
+  element.textContent = '';
+  element.dispatchEvent(new Event('input', { bubbles: true }));`;
+
+const FILE_NAMES_SCRIPT = 'return Array.from(arguments[0].files || []).map(file => file.name);';
+
+const pad = (number) => String(number).padStart(2, '0');
+
+/**
+ * 'YYYY-MM-DD' of a Date in local time (toISOString() would use UTC and may shift the day)
+ */
+const isoDate = (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+
+class FormFiller {
+  /**
+   * @param {WebDriver} driver - WebDriver instance
+   * @param {ElementHelper} helper - Used to locate and scroll to fields
+   * @param {Object} config - Resolved config
+   */
+  constructor(driver, helper, config) {
+    this.driver = driver;
+    this.helper = helper;
+    this.remote = Boolean(config.remote.url);
+  }
+
+  /**
+   * Fill the fields in order, verifying each one before moving on
+   * @param {Object[]} fields - Field specs (see above)
+   * @param {Object} options
+   * @param {boolean} options.verify - Read values back (default: true; a field's verify wins)
+   * @returns {Promise<Object>} Value read back from each field, by field name
+   */
+  async fill(fields, { verify = true } = {}) {
+    fields.forEach(field => this._checkSpec(field));
+    logger.step(`Fill form: ${fields.map(field => this._name(field)).join(', ')}`);
+
+    const values = {};
+    for (const field of fields) {
+      values[this._name(field)] = await this.fillField(field, { verify });
+    }
+    return values;
+  }
+
+  /**
+   * Fill and verify a single field
+   * @param {Object} field - Field spec
+   * @param {Object} options
+   * @param {boolean} options.verify - Read the value back (default: true; field.verify wins)
+   * @returns {Promise<*>} Value read back from the field
+   */
+  async fillField(field, { verify = true } = {}) {
+    this._checkSpec(field);
+    const type = field.type || 'text';
+    const name = this._name(field);
+    const shouldVerify = field.verify !== undefined ? field.verify : verify;
+
+    if (type === 'radio') {
+      return await this._fillRadio(field, name, shouldVerify);
+    }
+
+    const element = await this.helper.scrollIntoView(field.locator);
+    const secret = field.secret || (type === 'text' && (await element.getAttribute('type')) === 'password');
+    const shown = field.value instanceof Date ? isoDate(field.value) : field.value;
+    logger.info(`✏️ ${name} (${type}): ${secret ? MASK : JSON.stringify(shown)}`);
+
+    const fillers = {
+      text: this._fillText,
+      select: this._fillSelect,
+      checkbox: this._fillCheckbox,
+      date: this._fillDate,
+      contenteditable: this._fillContentEditable,
+      file: this._fillFile
+    };
+    const { expected, actual } = await fillers[type].call(this, element, field);
+    if (shouldVerify && !this._matches(type, expected, actual)) {
+      const show = (value) => (secret ? MASK : JSON.stringify(value));
+      throw new Error(`Form field "${name}": expected ${show(expected)}, but it reads back ${show(actual)}` +
+        (secret ? ' (secret values masked)' : ''));
+    }
+    return actual;
+  }
+
+  /**
+   * @private
+   */
+  async _fillText(element, { value }) {
+    const text = value === null || value === undefined ? '' : String(value);
+    await element.clear();
+    if (text !== '') {
+      await element.sendKeys(text);
+    }
+    return { expected: text, actual: await element.getAttribute('value') };
+  }
+
+  /**
+   * @private
+   */
+  async _fillSelect(element, field) {
+    const { value, by = 'text' } = field;
+    // Select's constructor only reports a wrong element as an unhandled rejection
+    if ((await element.getTagName()).toLowerCase() !== 'select') {
+      throw new Error(`Form field "${this._name(field)}": type select needs a <select> element`);
+    }
+    const select = new Select(element);
+    if (by === 'text') {
+      await select.selectByVisibleText(value);
+    } else if (by === 'value') {
+      await select.selectByValue(value);
+    } else {
+      await select.selectByIndex(value);
+    }
+
+    const option = await select.getFirstSelectedOption();
+    const read = {
+      text: () => option.getText(),
+      value: () => option.getAttribute('value'),
+      index: async () => Number(await option.getAttribute('index'))
+    };
+    return { expected: by === 'index' ? Number(value) : String(value), actual: await read[by]() };
+  }
+
+  /**
+   * @private
+   */
+  async _fillCheckbox(element, { value }) {
+    if ((await element.isSelected()) !== Boolean(value)) {
+      await element.click();
+    }
+    return { expected: Boolean(value), actual: await element.isSelected() };
+  }
+
+  /**
+   * @private
+   */
+  async _fillDate(element, { value }) {
+    const iso = value instanceof Date ? isoDate(value) : String(value);
+    await this.driver.executeScript(SET_VALUE_SCRIPT, element, iso);
+    return { expected: iso, actual: await element.getAttribute('value') };
+  }
+
+  /**
+   * @private
+   */
+  async _fillContentEditable(element, { value }) {
+    await this.driver.executeScript(CLEAR_CONTENT_SCRIPT, element);
+    if (value) {
+      await element.sendKeys(String(value));
+    }
+    return { expected: String(value || ''), actual: await element.getText() };
+  }
+
+  /**
+   * @private
+   */
+  async _fillFile(element, field) {
+    const files = [].concat(field.value).map(file => path.resolve(file));
+    const missing = files.filter(file => !fs.existsSync(file));
+    if (missing.length > 0) {
+      throw new Error(`Form field "${this._name(field)}": ${missing.join(', ')} not found`);
+    }
+    if (this.remote) {
+      // Uploads the local files to the grid node, which sendKeys then refers to
+      this.driver.setFileDetector(new FileDetector());
+    }
+
+    try {
+      await element.sendKeys(files.join('\n'));
+    } finally {
+      if (this.remote) {
+        // Otherwise every later sendKeys on this session would be checked for local file paths
+        this.driver.setFileDetector(null);
+      }
+    }
+    return { expected: files.map(file => path.basename(file)), actual: await this.driver.executeScript(FILE_NAMES_SCRIPT, element) };
+  }
+
+  /**
+   * Click the radio button of the group whose value attribute is field.value
+   * @private
+   */
+  async _fillRadio(field, name, verify) {
+    logger.info(`✏️ ${name} (radio): ${field.secret ? MASK : JSON.stringify(field.value)}`);
+    const buttons = await this.helper.waitForCount(field.locator, count => count > 0);
+    const values = await Promise.all(buttons.map(button => button.getAttribute('value')));
+    const index = values.indexOf(String(field.value));
+    if (index === -1) {
+      throw new Error(`Form field "${name}": no radio button with value ${JSON.stringify(field.value)} (options: ${values.join(', ')})`);
+    }
+
+    const button = await this.helper.scrollIntoView(buttons[index]);
+    await button.click();
+    if (verify && !(await button.isSelected())) {
+      throw new Error(`Form field "${name}": radio button ${JSON.stringify(field.value)} is not selected after clicking it`);
+    }
+    return String(field.value);
+  }
+
+  /**
+   * @private
+   */
+  _matches(type, expected, actual) {
+    if (type === 'contenteditable') {
+      return matchesText(actual, expected);
+    }
+    if (type === 'file') {
+      return expected.length === actual.length && expected.every((file, index) => file === actual[index]);
+    }
+    return expected === actual;
+  }
+
+  /**
+   * @private
+   */
+  _checkSpec(field) {
+    if (!field || !field.locator) {
+      // Name the field, never its value: the spec may hold a secret
+      throw new Error(field && field.name
+        ? `Form field "${field.name}": spec needs a locator`
+        : `Form field spec needs a locator (keys: ${Object.keys(field || {}).join(', ') || 'none'})`);
+    }
+    const type = field.type || 'text';
+    if (!FIELD_TYPES.includes(type)) {
+      throw new Error(`Form field "${this._name(field)}": unknown type "${type}" (expected one of ${FIELD_TYPES.join(', ')})`);
+    }
+    if (type === 'select' && !['text', 'value', 'index'].includes(field.by || 'text')) {
+      throw new Error(`Form field "${this._name(field)}": select by must be text, value or index (got "${field.by}")`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _name(field) {
+    return field.name || field.locator.toString();
+  }
+}
+
+module.exports = FormFiller;
@@ -0,0 +1,309 @@
+/**
+ * HarRecorder - Records network traffic over WebDriver BiDi and exports it as HAR 1.2
+ * One recorder lives per driver; BaseTest calls start() before each test and toHar()
+ * after it, so every HAR file holds exactly one test's requests.
+ */
+const BidiConnection = require('./BidiConnection');
+const logger = require('./logger');
+const { name: creatorName, version: creatorVersion } = require('../package.json');
+
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+
+/**
+ * Decode a BiDi BytesValue into a HAR text/encoding pair
+ */
+const fromBytes = (bytes) => (bytes.type === 'base64'
+  ? { text: bytes.value, encoding: 'base64' }
+  : { text: bytes.value });
+
+/**
+ * Decode a BiDi header/cookie value (BytesValue) to a string
+ */
+const headerValue = (header) => (header.value.type === 'base64'
+  ? Buffer.from(header.value.value, 'base64').toString('utf8')
+  : header.value.value);
+
+const toHarHeaders = (headers = []) => headers.map(header => ({ name: header.name, value: headerValue(header) }));
+
+const toHarCookies = (cookies = []) => cookies.map(cookie => ({ name: cookie.name, value: headerValue(cookie) }));
+
+const findHeader = (headers, name) => {
+  const header = headers.find(candidate => candidate.name.toLowerCase() === name);
+  return header ? header.value : undefined;
+};
+
+/**
+ * Duration between two BiDi timing marks, -1 when either is missing
+ */
+const span = (start, end) => (start > 0 && end >= start ? end - start : -1);
+
+class HarRecorder {
+  /**
+   * @param {WebDriver} driver - WebDriver instance started with BiDi enabled
+   * @param {Object} options
+   * @param {boolean} options.includeBodies - Capture request/response bodies when the browser supports it
+   */
+  constructor(driver, { includeBodies = false } = {}) {
+    this.driver = driver;
+    this.includeBodies = includeBodies;
+    this.connection = null;
+    this.unsubscribers = [];
+    this.collector = null;
+    this.entries = new Map();
+    this.browser = { name: 'unknown', version: 'unknown' };
+  }
+
+  /**
+   * Subscribe to network events (first call) and drop anything recorded so far
+   */
+  async start() {
+    this.entries.clear();
+
+    if (this.connection) {
+      return;
+    }
+
+    this.connection = await BidiConnection.for(this.driver, 'HAR recording');
+
+    const capabilities = await this.driver.getCapabilities();
+    this.browser = {
+      name: capabilities.getBrowserName() || 'unknown',
+      version: capabilities.getBrowserVersion() || 'unknown'
+    };
+
+    this.unsubscribers = await Promise.all([
+      this.connection.on('network.beforeRequestSent', params => this._onRequest(params)),
+      this.connection.on('network.responseCompleted', params => this._onResponse(params)),
+      this.connection.on('network.fetchError', params => this._onError(params))
+    ]);
+
+    if (this.includeBodies) {
+      this.collector = await this._addDataCollector();
+    }
+  }
+
+  /**
+   * Build the HAR document for everything recorded since start()
+   * @returns {Promise<Object>} HAR 1.2 log
+   */
+  async toHar() {
+    const entries = [...this.entries.values()].sort((a, b) => a.startedAt - b.startedAt);
+
+    if (this.collector) {
+      await Promise.all(entries.map(entry => this._attachBodies(entry)));
+    }
+
+    return {
+      log: {
+        version: '1.2',
+        creator: { name: creatorName, version: creatorVersion },
+        browser: this.browser,
+        pages: [],
+        entries: entries.map(entry => this._toHarEntry(entry))
+      }
+    };
+  }
+
+  /**
+   * Unsubscribe and release the body collector
+   */
+  async stop() {
+    const unsubscribers = this.unsubscribers;
+    this.unsubscribers = [];
+    await Promise.all(unsubscribers.map(unsubscribe => unsubscribe()));
+
+    if (this.collector) {
+      await this.connection.send('network.removeDataCollector', { collector: this.collector }).catch(() => {});
+      this.collector = null;
+    }
+    this.connection = null;
+    this.entries.clear();
+  }
+
+  /**
+   * Older browsers lack request body collection and very old ones lack collectors entirely
+   * @private
+   */
+  async _addDataCollector() {
+    for (const dataTypes of [['request', 'response'], ['response']]) {
+      try {
+        const result = await this.connection.send('network.addDataCollector', {
+          dataTypes,
+          maxEncodedDataSize: MAX_BODY_BYTES
+        });
+        return result.collector;
+      } catch (error) {
+        logger.debug(`BiDi data collector for ${dataTypes.join('+')} unavailable: ${error.message}`);
+      }
+    }
+    logger.warn('HAR bodies are not supported by this browser; recording headers and timings only');
+    return null;
+  }
+
+  /**
+   * Redirects reuse the request id, so key entries by id and redirect count
+   * @private
+   */
+  _key(params) {
+    return `${params.request.request}:${params.redirectCount || 0}`;
+  }
+
+  /**
+   * @private
+   */
+  _onRequest(params) {
+    const key = this._key(params);
+    if (!this.entries.has(key)) {
+      this.entries.set(key, { startedAt: params.timestamp || Date.now(), request: params.request });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onResponse(params) {
+    const entry = this.entries.get(this._key(params));
+    if (entry) {
+      Object.assign(entry, { request: params.request, response: params.response, endedAt: params.timestamp });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _onError(params) {
+    const entry = this.entries.get(this._key(params));
+    if (entry) {
+      Object.assign(entry, { request: params.request, error: params.errorText, endedAt: params.timestamp });
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _attachBodies(entry) {
+    const getData = async (dataType) => {
+      try {
+        const result = await this.connection.send('network.getData', {
+          dataType,
+          collector: this.collector,
+          request: entry.request.request
+        });
+        return result.bytes;
+      } catch (error) {
+        // Not collected (no body, too large, or type unsupported)
+        return null;
+      }
+    };
+
+    if (entry.response) {
+      entry.responseBody = await getData('response');
+    }
+    if (entry.request.bodySize > 0) {
+      entry.requestBody = await getData('request');
+    }
+  }
+
+  /**
+   * @private
+   */
+  _toHarEntry(entry) {
+    const { request, response } = entry;
+    const requestHeaders = toHarHeaders(request.headers);
+    const timings = this._toHarTimings(entry);
+
+    const harRequest = {
+      method: request.method,
+      url: request.url,
+      httpVersion: (response && response.protocol) || 'HTTP/1.1',
+      cookies: toHarCookies(request.cookies),
+      headers: requestHeaders,
+      queryString: this._queryString(request.url),
+      headersSize: request.headersSize || -1,
+      bodySize: request.bodySize || 0
+    };
+
+    if (entry.requestBody) {
+      harRequest.postData = {
+        mimeType: findHeader(requestHeaders, 'content-type') || '',
+        text: headerValue({ value: entry.requestBody })
+      };
+    }
+
+    const responseHeaders = response ? toHarHeaders(response.headers) : [];
+    const harEntry = {
+      startedDateTime: new Date(entry.startedAt).toISOString(),
+      time: Object.entries(timings)
+        .filter(([phase, value]) => phase !== 'ssl' && value > 0)
+        .reduce((total, [, value]) => total + value, 0),
+      request: harRequest,
+      response: {
+        status: response ? response.status : 0,
+        statusText: response ? response.statusText : '',
+        httpVersion: (response && response.protocol) || 'HTTP/1.1',
+        cookies: [],
+        headers: responseHeaders,
+        content: {
+          size: response && response.content ? response.content.size : 0,
+          mimeType: (response && response.mimeType) || '',
+          ...(entry.responseBody ? fromBytes(entry.responseBody) : {})
+        },
+        redirectURL: findHeader(responseHeaders, 'location') || '',
+        headersSize: (response && response.headersSize) || -1,
+        bodySize: response ? response.bodySize || 0 : -1
+      },
+      cache: {},
+      timings
+    };
+
+    if (response && response.fromCache) {
+      harEntry._fromCache = true;
+    }
+    if (entry.error) {
+      harEntry._error = entry.error;
+    }
+
+    return harEntry;
+  }
+
+  /**
+   * Map BiDi fetch timings onto HAR phases, falling back to event timestamps
+   * @private
+   */
+  _toHarTimings(entry) {
+    const timing = entry.request.timings || {};
+    const total = entry.endedAt ? Math.max(entry.endedAt - entry.startedAt, 0) : 0;
+
+    const timings = {
+      blocked: -1,
+      dns: span(timing.dnsStart, timing.dnsEnd),
+      connect: span(timing.connectStart, timing.connectEnd),
+      ssl: span(timing.tlsStart, timing.connectEnd),
+      send: 0,
+      wait: span(timing.requestStart, timing.responseStart),
+      receive: span(timing.responseStart, timing.responseEnd)
+    };
+
+    if (timings.wait < 0) {
+      timings.wait = total;
+    }
+    if (timings.receive < 0) {
+      timings.receive = 0;
+    }
+
+    return timings;
+  }
+
+  /**
+   * @private
+   */
+  _queryString(url) {
+    try {
+      return [...new URL(url).searchParams].map(([name, value]) => ({ name, value }));
+    } catch (error) {
+      return [];
+    }
+  }
+}
+
+module.exports = HarRecorder;
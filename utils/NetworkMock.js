@@ -0,0 +1,394 @@
+/**
+ * NetworkMock - Request interception and API mocking over WebDriver BiDi
+ * Routes match requests by URL pattern and fulfill, fail, delay or pass them through.
+ * Each route has its own BiDi intercept, limited to the URLs its pattern can match, which is
+ * removed with the route. Every request the page sends is recorded so tests can assert on it.
+ * Works on Chrome and Firefox as long as the session was started with BiDi enabled.
+ */
+const BidiConnection = require('./BidiConnection');
+const logger = require('./logger');
+
+const STATUS_TEXT = {
+  200: 'OK',
+  201: 'Created',
+  204: 'No Content',
+  400: 'Bad Request',
+  401: 'Unauthorized',
+  403: 'Forbidden',
+  404: 'Not Found',
+  500: 'Internal Server Error',
+  502: 'Bad Gateway',
+  503: 'Service Unavailable',
+  504: 'Gateway Timeout'
+};
+
+/**
+ * Convert a glob to a RegExp. `**` matches anything, `*` anything except `/`.
+ */
+function globToRegExp(glob) {
+  const source = glob
+    .split('**')
+    .map(part => part
+      .split('*')
+      .map(literal => literal.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('[^/]*'))
+    .join('.*');
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Build a URL matcher from a glob string, RegExp or predicate.
+ * Globs without a `?` ignore the query string.
+ */
+function toMatcher(pattern) {
+  if (typeof pattern === 'function') {
+    return pattern;
+  }
+  if (pattern instanceof RegExp) {
+    return url => pattern.test(url);
+  }
+  if (typeof pattern === 'string') {
+    const regex = globToRegExp(pattern);
+    const matchQuery = pattern.includes('?');
+    return url => regex.test(matchQuery ? url : url.split(/[?#]/)[0]);
+  }
+  throw new Error(`Unsupported URL pattern: ${pattern}`);
+}
+
+/**
+ * BiDi URL patterns (network.addIntercept urlPatterns) covering every URL a glob can match,
+ * so the browser only pauses requests the route may handle. RegExps, predicates and globs
+ * with a wildcard before the path can match any URL: null, intercept everything.
+ */
+function toUrlPatterns(pattern) {
+  if (typeof pattern !== 'string') {
+    return null;
+  }
+  const origin = pattern.match(/^[a-z][a-z0-9+.-]*:\/\/[^/?#*]+(?=[/?#]|$)/i);
+  if (!origin) {
+    return null;
+  }
+
+  const url = new URL(origin[0]);
+  const urlPattern = {
+    type: 'pattern',
+    protocol: url.protocol.slice(0, -1),
+    hostname: url.hostname,
+    ...(url.port ? { port: url.port } : {})
+  };
+  if (pattern.includes('*')) {
+    return [urlPattern];
+  }
+  // A single URL; without a ? the glob ignores the query string, and so does a pattern without search
+  return [pattern.includes('?') ? { type: 'string', pattern } : { ...urlPattern, pathname: new URL(pattern).pathname }];
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * @typedef {Object} RecordedRequest
+ * @property {string} id - BiDi request id
+ * @property {string} url
+ * @property {string} method
+ * @property {Object<string, string>} headers - Lower-cased header names
+ * @property {string} timestamp - ISO timestamp
+ * @property {'fulfill'|'fail'|'delay'|'passthrough'|null} action - Route action applied, null if unrouted
+ */
+
+class NetworkMock {
+  /**
+   * @param {WebDriver} driver - WebDriver instance started with BiDi enabled
+   * @param {Object} config - Resolved config
+   */
+  constructor(driver, config) {
+    this.driver = driver;
+    this.config = config;
+    this.connection = null;
+    this.routes = [];
+    this.recorded = [];
+    this.waiters = [];
+    // Every intercept this mock added, including removed ones: requests they paused still need an answer
+    this.intercepts = new Set();
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Respond to matching requests without hitting the server
+   * @param {string|RegExp|Function} pattern - URL glob, RegExp or predicate
+   * @param {Object|Function} response - Response, or function (request) => response
+   * @param {number} response.status - HTTP status (default: 200)
+   * @param {*} response.json - Serialized as the body with a JSON content type
+   * @param {string} response.body - Raw body
+   * @param {Object<string, string>} response.headers - Extra response headers
+   * @param {Object} options
+   * @param {number} options.delay - Milliseconds to hold the request before responding
+   * @param {number} options.times - Only apply to the first N matching requests
+   */
+  async fulfill(pattern, response = {}, options = {}) {
+    await this._addRoute(pattern, 'fulfill', { response, ...options });
+  }
+
+  /**
+   * Fail matching requests with a network error
+   */
+  async fail(pattern, options = {}) {
+    await this._addRoute(pattern, 'fail', options);
+  }
+
+  /**
+   * Let matching requests through after a delay
+   * @param {number} ms - Milliseconds to hold each request
+   */
+  async delay(pattern, ms, options = {}) {
+    await this._addRoute(pattern, 'delay', { ...options, delay: ms });
+  }
+
+  /**
+   * Let matching requests through untouched, overriding earlier routes
+   */
+  async passthrough(pattern, options = {}) {
+    await this._addRoute(pattern, 'passthrough', options);
+  }
+
+  /**
+   * Remove the routes added with this pattern (the same string, RegExp or function)
+   * @param {string|RegExp|Function} pattern
+   */
+  async unroute(pattern) {
+    await this._removeRoutes(this.routes.filter(route => route.pattern === pattern));
+  }
+
+  /**
+   * Start recording without adding a route (routes start recording on their own)
+   */
+  async record() {
+    await this._start();
+  }
+
+  /**
+   * Recorded requests, optionally filtered by URL pattern
+   * @param {string|RegExp|Function} pattern
+   * @returns {RecordedRequest[]}
+   */
+  requests(pattern = null) {
+    if (!pattern) {
+      return [...this.recorded];
+    }
+    const matches = toMatcher(pattern);
+    return this.recorded.filter(request => matches(request.url, request));
+  }
+
+  /**
+   * Wait for a request matching pattern, including one already recorded
+   * @param {string|RegExp|Function} pattern
+   * @param {number} timeout - Milliseconds (default: config.timeouts.element)
+   * @returns {Promise<RecordedRequest>}
+   */
+  async waitForRequest(pattern, timeout = this.config.timeouts.element) {
+    await this._start();
+
+    const [existing] = this.requests(pattern);
+    if (existing) {
+      return existing;
+    }
+
+    const matches = toMatcher(pattern);
+    return await new Promise((resolve, reject) => {
+      const waiter = {
+        matches,
+        resolve: request => {
+          clearTimeout(timer);
+          resolve(request);
+        }
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(candidate => candidate !== waiter);
+        reject(new Error(`No request matching ${pattern} within ${timeout}ms`));
+      }, timeout);
+      this.waiters.push(waiter);
+    });
+  }
+
+  /**
+   * Forget recorded requests, keeping routes
+   */
+  clearRequests() {
+    this.recorded = [];
+  }
+
+  /**
+   * Remove all routes and recorded requests and stop intercepting
+   */
+  async reset() {
+    this.recorded = [];
+    this.waiters = [];
+    await this._removeRoutes(this.routes);
+  }
+
+  /**
+   * Release the BiDi subscription
+   */
+  async stop() {
+    await this.reset();
+    if (this.unsubscribe) {
+      await this.unsubscribe();
+      this.unsubscribe = null;
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _start() {
+    if (!this.connection) {
+      this.connection = await BidiConnection.for(this.driver, 'Network mocking');
+      this.unsubscribe = await this.connection.on('network.beforeRequestSent', params => this._onRequest(params));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _addRoute(pattern, action, { response = null, delay = 0, times = Infinity } = {}) {
+    const matches = toMatcher(pattern);
+    await this._start();
+
+    const urlPatterns = toUrlPatterns(pattern);
+    const { intercept } = await this.connection.send('network.addIntercept', {
+      phases: ['beforeRequestSent'],
+      ...(urlPatterns ? { urlPatterns } : {})
+    });
+    this.intercepts.add(intercept);
+
+    // Newest route wins, so tests can override a broad route with a narrower one
+    this.routes.unshift({ pattern, matches, action, response, delay, remaining: times, intercept });
+    logger.debug(`Network route added: ${action} ${pattern}`);
+  }
+
+  /**
+   * Drop routes and their intercepts
+   * @private
+   */
+  async _removeRoutes(routes) {
+    const removed = [...routes];
+    this.routes = this.routes.filter(route => !removed.includes(route));
+    for (const { intercept } of removed) {
+      try {
+        await this.connection.send('network.removeIntercept', { intercept });
+      } catch (error) {
+        // Session may already be gone
+      }
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _onRequest(params) {
+    const { request } = params;
+    const blocked = params.isBlocked && (params.intercepts || []).some(intercept => this.intercepts.has(intercept));
+
+    const recorded = {
+      id: request.request,
+      url: request.url,
+      method: request.method,
+      headers: Object.fromEntries((request.headers || []).map(header =>
+        [header.name.toLowerCase(), header.value.value])),
+      timestamp: new Date(params.timestamp || Date.now()).toISOString(),
+      action: null
+    };
+
+    const route = blocked
+      ? this.routes.find(candidate => candidate.remaining > 0 && candidate.matches(request.url, recorded))
+      : null;
+    if (route) {
+      route.remaining--;
+      recorded.action = route.action;
+    }
+
+    this.recorded.push(recorded);
+    this.waiters = this.waiters.filter(waiter => {
+      if (waiter.matches(recorded.url, recorded)) {
+        waiter.resolve(recorded);
+        return false;
+      }
+      return true;
+    });
+
+    if (!blocked) {
+      return;
+    }
+
+    try {
+      if (route && route.delay) {
+        await sleep(route.delay);
+      }
+      await this._apply(route, recorded);
+    } catch (error) {
+      // Never leave the page hanging on a broken route
+      logger.warn(`Network route for ${request.url} failed, continuing request: ${error.message}`);
+      await this.connection.send('network.continueRequest', { request: recorded.id }).catch(() => {});
+    }
+
+    if (route && route.remaining === 0) {
+      await this._removeRoutes([route]);
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _apply(route, request) {
+    const action = route ? route.action : 'passthrough';
+
+    if (action === 'fail') {
+      logger.debug(`Network mock: failing ${request.method} ${request.url}`);
+      await this.connection.send('network.failRequest', { request: request.id });
+      return;
+    }
+
+    if (action === 'fulfill') {
+      const response = typeof route.response === 'function'
+        ? await route.response(request)
+        : route.response;
+      logger.debug(`Network mock: fulfilling ${request.method} ${request.url} with ${response.status || 200}`);
+      await this.connection.send('network.provideResponse', this._toBidiResponse(request.id, response));
+      return;
+    }
+
+    await this.connection.send('network.continueRequest', { request: request.id });
+  }
+
+  /**
+   * @private
+   */
+  _toBidiResponse(requestId, { status = 200, json, body, headers = {} } = {}) {
+    const responseHeaders = { ...headers };
+    let content = body;
+
+    if (json !== undefined) {
+      content = JSON.stringify(json);
+      if (!Object.keys(responseHeaders).some(name => name.toLowerCase() === 'content-type')) {
+        responseHeaders['Content-Type'] = 'application/json';
+      }
+    }
+
+    const params = {
+      request: requestId,
+      statusCode: status,
+      reasonPhrase: STATUS_TEXT[status] || '',
+      headers: Object.entries(responseHeaders).map(([name, value]) =>
+        ({ name, value: { type: 'string', value: String(value) } }))
+    };
+
+    if (content !== undefined && content !== null) {
+      params.body = Buffer.isBuffer(content)
+        ? { type: 'base64', value: content.toString('base64') }
+        : { type: 'string', value: String(content) };
+    }
+
+    return params;
+  }
+}
+
+module.exports = NetworkMock;
@@ -0,0 +1,270 @@
+/**
+ * StorageHelper - Read, write, snapshot and clear browser state for the current origin:
+ * cookies, localStorage, sessionStorage and IndexedDB databases.
+ * clearAll() resets a session to logged-out, empty-storage state without restarting the driver.
+ */
+const { error: seleniumError } = require('selenium-webdriver');
+const { resolveUrl } = require('./config');
+const logger = require('./logger');
+
+const ORIGIN_SCRIPT = 'return window.location.origin';
+
+// Opened to reach another origin's storage: a path no app serves, so the browser gets the
+// origin from an error page instead of running the app (redirects, scripts writing storage)
+const BLANK_PATH = '/__storage-helper__/blank';
+
+const INDEXED_DB_NAMES_SCRIPT = `
+  const done = arguments[arguments.length - 1];
+  if (!window.indexedDB || typeof window.indexedDB.databases !== 'function') {
+    done(null);
+    return;
+  }
+  window.indexedDB.databases()
+    .then(databases => done(databases.map(database => database.name)))
+    .catch(() => done(null));
+`;
+
+const INDEXED_DB_DELETE_SCRIPT = `
+  const [name] = arguments;
+  const done = arguments[arguments.length - 1];
+  const request = window.indexedDB.deleteDatabase(name);
+  request.onsuccess = () => done('deleted');
+  request.onerror = () => done('error');
+  // Open connections on this page delay the delete until the page goes away
+  request.onblocked = () => done('blocked');
+`;
+
+/**
+ * localStorage or sessionStorage of the page the browser is on. Values are strings, as in
+ * the browser; set() JSON-encodes anything else and getJSON() decodes it again.
+ */
+class WebStorageArea {
+  /**
+   * @param {WebDriver} driver
+   * @param {'localStorage'|'sessionStorage'} area
+   */
+  constructor(driver, area) {
+    this.driver = driver;
+    this.area = area;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<string|null>} Stored value, or null if the key is not set
+   */
+  async get(key) {
+    return await this.driver.executeScript(`return window.${this.area}.getItem(arguments[0]);`, key);
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<*>} Parsed JSON value, or null if the key is not set
+   */
+  async getJSON(key) {
+    const value = await this.get(key);
+    return value === null ? null : JSON.parse(value);
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value - Strings are stored as-is, anything else as JSON
+   */
+  async set(key, value) {
+    const stored = typeof value === 'string' ? value : JSON.stringify(value);
+    await this.driver.executeScript(`window.${this.area}.setItem(arguments[0], arguments[1]);`, key, stored);
+  }
+
+  /**
+   * @param {string} key
+   */
+  async delete(key) {
+    await this.driver.executeScript(`window.${this.area}.removeItem(arguments[0]);`, key);
+  }
+
+  /**
+   * @returns {Promise<string[]>}
+   */
+  async keys() {
+    return await this.driver.executeScript(`return Object.keys(window.${this.area});`);
+  }
+
+  /**
+   * @returns {Promise<Object<string, string>>} Every key and value
+   */
+  async getAll() {
+    return await this.driver.executeScript(`
+      const storage = window.${this.area};
+      const items = {};
+      for (let i = 0; i < storage.length; i++) {
+        const key = storage.key(i);
+        items[key] = storage.getItem(key);
+      }
+      return items;
+    `);
+  }
+
+  /**
+   * @param {Object<string, string>} items - Keys and string values to set (other keys are kept)
+   */
+  async setAll(items) {
+    await this.driver.executeScript(`
+      const [items] = arguments;
+      for (const [key, value] of Object.entries(items)) window.${this.area}.setItem(key, value);
+    `, items);
+  }
+
+  async clear() {
+    await this.driver.executeScript(`window.${this.area}.clear();`);
+  }
+}
+
+class StorageHelper {
+  /**
+   * @param {WebDriver} driver
+   * @param {Object} config - Resolved config (baseUrl is cleared by clearAll)
+   */
+  constructor(driver, config) {
+    this.driver = driver;
+    this.config = config;
+    this.local = new WebStorageArea(driver, 'localStorage');
+    this.session = new WebStorageArea(driver, 'sessionStorage');
+  }
+
+  /**
+   * Cookies visible to the current page
+   * @returns {Promise<Object[]>} WebDriver cookie objects
+   */
+  async getCookies() {
+    return await this.driver.manage().getCookies();
+  }
+
+  /**
+   * @param {string} name
+   * @returns {Promise<Object|null>} Cookie, or null if there is none with that name
+   */
+  async getCookie(name) {
+    try {
+      return await this.driver.manage().getCookie(name);
+    } catch (error) {
+      if (error instanceof seleniumError.NoSuchCookieError) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Set a cookie for the current page's domain
+   * @param {string} name
+   * @param {string} value
+   * @param {Object} options - path, domain, secure, httpOnly, sameSite, expiry (Date or seconds since the epoch)
+   */
+  async setCookie(name, value, options = {}) {
+    await this.driver.manage().addCookie({ name, value, ...options });
+  }
+
+  /**
+   * @param {string} name
+   */
+  async deleteCookie(name) {
+    await this.driver.manage().deleteCookie(name);
+  }
+
+  async clearCookies() {
+    await this.driver.manage().deleteAllCookies();
+  }
+
+  /**
+   * Names of the current origin's IndexedDB databases
+   * @returns {Promise<string[]>} Empty if the browser cannot list databases
+   */
+  async getIndexedDbNames() {
+    const names = await this.driver.executeAsyncScript(INDEXED_DB_NAMES_SCRIPT);
+    if (names === null) {
+      logger.debug('indexedDB.databases() is not available in this browser');
+      return [];
+    }
+    return names;
+  }
+
+  /**
+   * @param {string} name - IndexedDB database name
+   */
+  async deleteIndexedDb(name) {
+    const outcome = await this.driver.executeAsyncScript(INDEXED_DB_DELETE_SCRIPT, name);
+    if (outcome === 'error') {
+      throw new Error(`Failed to delete IndexedDB database "${name}"`);
+    }
+    if (outcome === 'blocked') {
+      logger.debug(`IndexedDB database "${name}" is still open; it is deleted once the page unloads`);
+    }
+  }
+
+  /**
+   * Current origin's state, e.g. to restore later or to compare before/after a test
+   * @returns {Promise<Object>} { url, origin, cookies, localStorage, sessionStorage, indexedDb }
+   */
+  async snapshot() {
+    const [url, origin, cookies, localStorage, sessionStorage, indexedDb] = await Promise.all([
+      this.driver.getCurrentUrl(),
+      this.driver.executeScript(ORIGIN_SCRIPT),
+      this.getCookies(),
+      this.local.getAll(),
+      this.session.getAll(),
+      this.getIndexedDbNames()
+    ]);
+    return { url, origin, cookies, localStorage, sessionStorage, indexedDb };
+  }
+
+  /**
+   * Load cookies and web storage from a snapshot(), opening a blank page of its origin first if needed.
+   * IndexedDB contents are not part of a snapshot and are left alone.
+   * @param {Object} snapshot - { origin, cookies, localStorage, sessionStorage }
+   */
+  async restore({ origin, cookies = [], localStorage = {}, sessionStorage = {} }) {
+    if (origin && (await this.driver.executeScript(ORIGIN_SCRIPT)) !== origin) {
+      await this.driver.get(resolveUrl(BLANK_PATH, origin));
+    }
+
+    for (const cookie of cookies) {
+      await this.driver.manage().addCookie(cookie);
+    }
+    await this.local.setAll(localStorage);
+    await this.session.setAll(sessionStorage);
+  }
+
+  /**
+   * Delete cookies, web storage and IndexedDB databases of the current origin and the
+   * configured baseUrl's origin, then leave the browser on about:blank. The current origin
+   * is cleared where it is; the baseUrl origin through a page the app does not serve.
+   */
+  async clearAll() {
+    const origins = [];
+    const currentOrigin = await this.driver.executeScript(ORIGIN_SCRIPT);
+    // about:blank, data: and file: pages have an opaque ("null") origin with no storage to clear
+    if (/^https?:/.test(currentOrigin)) {
+      origins.push(currentOrigin);
+    }
+    const baseOrigin = new URL(this.config.baseUrl).origin;
+    if (!origins.includes(baseOrigin)) {
+      origins.push(baseOrigin);
+    }
+
+    for (const origin of origins) {
+      if (origin !== currentOrigin) {
+        await this.driver.get(resolveUrl(BLANK_PATH, origin));
+      }
+      await this.clearCookies();
+      await this.local.clear();
+      await this.session.clear();
+      for (const name of await this.getIndexedDbNames()) {
+        await this.deleteIndexedDb(name);
+      }
+    }
+
+    await this.driver.get('about:blank');
+    logger.debug(`Browser state cleared for ${origins.join(', ')}`);
+  }
+}
+
+module.exports = StorageHelper;
@@ -0,0 +1,170 @@
+/**
+ * VisualComparator - Compares viewport screenshots against stored baseline PNGs
+ * Baselines are keyed by browser and viewport so Chrome and Firefox (or different window
+ * sizes) keep separate images. The pixel diff runs in pure JS (pngjs + pixelmatch).
+ */
+const path = require('path');
+const fs = require('fs');
+const { PNG } = require('pngjs');
+const pixelmatch = require('pixelmatch');
+const logger = require('./logger');
+
+const ROOT_DIR = path.join(__dirname, '..');
+
+// Painted over ignored regions in both images so they always compare equal
+const MASK_COLOR = [255, 0, 255, 255];
+
+const sanitize = (name) => name.replace(/[^a-zA-Z0-9._-]/g, '_').slice(0, 100);
+
+/**
+ * @typedef {Object} Region
+ * @property {number} x - CSS pixels from the viewport's left edge
+ * @property {number} y - CSS pixels from the viewport's top edge
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} VisualResult
+ * @property {'created'|'updated'|'matched'|'mismatched'} status
+ * @property {string} baselinePath
+ * @property {number} diffPixels
+ * @property {number} diffRatio - diffPixels / total pixels
+ * @property {{actual: string, expected: string, diff: string}|null} files - Written on mismatch
+ */
+
+class VisualComparator {
+  /**
+   * @param {WebDriverManager} driverManager - Manager owning the driver to capture from
+   * @param {Object} config - Resolved config
+   */
+  constructor(driverManager, config) {
+    this.driverManager = driverManager;
+    this.config = config;
+    this.baselineDir = path.resolve(ROOT_DIR, config.visual.baselineDir);
+    this.outputDir = path.resolve(ROOT_DIR, config.artifacts.dir, 'visual');
+  }
+
+  /**
+   * Screenshot the viewport and compare it to the named baseline
+   * @param {string} name - Baseline name, unique per browser and viewport
+   * @param {Object} options
+   * @param {number} options.threshold - Per-pixel color distance 0-1 (default: config.visual.threshold)
+   * @param {number} options.maxDiffPixelRatio - Tolerated share of differing pixels (default: config)
+   * @param {Array<Region|By>} options.ignoreRegions - Rectangles or locators to leave out of the comparison
+   * @returns {Promise<VisualResult>}
+   */
+  async compare(name, {
+    threshold = this.config.visual.threshold,
+    maxDiffPixelRatio = this.config.visual.maxDiffPixelRatio,
+    ignoreRegions = []
+  } = {}) {
+    const screenshot = await this.driverManager.captureScreenshot();
+    const actual = PNG.sync.read(screenshot);
+
+    const viewport = `${actual.width}x${actual.height}`;
+    const relativePath = path.join(this.driverManager.browser, viewport, `${sanitize(name)}.png`);
+    const baselinePath = path.join(this.baselineDir, relativePath);
+    const result = { baselinePath, diffPixels: 0, diffRatio: 0, files: null };
+
+    const baselineExists = fs.existsSync(baselinePath);
+    if (!baselineExists || this.config.visual.updateBaselines) {
+      fs.mkdirSync(path.dirname(baselinePath), { recursive: true });
+      fs.writeFileSync(baselinePath, screenshot);
+      logger.info(`🖼️ Baseline ${baselineExists ? 'updated' : 'created'}: ${baselinePath}`);
+      return { ...result, status: baselineExists ? 'updated' : 'created' };
+    }
+
+    // Same size guaranteed: the viewport is part of the baseline path
+    const expected = PNG.sync.read(fs.readFileSync(baselinePath));
+    const regions = await this._resolveRegions(ignoreRegions, actual.width);
+    for (const region of regions) {
+      this._mask(actual, region);
+      this._mask(expected, region);
+    }
+
+    const diff = new PNG({ width: actual.width, height: actual.height });
+    result.diffPixels = pixelmatch(expected.data, actual.data, diff.data, actual.width, actual.height, { threshold });
+    result.diffRatio = result.diffPixels / (actual.width * actual.height);
+
+    if (result.diffPixels === 0 || result.diffRatio <= maxDiffPixelRatio) {
+      logger.step(`Screenshot matches baseline: ${name}`);
+      return { ...result, status: 'matched' };
+    }
+
+    result.files = this._writeOutputs(relativePath, { actual, expected, diff });
+    return { ...result, status: 'mismatched' };
+  }
+
+  /**
+   * Turn locators into viewport rectangles and scale everything to screenshot pixels
+   * @private
+   */
+  async _resolveRegions(ignoreRegions, screenshotWidth) {
+    if (ignoreRegions.length === 0) {
+      return [];
+    }
+
+    const driver = this.driverManager.driver;
+    const viewportWidth = await driver.executeScript('return window.innerWidth');
+    const scale = viewportWidth ? screenshotWidth / viewportWidth : 1;
+
+    const regions = [];
+    for (const region of ignoreRegions) {
+      if (region && typeof region.x === 'number') {
+        regions.push(region);
+        continue;
+      }
+
+      const elements = await driver.findElements(region);
+      for (const element of elements) {
+        regions.push(await driver.executeScript(`
+          const rect = arguments[0].getBoundingClientRect();
+          return { x: rect.left, y: rect.top, width: rect.width, height: rect.height };
+        `, element));
+      }
+    }
+
+    return regions.map(({ x, y, width, height }) => ({
+      x: Math.floor(x * scale),
+      y: Math.floor(y * scale),
+      width: Math.ceil(width * scale),
+      height: Math.ceil(height * scale)
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _mask(png, { x, y, width, height }) {
+    const left = Math.max(0, x);
+    const top = Math.max(0, y);
+    const right = Math.min(png.width, x + width);
+    const bottom = Math.min(png.height, y + height);
+
+    for (let row = top; row < bottom; row++) {
+      for (let column = left; column < right; column++) {
+        const offset = (row * png.width + column) * 4;
+        MASK_COLOR.forEach((channel, index) => { png.data[offset + index] = channel; });
+      }
+    }
+  }
+
+  /**
+   * Write actual/expected/diff PNGs next to each other for review
+   * @private
+   */
+  _writeOutputs(relativePath, images) {
+    const base = path.join(this.outputDir, relativePath.replace(/\.png$/, ''));
+    fs.mkdirSync(path.dirname(base), { recursive: true });
+
+    const files = {};
+    for (const [kind, png] of Object.entries(images)) {
+      files[kind] = `${base}.${kind}.png`;
+      fs.writeFileSync(files[kind], PNG.sync.write(png));
+    }
+    return files;
+  }
+}
+
+module.exports = VisualComparator;
@@ -0,0 +1,590 @@
+/**
+ * Config loader - resolves selenium.config.js into a validated, frozen settings object
+ * Order of precedence: environment variables > selected profile > top-level defaults
+ */
+const path = require('path');
+const fs = require('fs');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'selenium.config.js');
+
+// Browsers WebDriverManager can start (browser.name)
+const BROWSERS = ['chrome', 'firefox'];
+
+/**
+ * Raised when the config file, profile or environment overrides are invalid.
+ * `errors` holds one readable message per problem found.
+ */
+class ConfigError extends Error {
+  constructor(message, errors = []) {
+    super(errors.length ? `${message}:\n  - ${errors.join('\n  - ')}` : message);
+    this.name = 'ConfigError';
+    this.errors = errors;
+  }
+}
+
+const integer = (min = 0) => ({ type: 'integer', min, required: true });
+const windowSize = {
+  type: 'object',
+  required: true,
+  properties: { width: integer(1), height: integer(1) }
+};
+const ratio = { type: 'number', min: 0, max: 1, required: true };
+const retryPolicy = {
+  type: 'object',
+  required: true,
+  properties: {
+    attempts: integer(1),
+    delay: integer(0)
+  }
+};
+
+/**
+ * Schema for the resolved config (after the profile has been merged in)
+ */
+const schema = {
+  type: 'object',
+  properties: {
+    baseUrl: { type: 'url', required: true },
+    fixtureServer: {
+      type: 'object',
+      required: true,
+      properties: {
+        enabled: { type: 'boolean', required: true },
+        host: { type: 'string', required: true },
+        port: integer(0),
+        publicHost: { type: 'string', nullable: true }
+      }
+    },
+    remote: {
+      type: 'object',
+      required: true,
+      properties: {
+        url: { type: 'url', nullable: true },
+        capabilities: { type: 'map', values: { type: 'any' }, required: true },
+        retries: retryPolicy
+      }
+    },
+    users: {
+      type: 'map',
+      required: true,
+      values: {
+        type: 'object',
+        properties: {
+          username: { type: 'string', required: true },
+          password: { type: 'string', required: true }
+        }
+      }
+    },
+    auth: {
+      type: 'object',
+      required: true,
+      properties: {
+        reuse: { type: 'boolean', required: true },
+        dir: { type: 'string', required: true },
+        ttl: integer(0)
+      }
+    },
+    storage: {
+      type: 'object',
+      required: true,
+      properties: {
+        clearBetweenTests: { type: 'boolean', required: true }
+      }
+    },
+    tags: {
+      type: 'object',
+      required: true,
+      properties: {
+        expression: { type: 'string', nullable: true }
+      }
+    },
+    flaky: {
+      type: 'object',
+      required: true,
+      properties: {
+        retries: integer(0),
+        historyFile: { type: 'string', required: true },
+        historySize: integer(1),
+        quarantineFile: { type: 'string', required: true }
+      }
+    },
+    sharding: {
+      type: 'object',
+      required: true,
+      properties: {
+        timingsFile: { type: 'string', nullable: true }
+      }
+    },
+    driverPool: {
+      type: 'object',
+      required: true,
+      properties: {
+        isolation: { type: 'string', enum: ['shared-reset', 'fresh-per-suite', 'fresh-per-test'], required: true },
+        maxIdle: integer(0),
+        maxUses: integer(1),
+        healthCheckTimeout: integer(1)
+      }
+    },
+    browser: {
+      type: 'object',
+      required: true,
+      properties: {
+        name: { type: 'string', enum: BROWSERS, required: true },
+        headless: { type: 'boolean', required: true },
+        bidi: { type: 'boolean', required: true },
+        windowSize: {
+          type: 'object',
+          required: true,
+          properties: { chrome: windowSize, firefox: windowSize }
+        },
+        args: {
+          type: 'object',
+          required: true,
+          properties: {
+            chrome: { type: 'array', items: { type: 'string' }, required: true },
+            firefox: { type: 'array', items: { type: 'string' }, required: true }
+          }
+        }
+      }
+    },
+    timeouts: {
+      type: 'object',
+      required: true,
+      properties: {
+        implicit: integer(),
+        pageLoad: integer(),
+        script: integer(),
+        element: integer(),
+        navigation: integer(),
+        pageReady: integer(),
+        expect: integer()
+      }
+    },
+    waits: {
+      type: 'object',
+      required: true,
+      properties: {
+        interval: integer(1),
+        ignoredExceptions: { type: 'array', items: { type: 'string' }, required: true }
+      }
+    },
+    interactions: {
+      type: 'object',
+      required: true,
+      properties: {
+        hoverDwell: integer(0),
+        scrollBlock: { type: 'string', enum: ['start', 'center', 'end', 'nearest'], required: true }
+      }
+    },
+    console: {
+      type: 'object',
+      required: true,
+      properties: {
+        capture: { type: 'boolean', required: true },
+        failOnError: { type: 'boolean', required: true },
+        allowlist: { type: 'array', items: { type: 'regex' }, required: true }
+      }
+    },
+    artifacts: {
+      type: 'object',
+      required: true,
+      properties: {
+        dir: { type: 'string', required: true }
+      }
+    },
+    steps: {
+      type: 'object',
+      required: true,
+      properties: {
+        screenshot: { type: 'string', enum: ['always', 'on-failure', 'never'], required: true }
+      }
+    },
+    visual: {
+      type: 'object',
+      required: true,
+      properties: {
+        baselineDir: { type: 'string', required: true },
+        threshold: ratio,
+        maxDiffPixelRatio: ratio,
+        updateBaselines: { type: 'boolean', required: true }
+      }
+    },
+    har: {
+      type: 'object',
+      required: true,
+      properties: {
+        mode: { type: 'string', enum: ['off', 'on-failure', 'always'], required: true },
+        includeBodies: { type: 'boolean', required: true }
+      }
+    },
+    retries: {
+      type: 'object',
+      required: true,
+      properties: {
+        driverCreation: retryPolicy,
+        navigation: retryPolicy,
+        click: retryPolicy
+      }
+    }
+  }
+};
+
+/**
+ * Environment variables that override a single config value
+ */
+const ENV_OVERRIDES = [
+  { env: 'BASE_URL', path: 'baseUrl', type: 'string' },
+  { env: 'FIXTURE_SERVER', path: 'fixtureServer.enabled', type: 'boolean' },
+  { env: 'FIXTURE_HOST', path: 'fixtureServer.host', type: 'string' },
+  { env: 'FIXTURE_PUBLIC_HOST', path: 'fixtureServer.publicHost', type: 'string' },
+  { env: 'SELENIUM_REMOTE_URL', path: 'remote.url', type: 'string' },
+  { env: 'SELENIUM_REMOTE_CAPABILITIES', path: 'remote.capabilities', type: 'json' },
+  { env: 'AUTH_REUSE', path: 'auth.reuse', type: 'boolean' },
+  { env: 'AUTH_TTL', path: 'auth.ttl', type: 'integer' },
+  { env: 'CLEAR_STORAGE', path: 'storage.clearBetweenTests', type: 'boolean' },
+  { env: 'TAGS', path: 'tags.expression', type: 'string' },
+  { env: 'WAIT_INTERVAL', path: 'waits.interval', type: 'integer' },
+  { env: 'HOVER_DWELL', path: 'interactions.hoverDwell', type: 'integer' },
+  { env: 'TEST_RETRIES', path: 'flaky.retries', type: 'integer' },
+  { env: 'SHARD_TIMINGS_FILE', path: 'sharding.timingsFile', type: 'string' },
+  { env: 'DRIVER_ISOLATION', path: 'driverPool.isolation', type: 'lowercase' },
+  { env: 'BROWSER', path: 'browser.name', type: 'lowercase' },
+  { env: 'HEADLESS', path: 'browser.headless', type: 'boolean' },
+  { env: 'BIDI', path: 'browser.bidi', type: 'boolean' },
+  { env: 'CAPTURE_CONSOLE', path: 'console.capture', type: 'boolean' },
+  { env: 'FAIL_ON_CONSOLE_ERROR', path: 'console.failOnError', type: 'boolean' },
+  { env: 'ARTIFACTS_DIR', path: 'artifacts.dir', type: 'string' },
+  { env: 'STEP_SCREENSHOTS', path: 'steps.screenshot', type: 'lowercase' },
+  { env: 'UPDATE_BASELINES', path: 'visual.updateBaselines', type: 'boolean' },
+  { env: 'VISUAL_THRESHOLD', path: 'visual.threshold', type: 'number' },
+  { env: 'HAR_MODE', path: 'har.mode', type: 'lowercase' },
+  { env: 'HAR_BODIES', path: 'har.includeBodies', type: 'boolean' }
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Recursively merge source into a copy of target. Arrays and scalars from source replace
+ * target values. Nested objects are always copied so the config file module is never mutated.
+ */
+function deepMerge(target, source) {
+  const result = { ...target };
+  for (const [key, value] of Object.entries(source || {})) {
+    if (isPlainObject(value)) {
+      result[key] = deepMerge(isPlainObject(result[key]) ? result[key] : {}, value);
+    } else {
+      result[key] = Array.isArray(value) ? [...value] : value;
+    }
+  }
+  return result;
+}
+
+function deepFreeze(value) {
+  if (value && typeof value === 'object') {
+    Object.values(value).forEach(deepFreeze);
+    Object.freeze(value);
+  }
+  return value;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  const last = keys.pop();
+  let node = target;
+  for (const key of keys) {
+    if (!isPlainObject(node[key])) {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[last] = value;
+}
+
+const toEnvName = (camelCase) => camelCase.replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+
+/**
+ * Convert a raw env var string to the requested type, recording an error if it cannot be parsed
+ */
+function parseEnvValue(name, raw, type, errors) {
+  switch (type) {
+    case 'boolean':
+      if (!/^(true|false|1|0)$/i.test(raw)) {
+        errors.push(`${name} must be "true" or "false" (got "${raw}")`);
+        return undefined;
+      }
+      return /^(true|1)$/i.test(raw);
+    case 'integer':
+      if (!/^\d+$/.test(raw)) {
+        errors.push(`${name} must be a non-negative integer (got "${raw}")`);
+        return undefined;
+      }
+      return Number(raw);
+    case 'number':
+      if (!/^\d+(\.\d+)?$/.test(raw)) {
+        errors.push(`${name} must be a non-negative number (got "${raw}")`);
+        return undefined;
+      }
+      return Number(raw);
+    case 'lowercase':
+      return raw.toLowerCase();
+    case 'json':
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        errors.push(`${name} must be valid JSON (${error.message})`);
+        return undefined;
+      }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * Apply environment variable overrides to a merged config
+ * @returns {Object} New config object with overrides applied
+ */
+function applyEnvOverrides(config, env, errors) {
+  const result = deepMerge({}, config);
+
+  const overrides = [
+    ...ENV_OVERRIDES,
+    // TIMEOUT_PAGE_LOAD=30000 -> timeouts.pageLoad
+    ...Object.keys(config.timeouts || {}).map(key => ({
+      env: `TIMEOUT_${toEnvName(key)}`, path: `timeouts.${key}`, type: 'integer'
+    })),
+    // RETRIES_REMOTE=5 -> remote.retries.attempts (grid queue timeouts)
+    { env: 'RETRIES_REMOTE', path: 'remote.retries.attempts', type: 'integer' },
+    // RETRIES_NAVIGATION=3 -> retries.navigation.attempts
+    ...Object.keys(config.retries || {}).map(key => ({
+      env: `RETRIES_${toEnvName(key)}`, path: `retries.${key}.attempts`, type: 'integer'
+    }))
+  ];
+
+  for (const { env: name, path: dottedPath, type } of overrides) {
+    if (env[name] === undefined || env[name] === '') {
+      continue;
+    }
+    const value = parseEnvValue(name, env[name], type, errors);
+    if (value !== undefined) {
+      setPath(result, dottedPath, value);
+    }
+  }
+
+  // The fixture server URL is only known at run time (Jest global setup picks a free port).
+  // An explicit BASE_URL still wins so a single run can be pointed elsewhere.
+  if (result.fixtureServer && result.fixtureServer.enabled && env.SELENIUM_FIXTURE_URL && !env.BASE_URL) {
+    result.baseUrl = env.SELENIUM_FIXTURE_URL;
+  }
+
+  // WINDOW_WIDTH / WINDOW_HEIGHT resize the browser this run uses
+  const browserName = result.browser && result.browser.name;
+  for (const [name, key] of [['WINDOW_WIDTH', 'width'], ['WINDOW_HEIGHT', 'height']]) {
+    if (env[name] !== undefined && env[name] !== '' && browserName) {
+      const value = parseEnvValue(name, env[name], 'integer', errors);
+      if (value !== undefined) {
+        setPath(result, `browser.windowSize.${browserName}.${key}`, value);
+      }
+    }
+  }
+
+  // HEADED=true is the long-standing way to watch the browser; it wins over HEADLESS
+  if (env.HEADED && parseEnvValue('HEADED', env.HEADED, 'boolean', errors)) {
+    setPath(result, 'browser.headless', false);
+  }
+
+  // TEST_USER_STANDARD_PASSWORD=... -> users.standard.password (keeps secrets out of the file)
+  for (const [name, value] of Object.entries(env)) {
+    const match = name.match(/^TEST_USER_([A-Z0-9_]+)_(USERNAME|PASSWORD)$/);
+    if (match && value) {
+      const role = match[1].toLowerCase().replace(/_([a-z0-9])/g, (_, c) => c.toUpperCase());
+      setPath(result, `users.${role}.${match[2].toLowerCase()}`, value);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Validate a value against a schema node, collecting readable messages into errors
+ */
+function validate(value, node, keyPath, errors) {
+  const label = keyPath || 'config';
+
+  if (value === undefined) {
+    if (node.required) {
+      errors.push(`${label} is required`);
+    }
+    return;
+  }
+
+  if (value === null && node.nullable) {
+    return;
+  }
+
+  switch (node.type) {
+    case 'any':
+      break;
+    case 'string':
+      if (typeof value !== 'string' || value.length === 0) {
+        errors.push(`${label} must be a non-empty string (got ${JSON.stringify(value)})`);
+      } else if (node.enum && !node.enum.includes(value)) {
+        errors.push(`${label} must be one of ${node.enum.join(', ')} (got "${value}")`);
+      }
+      break;
+    case 'url':
+      try {
+        const url = new URL(value);
+        if (!/^https?:$/.test(url.protocol)) {
+          throw new Error('unsupported protocol');
+        }
+      } catch (error) {
+        errors.push(`${label} must be an absolute http(s) URL (got ${JSON.stringify(value)})`);
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        errors.push(`${label} must be a boolean (got ${JSON.stringify(value)})`);
+      }
+      break;
+    case 'regex':
+      if (typeof value !== 'string' && !(value instanceof RegExp)) {
+        errors.push(`${label} must be a regular expression or pattern string (got ${JSON.stringify(value)})`);
+        break;
+      }
+      try {
+        new RegExp(value);
+      } catch (error) {
+        errors.push(`${label} is not a valid regular expression: ${error.message}`);
+      }
+      break;
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        errors.push(`${label} must be an integer (got ${JSON.stringify(value)})`);
+      } else if (node.min !== undefined && value < node.min) {
+        errors.push(`${label} must be >= ${node.min} (got ${value})`);
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        errors.push(`${label} must be a number (got ${JSON.stringify(value)})`);
+      } else if (value < node.min || value > node.max) {
+        errors.push(`${label} must be between ${node.min} and ${node.max} (got ${value})`);
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        errors.push(`${label} must be an array (got ${JSON.stringify(value)})`);
+        return;
+      }
+      value.forEach((item, index) => validate(item, node.items, `${label}[${index}]`, errors));
+      break;
+    case 'map':
+      if (!isPlainObject(value)) {
+        errors.push(`${label} must be an object (got ${JSON.stringify(value)})`);
+        return;
+      }
+      for (const [key, item] of Object.entries(value)) {
+        validate(item, node.values, `${label}.${key}`, errors);
+      }
+      break;
+    case 'object':
+      if (!isPlainObject(value)) {
+        errors.push(`${label} must be an object (got ${JSON.stringify(value)})`);
+        return;
+      }
+      for (const [key, child] of Object.entries(node.properties)) {
+        validate(value[key], child, keyPath ? `${keyPath}.${key}` : key, errors);
+      }
+      for (const key of Object.keys(value)) {
+        if (!node.properties[key]) {
+          errors.push(`${keyPath ? `${keyPath}.${key}` : key} is not a recognised setting`);
+        }
+      }
+      break;
+    default:
+      throw new Error(`Unknown schema type: ${node.type}`);
+  }
+}
+
+/**
+ * Load, merge and validate the config
+ * @param {Object} options
+ * @param {string} options.configPath - Config file path (default: SELENIUM_CONFIG or selenium.config.js)
+ * @param {string} options.profile - Profile name (default: TEST_PROFILE or the file's defaultProfile)
+ * @param {Object} options.env - Environment to read overrides from (default: process.env)
+ * @returns {Object} Frozen config object
+ */
+function loadConfig({ configPath, profile, env = process.env } = {}) {
+  const filePath = path.resolve(configPath || env.SELENIUM_CONFIG || DEFAULT_CONFIG_PATH);
+  if (!fs.existsSync(filePath)) {
+    throw new ConfigError(`Config file not found: ${filePath}`);
+  }
+
+  let fileConfig;
+  try {
+    fileConfig = require(filePath);
+  } catch (error) {
+    throw new ConfigError(`Failed to load config file ${filePath}: ${error.message}`);
+  }
+
+  const { profiles = {}, defaultProfile = 'local', ...defaults } = fileConfig;
+  const profileName = profile || env.TEST_PROFILE || defaultProfile;
+  if (!isPlainObject(profiles[profileName])) {
+    const available = Object.keys(profiles).join(', ') || 'none';
+    throw new ConfigError(
+      `Unknown config profile "${profileName}" in ${filePath} (available profiles: ${available})`
+    );
+  }
+
+  const errors = [];
+  const merged = deepMerge(deepMerge({}, defaults), profiles[profileName]);
+  const config = applyEnvOverrides(merged, env, errors);
+  validate(config, schema, '', errors);
+
+  if (errors.length) {
+    throw new ConfigError(`Invalid configuration (profile "${profileName}", ${filePath})`, errors);
+  }
+
+  return deepFreeze({ ...config, profile: profileName });
+}
+
+let cachedConfig = null;
+
+/**
+ * Get the config for the current process, loading it on first use
+ */
+function getConfig() {
+  if (!cachedConfig) {
+    cachedConfig = loadConfig();
+  }
+  return cachedConfig;
+}
+
+/**
+ * Drop the cached config so the next getConfig() call reloads it
+ */
+function resetConfig() {
+  cachedConfig = null;
+}
+
+/**
+ * Resolve a path against the base URL. Absolute URLs are returned unchanged.
+ * @param {string} pathOrUrl - Relative path (e.g. 'login' or '/login') or absolute URL
+ * @param {string} baseUrl - Base URL (default: configured baseUrl)
+ */
+function resolveUrl(pathOrUrl, baseUrl = getConfig().baseUrl) {
+  if (/^[a-z][a-z0-9+.-]*:/i.test(pathOrUrl)) {
+    return pathOrUrl;
+  }
+  return `${baseUrl.replace(/\/+$/, '')}/${pathOrUrl.replace(/^\/+/, '')}`;
+}
+
+module.exports = {
+  BROWSERS,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  resetConfig,
+  resolveUrl
+};
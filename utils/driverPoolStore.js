@@ -0,0 +1,170 @@
+/**
+ * Driver pool store - worker-wide registry of pooled browser sessions (see utils/DriverPool.js)
+ * Loaded by jest.environment.js, outside the per-test-file module registry, so it lives as
+ * long as the Jest worker and can hand a session from one test file to the next. It keeps
+ * plain data only (server URL, session id, capabilities); each test file reattaches with its
+ * own selenium-webdriver modules. Sessions still open when the worker exits are quit here.
+ */
+const { execFileSync } = require('child_process');
+
+const STORE_KEY = '__SELENIUM_DRIVER_POOL__';
+
+// Sent to a short-lived node process at exit: 'exit' handlers cannot wait for async requests
+const QUIT_SESSIONS_SCRIPT = `
+  let input = '';
+  process.stdin.on('data', chunk => { input += chunk; });
+  process.stdin.on('end', () => JSON.parse(input).forEach(({ serverUrl, sessionId }) => {
+    const url = new URL('session/' + sessionId, serverUrl.replace(/\\/?$/, '/'));
+    const request = require(url.protocol === 'https:' ? 'https' : 'http').request(url, { method: 'DELETE' }, response => response.resume());
+    request.on('error', () => {});
+    request.end();
+  }));
+`;
+
+/**
+ * Selenium Manager's driver/browser lookup. selenium-webdriver has no public API for it, so
+ * this uses an internal module: package.json pins the exact version it was checked against.
+ * @returns {Function|null} getBinaryPaths(capabilities), or null if this version lacks it
+ */
+function loadDriverFinder() {
+  try {
+    const { getBinaryPaths } = require('selenium-webdriver/common/driverFinder');
+    return typeof getBinaryPaths === 'function' ? getBinaryPaths : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+const sessions = new Map();
+const services = new Map();
+let nextId = 1;
+
+/**
+ * Copy data coming from a test file's sandbox, so the store holds no references into it
+ */
+const detach = (value) => JSON.parse(JSON.stringify(value));
+
+const store = {
+  /**
+   * Register a session created by a test file
+   * @param {Object} session - { signature, serverUrl, sessionId, capabilities, browser }
+   * @returns {number} Pool id
+   */
+  add(session) {
+    const id = nextId++;
+    sessions.set(id, { ...detach(session), id, idle: false, uses: 0, createdAt: Date.now() });
+    return id;
+  },
+
+  /**
+   * Take the oldest idle session with a matching signature out of the idle set
+   * @param {string} signature - Browser settings the session was created with
+   * @returns {Object|null} Copy of the entry, or null if none is idle
+   */
+  take(signature) {
+    for (const entry of sessions.values()) {
+      if (entry.idle && entry.signature === signature) {
+        entry.idle = false;
+        return { ...entry };
+      }
+    }
+    return null;
+  },
+
+  /**
+   * Return a session to the idle set
+   * @param {number} id - Pool id
+   * @returns {number} How many suites have used the session
+   */
+  park(id) {
+    const entry = sessions.get(id);
+    entry.idle = true;
+    entry.uses++;
+    return entry.uses;
+  },
+
+  /**
+   * @param {number} id - Pool id
+   * @returns {number} Suites that used the session so far
+   */
+  uses(id) {
+    return sessions.has(id) ? sessions.get(id).uses : 0;
+  },
+
+  /**
+   * @param {string} signature
+   * @returns {number} Idle sessions with that signature
+   */
+  idleCount(signature) {
+    return [...sessions.values()].filter(entry => entry.idle && entry.signature === signature).length;
+  },
+
+  /**
+   * Forget a session (after it was quit or found dead)
+   * @param {number} id - Pool id
+   */
+  remove(id) {
+    sessions.delete(id);
+  },
+
+  /**
+   * Whether startService() can work with the installed selenium-webdriver
+   */
+  canStartServices() {
+    return loadDriverFinder() !== null;
+  },
+
+  /**
+   * Start a local driver service (chromedriver/geckodriver) owned by the worker rather than
+   * by one test file, so it outlives the file that created the session
+   * @param {string} browser - chrome or firefox
+   * @returns {Promise<{url: string, browserPath: string|null}>} Service URL and the browser
+   *   binary Selenium Manager resolved (if any)
+   */
+  async startService(browser) {
+    const { Capabilities } = require('selenium-webdriver');
+    const { ServiceBuilder } = require(`selenium-webdriver/${browser}`);
+    const getBinaryPaths = loadDriverFinder();
+    if (!getBinaryPaths) {
+      throw new Error('This selenium-webdriver version has no common/driverFinder: install the version pinned in package.json');
+    }
+
+    const { driverPath, browserPath } = getBinaryPaths(new Capabilities().setBrowserName(browser));
+    const service = new ServiceBuilder(driverPath).build();
+    const url = await service.start();
+    services.set(url, service);
+    return { url, browserPath: browserPath || null };
+  },
+
+  /**
+   * Stop a service started with startService()
+   * @param {string} url - Service URL
+   */
+  async stopService(url) {
+    const service = services.get(url);
+    services.delete(url);
+    if (service) {
+      await service.kill();
+    }
+  }
+};
+
+// Registered before any service starts, so it runs before selenium kills the services on exit
+process.once('exit', () => {
+  const open = [...sessions.values()].map(({ serverUrl, sessionId }) => ({ serverUrl, sessionId }));
+  if (open.length === 0) {
+    return;
+  }
+
+  try {
+    execFileSync(process.execPath, ['-e', QUIT_SESSIONS_SCRIPT], {
+      input: JSON.stringify(open),
+      stdio: ['pipe', 'ignore', 'ignore'],
+      timeout: 30000
+    });
+  } catch (error) {
+    // Best effort: the worker is exiting either way
+  }
+});
+
+module.exports = { STORE_KEY, store };
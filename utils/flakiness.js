@@ -0,0 +1,176 @@
+/**
+ * Flakiness - run history, flakiness scores and the quarantine list
+ * History is a JSON file with the last runs of every test and the last durations of every test
+ * file (written by reporters/HistoryReporter.js; file durations balance jest.sequencer.js shards).
+ * Quarantined tests still run and fail, but their failures don't fail the build (see reporters/quarantineResults.js).
+ * Only depends on fs/path: it is also loaded by the test environment and scripts/flaky-report.js.
+ */
+const path = require('path');
+const fs = require('fs');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const HISTORY_VERSION = 1;
+// Recent file durations averaged for shard balancing
+const DURATION_RUNS = 5;
+
+/**
+ * Key of a test in the history and quarantine files: "<file relative to the repo> › <full name>"
+ * @param {string} testPath - Absolute or repo-relative test file path
+ * @param {string} fullName - Jest full name ("describe test")
+ */
+function testKey(testPath, fullName) {
+  return `${relativeTestPath(testPath)} › ${fullName}`;
+}
+
+/**
+ * Repo-relative, forward-slash path of a test file (the key of history.files)
+ * @param {string} testPath - Absolute or repo-relative test file path
+ */
+function relativeTestPath(testPath) {
+  const file = path.isAbsolute(testPath) ? path.relative(ROOT_DIR, testPath) : testPath;
+  return file.split(path.sep).join('/');
+}
+
+/**
+ * @param {string} filePath - History file, relative to the repo root
+ * @returns {{version: number, tests: Object<string, {file: string, name: string, runs: Object[]}>,
+ *   files: Object<string, {durations: number[]}>}}
+ */
+function loadHistory(filePath) {
+  try {
+    const history = JSON.parse(fs.readFileSync(path.resolve(ROOT_DIR, filePath), 'utf8'));
+    if (history.version === HISTORY_VERSION && history.tests) {
+      return { files: {}, ...history };
+    }
+  } catch (error) {
+    // Missing or unreadable: start a new history
+  }
+  return { version: HISTORY_VERSION, tests: {}, files: {} };
+}
+
+/**
+ * Write the history, keeping the last maxRuns runs per test
+ * @param {string} filePath - History file, relative to the repo root
+ * @param {Object} history - From loadHistory()
+ * @param {number} maxRuns
+ */
+function saveHistory(filePath, history, maxRuns) {
+  for (const test of Object.values(history.tests)) {
+    test.runs = test.runs.slice(-maxRuns);
+  }
+  for (const file of Object.values(history.files)) {
+    file.durations = file.durations.slice(-maxRuns);
+  }
+
+  const absolutePath = path.resolve(ROOT_DIR, filePath);
+  fs.mkdirSync(path.dirname(absolutePath), { recursive: true });
+  fs.writeFileSync(absolutePath, JSON.stringify(history, null, 2));
+}
+
+/**
+ * Flakiness score between 0 (stable) and 1 (flips every run). Per recorded run it counts:
+ *   1   - passed only after a Jest retry ('flaky')
+ *   1   - outcome differs from the previous run (passed <-> failed)
+ *   0.5 - passed, but navigateTo/clickElement had to retry internally
+ * and divides by the number of runs. Skipped runs are ignored.
+ * @param {Object[]} runs - History runs, oldest first
+ * @returns {{score: number, runs: number, failures: number, flaky: number, flips: number, internalRetries: number}}
+ */
+function flakinessScore(runs) {
+  const counted = runs.filter(run => run.status !== 'skipped');
+  let flips = 0;
+  let signals = 0;
+
+  counted.forEach((run, index) => {
+    const previous = counted[index - 1];
+    if (previous && (previous.status === 'failed') !== (run.status === 'failed')) {
+      flips++;
+      signals++;
+    }
+    if (run.status === 'flaky') {
+      signals++;
+    } else if (run.status === 'passed' && run.internalRetries > 0) {
+      signals += 0.5;
+    }
+  });
+
+  return {
+    score: counted.length ? Math.min(1, signals / counted.length) : 0,
+    runs: counted.length,
+    failures: counted.filter(run => run.status === 'failed').length,
+    flaky: counted.filter(run => run.status === 'flaky').length,
+    flips,
+    internalRetries: counted.reduce((total, run) => total + (run.internalRetries || 0), 0)
+  };
+}
+
+/**
+ * Tests ordered by flakiness score, most flaky first (score 0 left out)
+ * @param {Object} history - From loadHistory()
+ * @param {number} limit
+ * @returns {Object[]} { key, file, name, ...flakinessScore() }
+ */
+function topFlakyTests(history, limit = 10) {
+  return Object.entries(history.tests)
+    .map(([key, test]) => ({ key, file: test.file, name: test.name, ...flakinessScore(test.runs) }))
+    .filter(test => test.score > 0)
+    .sort((a, b) => b.score - a.score || b.runs - a.runs)
+    .slice(0, limit);
+}
+
+/**
+ * Average duration of each test file over its last runs
+ * @param {Object} history - From loadHistory()
+ * @returns {Map<string, number>} Repo-relative file path -> milliseconds
+ */
+function fileDurations(history) {
+  const durations = new Map();
+  for (const [file, { durations: runs }] of Object.entries(history.files)) {
+    const recent = runs.slice(-DURATION_RUNS);
+    if (recent.length > 0) {
+      durations.set(file, recent.reduce((total, duration) => total + duration, 0) / recent.length);
+    }
+  }
+  return durations;
+}
+
+/**
+ * Read the quarantine list. Entries: { test: "<file> › <full name>", reason, ticket?, since? }
+ * @param {string} filePath - Quarantine file, relative to the repo root
+ * @returns {Object[]}
+ */
+function loadQuarantine(filePath) {
+  const absolutePath = path.resolve(ROOT_DIR, filePath);
+  if (!fs.existsSync(absolutePath)) {
+    return [];
+  }
+
+  const quarantine = JSON.parse(fs.readFileSync(absolutePath, 'utf8'));
+  if (!Array.isArray(quarantine.tests) || quarantine.tests.some(entry => !entry.test || !entry.reason)) {
+    throw new Error(`${filePath} must contain { "tests": [{ "test": "<file> › <full name>", "reason": "..." }] }`);
+  }
+  return quarantine.tests;
+}
+
+/**
+ * @param {Object[]} quarantine - From loadQuarantine()
+ * @param {string} testPath
+ * @param {string} fullName
+ * @returns {Object|null} The quarantine entry for the test
+ */
+function findQuarantine(quarantine, testPath, fullName) {
+  const key = testKey(testPath, fullName);
+  return quarantine.find(entry => entry.test === key) || null;
+}
+
+module.exports = {
+  relativeTestPath,
+  testKey,
+  loadHistory,
+  saveHistory,
+  flakinessScore,
+  topFlakyTests,
+  fileDurations,
+  loadQuarantine,
+  findQuarantine
+};
@@ -8,10 +8,29 @@ if (!fs.existsSync(logsDir)) {
   fs.mkdirSync(logsDir, { recursive: true });
 }
 
+// Per-test log files (logs/tests/<test>-<testId>.log)
+const testLogsDir = path.join(logsDir, 'tests');
+
+// Correlation context merged into every entry; set per test by jest.setup.js
+const CONTEXT_KEYS = ['testId', 'suite', 'test', 'workerId', 'browser', 'sessionId', 'tags'];
+const baseContext = process.env.JEST_WORKER_ID ? { workerId: process.env.JEST_WORKER_ID } : {};
+let context = { ...baseContext };
+
+// Explicit meta (e.g. from a child logger) wins over the shared context
+const addContext = winston.format((info) => {
+  for (const [key, value] of Object.entries(context)) {
+    if (info[key] === undefined) {
+      info[key] = value;
+    }
+  }
+  return info;
+});
+
 // Create logger instance
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: winston.format.combine(
+    addContext(),
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss'
     }),
@@ -44,28 +63,133 @@ if (process.env.NODE_ENV !== 'production') {
       winston.format.colorize(),
       winston.format.simple(),
       winston.format.printf(({ timestamp, level, message, ...meta }) => {
-        return `${timestamp} [${level}]: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+        // Context goes in a short prefix so interleaved workers stay readable
+        const prefix = meta.testId ? ` [w${meta.workerId || 0} ${meta.testId}]` : '';
+        CONTEXT_KEYS.forEach(key => delete meta[key]);
+        return `${timestamp} [${level}]${prefix}: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
       })
     )
   }));
 }
 
-// Test-specific logging functions
-logger.testStart = (testName) => {
-  logger.info(`🧪 Test Started: ${testName}`);
+// Test-specific logging functions, shared by the root logger and per-test child loggers
+function addTestHelpers(target) {
+  target.testStart = (testName) => {
+    target.info(`🧪 Test Started: ${testName}`);
+  };
+
+  target.testEnd = (testName, result) => {
+    const emoji = result === 'passed' ? '✅' : '❌';
+    target.info(`${emoji} Test ${result}: ${testName}`);
+  };
+
+  target.step = (stepDescription) => {
+    target.info(`📋 Step: ${stepDescription}`, { type: 'step' });
+  };
+
+  target.screenshot = (screenshotPath) => {
+    target.info(`📸 Screenshot captured: ${screenshotPath}`, { type: 'screenshot', screenshot: screenshotPath });
+  };
+
+  target.browserConsole = (entry) => {
+    const level = entry.level === 'error' || entry.level === 'warn' ? 'warn' : 'info';
+    const source = entry.source === 'exception' ? 'exception' : `console.${entry.level}`;
+    target.log(level, `🖥️ Browser ${source}: ${entry.message}`, { browserLog: entry });
+  };
+
+  return target;
+}
+
+addTestHelpers(logger);
+
+/**
+ * Child logger whose entries always carry the given context (e.g. one browser session's id)
+ * @param {Object} childContext - testId, suite, test, workerId, browser, sessionId
+ */
+logger.forTest = (childContext) => addTestHelpers(logger.child(childContext));
+
+/**
+ * Set the correlation context added to every entry from this worker
+ * @param {Object} testContext - testId, suite, test, browser, sessionId
+ */
+logger.setContext = (testContext) => {
+  context = { ...baseContext, ...testContext };
 };
 
-logger.testEnd = (testName, result) => {
-  const emoji = result === 'passed' ? '✅' : '❌';
-  logger.info(`${emoji} Test ${result}: ${testName}`);
+logger.getContext = () => ({ ...context });
+
+logger.clearContext = () => {
+  context = { ...baseContext };
 };
 
-logger.step = (stepDescription) => {
-  logger.info(`📋 Step: ${stepDescription}`);
+let testLog = null;
+
+/**
+ * Start writing this worker's entries to a file of their own until stopTestLog()
+ * @param {string} fileName - File name without extension
+ * @returns {string} Log file path
+ */
+logger.startTestLog = (fileName) => {
+  fs.mkdirSync(testLogsDir, { recursive: true });
+  const filename = path.join(testLogsDir, `${fileName}.log`);
+  // A plain file stream rather than the File transport, so stopTestLog() can wait for it to reach the disk
+  const stream = fs.createWriteStream(filename)
+    .on('error', error => console.warn(`⚠️ Could not write test log ${filename}: ${error.message}`));
+  const transport = new winston.transports.Stream({ stream });
+  logger.add(transport);
+  testLog = { transport, stream };
+  return filename;
 };
 
-logger.screenshot = (screenshotPath) => {
-  logger.info(`📸 Screenshot captured: ${screenshotPath}`);
+/**
+ * Detach the per-test log file and wait until it is written
+ * @returns {Promise<void>}
+ */
+logger.stopTestLog = () => {
+  const current = testLog;
+  testLog = null;
+  if (!current) {
+    return Promise.resolve();
+  }
+
+  logger.remove(current.transport);
+  return new Promise(resolve => {
+    current.stream.once('error', () => resolve());
+    current.stream.end(() => resolve());
+  });
+};
+
+/**
+ * In-memory transport used by logger.capture()
+ */
+class CaptureTransport extends winston.Transport {
+  constructor() {
+    super();
+    this.entries = [];
+  }
+
+  log(info, callback) {
+    const { level, message, timestamp, service, ...meta } = info;
+    // The file timestamp has second precision; keep epoch ms for step timings
+    this.entries.push({ time: Date.now(), timestamp, level, message, meta });
+    callback();
+  }
+}
+
+/**
+ * Collect every log entry until stop() is called (used for per-test report records)
+ * @returns {{stop: function(): Array<{time: number, timestamp: string, level: string, message: string, meta: Object}>}}
+ */
+logger.capture = () => {
+  const transport = new CaptureTransport();
+  logger.add(transport);
+
+  return {
+    stop: () => {
+      logger.remove(transport);
+      return transport.entries;
+    }
+  };
 };
 
 module.exports = logger;
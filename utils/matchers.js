@@ -0,0 +1,262 @@
+/**
+ * Custom Jest matchers for Selenium, registered in jest.setup.js
+ * They poll until the expectation holds (or, with .not, stops holding) or timeouts.expect
+ * passes, so assertions don't race dynamic pages:
+ *   await expect(By.css('.flash.success')).toHaveText(/logged into a secure area/);
+ *   await expect(driver).not.toHaveUrl('/login');
+ * Locators run against the active BaseTest's driver; a WebElement can be passed instead.
+ * Every matcher is async (always await it) and takes a last { timeout, interval, ignore } argument.
+ * Errors named in waits.ignoredExceptions (e.g. a stale element) mean "not yet"; any other
+ * error from the browser fails the assertion at once.
+ */
+const { By, WebElement, error: seleniumError } = require('selenium-webdriver');
+const { getConfig, resolveUrl } = require('./config');
+const { matchesText, poll, withoutImplicitWait } = require('./wait');
+
+const ELEMENT_PREVIEW_LENGTH = 200;
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' && !(value instanceof RegExp) && !Array.isArray(value);
+
+/**
+ * Driver of the suite currently running (see BaseTest.active)
+ */
+function activeDriver(matcherName) {
+  const BaseTest = require('./BaseTest');
+  const baseTest = [...BaseTest.active].find(candidate => candidate.driver);
+  if (!baseTest) {
+    throw new Error(`${matcherName}: no active browser session for the locator; call baseTest.setupSuite() first or pass a WebElement`);
+  }
+  return baseTest.driver;
+}
+
+/**
+ * What an element matcher was called on: a By locator or a WebElement
+ */
+function elementTarget(received, matcherName) {
+  if (received instanceof WebElement) {
+    return { driver: received.getDriver(), label: 'element', find: async () => [received] };
+  }
+  if (received instanceof By || (received && typeof received.using === 'string' && 'value' in received)) {
+    const driver = activeDriver(matcherName);
+    return { driver, label: received.toString(), find: () => driver.findElements(received) };
+  }
+  throw new TypeError(`${matcherName}: expected a By locator or a WebElement, received ${typeof received}`);
+}
+
+function driverTarget(received, matcherName) {
+  if (!received || typeof received.getCurrentUrl !== 'function') {
+    throw new TypeError(`${matcherName}: expected a WebDriver, received ${typeof received}`);
+  }
+  return { driver: received, label: 'driver', find: null };
+}
+
+/**
+ * The first matching element; a NoSuchElementError while there is none
+ */
+async function firstElement(target) {
+  const [element] = await target.find();
+  if (!element) {
+    throw new seleniumError.NoSuchElementError('no element matches the locator');
+  }
+  return element;
+}
+
+/**
+ * Opening tag of the first matching element, for failure messages
+ */
+async function describeElement(target) {
+  try {
+    const [element] = await target.find();
+    if (!element) {
+      return null;
+    }
+    const html = await target.driver.executeScript(
+      'const html = arguments[0].outerHTML; return html.slice(0, html.indexOf(">") + 1);', element);
+    return html.length > ELEMENT_PREVIEW_LENGTH ? `${html.slice(0, ELEMENT_PREVIEW_LENGTH)}…` : html;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Poll until test(value) agrees with the assertion (true, or false under .not) and build the
+ * Jest result from the last observed value
+ * @param {Object} context - Matcher `this`
+ * @param {string} matcherName
+ * @param {Object} target - From elementTarget() / driverTarget()
+ * @param {Object} spec
+ * @param {Function} spec.probe - Async () => current value
+ * @param {Function} spec.test - (value) => whether the expectation holds
+ * @param {*} spec.expected - Shown in the failure message
+ * @param {Function} spec.show - (value) => received value for the failure message (default: value)
+ * @param {Object} spec.options - { timeout, interval, ignore }
+ */
+async function assertEventually(context, matcherName, target, { probe, test, expected, show = value => value, options = {} }) {
+  const {
+    timeout = getConfig().timeouts.expect,
+    interval = getConfig().waits.interval,
+    ignore = getConfig().waits.ignoredExceptions
+  } = options;
+  const wanted = !context.isNot;
+  // An error (e.g. no element) means the expectation could not be checked: fail with or without .not
+  const passOf = (result) => (result.error ? context.isNot : Boolean(test(result.value)));
+
+  const run = async () => {
+    const result = await poll(probe, value => Boolean(test(value)) === wanted, { timeout, interval, ignore });
+    const element = passOf(result) !== wanted && target.find ? await describeElement(target) : null;
+    return { result, element };
+  };
+  const { result, element } = target.find ? await withoutImplicitWait(target.driver, run) : await run();
+
+  const pass = passOf(result);
+  if (pass === wanted) {
+    return { pass, message: () => '' };
+  }
+
+  const { utils } = context;
+  const received = result.error ? null : show(result.value);
+  const showDiff = !context.isNot && typeof expected === 'string' && typeof received === 'string';
+
+  const message = () => [
+    utils.matcherHint(matcherName, target.label === 'driver' ? 'driver' : 'locator', 'expected', {
+      isNot: context.isNot,
+      promise: context.promise
+    }),
+    '',
+    ...(target.find ? [`Locator:  ${target.label}`] : []),
+    ...(element ? [`Element:  ${element}`] : []),
+    `Expected: ${context.isNot ? 'not ' : ''}${utils.printExpected(expected)}`,
+    result.error
+      ? `Error:    ${result.error.message}`
+      : `Received: ${utils.printReceived(received)}`,
+    ...(showDiff && received !== expected ? ['', utils.diff(expected, received)] : []),
+    '',
+    `Timed out after ${timeout}ms (${result.attempts} checks)`
+  ].join('\n');
+
+  return { pass, message };
+}
+
+/**
+ * Split (expected, options) from matcher arguments where expected is optional
+ */
+function expectedAndOptions(expected, options) {
+  return isPlainObject(expected) ? [undefined, expected] : [expected, options || {}];
+}
+
+const matchers = {
+  /**
+   * Element exists and is displayed
+   */
+  async toBeVisible(received, options = {}) {
+    const target = elementTarget(received, 'toBeVisible');
+    return await assertEventually(this, 'toBeVisible', target, {
+      probe: async () => {
+        const [element] = await target.find();
+        return { found: Boolean(element), visible: element ? await element.isDisplayed() : false };
+      },
+      test: state => state.visible,
+      expected: 'visible',
+      show: state => (state.found ? (state.visible ? 'visible' : 'hidden') : 'no element matches the locator'),
+      options
+    });
+  },
+
+  /**
+   * Visible text equals expected (whitespace collapsed), contains it with { exact: false },
+   * or matches a RegExp
+   * @param {string|RegExp} expected
+   * @param {Object} options - { exact, timeout, interval }
+   */
+  async toHaveText(received, expected, options = {}) {
+    const target = elementTarget(received, 'toHaveText');
+    return await assertEventually(this, 'toHaveText', target, {
+      probe: async () => (await firstElement(target)).getText(),
+      test: text => matchesText(text, expected, options.exact !== false),
+      expected,
+      options
+    });
+  },
+
+  /**
+   * Form control value equals (or matches) expected
+   * @param {string|RegExp} expected
+   */
+  async toHaveValue(received, expected, options = {}) {
+    const target = elementTarget(received, 'toHaveValue');
+    return await assertEventually(this, 'toHaveValue', target, {
+      probe: async () => (await firstElement(target)).getAttribute('value'),
+      test: value => (expected instanceof RegExp ? expected.test(value) : value === expected),
+      expected,
+      options
+    });
+  },
+
+  /**
+   * Attribute is present, or equals (or matches) expected
+   * @param {string} name - Attribute name
+   * @param {string|RegExp} expected - Optional expected value
+   */
+  async toHaveAttribute(received, name, expectedValue, maybeOptions) {
+    const [expected, options] = expectedAndOptions(expectedValue, maybeOptions);
+    const target = elementTarget(received, 'toHaveAttribute');
+    return await assertEventually(this, 'toHaveAttribute', target, {
+      probe: async () => (await firstElement(target)).getAttribute(name),
+      test: value => {
+        if (expected === undefined) {
+          return value !== null;
+        }
+        return expected instanceof RegExp ? value !== null && expected.test(value) : value === expected;
+      },
+      expected: expected === undefined ? `attribute "${name}"` : expected,
+      show: value => (value === null ? `no attribute "${name}"` : value),
+      options
+    });
+  },
+
+  /**
+   * Number of elements matching the locator
+   * @param {number} expected
+   */
+  async toHaveCount(received, expected, options = {}) {
+    const target = elementTarget(received, 'toHaveCount');
+    return await assertEventually(this, 'toHaveCount', target, {
+      probe: async () => (await target.find()).length,
+      test: count => count === expected,
+      expected,
+      options
+    });
+  },
+
+  /**
+   * Current URL equals expected (paths are resolved against baseUrl) or matches a RegExp
+   * @param {string|RegExp} expected
+   */
+  async toHaveUrl(received, expected, options = {}) {
+    const target = driverTarget(received, 'toHaveUrl');
+    const expectedUrl = expected instanceof RegExp ? expected : resolveUrl(expected, getConfig().baseUrl);
+    return await assertEventually(this, 'toHaveUrl', target, {
+      probe: () => target.driver.getCurrentUrl(),
+      test: url => (expectedUrl instanceof RegExp ? expectedUrl.test(url) : url === expectedUrl),
+      expected: expectedUrl,
+      options
+    });
+  },
+
+  /**
+   * Page title equals expected (whitespace collapsed) or matches a RegExp
+   * @param {string|RegExp} expected
+   */
+  async toHaveTitle(received, expected, options = {}) {
+    const target = driverTarget(received, 'toHaveTitle');
+    return await assertEventually(this, 'toHaveTitle', target, {
+      probe: () => target.driver.getTitle(),
+      test: title => matchesText(title, expected),
+      expected,
+      options
+    });
+  }
+};
+
+module.exports = matchers;
@@ -1,50 +1,92 @@
-const { Builder } = require('selenium-webdriver');
+const { Builder, Capabilities, Session, WebDriver } = require('selenium-webdriver');
+const { Executor, HttpClient } = require('selenium-webdriver/http');
 const chrome = require('selenium-webdriver/chrome');
 const firefox = require('selenium-webdriver/firefox');
 const path = require('path');
 const fs = require('fs');
+const http = require('http');
+const https = require('https');
 const logger = require('./logger');
+const BrowserLogCollector = require('./BrowserLogCollector');
+const { getConfig } = require('./config');
 
 /**
  * WebDriverManager - Centralized WebDriver management with enhanced configuration
  * Supports Chrome and Firefox with optimized settings for CI/CD environments
  */
 class WebDriverManager {
-  constructor() {
+  /**
+   * @param {Object} config - Resolved config (default: getConfig())
+   */
+  constructor(config = getConfig()) {
+    this.config = config;
     this.driver = null;
-    this.browser = (process.env.BROWSER || 'chrome').toLowerCase();
-    this.headless = process.env.HEADLESS === 'true';
-    this.retries = 3;
-    this.retryDelay = 2000; // 2 seconds
+    this.browserLogs = null;
+    this.sessionId = null;
+    this.browser = config.browser.name;
+    this.headless = config.browser.headless;
+    this.remoteUrl = config.remote.url;
+    // WebDriver endpoint of the session when it is known up front (remote or pooled)
+    this.serverUrl = null;
+    // Set by DriverPool for sessions it hands out
+    this.poolId = null;
+
+    // Grid sessions wait in a queue, so remote mode has its own (usually longer) retry policy
+    const retryPolicy = this.remoteUrl ? config.remote.retries : config.retries.driverCreation;
+    this.retries = retryPolicy.attempts;
+    this.retryDelay = retryPolicy.delay;
   }
 
   /**
    * Create and configure WebDriver instance
+   * @param {Object} options
+   * @param {string} options.serviceUrl - Already running local driver service to use (see utils/DriverPool.js)
+   * @param {string} options.browserPath - Browser binary to launch (from Selenium Manager)
    * @returns {Promise<WebDriver>} Configured WebDriver instance
    */
-  async createDriver() {
+  async createDriver({ serviceUrl = null, browserPath = null } = {}) {
     try {
       const builder = new Builder();
       
       if (this.browser === 'chrome') {
-        this._configureChromeOptions(builder);
+        this._configureChromeOptions(builder, browserPath);
       } else if (this.browser === 'firefox') {
-        this._configureFirefoxOptions(builder);
+        this._configureFirefoxOptions(builder, browserPath);
       } else {
         throw new Error(`Unsupported browser: ${this.browser}`);
       }
 
+      if (this.remoteUrl) {
+        builder.usingServer(this.remoteUrl);
+        this.serverUrl = this.remoteUrl;
+        logger.info(`Requesting remote ${this.browser} session from ${this.remoteUrl}`);
+      } else if (serviceUrl) {
+        builder.usingServer(serviceUrl);
+        this.serverUrl = serviceUrl;
+      }
+
       // Retry logic for driver creation
       this.driver = await this._createDriverWithRetry(builder);
       
       // Configure timeouts
       await this._configureTimeouts();
       
+      const session = await this.driver.getSession();
+      this.sessionId = session.getId();
       logger.info(`WebDriver initialized successfully`, {
         browser: this.browser,
         headless: this.headless,
-        version: await this._getBrowserVersion()
+        profile: this.config.profile,
+        version: await this._getBrowserVersion(),
+        sessionId: session.getId(),
+        remote: this.remoteUrl || false
       });
+
+      if (this.remoteUrl) {
+        await this._logGridNodeInfo(session);
+      }
+
+      await this._startConsoleCapture();
       
       return this.driver;
       
@@ -54,59 +96,113 @@ class WebDriverManager {
     }
   }
 
+  /**
+   * Take over a session that is already running, e.g. one created by another test file
+   * @param {Object} session
+   * @param {string} session.serverUrl - WebDriver endpoint serving the session
+   * @param {string} session.sessionId
+   * @param {Object} session.capabilities - Capabilities returned when the session was created
+   * @returns {Promise<WebDriver>}
+   */
+  async attach({ serverUrl, sessionId, capabilities }) {
+    this.driver = new WebDriver(
+      new Session(sessionId, new Capabilities(capabilities)),
+      new Executor(new HttpClient(serverUrl))
+    );
+    this.serverUrl = serverUrl;
+    this.sessionId = sessionId;
+
+    // A previous suite may have changed them
+    await this._configureTimeouts();
+    await this._startConsoleCapture();
+
+    logger.info('WebDriver attached to existing session', { browser: this.browser, sessionId });
+    return this.driver;
+  }
+
+  /**
+   * Data needed to attach() to this session later
+   * @returns {Promise<{serverUrl: string, sessionId: string, capabilities: Object}>}
+   */
+  async describeSession() {
+    const capabilities = await this.driver.getCapabilities();
+    return {
+      serverUrl: this.serverUrl,
+      sessionId: this.sessionId,
+      capabilities: Object.fromEntries([...capabilities.keys()].map(key => [key, capabilities.get(key)]))
+    };
+  }
+
+  /**
+   * Stop using the session without ending it: console capture stops and the BiDi socket
+   * closes, so whoever attaches next can open their own
+   */
+  async detach() {
+    if (this.browserLogs) {
+      await this.browserLogs.stop();
+      this.browserLogs = null;
+    }
+
+    // selenium-webdriver keeps the socket getBidi() opened and only closes it on quit(); getBidi()
+    // hands back that socket (or opens one, if nothing used BiDi yet) so it can be closed here
+    if (this.driver) {
+      try {
+        const capabilities = await this.driver.getCapabilities();
+        if (capabilities.get('webSocketUrl')) {
+          const bidi = await this.driver.getBidi();
+          await bidi.waitForConnection();
+          await bidi.close();
+        }
+      } catch (error) {
+        logger.debug(`Failed to close BiDi connection: ${error.message}`);
+      }
+    }
+
+    this.driver = null;
+    this.sessionId = null;
+  }
+
+  /**
+   * @private
+   */
+  async _startConsoleCapture() {
+    if (this.config.console.capture) {
+      this.browserLogs = new BrowserLogCollector(this.driver, this.browser);
+      await this.browserLogs.start();
+    }
+  }
+
   /**
    * Configure Chrome browser options
    * @private
    */
-  _configureChromeOptions(builder) {
+  _configureChromeOptions(builder, browserPath = null) {
     const chromeOptions = new chrome.Options();
-    
-    // Performance-focused options
-    const performanceArgs = [
-      '--window-size=1280,720', // Smaller window for faster rendering
-      '--disable-web-security',
-      '--disable-features=TranslateUI',
-      '--disable-ipc-flooding-protection',
-      '--disable-renderer-backgrounding',
-      '--disable-backgrounding-occluded-windows',
-      '--disable-client-side-phishing-detection',
-      '--disable-sync',
-      '--disable-default-apps',
-      '--no-first-run',
-      '--no-default-browser-check',
-      '--disable-hang-monitor',
-      '--disable-prompt-on-repost',
-      '--disable-background-timer-throttling',
-      '--disable-background-networking',
-      '--disable-background-tab-rendering',
-      '--disable-features=VizDisplayCompositor'
-    ];
-
-    // Headless mode - always use for performance
-    if (this.headless || !process.env.HEADED) {
+    const { args } = this.config.browser;
+    const windowSize = this.config.browser.windowSize.chrome;
+
+    if (browserPath) {
+      chromeOptions.setBinaryPath(browserPath);
+    }
+
+    if (this.headless) {
       chromeOptions.addArguments('--headless=new');
     }
 
-    // CI and general optimizations
-    const optimizationArgs = [
-      '--no-sandbox',
-      '--disable-dev-shm-usage',
-      '--disable-gpu',
-      '--disable-extensions',
-      '--disable-plugins',
-      '--disable-images', // Skip loading images for faster page loads
-      '--disable-javascript-harmony-shipping',
-      '--disable-background-tasks',
-      '--disable-background-timer-throttling',
-      '--disable-renderer-backgrounding',
-      '--disable-backgrounding-occluded-windows',
-      '--memory-pressure-off',
-      '--max_old_space_size=4096'
-    ];
-
-    chromeOptions.addArguments(...performanceArgs, ...optimizationArgs);
+    chromeOptions.addArguments(`--window-size=${windowSize.width},${windowSize.height}`, ...args.chrome);
     
     // Additional performance preferences
+    if (this.config.browser.bidi) {
+      chromeOptions.enableBidi();
+    }
+
+    // Fallback console capture when BiDi is off or unavailable
+    if (this.config.console.capture) {
+      chromeOptions.setLoggingPrefs(BrowserLogCollector.loggingPreferences());
+    }
+
+    this._applyRemoteCapabilities(chromeOptions);
+
     chromeOptions.setUserPreferences({
       'profile.default_content_setting_values': {
         'notifications': 2,
@@ -124,15 +220,14 @@ class WebDriverManager {
    * Configure Firefox browser options
    * @private
    */
-  _configureFirefoxOptions(builder) {
+  _configureFirefoxOptions(builder, browserPath = null) {
     const firefoxOptions = new firefox.Options();
-    
-    const basicArgs = [
-      '--width=1920', 
-      '--height=1080',
-      '--disable-gpu',
-      '--no-sandbox'
-    ];
+    const { args } = this.config.browser;
+    const windowSize = this.config.browser.windowSize.firefox;
+
+    if (browserPath) {
+      firefoxOptions.setBinary(browserPath);
+    }
 
     if (this.headless) {
       firefoxOptions.addArguments('--headless');
@@ -145,9 +240,29 @@ class WebDriverManager {
       firefoxOptions.setPreference('browser.safebrowsing.downloads.enabled', false);
     }
 
-    firefoxOptions.addArguments(...basicArgs);
+    firefoxOptions.addArguments(`--width=${windowSize.width}`, `--height=${windowSize.height}`, ...args.firefox);
+
+    if (this.config.browser.bidi) {
+      firefoxOptions.enableBidi();
+    }
+
+    this._applyRemoteCapabilities(firefoxOptions);
     builder.forBrowser('firefox').setFirefoxOptions(firefoxOptions);
   }
+  /**
+   * Merge extra capabilities from config into the browser options (remote mode only)
+   * @private
+   */
+  _applyRemoteCapabilities(options) {
+    if (!this.remoteUrl) {
+      return;
+    }
+
+    for (const [name, value] of Object.entries(this.config.remote.capabilities)) {
+      options.set(name, value);
+    }
+  }
+
   /**
    * Create driver with retry logic
    * @private
@@ -161,6 +276,11 @@ class WebDriverManager {
       } catch (error) {
         lastError = error;
         logger.warn(`Driver creation attempt ${attempt}/${this.retries} failed: ${error.message}`);
+
+        if (this.remoteUrl && !this._isRetryableGridError(error)) {
+          logger.error('Remote session request was rejected; not retrying');
+          break;
+        }
         
         if (attempt < this.retries) {
           await new Promise(resolve => setTimeout(resolve, this.retryDelay));
@@ -171,16 +291,102 @@ class WebDriverManager {
     throw lastError || new Error(`Failed to create driver after ${this.retries} attempts`);
   }
 
+  /**
+   * Whether a remote session failure is worth retrying: the grid queue timed out,
+   * no node was free, or the hub could not be reached. Capability errors are not.
+   * @private
+   */
+  _isRetryableGridError(error) {
+    if (error.name === 'InvalidArgumentError') {
+      return false;
+    }
+
+    const retryableCodes = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'EAI_AGAIN'];
+    const message = error.message || '';
+    if (retryableCodes.some(code => error.code === code || message.includes(code))) {
+      return true;
+    }
+
+    return error.name === 'SessionNotCreatedError' ||
+      error.name === 'TimeoutError' ||
+      /timed out|timeout|queue|no (available )?slots?|unable to find provider|could not start a new session/i
+        .test(message);
+  }
+
+  /**
+   * Log which grid node is serving the session (best effort)
+   * Uses the Grid 4 GraphQL endpoint, plus any se:* capabilities the grid returned.
+   * @private
+   */
+  async _logGridNodeInfo(session) {
+    const capabilities = session.getCapabilities();
+    const gridCapabilities = {};
+    for (const key of capabilities.keys()) {
+      if (key.startsWith('se:')) {
+        gridCapabilities[key] = capabilities.get(key);
+      }
+    }
+
+    let node = null;
+    try {
+      const query = `{ session (id: "${session.getId()}") { nodeId, nodeUri, startTime } }`;
+      const response = await this._postJson(new URL('/graphql', this.remoteUrl), { query });
+      node = response && response.data ? response.data.session : null;
+    } catch (error) {
+      logger.debug(`Grid node lookup failed: ${error.message}`);
+    }
+
+    logger.info('Remote session details', {
+      sessionId: session.getId(),
+      nodeId: node ? node.nodeId : 'unknown',
+      nodeUri: node ? node.nodeUri : 'unknown',
+      ...gridCapabilities
+    });
+  }
+
+  /**
+   * POST a JSON body and parse the JSON response
+   * @private
+   */
+  _postJson(url, body, timeout = 5000) {
+    const transport = url.protocol === 'https:' ? https : http;
+    const payload = JSON.stringify(body);
+
+    return new Promise((resolve, reject) => {
+      const request = transport.request(url, {
+        method: 'POST',
+        timeout,
+        headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }
+      }, (response) => {
+        let data = '';
+        response.setEncoding('utf8');
+        response.on('data', chunk => { data += chunk; });
+        response.on('end', () => {
+          if (response.statusCode >= 400) {
+            reject(new Error(`HTTP ${response.statusCode} from ${url}`));
+            return;
+          }
+          try {
+            resolve(JSON.parse(data));
+          } catch (error) {
+            reject(new Error(`Invalid JSON from ${url}: ${error.message}`));
+          }
+        });
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Request to ${url} timed out`)));
+      request.on('error', reject);
+      request.end(payload);
+    });
+  }
+
   /**
    * Configure WebDriver timeouts
    * @private
    */
   async _configureTimeouts() {
-    await this.driver.manage().setTimeouts({ 
-      implicit: 5000,     // Reduced from 10s to 5s
-      pageLoad: 15000,    // Reduced from 30s to 15s
-      script: 10000       // Reduced from 30s to 10s
-    });
+    const { implicit, pageLoad, script } = this.config.timeouts;
+    await this.driver.manage().setTimeouts({ implicit, pageLoad, script });
   }
 
   /**
@@ -217,8 +423,7 @@ class WebDriverManager {
       const screenshotName = filename || `screenshot-${timestamp}.png`;
       const screenshotPath = path.join(screenshotsDir, screenshotName);
       
-      const screenshot = await this.driver.takeScreenshot();
-      fs.writeFileSync(screenshotPath, screenshot, 'base64');
+      fs.writeFileSync(screenshotPath, await this.captureScreenshot());
       
       logger.screenshot(screenshotPath);
       return screenshotPath;
@@ -229,6 +434,17 @@ class WebDriverManager {
     }
   }
 
+  /**
+   * Capture the viewport as PNG without writing it to disk
+   * @returns {Promise<Buffer>} PNG data
+   */
+  async captureScreenshot() {
+    if (!this.driver) {
+      throw new Error('WebDriver not initialized');
+    }
+    return Buffer.from(await this.driver.takeScreenshot(), 'base64');
+  }
+
   /**
    * Get current page information for debugging
    * @returns {Promise<Object>} Page information
@@ -255,6 +471,11 @@ class WebDriverManager {
    * Gracefully quit the WebDriver
    */
   async quit() {
+    if (this.browserLogs) {
+      await this.browserLogs.stop();
+      this.browserLogs = null;
+    }
+
     if (this.driver) {
       try {
         await this.driver.quit();
@@ -263,6 +484,8 @@ class WebDriverManager {
         logger.error(`Error closing WebDriver: ${error.message}`);
       } finally {
         this.driver = null;
+        this.sessionId = null;
+        this.serverUrl = null;
       }
     }
   }
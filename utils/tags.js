@@ -0,0 +1,127 @@
+/**
+ * Tags - @tags in test and describe titles, and the TAGS selection expression
+ * A test's tags are its own plus those of every enclosing describe block, e.g.
+ * describe('Checkout @regression', () => test('pays by card @smoke @slow', ...)).
+ * A tag starts the title or follows whitespace, so "user@example.com" holds none.
+ * Browser tags (@chrome-only, @firefox-only) restrict a test to one browser; other *-only
+ * tags such as @read-only are plain tags.
+ * Only loads the browser list from utils/config (no config file is read): it is also loaded
+ * by the test environment and reporters.
+ */
+const { BROWSERS } = require('./config');
+
+const TAG_PATTERN = /(?<!\S)@([\w-]+)/g;
+const BROWSER_TAG_PATTERN = new RegExp(`^(${BROWSERS.join('|')})-only$`);
+
+/**
+ * Tags (without the "@") found in the given titles, in order of appearance
+ * @param {string[]} titles - e.g. [...ancestorTitles, title]
+ * @returns {string[]}
+ */
+function extractTags(titles) {
+  return [...new Set(titles.flatMap(title => [...title.matchAll(TAG_PATTERN)].map(match => match[1])))];
+}
+
+/**
+ * Split an expression into "(", ")", "and", "or", "not" and tag tokens
+ * @private
+ */
+function tokenize(expression) {
+  return expression
+    .replace(/[()]/g, ' $& ')
+    .split(/\s+/)
+    .filter(Boolean)
+    .map(token => (/^(and|or|not)$/i.test(token) ? token.toLowerCase() : token));
+}
+
+/**
+ * Compile a tag expression such as "smoke and not slow" or "(smoke or regression) and @firefox-only".
+ * Operators: and, or, not, parentheses; "not" binds tightest, then "and", then "or".
+ * Tags may be written with or without the "@".
+ * @param {string|null} expression - Empty or null selects every test
+ * @returns {function(string[]): boolean} Whether a test with the given tags is selected
+ */
+function parseTagExpression(expression) {
+  const tokens = tokenize(expression || '');
+  if (tokens.length === 0) {
+    return () => true;
+  }
+
+  let position = 0;
+  const fail = (message) => {
+    throw new Error(`Invalid tag expression "${expression}": ${message}`);
+  };
+  const peek = () => tokens[position];
+
+  const parsePrimary = () => {
+    const token = tokens[position++];
+    if (token === undefined) {
+      fail('unexpected end');
+    }
+    if (token === '(') {
+      const inner = parseOr();
+      if (tokens[position++] !== ')') {
+        fail('missing ")"');
+      }
+      return inner;
+    }
+    if (token === 'not') {
+      const operand = parsePrimary();
+      return tags => !operand(tags);
+    }
+    if (token === ')' || token === 'and' || token === 'or') {
+      fail(`unexpected "${token}"`);
+    }
+    const tag = token.replace(/^@/, '');
+    return tags => tags.includes(tag);
+  };
+
+  const parseAnd = () => {
+    let left = parsePrimary();
+    while (peek() === 'and') {
+      position++;
+      const first = left;
+      const right = parsePrimary();
+      left = tags => first(tags) && right(tags);
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (peek() === 'or') {
+      position++;
+      const first = left;
+      const right = parseAnd();
+      left = tags => first(tags) || right(tags);
+    }
+    return left;
+  };
+
+  const matches = parseOr();
+  if (position < tokens.length) {
+    fail(`unexpected "${tokens[position]}"`);
+  }
+  return matches;
+}
+
+/**
+ * Why a test does not run, or null if it does
+ * @param {string[]} tags - From extractTags()
+ * @param {Object} options
+ * @param {string|null} options.expression - Tag expression (config tags.expression / TAGS)
+ * @param {string} options.browser - Browser the run uses
+ * @returns {string|null}
+ */
+function skipReason(tags, { expression, browser }) {
+  const browsers = tags.map(tag => (tag.match(BROWSER_TAG_PATTERN) || [])[1]).filter(Boolean);
+  if (browsers.length > 0 && !browsers.includes(browser)) {
+    return `${browsers.map(name => `@${name}-only`).join(', ')} test skipped on ${browser}`;
+  }
+  if (!parseTagExpression(expression)(tags)) {
+    return `Not selected by tag expression "${expression}"`;
+  }
+  return null;
+}
+
+module.exports = { extractTags, parseTagExpression, skipReason };
@@ -0,0 +1,70 @@
+/**
+ * Test records - per-test details handed from Jest workers to reporters
+ * Workers write one JSON file per test (logs, screenshots, artifacts) from jest.setup.js;
+ * reporters read them in onRunComplete and join them to Jest's results by file and full name.
+ * jest.globalSetup.js clears them at the start of each run.
+ */
+const path = require('path');
+const fs = require('fs');
+const crypto = require('crypto');
+
+const RECORDS_DIR = path.join(__dirname, '..', 'test-results', 'records');
+
+/**
+ * Stable id for a test: same file + full name -> same record (a retry replaces it, keeping
+ * the earlier attempts in previousAttempts)
+ */
+function recordId(testPath, fullName) {
+  return crypto.createHash('md5').update(`${testPath}\0${fullName}`).digest('hex');
+}
+
+/**
+ * @param {Object} record - Must include testPath and name (the Jest full name)
+ */
+function writeTestRecord(record) {
+  fs.mkdirSync(RECORDS_DIR, { recursive: true });
+  const filePath = path.join(RECORDS_DIR, `${recordId(record.testPath, record.name)}.json`);
+  fs.writeFileSync(filePath, JSON.stringify(record, null, 2));
+  return filePath;
+}
+
+/**
+ * Read one test's record
+ * @returns {Object|null} The record, or null if there is none (or it is unreadable)
+ */
+function readTestRecord(testPath, fullName) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(RECORDS_DIR, `${recordId(testPath, fullName)}.json`), 'utf8'));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read all records, keyed by recordId()
+ * @returns {Map<string, Object>}
+ */
+function readTestRecords() {
+  const records = new Map();
+  if (!fs.existsSync(RECORDS_DIR)) {
+    return records;
+  }
+
+  for (const file of fs.readdirSync(RECORDS_DIR).filter(name => name.endsWith('.json'))) {
+    try {
+      records.set(path.basename(file, '.json'), JSON.parse(fs.readFileSync(path.join(RECORDS_DIR, file), 'utf8')));
+    } catch (error) {
+      // Half-written record from an interrupted worker - skip it
+    }
+  }
+  return records;
+}
+
+/**
+ * Remove records from a previous run (jest.globalSetup.js)
+ */
+function clearTestRecords() {
+  fs.rmSync(RECORDS_DIR, { recursive: true, force: true });
+}
+
+module.exports = { RECORDS_DIR, recordId, writeTestRecord, readTestRecord, readTestRecords, clearTestRecords };
@@ -0,0 +1,26 @@
+/**
+ * Test state - read-only view of the test currently running in this worker
+ * Populated by jest.environment.js from jest-circus events.
+ */
+const STATE_KEY = '__SELENIUM_CURRENT_TEST__';
+
+/**
+ * Get the current test's state
+ * @returns {{name: string, title: string, testPath: string, attempt: number, startedAt: number,
+ *   status: string, errors: Error[], tags: string[], quarantine: Object|null, passed: boolean, error: Error|null}|null}
+ *   null when not running under jest.environment.js or outside a test
+ */
+function getCurrentTest() {
+  const state = global[STATE_KEY];
+  if (!state) {
+    return null;
+  }
+
+  return {
+    ...state,
+    passed: state.errors.length === 0,
+    error: state.errors[0] || null
+  };
+}
+
+module.exports = { getCurrentTest };
@@ -0,0 +1,98 @@
+/**
+ * Wait - polling helper for conditions Selenium's until.* does not cover
+ * Used by the custom Jest matchers (utils/matchers.js) and ElementHelper's waits: unlike
+ * driver.wait(), it keeps the last observed state, so a timeout can report what the page
+ * actually showed.
+ */
+const DEFAULT_INTERVAL = 100;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const normalize = (text) => String(text).replace(/\s+/g, ' ').trim();
+
+/**
+ * Text comparison shared by the text waits and matchers: strings match when equal after
+ * collapsing whitespace (or contained, with exact = false), regular expressions when they
+ * match anywhere
+ * @param {string|null} actual
+ * @param {string|RegExp} expected
+ * @param {boolean} exact
+ */
+function matchesText(actual, expected, exact = true) {
+  if (actual === null || actual === undefined) {
+    return false;
+  }
+  if (expected instanceof RegExp) {
+    return expected.test(actual);
+  }
+  return exact ? normalize(actual) === normalize(expected) : normalize(actual).includes(normalize(expected));
+}
+
+/**
+ * Whether an error is one of the given classes or error names
+ * @param {Error} error
+ * @param {Array<Function|string>} ignore - Error classes, or names such as 'StaleElementReferenceError'
+ */
+function isIgnored(error, ignore) {
+  return ignore.some(entry => (typeof entry === 'string' ? error.name === entry : error instanceof entry));
+}
+
+/**
+ * Call probe() until accept(state) is true or the timeout passes. probe() errors do not stop
+ * the polling (the page may still be rendering); they are kept as the state's error.
+ * @param {Function} probe - Async function returning the current state
+ * @param {Function} accept - (value) => boolean, called with probe()'s result
+ * @param {Object} options
+ * @param {number} options.timeout - Milliseconds to keep polling
+ * @param {number} options.interval - Milliseconds between probes (default: 100)
+ * @param {Array<Function|string>} options.ignore - Only these errors keep the polling going;
+ *   any other probe() error is thrown at once (default: every error is ignored)
+ * @returns {Promise<{accepted: boolean, value: *, error: Error|null, attempts: number, elapsed: number}>}
+ *   The last observed state
+ */
+async function poll(probe, accept, { timeout, interval = DEFAULT_INTERVAL, ignore = null }) {
+  const startedAt = Date.now();
+  let attempts = 0;
+
+  for (;;) {
+    attempts++;
+    let value;
+    let error = null;
+    try {
+      value = await probe();
+    } catch (probeError) {
+      if (ignore && !isIgnored(probeError, ignore)) {
+        throw probeError;
+      }
+      error = probeError;
+    }
+
+    const accepted = error === null && Boolean(accept(value));
+    const elapsed = Date.now() - startedAt;
+    if (accepted || elapsed >= timeout) {
+      return { accepted, value, error, attempts, elapsed };
+    }
+    await sleep(Math.min(interval, timeout - elapsed));
+  }
+}
+
+/**
+ * Run fn with the driver's implicit wait turned off, so locating absent elements inside a
+ * polling loop returns at once instead of blocking for timeouts.implicit on every probe
+ * @param {WebDriver} driver
+ * @param {Function} fn - Async function
+ */
+async function withoutImplicitWait(driver, fn) {
+  const { implicit } = await driver.manage().getTimeouts();
+  if (!implicit) {
+    return await fn();
+  }
+  await driver.manage().setTimeouts({ implicit: 0 });
+  try {
+    return await fn();
+  } finally {
+    await driver.manage().setTimeouts({ implicit });
+  }
+}
+
+module.exports = { DEFAULT_INTERVAL, isIgnored, matchesText, poll, sleep, withoutImplicitWait };